@@ -1,5 +1,6 @@
 import Vue from '../../utils/vue'
 import { mergeData } from 'vue-functional-data-merge'
+import { lightboxTriggerData } from '../../utils/lightbox'
 
 export const props = {
   src: {
@@ -44,6 +45,11 @@ export const props = {
   width: {
     type: String,
     default: null
+  },
+  lightbox: {
+    // ID of a `<b-carousel-lightbox>` to open when the image is clicked
+    type: String,
+    default: null
   }
 }
 
@@ -52,7 +58,7 @@ export const BCardImg = /*#__PURE__*/ Vue.extend({
   name: 'BCardImg',
   functional: true,
   props,
-  render(h, { props, data }) {
+  render(h, { props, data, parent }) {
     let baseClass = 'card-img'
     if (props.top) {
       baseClass += '-top'
@@ -66,7 +72,7 @@ export const BCardImg = /*#__PURE__*/ Vue.extend({
 
     return h(
       'img',
-      mergeData(data, {
+      mergeData(data, lightboxTriggerData(props.lightbox, props.src, parent && parent.$root), {
         class: [baseClass],
         attrs: {
           src: props.src,
@@ -0,0 +1,469 @@
+import Vue from '../../utils/vue'
+import KeyCodes from '../../utils/key-codes'
+import idMixin from '../../mixins/id'
+import listenOnRootMixin from '../../mixins/listen-on-root'
+import { getComponentConfig } from '../../utils/config'
+import { eventOff, eventOn } from '../../utils/dom'
+import { isBrowser } from '../../utils/env'
+import { isNumber, isString, isUndefined } from '../../utils/inspect'
+import { EVENT_SHOW_LIGHTBOX } from '../../utils/lightbox'
+import { BButton } from '../button/button'
+import { BButtonClose } from '../button/button-close'
+import { BImgLazy } from '../image/img-lazy'
+import { BModal } from '../modal/modal'
+import { BCarousel } from './carousel'
+import { BCarouselSlide } from './carousel-slide'
+import { BCarouselThumbnails } from './carousel-thumbnails'
+import {
+  EVENT_CAROUSEL_SLIDE,
+  EVENT_CAROUSEL_STATE,
+  EVENT_CAROUSEL_STATE_REQUEST
+} from './helpers/constants'
+
+const NAME = 'BCarouselLightbox'
+
+// Events we listen to on `$root`
+const EVENT_HIDE_LIGHTBOX = 'bv::hide::lightbox'
+
+// Zoom level when double clicking the image
+const DBLCLICK_ZOOM = 2
+
+const EVENT_OPTIONS = { passive: true, capture: false }
+
+const getClientXY = evt => {
+  const point = evt.touches && evt.touches.length > 0 ? evt.touches[0] : evt
+  return { x: point.clientX, y: point.clientY }
+}
+
+// @vue/component
+export const BCarouselLightbox = /*#__PURE__*/ Vue.extend({
+  name: NAME,
+  mixins: [idMixin, listenOnRootMixin],
+  model: {
+    prop: 'visible',
+    event: 'change'
+  },
+  props: {
+    visible: {
+      type: Boolean,
+      default: false
+    },
+    carousel: {
+      // ID of a `<b-carousel>` to show the slides of, and to keep the current slide synced with
+      type: String,
+      default: null
+    },
+    items: {
+      // Array of image `src` strings, or objects with `src`, `alt`,
+      // `caption`, `captionHtml`, `text` and `textHtml` properties
+      type: Array,
+      default: () => []
+    },
+    thumbnails: {
+      type: Boolean,
+      default: false
+    },
+    maxZoom: {
+      type: Number,
+      default: 3
+    },
+    zoomStep: {
+      type: Number,
+      default: 0.5
+    },
+    noAnimation: {
+      type: Boolean,
+      default: false
+    },
+    static: {
+      // Render the lightbox in place in the DOM, rather than appended to `<body>`
+      type: Boolean,
+      default: false
+    },
+    labelClose: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'labelClose')
+    },
+    labelZoomIn: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'labelZoomIn')
+    },
+    labelZoomOut: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'labelZoomOut')
+    }
+  },
+  data() {
+    return {
+      isVisible: this.visible,
+      index: 0,
+      zoom: 1,
+      panX: 0,
+      panY: 0,
+      isPanning: false,
+      // Slides (by index) that have their image loaded
+      loaded: {},
+      // State of the linked carousel
+      carouselIndex: 0,
+      carouselSlides: []
+    }
+  },
+  computed: {
+    computedItems() {
+      if (this.carousel) {
+        return this.carouselSlides
+      }
+      return this.items.map(item => (isString(item) ? { src: item } : item))
+    },
+    numItems() {
+      return this.computedItems.length
+    },
+    isZoomed() {
+      return this.zoom > 1
+    }
+  },
+  watch: {
+    visible(newVal, oldVal) {
+      if (newVal !== oldVal) {
+        this[newVal ? 'show' : 'hide']()
+      }
+    },
+    isVisible(newVal, oldVal) {
+      if (newVal !== oldVal && newVal !== this.visible) {
+        this.$emit('change', newVal)
+      }
+    },
+    index(newVal, oldVal) {
+      if (newVal !== oldVal) {
+        this.resetZoom()
+        this.loadSlides()
+        if (this.carousel && this.isVisible) {
+          this.$root.$emit(EVENT_CAROUSEL_SLIDE, this.carousel, newVal)
+        }
+      }
+    },
+    carousel() {
+      this.carouselSlides = []
+      this.$root.$emit(EVENT_CAROUSEL_STATE_REQUEST, this.carousel)
+    }
+  },
+  created() {
+    // Non-reactive property for the position where panning started
+    this._panStart = null
+  },
+  mounted() {
+    this.listenOnRoot(EVENT_SHOW_LIGHTBOX, this.showHandler)
+    this.listenOnRoot(EVENT_HIDE_LIGHTBOX, this.hideHandler)
+    this.listenOnRoot(EVENT_CAROUSEL_STATE, this.onCarouselState)
+    if (this.carousel) {
+      this.$root.$emit(EVENT_CAROUSEL_STATE_REQUEST, this.carousel)
+    }
+    if (this.isVisible) {
+      this.show()
+    }
+  },
+  beforeDestroy() {
+    this.setKeyListener(false)
+    this.setPanListeners(false)
+  },
+  methods: {
+    // Public methods
+    show(index) {
+      if (isNumber(index)) {
+        this.index = Math.max(Math.min(index, this.numItems - 1), 0)
+      } else if (this.carousel) {
+        this.index = this.carouselIndex
+      }
+      this.loadSlides()
+      this.isVisible = true
+    },
+    hide() {
+      this.isVisible = false
+    },
+    next() {
+      if (this.$refs.carousel) {
+        this.$refs.carousel.next()
+      }
+    },
+    prev() {
+      if (this.$refs.carousel) {
+        this.$refs.carousel.prev()
+      }
+    },
+    zoomIn() {
+      this.setZoom(this.zoom + this.zoomStep)
+    },
+    zoomOut() {
+      this.setZoom(this.zoom - this.zoomStep)
+    },
+    resetZoom() {
+      this.setZoom(1)
+    },
+    // Private methods
+    setZoom(zoom) {
+      this.zoom = Math.max(Math.min(zoom, Math.max(this.maxZoom, 1)), 1)
+      // Keep the image within the view
+      this.setPan(this.panX, this.panY)
+    },
+    setPan(x, y) {
+      const el = this.$refs.zoom
+      const maxX = el ? (el.offsetWidth * (this.zoom - 1)) / 2 : 0
+      const maxY = el ? (el.offsetHeight * (this.zoom - 1)) / 2 : 0
+      this.panX = Math.max(Math.min(x, maxX), -maxX)
+      this.panY = Math.max(Math.min(y, maxY), -maxY)
+    },
+    loadSlides() {
+      // Load the images of the current and adjacent slides
+      const last = this.numItems - 1
+      const loaded = { ...this.loaded }
+      ;[this.index - 1, this.index, this.index + 1].forEach(n => {
+        loaded[n < 0 ? last : n > last ? 0 : n] = true
+      })
+      this.loaded = loaded
+    },
+    showHandler(id, target) {
+      if (id !== this.id) {
+        return
+      }
+      let index
+      if (isString(target)) {
+        // Opened by an image with the `lightbox` prop
+        index = this.computedItems.map(item => item.src).indexOf(target)
+      } else if (isNumber(target)) {
+        index = target
+      }
+      this.show(isUndefined(index) || index < 0 ? undefined : index)
+    },
+    hideHandler(id) {
+      if (id === this.id) {
+        this.hide()
+      }
+    },
+    onCarouselState(id, state) {
+      if (id === this.carousel) {
+        this.carouselIndex = state.index
+        this.carouselSlides = state.slides
+      }
+    },
+    onModalChange(visible) {
+      this.isVisible = visible
+    },
+    onShown() {
+      this.setKeyListener(true)
+      this.$emit('shown')
+    },
+    onHidden() {
+      this.setKeyListener(false)
+      this.setPanListeners(false)
+      this.isPanning = false
+      this.resetZoom()
+      this.$emit('hidden')
+    },
+    setKeyListener(on) {
+      if (isBrowser) {
+        eventOff(document, 'keydown', this.onKeydown)
+        if (on) {
+          eventOn(document, 'keydown', this.onKeydown)
+        }
+      }
+    },
+    onKeydown(evt) {
+      // The carousel handles the arrow keys itself, when it has focus
+      const keyCode = evt.keyCode
+      if (keyCode === KeyCodes.LEFT || keyCode === KeyCodes.RIGHT) {
+        evt.preventDefault()
+        this[keyCode === KeyCodes.LEFT ? 'prev' : 'next']()
+      }
+    },
+    onDblclick() {
+      this.setZoom(this.isZoomed ? 1 : DBLCLICK_ZOOM)
+    },
+    onWheel(evt) {
+      evt.preventDefault()
+      if (evt.deltaY < 0) {
+        this.zoomIn()
+      } else if (evt.deltaY > 0) {
+        this.zoomOut()
+      }
+    },
+    setPanListeners(on) {
+      if (isBrowser) {
+        eventOff(document, 'mousemove', this.onPanMove, EVENT_OPTIONS)
+        eventOff(document, 'mouseup', this.onPanEnd, EVENT_OPTIONS)
+        eventOff(document, 'touchmove', this.onPanMove, EVENT_OPTIONS)
+        eventOff(document, 'touchend', this.onPanEnd, EVENT_OPTIONS)
+        if (on) {
+          eventOn(document, 'mousemove', this.onPanMove, EVENT_OPTIONS)
+          eventOn(document, 'mouseup', this.onPanEnd, EVENT_OPTIONS)
+          eventOn(document, 'touchmove', this.onPanMove, EVENT_OPTIONS)
+          eventOn(document, 'touchend', this.onPanEnd, EVENT_OPTIONS)
+        }
+      }
+    },
+    onPanStart(evt) {
+      if (!this.isZoomed || evt.button > 0 || (evt.touches && evt.touches.length > 1)) {
+        return
+      }
+      if (evt.type === 'mousedown') {
+        // Prevent the native image drag
+        evt.preventDefault()
+      }
+      const { x, y } = getClientXY(evt)
+      this._panStart = { x: x - this.panX, y: y - this.panY }
+      this.isPanning = true
+      this.setPanListeners(true)
+    },
+    onPanMove(evt) {
+      if (this.isPanning) {
+        const { x, y } = getClientXY(evt)
+        this.setPan(x - this._panStart.x, y - this._panStart.y)
+      }
+    },
+    onPanEnd() {
+      this.isPanning = false
+      this.setPanListeners(false)
+    },
+    renderHeader(h, { close }) {
+      const counter = h('h5', { staticClass: 'modal-title' }, [
+        this.numItems > 0 ? `${this.index + 1} / ${this.numItems}` : ''
+      ])
+      const zoomButtons = h('div', { staticClass: 'b-carousel-lightbox-zoom-controls' }, [
+        h(
+          BButton,
+          {
+            props: { variant: 'link', disabled: !this.isZoomed },
+            attrs: { 'aria-label': this.labelZoomOut },
+            on: { click: this.zoomOut }
+          },
+          [h('span', { attrs: { 'aria-hidden': 'true' } }, '−')]
+        ),
+        h(
+          BButton,
+          {
+            props: { variant: 'link', disabled: this.zoom >= this.maxZoom },
+            attrs: { 'aria-label': this.labelZoomIn },
+            on: { click: this.zoomIn }
+          },
+          [h('span', { attrs: { 'aria-hidden': 'true' } }, '+')]
+        )
+      ])
+      const closeButton = h(BButtonClose, {
+        props: { ariaLabel: this.labelClose, textVariant: 'light' },
+        on: { click: close }
+      })
+      return [counter, zoomButtons, closeButton]
+    },
+    renderSlide(h, item, n) {
+      const active = n === this.index
+      const zoom = h(
+        'div',
+        {
+          slot: 'img',
+          ref: active ? 'zoom' : null,
+          staticClass: 'b-carousel-lightbox-zoom',
+          class: {
+            'b-carousel-lightbox-zoomed': active && this.isZoomed,
+            'b-carousel-lightbox-panning': active && this.isPanning
+          },
+          style: active
+            ? { transform: `translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})` }
+            : {},
+          on: active
+            ? {
+                dblclick: this.onDblclick,
+                wheel: this.onWheel,
+                mousedown: this.onPanStart,
+                '&touchstart': this.onPanStart
+              }
+            : {}
+        },
+        [
+          item.src
+            ? h(BImgLazy, {
+                props: {
+                  src: item.src,
+                  alt: item.alt || null,
+                  show: Boolean(this.loaded[n]),
+                  fluid: true,
+                  center: true
+                }
+              })
+            : h()
+        ]
+      )
+      return h(
+        BCarouselSlide,
+        {
+          key: `slide_${n}`,
+          props: {
+            caption: item.caption || null,
+            captionHtml: item.captionHtml || null,
+            text: item.text || null,
+            textHtml: item.textHtml || null
+          }
+        },
+        [zoom]
+      )
+    }
+  },
+  render(h) {
+    // The modal is lazy, so the carousel is only rendered while the lightbox is shown
+    const carousel = h(
+      BCarousel,
+      {
+        ref: 'carousel',
+        props: {
+          id: this.safeId('__BV_carousel_'),
+          value: this.index,
+          interval: 0,
+          controls: this.numItems > 1,
+          noAnimation: this.noAnimation,
+          noTouch: this.isZoomed,
+          noHoverPause: true
+        },
+        on: {
+          input: index => {
+            this.index = index
+          }
+        }
+      },
+      this.computedItems.map((item, n) => this.renderSlide(h, item, n))
+    )
+    let footer = h()
+    if (this.thumbnails) {
+      footer = h(BCarouselThumbnails, {
+        props: { carousel: this.safeId('__BV_carousel_'), lazy: true }
+      })
+    }
+    return h(
+      BModal,
+      {
+        props: {
+          id: this.safeId('__BV_modal_'),
+          visible: this.isVisible,
+          static: this.static,
+          lazy: true,
+          size: 'xl',
+          hideFooter: !this.thumbnails,
+          modalClass: 'b-carousel-lightbox',
+          headerClass: 'b-carousel-lightbox-header',
+          bodyClass: 'b-carousel-lightbox-body',
+          footerClass: 'b-carousel-lightbox-footer',
+          headerCloseLabel: this.labelClose
+        },
+        on: {
+          change: this.onModalChange,
+          shown: this.onShown,
+          hidden: this.onHidden
+        },
+        scopedSlots: {
+          'modal-header': scope => this.renderHeader(h, scope),
+          'modal-footer': () => footer
+        }
+      },
+      [carousel]
+    )
+  }
+})
+
+export default BCarouselLightbox
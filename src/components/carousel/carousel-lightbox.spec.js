@@ -0,0 +1,265 @@
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BCardImg from '../card/card-img'
+import BImg from '../image/img'
+import BCarousel from './carousel'
+import BCarouselSlide from './carousel-slide'
+import BCarouselLightbox from './carousel-lightbox'
+
+const items = [
+  { src: '/a.jpg', alt: 'A', caption: 'First', text: 'First text' },
+  { src: '/b.jpg', alt: 'B' },
+  '/c.jpg'
+]
+
+const waitForModal = async vm => {
+  await waitNT(vm)
+  await waitRAF()
+  await waitNT(vm)
+  await waitRAF()
+  await waitNT(vm)
+  await waitRAF()
+  await waitNT(vm)
+}
+
+const getActive = wrapper =>
+  wrapper
+    .findAll('.b-carousel-lightbox .carousel-item')
+    .wrappers.map(w => w.classes('active'))
+    .indexOf(true)
+
+describe('carousel > lightbox', () => {
+  it('shows the items in a carousel within a modal', async () => {
+    const wrapper = mount(BCarouselLightbox, {
+      attachToDocument: true,
+      stubs: { transition: false },
+      propsData: { id: 'lb', items, static: true, noAnimation: true }
+    })
+    await waitForModal(wrapper.vm)
+    // Lazy
+    expect(wrapper.find('.carousel').exists()).toBe(false)
+
+    wrapper.vm.show(1)
+    await waitForModal(wrapper.vm)
+    expect(wrapper.emitted('change')[0][0]).toBe(true)
+    expect(wrapper.emitted('shown')).toBeDefined()
+    const $modal = wrapper.find('.modal')
+    expect($modal.classes()).toContain('b-carousel-lightbox')
+    expect($modal.isVisible()).toBe(true)
+    expect(wrapper.find('.modal-title').text()).toBe('2 / 3')
+    expect(wrapper.findAll('.carousel-item').length).toBe(3)
+    expect(getActive(wrapper)).toBe(1)
+    // Captions from the items
+    const $caption = wrapper.find('.carousel-item .carousel-caption')
+    expect($caption.find('h3').text()).toBe('First')
+    expect($caption.find('p').text()).toBe('First text')
+    // Only the current and adjacent images are loaded
+    const $imgs = wrapper.findAll('.b-carousel-lightbox-zoom img')
+    expect($imgs.at(0).attributes('src')).toBe('/a.jpg')
+    expect($imgs.at(0).attributes('alt')).toBe('A')
+    expect($imgs.at(1).attributes('src')).toBe('/b.jpg')
+    expect($imgs.at(2).attributes('src')).toBe('/c.jpg')
+    // No thumbnails by default
+    expect(wrapper.find('.modal-footer').exists()).toBe(false)
+
+    // Keyboard navigation
+    document.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 39 }))
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.index).toBe(2)
+    expect(getActive(wrapper)).toBe(2)
+    expect(wrapper.find('.modal-title').text()).toBe('3 / 3')
+    document.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 37 }))
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.index).toBe(1)
+
+    // Close button
+    wrapper.find('.modal-header .close').trigger('click')
+    await waitForModal(wrapper.vm)
+    expect(wrapper.vm.isVisible).toBe(false)
+    expect(wrapper.find('.modal').exists()).toBe(false)
+    expect(wrapper.emitted('hidden')).toBeDefined()
+    // Key listener is removed when hidden
+    document.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 39 }))
+    expect(wrapper.vm.index).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('lazy loads images as the slides are shown', async () => {
+    const wrapper = mount(BCarouselLightbox, {
+      attachToDocument: true,
+      stubs: { transition: false },
+      propsData: {
+        items: ['/1.jpg', '/2.jpg', '/3.jpg', '/4.jpg', '/5.jpg'],
+        static: true,
+        noAnimation: true,
+        visible: true
+      }
+    })
+    await waitForModal(wrapper.vm)
+    const getLoaded = () =>
+      wrapper
+        .findAll('.b-carousel-lightbox-zoom img')
+        .wrappers.map(w => !/^data:/.test(w.attributes('src')))
+    expect(getLoaded()).toEqual([true, true, false, false, true])
+    wrapper.vm.next()
+    await waitNT(wrapper.vm)
+    expect(getLoaded()).toEqual([true, true, true, false, true])
+
+    wrapper.destroy()
+  })
+
+  it('zooms and pans the image', async () => {
+    const wrapper = mount(BCarouselLightbox, {
+      attachToDocument: true,
+      stubs: { transition: false },
+      propsData: { items, static: true, noAnimation: true, visible: true }
+    })
+    await waitForModal(wrapper.vm)
+    const $zoom = wrapper.find('.carousel-item.active .b-carousel-lightbox-zoom')
+    Object.defineProperty($zoom.element, 'offsetWidth', { value: 400 })
+    Object.defineProperty($zoom.element, 'offsetHeight', { value: 300 })
+    const $zoomButtons = wrapper.findAll('.b-carousel-lightbox-zoom-controls .btn')
+    expect($zoomButtons.at(0).attributes('aria-label')).toBe('Zoom out')
+    expect($zoomButtons.at(0).attributes('disabled')).toBeDefined()
+    expect($zoomButtons.at(1).attributes('aria-label')).toBe('Zoom in')
+
+    $zoom.trigger('dblclick')
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.zoom).toBe(2)
+    expect($zoom.classes()).toContain('b-carousel-lightbox-zoomed')
+    expect($zoom.element.style.transform).toBe('translate(0px, 0px) scale(2)')
+    // Swiping the carousel is disabled while zoomed
+    expect(wrapper.find(BCarousel).vm.noTouch).toBe(true)
+
+    // Panning is limited to the edges of the image
+    $zoom.trigger('mousedown', { clientX: 100, clientY: 100 })
+    expect($zoom.classes()).toContain('b-carousel-lightbox-panning')
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 150, clientY: 500 }))
+    await waitNT(wrapper.vm)
+    expect($zoom.element.style.transform).toBe('translate(50px, 150px) scale(2)')
+    document.dispatchEvent(new MouseEvent('mouseup'))
+    await waitNT(wrapper.vm)
+    expect($zoom.classes()).not.toContain('b-carousel-lightbox-panning')
+
+    // Zooming out keeps the image in view
+    $zoomButtons.at(0).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.zoom).toBe(1.5)
+    expect($zoom.element.style.transform).toBe('translate(50px, 75px) scale(1.5)')
+
+    // Wheel zoom, up to the max zoom
+    $zoom.trigger('wheel', { deltaY: -100 })
+    $zoom.trigger('wheel', { deltaY: -100 })
+    $zoom.trigger('wheel', { deltaY: -100 })
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.zoom).toBe(3)
+    expect($zoomButtons.at(1).attributes('disabled')).toBeDefined()
+    $zoom.trigger('wheel', { deltaY: 100 })
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.zoom).toBe(2.5)
+
+    // Zoom is reset when changing slides
+    wrapper.vm.next()
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.zoom).toBe(1)
+    expect(wrapper.vm.panX).toBe(0)
+    expect(wrapper.vm.panY).toBe(0)
+
+    wrapper.destroy()
+  })
+
+  it('is opened by images with the lightbox prop', async () => {
+    const App = {
+      render(h) {
+        return h('div', [
+          h(BImg, { props: { src: '/b.jpg', lightbox: 'lb' } }),
+          h(BCardImg, { props: { src: '/c.jpg', lightbox: 'lb' } }),
+          h(BImg, { props: { src: '/d.jpg' } }),
+          h(BCarouselLightbox, { props: { id: 'lb', items, static: true, noAnimation: true } })
+        ])
+      }
+    }
+    const wrapper = mount(App, { attachToDocument: true, stubs: { transition: false } })
+    await waitForModal(wrapper.vm)
+    const lightbox = wrapper.find(BCarouselLightbox)
+    const $imgs = wrapper.findAll('img')
+    expect($imgs.at(0).classes()).toContain('b-img-lightbox')
+    expect($imgs.at(0).attributes('role')).toBe('button')
+    expect($imgs.at(0).attributes('tabindex')).toBe('0')
+    expect($imgs.at(2).classes()).not.toContain('b-img-lightbox')
+    expect($imgs.at(2).attributes('role')).not.toBeDefined()
+
+    $imgs.at(1).trigger('keydown.enter')
+    await waitForModal(wrapper.vm)
+    expect(lightbox.vm.isVisible).toBe(true)
+    expect(lightbox.vm.index).toBe(2)
+
+    wrapper.vm.$root.$emit('bv::hide::lightbox', 'lb')
+    await waitForModal(wrapper.vm)
+    expect(lightbox.vm.isVisible).toBe(false)
+
+    $imgs.at(0).trigger('click')
+    await waitForModal(wrapper.vm)
+    expect(lightbox.vm.isVisible).toBe(true)
+    expect(lightbox.vm.index).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('shows the slides of a linked carousel, with thumbnails', async () => {
+    const App = {
+      render(h) {
+        return h('div', [
+          h(
+            BCarousel,
+            { props: { id: 'gallery', interval: 0, noAnimation: true, lightbox: 'lb', value: 1 } },
+            [
+              h(BCarouselSlide, { props: { imgSrc: '/a.jpg', caption: 'A caption' } }),
+              h(BCarouselSlide, { props: { imgSrc: '/b.jpg', textHtml: '<b>B</b>' } }),
+              h(BCarouselSlide, { props: { imgSrc: '/c.jpg' } })
+            ]
+          ),
+          h(BCarouselLightbox, {
+            props: {
+              id: 'lb',
+              carousel: 'gallery',
+              thumbnails: true,
+              static: true,
+              noAnimation: true
+            }
+          })
+        ])
+      }
+    }
+    const wrapper = mount(App, { attachToDocument: true, stubs: { transition: false } })
+    await waitForModal(wrapper.vm)
+    const carousel = wrapper.findAll(BCarousel).at(0)
+    const lightbox = wrapper.find(BCarouselLightbox)
+
+    // Slide images open the lightbox at the current slide
+    const $slideImg = carousel.find('.carousel-item.active img')
+    expect($slideImg.classes()).toContain('b-img-lightbox')
+    $slideImg.trigger('click')
+    await waitForModal(wrapper.vm)
+    expect(lightbox.vm.isVisible).toBe(true)
+    expect(lightbox.vm.index).toBe(1)
+    expect(lightbox.findAll('.carousel-item').length).toBe(3)
+    expect(lightbox.find('.carousel-item.active .carousel-caption').html()).toContain('<b>B</b>')
+    expect(lightbox.find('.carousel-caption h3').text()).toBe('A caption')
+
+    // Thumbnails of the lightbox carousel
+    const $thumbnails = lightbox.findAll('.modal-footer .b-carousel-thumbnail')
+    expect($thumbnails.length).toBe(3)
+    expect($thumbnails.at(1).classes()).toContain('active')
+
+    // Sliding in the lightbox slides the linked carousel
+    $thumbnails.at(2).trigger('click')
+    await waitForModal(wrapper.vm)
+    expect(lightbox.vm.index).toBe(2)
+    expect(carousel.vm.index).toBe(2)
+    expect(lightbox.find('.modal-title').text()).toBe('3 / 3')
+
+    wrapper.destroy()
+  })
+})
@@ -0,0 +1,263 @@
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BCarousel from './carousel'
+import BCarouselSlide from './carousel-slide'
+
+const makeApp = (props, numSlides = 6) => ({
+  render(h) {
+    const slides = []
+    for (let i = 0; i < numSlides; i++) {
+      slides.push(
+        h(BCarouselSlide, { props: { id: `slide-${i}` } }, [
+          h('a', { attrs: { href: '#' } }, `${i}`)
+        ])
+      )
+    }
+    return h(BCarousel, { props: { interval: 0, ...props } }, slides)
+  }
+})
+
+const mountCarousel = async (props, numSlides) => {
+  const wrapper = mount(makeApp(props, numSlides), { attachToDocument: true })
+  await waitNT(wrapper.vm)
+  await waitRAF()
+  await waitNT(wrapper.vm)
+  return wrapper
+}
+
+const getActive = wrapper =>
+  wrapper
+    .findAll('.carousel-item')
+    .filter(w => w.classes('active'))
+    .wrappers.map(w => w.attributes('id'))
+
+const getTransform = wrapper => wrapper.find('.b-carousel-track').element.style.transform
+
+describe('carousel > multi-item', () => {
+  it('shows several slides per view', async () => {
+    const wrapper = await mountCarousel({ slidesPerView: 3, noAnimation: true })
+    const carousel = wrapper.find(BCarousel)
+    expect(carousel.classes()).toContain('carousel-multi')
+    const $track = wrapper.find('.carousel-inner > .b-carousel-track')
+    expect($track.exists()).toBe(true)
+    expect($track.findAll('.carousel-item').length).toBe(6)
+    const $slide = wrapper.find('.carousel-item')
+    expect($slide.element.style.maxWidth).toBe('33.333333333333336%')
+    expect(getActive(wrapper)).toEqual(['slide-0', 'slide-1', 'slide-2'])
+    expect(
+      wrapper
+        .findAll('.carousel-item')
+        .at(3)
+        .attributes('aria-hidden')
+    ).toBe('true')
+    expect(getTransform(wrapper)).toBe('translate3d(0%, 0, 0)')
+    // An indicator for each possible first visible slide
+    expect(wrapper.findAll('.carousel-indicators > li').length).toBe(4)
+
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(1)
+    expect(carousel.emitted('input')[0][0]).toBe(1)
+    expect(carousel.emitted('sliding-start')[0][0]).toBe(1)
+    expect(getActive(wrapper)).toEqual(['slide-1', 'slide-2', 'slide-3'])
+    expect(getTransform(wrapper)).toBe('translate3d(-33.333333333333336%, 0, 0)')
+
+    // The first visible slide is kept in range
+    carousel.vm.setSlide(5)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(3)
+    expect(getActive(wrapper)).toEqual(['slide-3', 'slide-4', 'slide-5'])
+
+    wrapper.destroy()
+  })
+
+  it('slides by groups and wraps around', async () => {
+    const wrapper = await mountCarousel(
+      { slidesPerView: 2, slidesPerGroup: 2, noAnimation: true },
+      5
+    )
+    const carousel = wrapper.find(BCarousel)
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(2)
+    // Slides to the last slides, before wrapping around
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(3)
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(0)
+    carousel.vm.prev()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(3)
+
+    carousel.setProps({ noWrap: true })
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(3)
+
+    wrapper.destroy()
+  })
+
+  it('uses the breakpoint map for the slides per view', async () => {
+    const innerWidth = window.innerWidth
+    window.innerWidth = 1024
+    const wrapper = await mountCarousel({
+      slidesPerView: { xs: 1, md: 2, lg: 4 },
+      noAnimation: true
+    })
+    const carousel = wrapper.find(BCarousel)
+    expect(carousel.vm.computedSlidesPerView).toBe(4)
+    expect(getActive(wrapper).length).toBe(4)
+
+    window.innerWidth = 800
+    window.dispatchEvent(new Event('resize'))
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.computedSlidesPerView).toBe(2)
+    expect(getActive(wrapper).length).toBe(2)
+    expect(wrapper.find('.carousel-item').element.style.maxWidth).toBe('50%')
+
+    window.innerWidth = 400
+    window.dispatchEvent(new Event('resize'))
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.computedSlidesPerView).toBe(1)
+
+    wrapper.destroy()
+    window.innerWidth = innerWidth
+  })
+
+  it('loops infinitely with cloned slides', async () => {
+    const wrapper = await mountCarousel({ slidesPerView: 2, loop: true, noAnimation: true }, 5)
+    const carousel = wrapper.find(BCarousel)
+    const $clones = wrapper.findAll('.b-carousel-clones')
+    expect($clones.length).toBe(2)
+    const $before = $clones.at(0).findAll('.b-carousel-clone')
+    const $after = $clones.at(1).findAll('.b-carousel-clone')
+    expect($before.length).toBe(2)
+    expect($after.length).toBe(2)
+    expect($before.at(0).text()).toBe('3')
+    expect($after.at(0).text()).toBe('0')
+    // Clones are hidden and not focusable
+    expect($before.at(0).attributes('id')).not.toBeDefined()
+    expect($before.at(0).attributes('aria-hidden')).toBe('true')
+    expect(
+      $before
+        .at(0)
+        .find('a')
+        .attributes('tabindex')
+    ).toBe('-1')
+    expect($before.at(0).classes()).not.toContain('carousel-item')
+    // Real slides are offset by the clones
+    expect(getTransform(wrapper)).toBe('translate3d(-100%, 0, 0)')
+    expect(wrapper.findAll('.carousel-indicators > li').length).toBe(5)
+
+    carousel.vm.prev()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(4)
+    expect(getTransform(wrapper)).toBe('translate3d(-300%, 0, 0)')
+    expect(getActive(wrapper)).toEqual(['slide-0', 'slide-4'])
+
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(0)
+    expect(getTransform(wrapper)).toBe('translate3d(-100%, 0, 0)')
+
+    wrapper.destroy()
+  })
+
+  it('animates the track and emits sliding-end', async () => {
+    jest.useFakeTimers()
+    const wrapper = await mountCarousel({ slidesPerView: 2, loop: true }, 4)
+    const carousel = wrapper.find(BCarousel)
+    expect(wrapper.find('.b-carousel-track').classes()).toContain('b-carousel-track-animate')
+    carousel.vm.prev()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.isSliding).toBe(true)
+    expect(carousel.attributes('aria-busy')).toBe('true')
+    // Slides into the clones first
+    expect(getTransform(wrapper)).toBe('translate3d(-50%, 0, 0)')
+    jest.runOnlyPendingTimers()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.isSliding).toBe(false)
+    expect(carousel.emitted('sliding-end')[0][0]).toBe(3)
+    // Then jumps to the real slide
+    expect(getTransform(wrapper)).toBe('translate3d(-250%, 0, 0)')
+
+    wrapper.destroy()
+    jest.useRealTimers()
+  })
+
+  it('can be dragged with the mouse in free drag mode', async () => {
+    const wrapper = await mountCarousel({ slidesPerView: 3, freeDrag: true, noAnimation: true })
+    const carousel = wrapper.find(BCarousel)
+    Object.defineProperty(carousel.vm.$refs.inner, 'offsetWidth', { value: 300 })
+    const $track = wrapper.find('.b-carousel-track')
+    expect($track.classes()).toContain('b-carousel-free-drag')
+
+    let now = 0
+    const dateNow = Date.now
+    Date.now = () => now
+
+    $track.trigger('mousedown', { button: 0, clientX: 300 })
+    now = 100
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 250 }))
+    await waitNT(wrapper.vm)
+    expect($track.classes()).toContain('b-carousel-track-dragging')
+    expect(getTransform(wrapper)).toBe('translate3d(calc(0% + -50px), 0, 0)')
+    // A slow drag
+    now = 5000
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 140 }))
+    document.dispatchEvent(new MouseEvent('mouseup', { clientX: 140 }))
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect($track.classes()).not.toContain('b-carousel-track-dragging')
+    // Snaps to the nearest slide
+    expect(carousel.vm.index).toBe(2)
+
+    // The click after dragging is prevented
+    const onClick = jest.fn()
+    wrapper.element.addEventListener('click', onClick)
+    wrapper.find('.carousel-item a').trigger('click')
+    expect(onClick).not.toHaveBeenCalled()
+    wrapper.find('.carousel-item a').trigger('click')
+    expect(onClick).toHaveBeenCalled()
+
+    // Dragging past the first slide has resistance, and snaps back
+    $track.trigger('mousedown', { button: 0, clientX: 0 })
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 300 }))
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.dragOffset).toBe(200 + 100 * 0.3)
+    document.dispatchEvent(new MouseEvent('mouseup', { clientX: 300 }))
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(0)
+
+    // A fast flick carries on with momentum
+    now = 10000
+    $track.trigger('mousedown', { button: 0, clientX: 300 })
+    now = 10050
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 260 }))
+    document.dispatchEvent(new MouseEvent('mouseup', { clientX: 260 }))
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(2)
+
+    Date.now = dateNow
+    wrapper.destroy()
+  })
+
+  it('mouse dragging requires free drag mode', async () => {
+    const wrapper = await mountCarousel({ slidesPerView: 3, noAnimation: true })
+    const $track = wrapper.find('.b-carousel-track')
+    $track.trigger('mousedown', { button: 0, clientX: 300 })
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 100 }))
+    await waitNT(wrapper.vm)
+    expect($track.classes()).not.toContain('b-carousel-track-dragging')
+
+    wrapper.destroy()
+  })
+})
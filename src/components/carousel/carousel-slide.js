@@ -91,6 +91,10 @@ export const BCarouselSlide = /*#__PURE__*/ Vue.extend({
     computedHeight() {
       // Use local height, or try parent height
       return this.imgHeight || this.bvCarousel.imgHeight || null
+    },
+    _isCarouselSlide() {
+      // For parent sniffing of child
+      return true
     }
   },
   render(h) {
@@ -107,7 +111,8 @@ export const BCarouselSlide = /*#__PURE__*/ Vue.extend({
           blankColor: this.imgBlankColor,
           width: this.computedWidth,
           height: this.computedHeight,
-          alt: this.imgAlt
+          alt: this.imgAlt,
+          lightbox: this.bvCarousel.lightbox || null
         },
         // Touch support event handler
         on: noDrag
@@ -150,7 +155,11 @@ export const BCarouselSlide = /*#__PURE__*/ Vue.extend({
       'div',
       {
         staticClass: 'carousel-item',
-        style: { background: this.background || this.bvCarousel.background || null },
+        style: {
+          background: this.background || this.bvCarousel.background || null,
+          // Width of the slide in multi-item mode
+          ...(this.bvCarousel.slideStyle || {})
+        },
         attrs: { id: this.safeId(), role: 'listitem' }
       },
       [img, content]
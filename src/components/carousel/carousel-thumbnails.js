@@ -0,0 +1,129 @@
+import Vue from '../../utils/vue'
+import listenOnRootMixin from '../../mixins/listen-on-root'
+import { getComponentConfig } from '../../utils/config'
+import { select } from '../../utils/dom'
+import { BImg } from '../image/img'
+import { BImgLazy } from '../image/img-lazy'
+import {
+  EVENT_CAROUSEL_SLIDE,
+  EVENT_CAROUSEL_STATE,
+  EVENT_CAROUSEL_STATE_REQUEST
+} from './helpers/constants'
+
+const NAME = 'BCarouselThumbnails'
+
+// @vue/component
+export const BCarouselThumbnails = /*#__PURE__*/ Vue.extend({
+  name: NAME,
+  mixins: [listenOnRootMixin],
+  props: {
+    carousel: {
+      // ID of the `<b-carousel>` to show the thumbnails of
+      type: String,
+      required: true
+    },
+    lazy: {
+      // Lazy load the thumbnail images, via `<b-img-lazy>`
+      type: Boolean,
+      default: false
+    },
+    labelGotoSlide: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'labelGotoSlide')
+    },
+    labelThumbnails: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'labelThumbnails')
+    }
+  },
+  data() {
+    return {
+      index: 0,
+      slides: []
+    }
+  },
+  watch: {
+    carousel() {
+      this.slides = []
+      this.requestState()
+    },
+    index() {
+      this.$nextTick(this.scrollActiveIntoView)
+    }
+  },
+  mounted() {
+    this.listenOnRoot(EVENT_CAROUSEL_STATE, this.onCarouselState)
+    this.requestState()
+  },
+  methods: {
+    requestState() {
+      this.$root.$emit(EVENT_CAROUSEL_STATE_REQUEST, this.carousel)
+    },
+    onCarouselState(id, state) {
+      if (id === this.carousel) {
+        this.index = state.index
+        this.slides = state.slides
+      }
+    },
+    setSlide(index) {
+      this.$root.$emit(EVENT_CAROUSEL_SLIDE, this.carousel, index)
+    },
+    scrollActiveIntoView() {
+      // Scroll the strip (not the page) so that the active thumbnail is visible
+      const el = this.$el
+      const thumbnail = select('.active', el)
+      if (!thumbnail) {
+        return
+      }
+      const left = thumbnail.offsetLeft
+      const right = left + thumbnail.offsetWidth
+      if (left < el.scrollLeft) {
+        el.scrollLeft = left
+      } else if (right > el.scrollLeft + el.clientWidth) {
+        el.scrollLeft = right - el.clientWidth
+      }
+    }
+  },
+  render(h) {
+    const thumbnails = this.slides.map((slide, n) => {
+      const active = n === this.index
+      let content = h('span', { staticClass: 'b-carousel-thumbnail-number' }, [String(n + 1)])
+      if (slide.src) {
+        content = h(this.lazy ? BImgLazy : BImg, {
+          props: { src: slide.src, alt: '' }
+        })
+      }
+      return h(
+        'button',
+        {
+          key: `thumbnail_${n}`,
+          staticClass: 'b-carousel-thumbnail',
+          class: { active },
+          attrs: {
+            type: 'button',
+            title: slide.alt || null,
+            'aria-label': `${this.labelGotoSlide} ${n + 1}`,
+            'aria-current': active ? 'true' : 'false',
+            'aria-controls': this.carousel
+          },
+          on: {
+            click: () => {
+              this.setSlide(n)
+            }
+          }
+        },
+        [content]
+      )
+    })
+    return h(
+      'div',
+      {
+        staticClass: 'b-carousel-thumbnails',
+        attrs: { role: 'group', 'aria-label': this.labelThumbnails }
+      },
+      thumbnails
+    )
+  }
+})
+
+export default BCarouselThumbnails
@@ -0,0 +1,103 @@
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BCarousel from './carousel'
+import BCarouselSlide from './carousel-slide'
+import BCarouselThumbnails from './carousel-thumbnails'
+
+const App = {
+  props: {
+    thumbnailsFor: { type: String, default: 'gallery' },
+    lazy: { type: Boolean, default: false }
+  },
+  render(h) {
+    return h('div', [
+      h(BCarouselThumbnails, { props: { carousel: this.thumbnailsFor, lazy: this.lazy } }),
+      h(BCarousel, { props: { id: 'gallery', interval: 0, noAnimation: true } }, [
+        h(BCarouselSlide, { props: { imgSrc: '/a.jpg', imgAlt: 'A', caption: 'First' } }),
+        h(BCarouselSlide, { props: { imgSrc: '/b.jpg', imgAlt: 'B' } }),
+        h(BCarouselSlide, {}, 'Text slide')
+      ])
+    ])
+  }
+}
+
+const mountApp = async propsData => {
+  const wrapper = mount(App, { propsData, attachToDocument: true })
+  await waitNT(wrapper.vm)
+  await waitRAF()
+  await waitNT(wrapper.vm)
+  return wrapper
+}
+
+describe('carousel > thumbnails', () => {
+  it('renders a thumbnail for each slide', async () => {
+    const wrapper = await mountApp()
+    const $thumbnails = wrapper.find('.b-carousel-thumbnails')
+    expect($thumbnails.attributes('role')).toBe('group')
+    expect($thumbnails.attributes('aria-label')).toBe('Slide thumbnails')
+    const $buttons = $thumbnails.findAll('button.b-carousel-thumbnail')
+    expect($buttons.length).toBe(3)
+    expect($buttons.at(0).classes()).toContain('active')
+    expect($buttons.at(0).attributes('aria-current')).toBe('true')
+    expect($buttons.at(0).attributes('aria-controls')).toBe('gallery')
+    expect($buttons.at(0).attributes('aria-label')).toBe('Goto Slide 1')
+    expect($buttons.at(0).attributes('title')).toBe('A')
+    expect($buttons.at(1).attributes('aria-current')).toBe('false')
+    expect(
+      $buttons
+        .at(1)
+        .find('img')
+        .attributes('src')
+    ).toBe('/b.jpg')
+    // Slides without an image show their number
+    expect(
+      $buttons
+        .at(2)
+        .find('img')
+        .exists()
+    ).toBe(false)
+    expect($buttons.at(2).text()).toBe('3')
+
+    wrapper.destroy()
+  })
+
+  it('is synced with the index of the carousel', async () => {
+    const wrapper = await mountApp()
+    const carousel = wrapper.find(BCarousel)
+    const $buttons = wrapper.findAll('.b-carousel-thumbnail')
+
+    $buttons.at(2).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(2)
+    expect(carousel.emitted('input')[0][0]).toBe(2)
+    expect($buttons.at(2).classes()).toContain('active')
+    expect($buttons.at(0).classes()).not.toContain('active')
+
+    carousel.vm.next()
+    await waitNT(wrapper.vm)
+    expect(carousel.vm.index).toBe(0)
+    expect($buttons.at(0).classes()).toContain('active')
+
+    wrapper.destroy()
+  })
+
+  it('follows changes of the carousel prop', async () => {
+    const wrapper = await mountApp({ thumbnailsFor: 'foo' })
+    expect(wrapper.findAll('.b-carousel-thumbnail').length).toBe(0)
+    wrapper.setProps({ thumbnailsFor: 'gallery' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('.b-carousel-thumbnail').length).toBe(3)
+
+    wrapper.destroy()
+  })
+
+  it('lazy loads the images via b-img-lazy', async () => {
+    const wrapper = await mountApp({ lazy: true })
+    const $img = wrapper.find('.b-carousel-thumbnail img')
+    // Blank placeholder until the image is in view
+    expect($img.attributes('src')).toContain('data:image/svg+xml')
+
+    wrapper.destroy()
+  })
+})
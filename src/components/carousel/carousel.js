@@ -4,6 +4,7 @@ import noop from '../../utils/noop'
 import observeDom from '../../utils/observe-dom'
 import { getComponentConfig } from '../../utils/config'
 import {
+  select,
   selectAll,
   reflow,
   addClass,
@@ -15,7 +16,14 @@ import {
 import { isBrowser, hasTouchSupport, hasPointerEventSupport } from '../../utils/env'
 import { isUndefined } from '../../utils/inspect'
 import idMixin from '../../mixins/id'
+import listenOnRootMixin from '../../mixins/listen-on-root'
 import normalizeSlotMixin from '../../mixins/normalize-slot'
+import carouselMultiMixin from './helpers/mixin-carousel-multi'
+import {
+  EVENT_CAROUSEL_SLIDE,
+  EVENT_CAROUSEL_STATE,
+  EVENT_CAROUSEL_STATE_REQUEST
+} from './helpers/constants'
 
 const NAME = 'BCarousel'
 
@@ -68,10 +76,25 @@ const getTransitionEndEvent = el => {
   return null
 }
 
+// Returns the data of a slide, for the thumbnails and lightbox companion components
+const getSlideData = slide => {
+  const img = select('img', slide)
+  const vm = slide.__vue__
+  const slideProps = vm && vm._isCarouselSlide ? vm : {}
+  return {
+    src: slideProps.imgSrc || (img ? img.getAttribute('src') : null),
+    alt: slideProps.imgAlt || (img ? img.getAttribute('alt') : null),
+    caption: slideProps.caption || null,
+    captionHtml: slideProps.captionHtml || null,
+    text: slideProps.text || null,
+    textHtml: slideProps.textHtml || null
+  }
+}
+
 // @vue/component
 export const BCarousel = /*#__PURE__*/ Vue.extend({
   name: NAME,
-  mixins: [idMixin, normalizeSlotMixin],
+  mixins: [idMixin, listenOnRootMixin, normalizeSlotMixin, carouselMultiMixin],
   provide() {
     return { bvCarousel: this }
   },
@@ -147,6 +170,12 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
       type: String
       // default: undefined
     },
+    lightbox: {
+      // ID of a `<b-carousel-lightbox>` to open when a slide image is clicked
+      // Sniffed by carousel-slide
+      type: String
+      // default: undefined
+    },
     value: {
       type: Number,
       default: 0
@@ -196,7 +225,11 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
       }
     },
     index(to, from) {
-      if (to === from || this.isSliding) {
+      if (to !== from) {
+        this.emitState()
+      }
+      // Sliding is handled by `setSlideMulti()` in multi-item mode
+      if (to === from || this.isSliding || this.isMulti) {
         /* istanbul ignore next */
         return
       }
@@ -208,6 +241,7 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
     this._intervalId = null
     this._animationTimeout = null
     this._touchTimeout = null
+    this._observer = null
     // Set initial paused state
     this.isPaused = !(parseInt(this.interval, 10) > 0)
   },
@@ -217,14 +251,21 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
     // Get all slides
     this.updateSlides()
     // Observe child changes so we can update slide list
-    observeDom(this.$refs.inner, this.updateSlides.bind(this), {
-      subtree: false,
-      childList: true,
-      attributes: true,
-      attributeFilter: ['id']
+    this.setObserver(true)
+    // Listen for slide and "sync state" requests from the companion components
+    this.listenOnRoot(EVENT_CAROUSEL_SLIDE, (id, slide) => {
+      if (id && id === this.id && slide !== this.index) {
+        this.setSlide(slide)
+      }
+    })
+    this.listenOnRoot(EVENT_CAROUSEL_STATE_REQUEST, id => {
+      if (id && id === this.id) {
+        this.$nextTick(this.emitState)
+      }
     })
   },
   beforeDestroy() {
+    this.setObserver(false)
     clearTimeout(this._animationTimeout)
     clearTimeout(this._touchTimeout)
     clearInterval(this._intervalId)
@@ -233,6 +274,25 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
     this._touchTimeout = null
   },
   methods: {
+    setObserver(on) {
+      if (this._observer && this._observer.disconnect) {
+        this._observer.disconnect()
+      }
+      this._observer = null
+      if (on) {
+        // In multi-item mode, the slides are inside the track
+        this._observer = observeDom(
+          this.$refs.track || this.$refs.inner,
+          this.updateSlides.bind(this),
+          {
+            subtree: false,
+            childList: true,
+            attributes: true,
+            attributeFilter: ['id']
+          }
+        )
+      }
+    },
     // Set slide
     setSlide(slide, direction = null) {
       // Don't animate when page is not visible
@@ -254,6 +314,10 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
         this.$once('sliding-end', () => this.setSlide(slide, direction))
         return
       }
+      if (this.isMulti) {
+        this.setSlideMulti(slide, direction)
+        return
+      }
       this.direction = direction
       // Set new slide index
       // Wrap around if necessary (if no-wrap not enabled)
@@ -275,11 +339,11 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
     },
     // Previous slide
     prev() {
-      this.setSlide(this.index - 1, 'prev')
+      this.setSlide(this.index - this.slideStep, 'prev')
     },
     // Next slide
     next() {
-      this.setSlide(this.index + 1, 'next')
+      this.setSlide(this.index + this.slideStep, 'next')
     },
     // Pause auto rotation
     pause(evt) {
@@ -408,9 +472,29 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
         setAttr(slide, 'aria-posinset', String(n))
         setAttr(slide, 'aria-setsize', String(numSlides))
       })
-      // Set slide as active
-      this.setSlide(index)
+      if (this.isMulti) {
+        // Jump to the slide, as the number of slides may have changed
+        this.index = Math.min(index, this.maxIndex)
+        this.jumpTrack(this.index)
+        this.updateMultiSlides()
+        if (numSlides > 0 && this.index !== this.value) {
+          this.$emit('input', this.index)
+        }
+      } else {
+        // Set slide as active
+        this.setSlide(index)
+      }
       this.start(this.isPaused)
+      this.emitState()
+    },
+    emitState() {
+      // Let `<b-carousel-thumbnails>` and `<b-carousel-lightbox>` know the state of this carousel
+      if (this.id) {
+        this.$root.$emit(EVENT_CAROUSEL_STATE, this.id, {
+          index: this.index,
+          slides: this.slides.map(getSlideData)
+        })
+      }
     },
     calcDirection(direction = null, curIndex = 0, nextIndex = 0) {
       if (!direction) {
@@ -492,7 +576,11 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
           role: 'list'
         }
       },
-      [this.normalizeSlot('default')]
+      [
+        this.isMulti
+          ? this.renderTrack(this.normalizeSlot('default'))
+          : this.normalizeSlot('default')
+      ]
     )
 
     // Prev and next controls
@@ -555,7 +643,8 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
           'aria-owns': this.safeId('__BV_inner_')
         }
       },
-      this.slides.map((slide, n) => {
+      // In multi-item mode, there is an indicator for each possible first visible slide
+      (this.isMulti ? this.slides.slice(0, this.maxIndex + 1) : this.slides).map((slide, n) => {
         return h('li', {
           key: `slide_${n}`,
           class: { active: n === this.index },
@@ -603,7 +692,8 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
       }
     }
     // Touch support event handlers for environment
-    if (!this.noTouch && hasTouchSupport) {
+    // Multi-item mode has its own drag handling
+    if (!this.noTouch && hasTouchSupport && !this.isMulti) {
       // Attach appropriate listeners (prepend event name with '&' for passive mode)
       /* istanbul ignore next: JSDOM doesn't support touch events */
       if (hasPointerEventSupport) {
@@ -623,7 +713,8 @@ export const BCarousel = /*#__PURE__*/ Vue.extend({
         staticClass: 'carousel',
         class: {
           slide: !this.noAnimation,
-          'carousel-fade': !this.noAnimation && this.fade,
+          'carousel-fade': !this.noAnimation && this.fade && !this.isMulti,
+          'carousel-multi': this.isMulti,
           'pointer-event': !this.noTouch && hasTouchSupport && hasPointerEventSupport
         },
         style: { background: this.background },
@@ -0,0 +1,9 @@
+// Constants used by the carousel and its companion components
+
+// Event emitted by `<b-carousel>` on `$root` with its current state
+export const EVENT_CAROUSEL_STATE = 'bv::carousel::state'
+
+// Events emitted on `$root` by the companion components (thumbnails
+// and lightbox) to control a `<b-carousel>`, and request its state
+export const EVENT_CAROUSEL_SLIDE = 'bv::slide::carousel'
+export const EVENT_CAROUSEL_STATE_REQUEST = 'bv::request::carousel::state'
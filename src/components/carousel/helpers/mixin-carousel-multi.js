@@ -0,0 +1,472 @@
+import { getBreakpoints } from '../../../utils/config'
+import {
+  addClass,
+  eventOff,
+  eventOn,
+  getCS,
+  isElement,
+  reflow,
+  removeClass,
+  selectAll,
+  setAttr
+} from '../../../utils/dom'
+import { isBrowser, hasPointerEventSupport, hasTouchSupport } from '../../../utils/env'
+import { isPlainObject } from '../../../utils/inspect'
+
+// Mixin for the multi-item mode of `<b-carousel>`, where several slides are visible per
+// view. The slides are laid out in a track, which is translated to show the slides from
+// the current index. Supports a breakpoint map for the number of slides per view, sliding
+// by groups of slides, dragging the track (with momentum and snapping when `free-drag` is
+// set) and infinite looping, via clones of the first and last slides
+
+// Fallback transition duration (with a little buffer) in ms
+const TRANS_DURATION = 600 + 50
+
+// Number of pixels to consider a drag a swipe
+const SWIPE_THRESHOLD = 40
+
+// Number of pixels after which a drag prevents clicks on the slide content
+const DRAG_CLICK_THRESHOLD = 5
+
+// Time (ms) the drag velocity is projected for, when released in free drag mode
+const MOMENTUM_TIME = 300
+
+// Resistance when dragging past the first or last slide
+const EDGE_RESISTANCE = 0.3
+
+// Default widths (px) of the Bootstrap grid breakpoints, for when
+// the `--breakpoint-*` CSS custom properties are not available
+const BREAKPOINT_WIDTHS = { sm: 576, md: 768, lg: 992, xl: 1200 }
+
+// Focusable elements in cloned slides are removed from the tab sequence
+const FOCUSABLE_SELECTOR = 'a, button, input, select, textarea, [tabindex]'
+
+const EVENT_OPTIONS = { passive: true, capture: false }
+
+// Returns the minimum viewport width (px) of a breakpoint
+const getBreakpointWidth = (name, index) => {
+  if (index === 0) {
+    return 0
+  }
+  const width = parseFloat(
+    isBrowser ? getCS(document.documentElement).getPropertyValue(`--breakpoint-${name}`) : ''
+  )
+  return isNaN(width) ? BREAKPOINT_WIDTHS[name] || 0 : width
+}
+
+const getClientX = evt =>
+  evt.touches && evt.touches.length > 0
+    ? evt.touches[0].clientX
+    : evt.changedTouches && evt.changedTouches.length > 0
+      ? evt.changedTouches[0].clientX
+      : evt.clientX
+
+export default {
+  props: {
+    slidesPerView: {
+      // Number of slides per view, or an object of breakpoint names
+      // and number of slides per view, i.e. `{ xs: 1, md: 2, lg: 4 }`
+      type: [Number, Object],
+      default: 1
+    },
+    slidesPerGroup: {
+      // Number of slides to move by when sliding to the previous or next slides
+      type: Number,
+      default: 1
+    },
+    freeDrag: {
+      // Drag the slides with touch and mouse, with momentum and snapping
+      type: Boolean,
+      default: false
+    },
+    loop: {
+      // Infinite looping, with cloned slides
+      type: Boolean,
+      default: false
+    }
+  },
+  data() {
+    return {
+      // Position of the track, in slides (fractional while dragging)
+      trackOffset: this.value || 0,
+      // Offset (px) of the track while dragging
+      dragOffset: 0,
+      isDragging: false,
+      trackAnimate: true,
+      windowWidth: isBrowser ? window.innerWidth : 0
+    }
+  },
+  computed: {
+    isMulti() {
+      return isPlainObject(this.slidesPerView) || this.slidesPerView > 1 || this.freeDrag
+    },
+    computedSlidesPerView() {
+      const perView = this.slidesPerView
+      if (!isPlainObject(perView)) {
+        return Math.max(parseInt(perView, 10) || 1, 1)
+      }
+      // Mobile first: the value of the largest breakpoint that applies
+      let value = 1
+      getBreakpoints().forEach((name, index) => {
+        const bpValue = parseInt(perView[name], 10)
+        if (bpValue > 0 && this.windowWidth >= getBreakpointWidth(name, index)) {
+          value = bpValue
+        }
+      })
+      return value
+    },
+    slideStep() {
+      return this.isMulti
+        ? Math.max(Math.min(this.slidesPerGroup || 1, this.computedSlidesPerView), 1)
+        : 1
+    },
+    isLooping() {
+      return this.isMulti && this.loop && this.numSlides > this.computedSlidesPerView
+    },
+    maxIndex() {
+      // The last slide index that can be the first visible slide
+      return this.isLooping
+        ? this.numSlides - 1
+        : Math.max(this.numSlides - this.computedSlidesPerView, 0)
+    },
+    cloneCount() {
+      return this.isLooping ? this.computedSlidesPerView : 0
+    },
+    trackStyle() {
+      const offset = -(this.trackOffset + this.cloneCount) * (100 / this.computedSlidesPerView)
+      const translate = this.dragOffset ? `calc(${offset}% + ${this.dragOffset}px)` : `${offset}%`
+      return { transform: `translate3d(${translate}, 0, 0)` }
+    },
+    slideStyle() {
+      // This computed prop is sniffed by the carousel slide child
+      const width = `${100 / this.computedSlidesPerView}%`
+      return this.isMulti ? { flex: `0 0 ${width}`, maxWidth: width } : null
+    }
+  },
+  watch: {
+    isMulti() {
+      this.$nextTick(() => {
+        this.setObserver(true)
+        this.updateSlides()
+      })
+    },
+    computedSlidesPerView() {
+      if (this.isMulti) {
+        this.$nextTick(() => {
+          // Keep the index in range
+          this.setSlide(Math.min(this.index, this.maxIndex))
+          this.updateMultiSlides()
+        })
+      }
+    },
+    cloneCount() {
+      this.$nextTick(this.updateClones)
+    }
+  },
+  mounted() {
+    eventOn(window, 'resize', this.onWindowResize, EVENT_OPTIONS)
+  },
+  beforeDestroy() {
+    eventOff(window, 'resize', this.onWindowResize, EVENT_OPTIONS)
+    this.setDragListeners(false)
+  },
+  methods: {
+    setSlideMulti(slide, direction) {
+      // Called by `setSlide()` in multi-item mode
+      const numSlides = this.numSlides
+      const maxIndex = this.maxIndex
+      let target = slide
+      let index = slide
+      if (this.isLooping) {
+        // Slide into the clones, and jump to the real slide when done
+        target = Math.max(Math.min(slide, numSlides - 1 + this.cloneCount), -this.cloneCount)
+        index = ((target % numSlides) + numSlides) % numSlides
+      } else if (slide > maxIndex) {
+        // Slide to the last slides first, then wrap around (if not `no-wrap`)
+        index = this.noWrap || this.index !== maxIndex || direction !== 'next' ? maxIndex : 0
+        target = index
+      } else if (slide < 0) {
+        index = this.noWrap || this.index !== 0 || direction !== 'prev' ? 0 : maxIndex
+        target = index
+      }
+      this.direction = direction
+      if (target === this.trackOffset && index === this.index) {
+        // Ensure the v-model is synced when not moving
+        if (index !== this.value) {
+          this.$emit('input', index)
+        }
+        return
+      }
+      const isCycling = Boolean(this.interval)
+      this.isSliding = !this.noAnimation
+      if (isCycling) {
+        this.pause(false)
+      }
+      this.index = index
+      this.trackOffset = target
+      this.$emit('sliding-start', index)
+      this.$emit('input', index)
+      const done = () => {
+        if (target !== index) {
+          // Jump from the clones to the real slides, without animation
+          this.jumpTrack(index)
+        }
+        this.isSliding = false
+        this.direction = null
+        this.updateMultiSlides()
+        this.$nextTick(() => this.$emit('sliding-end', index))
+      }
+      if (this.noAnimation) {
+        done()
+      } else {
+        this.onTrackTransitionEnd(done)
+      }
+      if (isCycling) {
+        this.start(false)
+      }
+    },
+    onTrackTransitionEnd(callback) {
+      const track = this.$refs.track
+      const events = this.transitionEndEvent ? this.transitionEndEvent.split(/\s+/) : []
+      let called = false
+      /* istanbul ignore next: transition events cant be tested in JSDOM */
+      const onceTransEnd = evt => {
+        if (called || (evt && evt.target !== track)) {
+          return
+        }
+        called = true
+        events.forEach(event => eventOff(track, event, onceTransEnd, EVENT_OPTIONS))
+        clearTimeout(this._animationTimeout)
+        this._animationTimeout = null
+        callback()
+      }
+      events.forEach(event => eventOn(track, event, onceTransEnd, EVENT_OPTIONS))
+      // Fallback to setTimeout()
+      this._animationTimeout = setTimeout(onceTransEnd, TRANS_DURATION)
+    },
+    jumpTrack(offset) {
+      // Move the track without animation
+      this.trackAnimate = false
+      this.trackOffset = offset
+      this.$nextTick(() => {
+        reflow(this.$refs.track)
+        this.trackAnimate = true
+      })
+    },
+    updateMultiSlides() {
+      // Flag the visible slides as active, and hide the others from screen readers
+      if (!this.isMulti) {
+        return
+      }
+      const numSlides = this.numSlides
+      const perView = this.computedSlidesPerView
+      this.slides.forEach((slide, idx) => {
+        // Position of the slide relative to the first visible slide
+        const pos = (idx - this.index + numSlides) % numSlides
+        const visible = this.isLooping
+          ? pos < perView
+          : idx >= this.index && idx < this.index + perView
+        ;(visible ? addClass : removeClass)(slide, 'active')
+        setAttr(slide, 'aria-current', idx === this.index ? 'true' : 'false')
+        setAttr(slide, 'aria-hidden', visible ? 'false' : 'true')
+      })
+      this.updateClones()
+    },
+    updateClones() {
+      // Clone the first and last slides into the clone containers, for looping
+      const before = this.$refs.clonesBefore
+      const after = this.$refs.clonesAfter
+      if (!isElement(before) || !isElement(after)) {
+        return
+      }
+      before.innerHTML = ''
+      after.innerHTML = ''
+      const count = this.cloneCount
+      const slides = this.slides
+      if (count === 0) {
+        return
+      }
+      const makeClone = slide => {
+        const clone = slide.cloneNode(true)
+        removeClass(clone, 'carousel-item')
+        removeClass(clone, 'active')
+        addClass(clone, 'b-carousel-clone')
+        clone.removeAttribute('id')
+        selectAll('[id]', clone).forEach(el => el.removeAttribute('id'))
+        selectAll(FOCUSABLE_SELECTOR, clone).forEach(el => setAttr(el, 'tabindex', '-1'))
+        setAttr(clone, 'aria-hidden', 'true')
+        clone.removeAttribute('aria-current')
+        clone.style.flex = `0 0 ${100 / count}%`
+        clone.style.maxWidth = `${100 / count}%`
+        return clone
+      }
+      slides.slice(-count).forEach(slide => before.appendChild(makeClone(slide)))
+      slides.slice(0, count).forEach(slide => after.appendChild(makeClone(slide)))
+    },
+    onWindowResize() {
+      this.windowWidth = window.innerWidth
+    },
+    setDragListeners(on) {
+      const method = on ? eventOn : eventOff
+      if (hasPointerEventSupport) {
+        method(document, 'pointermove', this.onDragMove, EVENT_OPTIONS)
+        method(document, 'pointerup', this.onDragEnd, EVENT_OPTIONS)
+        method(document, 'pointercancel', this.onDragEnd, EVENT_OPTIONS)
+      } else {
+        method(document, 'mousemove', this.onDragMove, EVENT_OPTIONS)
+        method(document, 'mouseup', this.onDragEnd, EVENT_OPTIONS)
+        method(document, 'touchmove', this.onDragMove, EVENT_OPTIONS)
+        method(document, 'touchend', this.onDragEnd, EVENT_OPTIONS)
+        method(document, 'touchcancel', this.onDragEnd, EVENT_OPTIONS)
+      }
+    },
+    onDragStart(evt) {
+      const isMouse = evt.type === 'mousedown' || evt.pointerType === 'mouse'
+      if (
+        this.isSliding ||
+        this.numSlides === 0 ||
+        (isMouse && (!this.freeDrag || evt.button !== 0)) ||
+        (!isMouse && (this.noTouch || !hasTouchSupport)) ||
+        (evt.touches && evt.touches.length > 1)
+      ) {
+        return
+      }
+      const x = getClientX(evt)
+      this.isDragging = true
+      this.dragOffset = 0
+      this._dragStartX = x
+      this._dragLastX = x
+      this._dragLastTime = Date.now()
+      this._dragVelocity = 0
+      this._dragMoved = false
+      this.pause(true)
+      this.setDragListeners(true)
+    },
+    onDragMove(evt) {
+      if (!this.isDragging) {
+        return
+      }
+      if (evt.touches && evt.touches.length > 1) {
+        // Pinching
+        this.onDragEnd()
+        return
+      }
+      const x = getClientX(evt)
+      const now = Date.now()
+      const dt = now - this._dragLastTime
+      if (dt > 0) {
+        // Smoothed velocity (px/ms)
+        this._dragVelocity = 0.8 * ((x - this._dragLastX) / dt) + 0.2 * this._dragVelocity
+      }
+      this._dragLastX = x
+      this._dragLastTime = now
+      let delta = x - this._dragStartX
+      if (!this.isLooping) {
+        // Resist dragging past the first or last slides
+        const slideWidth = this.getSlideWidth()
+        const min = -(this.maxIndex - this.index) * slideWidth
+        const max = this.index * slideWidth
+        if (delta > max) {
+          delta = max + (delta - max) * EDGE_RESISTANCE
+        } else if (delta < min) {
+          delta = min + (delta - min) * EDGE_RESISTANCE
+        }
+      } else {
+        // Don't drag past the clones
+        const limit = this.cloneCount * this.getSlideWidth()
+        delta = Math.max(Math.min(delta, limit), -limit)
+      }
+      this._dragMoved = this._dragMoved || Math.abs(delta) > DRAG_CLICK_THRESHOLD
+      this.dragOffset = delta
+    },
+    onDragEnd() {
+      if (!this.isDragging) {
+        return
+      }
+      this.setDragListeners(false)
+      const delta = this.dragOffset
+      const slideWidth = this.getSlideWidth()
+      // Continue from the dragged position (in slides), without animation
+      const moved = slideWidth ? -delta / slideWidth : 0
+      let target = this.index
+      if (this.freeDrag && slideWidth) {
+        // Project the velocity, and snap to the nearest slide
+        const momentum = (-this._dragVelocity * MOMENTUM_TIME) / slideWidth
+        target = Math.round(this.index + moved + momentum)
+      } else if (Math.abs(delta) > SWIPE_THRESHOLD) {
+        target = this.index + (delta < 0 ? this.slideStep : -this.slideStep)
+      }
+      if (!this.isLooping) {
+        target = Math.max(Math.min(target, this.maxIndex), 0)
+      }
+      this.trackAnimate = false
+      this.trackOffset = this.index + moved
+      this.dragOffset = 0
+      this.isDragging = false
+      this.$nextTick(() => {
+        reflow(this.$refs.track)
+        this.trackAnimate = true
+        if (target === this.index) {
+          // Snap back to the current slide
+          this.trackOffset = this.index
+        } else {
+          this.setSlide(target, target < this.index ? 'prev' : 'next')
+        }
+        if (!this.isPaused) {
+          this.start(true)
+        }
+      })
+    },
+    onDragClick(evt) {
+      // Prevent clicks on the slide content after dragging
+      if (this._dragMoved) {
+        this._dragMoved = false
+        evt.preventDefault()
+        evt.stopPropagation()
+      }
+    },
+    getSlideWidth() {
+      const inner = this.$refs.inner
+      return isElement(inner) ? inner.offsetWidth / this.computedSlidesPerView : 0
+    },
+    // Render helpers
+    renderTrack(slides) {
+      const h = this.$createElement
+      const cloneStyle = {
+        flex: `0 0 ${(this.cloneCount * 100) / this.computedSlidesPerView}%`,
+        maxWidth: `${(this.cloneCount * 100) / this.computedSlidesPerView}%`
+      }
+      // The clone containers have no children vnodes, so that
+      // Vue doesn't touch the cloned slides we place in them
+      const makeClones = ref =>
+        h('div', {
+          ref,
+          staticClass: 'b-carousel-clones',
+          style: this.cloneCount ? cloneStyle : { display: 'none' },
+          attrs: { 'aria-hidden': 'true' }
+        })
+      const on = { '!click': this.onDragClick }
+      if (hasPointerEventSupport) {
+        on.pointerdown = this.onDragStart
+      } else {
+        on.mousedown = this.onDragStart
+        on['&touchstart'] = this.onDragStart
+      }
+      return h(
+        'div',
+        {
+          ref: 'track',
+          staticClass: 'b-carousel-track',
+          class: {
+            'b-carousel-track-animate': this.trackAnimate && !this.isDragging && !this.noAnimation,
+            'b-carousel-track-dragging': this.isDragging,
+            'b-carousel-free-drag': this.freeDrag
+          },
+          style: this.trackStyle,
+          on
+        },
+        [makeClones('clonesBefore'), slides, makeClones('clonesAfter')]
+      )
+    }
+  }
+}
@@ -18,3 +18,17 @@ export declare class BCarousel extends BvComponent {
 
 // Component: b-carousel-slide
 export declare class BCarouselSlide extends BvComponent {}
+
+// Component: b-carousel-thumbnails
+export declare class BCarouselThumbnails extends BvComponent {}
+
+// Component: b-carousel-lightbox
+export declare class BCarouselLightbox extends BvComponent {
+  show: (index?: number) => void
+  hide: () => void
+  prev: () => void
+  next: () => void
+  zoomIn: () => void
+  zoomOut: () => void
+  resetZoom: () => void
+}
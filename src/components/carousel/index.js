@@ -1,12 +1,16 @@
 import { BCarousel } from './carousel'
 import { BCarouselSlide } from './carousel-slide'
+import { BCarouselThumbnails } from './carousel-thumbnails'
+import { BCarouselLightbox } from './carousel-lightbox'
 import { pluginFactory } from '../../utils/plugins'
 
 const CarouselPlugin = /*#__PURE*/ pluginFactory({
   components: {
     BCarousel,
-    BCarouselSlide
+    BCarouselSlide,
+    BCarouselThumbnails,
+    BCarouselLightbox
   }
 })
 
-export { CarouselPlugin, BCarousel, BCarouselSlide }
+export { CarouselPlugin, BCarousel, BCarouselSlide, BCarouselThumbnails, BCarouselLightbox }
@@ -0,0 +1,86 @@
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BCollapse from './collapse'
+
+const App = {
+  render(h) {
+    return h('div', [
+      h(BCollapse, { props: { id: 'q1', accordion: 'faq', urlSync: 'faq', visible: true } }, 'q1'),
+      h(BCollapse, { props: { id: 'q2', accordion: 'faq', urlSync: 'faq' } }, 'q2'),
+      h(BCollapse, { props: { id: 'q3', accordion: 'faq', urlSync: 'faq' } }, 'q3')
+    ])
+  }
+}
+
+const getShown = wrapper =>
+  wrapper
+    .findAll(BCollapse)
+    .filter(w => w.vm.show)
+    .wrappers.map(w => w.vm.id)
+
+describe('collapse > url sync', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('restores the shown accordion item from the URL', async () => {
+    window.history.replaceState(null, '', '/#faq=q3')
+    const wrapper = mount(App)
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    expect(getShown(wrapper)).toEqual(['q3'])
+    expect(window.location.hash).toBe('#faq=q3')
+
+    wrapper.destroy()
+  })
+
+  it('mirrors the shown accordion item into the URL, and responds to navigation', async () => {
+    const wrapper = mount(App)
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    expect(getShown(wrapper)).toEqual(['q1'])
+    // The initial state is not written to the URL
+    expect(window.location.hash).toBe('')
+
+    const $collapses = wrapper.findAll(BCollapse)
+    $collapses.at(1).vm.toggle()
+    await waitNT(wrapper.vm)
+    expect(getShown(wrapper)).toEqual(['q2'])
+    expect(window.location.hash).toBe('#faq=q2')
+
+    // Closing the shown item removes the parameter
+    $collapses.at(1).vm.toggle()
+    await waitNT(wrapper.vm)
+    expect(getShown(wrapper)).toEqual([])
+    expect(window.location.hash).toBe('')
+
+    // Back/forward navigation
+    window.history.replaceState(null, '', '/#faq=q1')
+    window.dispatchEvent(new Event('popstate'))
+    await waitNT(wrapper.vm)
+    expect(getShown(wrapper)).toEqual(['q1'])
+    window.history.replaceState(null, '', '/#faq=q3')
+    window.dispatchEvent(new Event('hashchange'))
+    await waitNT(wrapper.vm)
+    expect(getShown(wrapper)).toEqual(['q3'])
+
+    wrapper.destroy()
+  })
+
+  it('syncs via the query string', async () => {
+    window.history.replaceState(null, '', '/?collapse=c1')
+    const wrapper = mount(BCollapse, {
+      propsData: { id: 'c1', urlSync: 'collapse', urlSyncMode: 'query' }
+    })
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.show).toBe(true)
+    wrapper.vm.toggle()
+    await waitNT(wrapper.vm)
+    expect(window.location.search).toBe('')
+    wrapper.vm.toggle()
+    await waitNT(wrapper.vm)
+    expect(window.location.search).toBe('?collapse=c1')
+
+    wrapper.destroy()
+  })
+})
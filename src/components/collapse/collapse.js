@@ -1,6 +1,7 @@
 import Vue from '../../utils/vue'
 import listenOnRootMixin from '../../mixins/listen-on-root'
 import normalizeSlotMixin from '../../mixins/normalize-slot'
+import urlSyncMixin from '../../mixins/url-sync'
 import { isBrowser } from '../../utils/env'
 import {
   addClass,
@@ -32,7 +33,7 @@ const EventOptions = { passive: true, capture: false }
 // @vue/component
 export const BCollapse = /*#__PURE__*/ Vue.extend({
   name: 'BCollapse',
-  mixins: [listenOnRootMixin, normalizeSlotMixin],
+  mixins: [listenOnRootMixin, normalizeSlotMixin, urlSyncMixin],
   model: {
     prop: 'visible',
     event: 'input'
@@ -83,6 +84,13 @@ export const BCollapse = /*#__PURE__*/ Vue.extend({
     show(newVal, oldVal) {
       if (newVal !== oldVal) {
         this.emitState()
+        // Update the URL, if synced. The URL parameter holds the ID of the shown
+        // collapse, so that it can be shared by the collapses of an accordion
+        if (newVal) {
+          this.setUrlSync(this.id)
+        } else if (this.getUrlSync() === this.id) {
+          this.setUrlSync(null)
+        }
       }
     }
   },
@@ -91,6 +99,8 @@ export const BCollapse = /*#__PURE__*/ Vue.extend({
   },
   mounted() {
     this.show = this.visible
+    // Restore the state from the URL, if synced
+    this.readUrlSync()
     // Listen for toggle events to open/close us
     this.listenOnRoot(EVENT_TOGGLE, this.handleToggleEvt)
     // Listen to other collapses for accordion events
@@ -232,6 +242,14 @@ export const BCollapse = /*#__PURE__*/ Vue.extend({
         }
       }
     },
+    onUrlSync(value) {
+      if (value === this.id) {
+        this.show = true
+      } else if (value !== null) {
+        // Another collapse (i.e. in the same accordion) is shown
+        this.show = false
+      }
+    },
     handleResize() {
       // Handler for orientation/resize to set collapsed state in nav/navbar
       this.show = getCS(this.$el).display === 'block'
@@ -2,7 +2,7 @@
 // Collapse
 //
 import Vue from 'vue'
-import { BvPlugin, BvComponent } from '../../'
+import { BvPlugin, BvComponent, BvUrlSyncMode } from '../../'
 
 // Plugin
 export declare const CollapsePlugin: BvPlugin
@@ -10,4 +10,7 @@ export declare const CollapsePlugin: BvPlugin
 // Component: b-collapse
 export declare class BCollapse extends BvComponent {
   toggle: () => void
+  urlSync?: string | null
+  urlSyncMode?: BvUrlSyncMode
+  urlSyncPush?: boolean
 }
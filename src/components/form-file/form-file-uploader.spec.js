@@ -0,0 +1,255 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BFormFile from './form-file'
+
+const makeFile = (name, content = 'foobar', type = 'text/plain') =>
+  new File([content], name, { type, lastModified: Date.now() })
+
+// Uploader that records the calls, to be resolved/rejected by the tests
+const makeUploader = calls => (file, progress, signal) =>
+  new Promise((resolve, reject) => {
+    calls.push({ file, progress, signal, resolve, reject })
+  })
+
+describe('form-file > upload manager mode', () => {
+  it('should not render the upload queue when no uploader is set', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        id: 'foo'
+      }
+    })
+    wrapper.vm.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    expect(wrapper.is('div.custom-file')).toBe(true)
+    expect(wrapper.find('.b-form-file-uploads').exists()).toBe(false)
+    expect(wrapper.vm.uploads.length).toBe(0)
+
+    wrapper.destroy()
+  })
+
+  it('should upload the selected files and report the progress', async () => {
+    const calls = []
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        id: 'foo',
+        multiple: true,
+        uploader: makeUploader(calls)
+      }
+    })
+    expect(wrapper.is('div.b-form-file-uploader')).toBe(true)
+    expect(wrapper.find('.custom-file').exists()).toBe(true)
+    const file1 = makeFile('foo.txt', 'foo')
+    const file2 = makeFile('bar.txt', 'barbaz0')
+    wrapper.vm.setFiles([file1, file2])
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('input')[0][0]).toEqual([file1, file2])
+    expect(calls.length).toBe(2)
+    expect(calls[0].file).toBe(file1)
+    expect(calls[0].signal).toBeDefined()
+    expect(calls[0].signal.aborted).toBe(false)
+    const $uploads = wrapper.findAll('.b-form-file-uploads > li')
+    expect($uploads.length).toBe(2)
+    expect($uploads.at(0).classes()).toContain('b-form-file-upload-uploading')
+    expect($uploads.at(0).text()).toContain('foo.txt')
+    expect(
+      $uploads
+        .at(0)
+        .find('.progress')
+        .exists()
+    ).toBe(true)
+
+    // Per-file and aggregate progress
+    calls[0].progress(3, 3)
+    calls[1].progress(2)
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.uploads[0].progress).toBe(100)
+    expect(wrapper.vm.uploads[1].loaded).toBe(2)
+    expect(wrapper.vm.uploads[1].total).toBe(7)
+    const progressEvents = wrapper.emitted('upload-progress')
+    expect(progressEvents).toBeDefined()
+    expect(progressEvents[progressEvents.length - 1]).toEqual([50, 5, 10])
+    expect(
+      $uploads
+        .at(0)
+        .find('[role="progressbar"]')
+        .attributes('aria-valuenow')
+    ).toBe('100')
+
+    calls[0].resolve({ id: 1 })
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.uploads[0].status).toBe('success')
+    expect(wrapper.vm.uploads[0].result).toEqual({ id: 1 })
+    expect(wrapper.emitted('upload-complete')).not.toBeDefined()
+
+    calls[1].resolve()
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.uploads[1].status).toBe('success')
+    expect(wrapper.emitted('upload-complete')).toBeDefined()
+    expect(wrapper.emitted('upload-complete').length).toBe(1)
+    expect(wrapper.emitted('upload-complete')[0][0].length).toBe(2)
+    expect(wrapper.findAll('.b-form-file-upload-success').length).toBe(2)
+
+    // Completed uploads can be removed
+    wrapper
+      .findAll('.b-form-file-upload')
+      .at(0)
+      .find('button')
+      .trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.uploads.length).toBe(1)
+    expect(wrapper.vm.uploads[0].file).toBe(file2)
+
+    wrapper.destroy()
+  })
+
+  it('should cancel and retry uploads', async () => {
+    const calls = []
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        uploader: makeUploader(calls)
+      }
+    })
+    wrapper.vm.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(1)
+
+    // Cancel button
+    let $buttons = wrapper.findAll('.b-form-file-upload button')
+    expect($buttons.length).toBe(1)
+    expect($buttons.at(0).text()).toBe('Cancel')
+    expect($buttons.at(0).attributes('aria-label')).toBe('Cancel foo.txt')
+    $buttons.at(0).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(calls[0].signal.aborted).toBe(true)
+    expect(wrapper.vm.uploads[0].status).toBe('canceled')
+    expect(wrapper.emitted('upload-complete').length).toBe(1)
+
+    // The results of the canceled upload are ignored
+    calls[0].reject(new Error('Aborted'))
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.uploads[0].status).toBe('canceled')
+    expect(wrapper.emitted('upload-error')).not.toBeDefined()
+
+    // Retry button
+    $buttons = wrapper.findAll('.b-form-file-upload button')
+    expect($buttons.length).toBe(2)
+    expect($buttons.at(0).text()).toBe('Retry')
+    $buttons.at(0).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(wrapper.vm.uploads[0].status).toBe('uploading')
+
+    calls[1].resolve()
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.uploads[0].status).toBe('success')
+    expect(wrapper.emitted('upload-complete').length).toBe(2)
+
+    wrapper.destroy()
+  })
+
+  it('should emit upload-complete with a synchronous uploader', async () => {
+    const uploaded = []
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        multiple: true,
+        uploader: file => {
+          uploaded.push(file)
+          return { name: file.name }
+        }
+      }
+    })
+    const file1 = makeFile('foo.txt')
+    const file2 = makeFile('bar.txt')
+    const file3 = makeFile('baz.txt')
+    // Including the nested files of a dropped directory
+    wrapper.vm.setFiles([file1, [file2, [file3]]])
+    await waitNT(wrapper.vm)
+    expect(uploaded).toEqual([file1, file2, file3])
+    expect(wrapper.vm.uploads.every(u => u.status === 'success')).toBe(true)
+    expect(wrapper.emitted('upload-complete')).toBeDefined()
+    expect(wrapper.emitted('upload-complete').length).toBe(1)
+    expect(wrapper.emitted('upload-complete')[0][0].length).toBe(3)
+
+    wrapper.destroy()
+  })
+
+  it('should retry failed uploads and emit upload-error', async () => {
+    const calls = []
+    const error = new Error('Server error')
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        uploader: makeUploader(calls),
+        uploadRetries: 1
+      }
+    })
+    wrapper.vm.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(1)
+
+    // Automatic retry
+    calls[0].reject(error)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(wrapper.vm.uploads[0].status).toBe('uploading')
+    expect(wrapper.vm.uploads[0].attempts).toBe(2)
+    expect(wrapper.emitted('upload-error')).not.toBeDefined()
+
+    calls[1].reject(error)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(wrapper.vm.uploads[0].status).toBe('error')
+    expect(wrapper.emitted('upload-error')).toBeDefined()
+    expect(wrapper.emitted('upload-error')[0][0]).toBe(error)
+    expect(wrapper.emitted('upload-error')[0][1].file.name).toBe('foo.txt')
+    expect(wrapper.find('.b-form-file-upload-feedback').text()).toBe('Server error')
+
+    wrapper.destroy()
+  })
+
+  it('should render image previews via object URLs', async () => {
+    const createObjectURL = jest.fn(() => 'blob:preview')
+    const revokeObjectURL = jest.fn()
+    window.URL.createObjectURL = createObjectURL
+    window.URL.revokeObjectURL = revokeObjectURL
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        multiple: true,
+        uploader: () => {}
+      }
+    })
+    wrapper.vm.setFiles([makeFile('foo.png', 'foo', 'image/png'), makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    expect(createObjectURL).toHaveBeenCalledTimes(1)
+    const $img = wrapper.find('img.b-form-file-upload-preview')
+    expect($img.exists()).toBe(true)
+    expect($img.attributes('src')).toBe('blob:preview')
+
+    // Object URLs are revoked when the uploads are removed
+    wrapper.destroy()
+    expect(revokeObjectURL).toHaveBeenCalledTimes(1)
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:preview')
+
+    delete window.URL.createObjectURL
+    delete window.URL.revokeObjectURL
+  })
+
+  it('upload slot works', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        uploader: () => Promise.reject(new Error('Failed'))
+      },
+      scopedSlots: {
+        upload: function(props) {
+          return this.$createElement('span', { staticClass: 'custom' }, props.status)
+        }
+      }
+    })
+    wrapper.vm.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.b-form-file-upload .custom').text()).toBe('error')
+    expect(wrapper.find('.b-form-file-upload .progress').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+})
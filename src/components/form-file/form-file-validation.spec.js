@@ -0,0 +1,217 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BFormFile from './form-file'
+
+const makeFile = (name, content = 'foobar', type = 'text/plain') =>
+  new File([content], name, { type, lastModified: Date.now() })
+
+describe('form-file > validation', () => {
+  it('should reject files not matching accept', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        id: 'foo',
+        multiple: true,
+        accept: 'image/*, .PDF, text/csv'
+      }
+    })
+    const png = makeFile('foo.png', 'foo', 'image/png')
+    const pdf = makeFile('foo.pdf', 'foo', '')
+    const csv = makeFile('foo.csv', 'foo', 'text/csv')
+    const txt = makeFile('foo.txt')
+    const exe = makeFile('pdf', 'foo', 'application/octet-stream')
+    wrapper.vm.setFiles([png, txt, pdf, csv, exe])
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('input')[0][0]).toEqual([png, pdf, csv])
+    expect(wrapper.emitted('rejected')).toBeDefined()
+    expect(wrapper.emitted('rejected')[0][0]).toEqual([
+      { file: txt, reasons: ['accept'] },
+      { file: exe, reasons: ['accept'] }
+    ])
+
+    // Invalid state and message
+    expect(wrapper.classes()).toContain('is-invalid')
+    const $input = wrapper.find('input')
+    expect($input.classes()).toContain('is-invalid')
+    expect($input.attributes('aria-invalid')).toBe('true')
+    expect($input.attributes('aria-describedby')).toBe('foo__BV_file_rejected_')
+    const $message = wrapper.find('.b-form-file-rejected')
+    expect($message.exists()).toBe(true)
+    expect($message.attributes('id')).toBe('foo__BV_file_rejected_')
+    expect($message.attributes('role')).toBe('alert')
+    expect($message.text()).toBe('Some of the files are not valid')
+
+    // Cleared on the next valid selection
+    wrapper.vm.setFiles([png])
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('rejected').length).toBe(1)
+    expect(wrapper.classes()).not.toContain('is-invalid')
+    expect(wrapper.find('input').attributes('aria-describedby')).not.toBeDefined()
+    expect(wrapper.find('.b-form-file-rejected').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should not validate files when no constraints are set', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: { multiple: true }
+    })
+    const file1 = makeFile('foo.txt')
+    const file2 = makeFile('bar.txt')
+    const file3 = makeFile('baz.txt')
+    // Nested arrays of files from dropped directories are preserved
+    wrapper.vm.setFiles([file1, [file2, [file3]]])
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('input')[0][0]).toEqual([file1, [file2, [file3]]])
+    expect(wrapper.emitted('rejected')).not.toBeDefined()
+
+    // Single mode takes the first file, without rejecting the others
+    wrapper.setProps({ multiple: false })
+    wrapper.vm.setFiles([file1, file2])
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.selectedFile).toBe(file1)
+    expect(wrapper.emitted('rejected')).not.toBeDefined()
+    expect(wrapper.classes()).not.toContain('is-invalid')
+
+    wrapper.destroy()
+  })
+
+  it('should only limit the count in single mode via max-files', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: { maxSize: 5 }
+    })
+    const file1 = makeFile('foo.txt', 'foo')
+    const file3 = makeFile('baz.txt', 'baz')
+    wrapper.vm.setFiles([file1, file3])
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.selectedFile).toBe(file1)
+    expect(wrapper.emitted('rejected')).not.toBeDefined()
+
+    wrapper.setProps({ maxFiles: 1 })
+    wrapper.vm.setFiles([file1, file3])
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.selectedFile).toBe(file1)
+    expect(wrapper.emitted('rejected').length).toBe(1)
+    expect(wrapper.emitted('rejected')[0][0]).toEqual([{ file: file3, reasons: ['max-files'] }])
+
+    wrapper.destroy()
+  })
+
+  it('should reject files by size and count', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        multiple: true,
+        maxSize: 5,
+        minSize: '2',
+        maxFiles: 2,
+        state: true
+      }
+    })
+    expect(wrapper.classes()).toContain('is-valid')
+    const file1 = makeFile('1.txt', 'foo')
+    const file2 = makeFile('2.txt', 'foobar')
+    const file3 = makeFile('3.txt', 'f')
+    const file4 = makeFile('4.txt', 'bar')
+    const file5 = makeFile('5.txt', 'baz')
+    wrapper.vm.setFiles([file1, file2, file3, file4, file5])
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('input')[0][0]).toEqual([file1, file4])
+    expect(wrapper.emitted('rejected')[0][0]).toEqual([
+      { file: file2, reasons: ['max-size'] },
+      { file: file3, reasons: ['min-size'] },
+      { file: file5, reasons: ['max-files'] }
+    ])
+    // Rejected files take precedence over the state prop
+    expect(wrapper.classes()).toContain('is-invalid')
+    expect(wrapper.classes()).not.toContain('is-valid')
+
+    // Cleared on reset
+    wrapper.vm.reset()
+    await waitNT(wrapper.vm)
+    expect(wrapper.classes()).toContain('is-valid')
+    expect(wrapper.find('.b-form-file-rejected').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should reject dropped files and nested directory files', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        multiple: true,
+        accept: '.txt'
+      }
+    })
+    const file1 = makeFile('foo.txt')
+    const file2 = makeFile('bar.exe')
+    const file3 = makeFile('baz.txt')
+    // Emulate the files of a dropped directory
+    wrapper.vm.setFiles([file1, [file2, [file3]]])
+    await waitNT(wrapper.vm)
+    // The nested structure is preserved
+    expect(wrapper.emitted('input')[0][0]).toEqual([file1, [[file3]]])
+    expect(wrapper.emitted('rejected')[0][0]).toEqual([{ file: file2, reasons: ['accept'] }])
+
+    wrapper.destroy()
+  })
+
+  it('should keep the message when all files are rejected with v-model', async () => {
+    const App = {
+      data() {
+        return { files: [] }
+      },
+      render(h) {
+        return h(BFormFile, {
+          ref: 'file',
+          props: { multiple: true, maxSize: 1, value: this.files },
+          on: { input: files => (this.files = files) }
+        })
+      }
+    }
+    const wrapper = mount(App)
+    const fileInput = wrapper.vm.$refs.file
+    fileInput.setFiles([makeFile('foo.txt', 'f')])
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.files.length).toBe(1)
+    fileInput.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.files.length).toBe(0)
+    expect(wrapper.find('.b-form-file-rejected').exists()).toBe(true)
+
+    wrapper.destroy()
+  })
+
+  it('should support a rejected message function and slot', async () => {
+    const wrapper = mount(BFormFile, {
+      propsData: {
+        plain: true,
+        maxSize: 1,
+        rejectedMessage: rejected => `${rejected.length} file(s) too large`
+      }
+    })
+    expect(wrapper.is('input')).toBe(true)
+    wrapper.vm.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('input')).not.toBeDefined()
+    // The plain input is wrapped to show the message
+    expect(wrapper.is('div.b-form-file-plain')).toBe(true)
+    expect(wrapper.find('.b-form-file-rejected').text()).toBe('1 file(s) too large')
+
+    wrapper.destroy()
+
+    const wrapper2 = mount(BFormFile, {
+      propsData: {
+        maxSize: 1
+      },
+      scopedSlots: {
+        rejected: function(props) {
+          return this.$createElement('span', { staticClass: 'custom' }, props.names.join(','))
+        }
+      }
+    })
+    wrapper2.vm.setFiles([makeFile('foo.txt')])
+    await waitNT(wrapper2.vm)
+    expect(wrapper2.find('.b-form-file-rejected .custom').text()).toBe('foo.txt')
+
+    wrapper2.destroy()
+  })
+})
@@ -1,19 +1,29 @@
 import Vue from '../../utils/vue'
 import { from as arrayFrom, isArray, concat } from '../../utils/array'
 import { getComponentConfig } from '../../utils/config'
-import { isFunction } from '../../utils/inspect'
+import { isBoolean, isFunction } from '../../utils/inspect'
 import formCustomMixin from '../../mixins/form-custom'
 import formMixin from '../../mixins/form'
 import formStateMixin from '../../mixins/form-state'
 import idMixin from '../../mixins/id'
 import normalizeSlotMixin from '../../mixins/normalize-slot'
+import uploaderMixin from './helpers/mixin-uploader'
+import validationMixin from './helpers/mixin-validation'
 
 const NAME = 'BFormFile'
 
 // @vue/component
 export const BFormFile = /*#__PURE__*/ Vue.extend({
   name: NAME,
-  mixins: [idMixin, formMixin, formStateMixin, formCustomMixin, normalizeSlotMixin],
+  mixins: [
+    idMixin,
+    formMixin,
+    formStateMixin,
+    formCustomMixin,
+    normalizeSlotMixin,
+    validationMixin,
+    uploaderMixin
+  ],
   inheritAttrs: false,
   model: {
     prop: 'value',
@@ -78,6 +88,13 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
     }
   },
   computed: {
+    computedState() {
+      // Invalid when files have been rejected, otherwise the `state` prop
+      if (this.hasRejectedFiles) {
+        return false
+      }
+      return isBoolean(this.state) ? this.state : null
+    },
     selectLabel() {
       // Draging active
       if (this.dragging && this.dropPlaceholder) {
@@ -128,9 +145,16 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
       } else {
         this.$emit('input', newVal)
       }
+      // Add the selected file(s) to the upload queue, when in upload manager mode
+      if (this.hasUploader && newVal) {
+        this.upload(newVal)
+      }
     },
     value(newVal) {
-      if (!newVal || (isArray(newVal) && newVal.length === 0)) {
+      const isEmpty = val => !val || (isArray(val) && val.length === 0)
+      // When all selected files have been rejected, the empty value is the
+      // result of the selection, so we keep the message for the rejected files
+      if (isEmpty(newVal) && !(this.hasRejectedFiles && isEmpty(this.selectedFile))) {
         this.reset()
       }
     }
@@ -158,6 +182,7 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
       this.$refs.input.type = ''
       this.$refs.input.type = 'file'
       this.selectedFile = this.multiple ? [] : null
+      this.rejectedFiles = []
     },
     onFileChange(evt) {
       // Always emit original event
@@ -186,22 +211,29 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
       if (!files) {
         /* istanbul ignore next: this will probably not happen */
         this.selectedFile = null
-      } else if (this.multiple) {
-        // Convert files to array
-        const filesArray = []
-        for (let i = 0; i < files.length; i++) {
-          filesArray.push(files[i])
-        }
+        this.rejectedFiles = []
+        return
+      }
+      // Convert files to array
+      const filesArray = []
+      for (let i = 0; i < files.length; i++) {
+        filesArray.push(files[i])
+      }
+      // Rejected files (invalid type, size or count) are not selected
+      const { accepted, rejected } = this.validateFiles(filesArray)
+      this.setRejectedFiles(rejected)
+      if (this.multiple) {
         // Return file(s) as array
-        this.selectedFile = filesArray
+        this.selectedFile = accepted
       } else {
         // Return single file object
-        this.selectedFile = files[0] || null
+        this.selectedFile = accepted[0] || null
       }
     },
     onReset() {
       // Triggered when the parent form (if any) is reset
       this.selectedFile = this.multiple ? [] : null
+      this.rejectedFiles = []
     },
     onDragover(evt) /* istanbul ignore next: difficult to test in JSDOM */ {
       evt.preventDefault()
@@ -277,7 +309,15 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
         accept: this.accept || null,
         multiple: this.multiple,
         webkitdirectory: this.directory,
-        'aria-required': this.required ? 'true' : null
+        'aria-required': this.required ? 'true' : null,
+        'aria-invalid': this.computedState === false ? 'true' : null,
+        'aria-describedby':
+          [
+            this.$attrs['aria-describedby'],
+            this.hasRejectedFiles ? this.safeId('_BV_file_rejected_') : null
+          ]
+            .filter(Boolean)
+            .join(' ') || null
       },
       on: {
         change: this.onFileChange,
@@ -287,8 +327,19 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
       }
     })
 
+    // Wrap the control with the upload queue, when in upload manager mode
+    const wrap = $control =>
+      this.hasUploader
+        ? h('div', { staticClass: 'b-form-file-uploader' }, [$control, this.renderUploads()])
+        : $control
+
     if (this.plain) {
-      return input
+      // The plain input is wrapped when showing the message for rejected files
+      return wrap(
+        this.hasRejectedFiles
+          ? h('div', { staticClass: 'b-form-file-plain' }, [input, this.renderRejected()])
+          : input
+      )
     }
 
     // Overlay Labels
@@ -306,24 +357,26 @@ export const BFormFile = /*#__PURE__*/ Vue.extend({
     )
 
     // Return rendered custom file input
-    return h(
-      'div',
-      {
-        staticClass: 'custom-file b-form-file',
-        class: [
-          this.stateClass,
-          {
-            [`b-custom-control-${this.size}`]: Boolean(this.size)
+    return wrap(
+      h(
+        'div',
+        {
+          staticClass: 'custom-file b-form-file',
+          class: [
+            this.stateClass,
+            {
+              [`b-custom-control-${this.size}`]: Boolean(this.size)
+            }
+          ],
+          attrs: { id: this.safeId('_BV_file_outer_') },
+          on: {
+            dragover: this.onDragover,
+            dragleave: this.onDragleave,
+            drop: this.onDrop
           }
-        ],
-        attrs: { id: this.safeId('_BV_file_outer_') },
-        on: {
-          dragover: this.onDragover,
-          dragleave: this.onDragleave,
-          drop: this.onDrop
-        }
-      },
-      [input, label]
+        },
+        [input, label, this.renderRejected()]
+      )
     )
   }
 })
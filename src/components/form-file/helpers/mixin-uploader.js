@@ -0,0 +1,329 @@
+import { getComponentConfig } from '../../../utils/config'
+import { concat, isArray } from '../../../utils/array'
+import { isBrowser } from '../../../utils/env'
+import { isFunction, isPromise } from '../../../utils/inspect'
+import { BButton } from '../../button/button'
+import { BProgress } from '../../progress/progress'
+
+// Mixin for the upload manager mode of `<b-form-file>`, enabled by the `uploader` prop.
+// Each selected file is added to an upload queue, and uploaded via the `uploader`
+// function, with a progress bar, cancel/retry buttons and an optional image preview
+
+const NAME = 'BFormFile'
+
+// Files dropped in directory mode are nested arrays of files
+const flattenFiles = files =>
+  concat(...concat(files).map(f => (isArray(f) ? flattenFiles(f) : f))).filter(Boolean)
+
+// Upload statuses
+const UPLOAD_PENDING = 'pending'
+const UPLOAD_UPLOADING = 'uploading'
+const UPLOAD_SUCCESS = 'success'
+const UPLOAD_ERROR = 'error'
+const UPLOAD_CANCELED = 'canceled'
+
+const STATUS_VARIANTS = {
+  [UPLOAD_SUCCESS]: 'success',
+  [UPLOAD_ERROR]: 'danger',
+  [UPLOAD_CANCELED]: 'secondary'
+}
+
+const isImageFile = file => /^image\//.test(file.type || '')
+
+const hasObjectUrlSupport = () => isBrowser && isFunction(window.URL && window.URL.createObjectURL)
+
+let uploadId = 0
+
+export default {
+  props: {
+    uploader: {
+      // Function that uploads a file, called with the arguments `(file, progress, signal)`.
+      // Should return a promise, which is resolved when the upload completes
+      type: Function,
+      default: null
+    },
+    uploadRetries: {
+      // Number of times a failed upload is retried automatically
+      type: [Number, String],
+      default: 0
+    },
+    noPreview: {
+      // Disable the thumbnail previews of image files
+      type: Boolean,
+      default: false
+    },
+    cancelUploadText: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'cancelUploadText')
+    },
+    retryUploadText: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'retryUploadText')
+    },
+    removeUploadText: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'removeUploadText')
+    }
+  },
+  data() {
+    return {
+      uploads: []
+    }
+  },
+  computed: {
+    hasUploader() {
+      return isFunction(this.uploader)
+    },
+    computedUploadRetries() {
+      return Math.max(parseInt(this.uploadRetries, 10) || 0, 0)
+    },
+    uploadProgress() {
+      // The aggregate progress of the uploads which have not failed or been canceled
+      const uploads = this.uploads.filter(
+        u => u.status !== UPLOAD_ERROR && u.status !== UPLOAD_CANCELED
+      )
+      const loaded = uploads.reduce((sum, u) => sum + u.loaded, 0)
+      const total = uploads.reduce((sum, u) => sum + u.total, 0)
+      return {
+        progress: total > 0 ? (loaded / total) * 100 : uploads.length > 0 ? 100 : 0,
+        loaded,
+        total
+      }
+    },
+    isUploading() {
+      return this.uploads.some(u => u.status === UPLOAD_PENDING || u.status === UPLOAD_UPLOADING)
+    }
+  },
+  created() {
+    // Non-reactive abort controllers of the active uploads, keyed by upload id
+    this.uploadControllers = {}
+  },
+  beforeDestroy() {
+    this.clearUploads()
+  },
+  methods: {
+    // Public methods
+    upload(files) {
+      // Add files to the upload queue, and start uploading them
+      if (!this.hasUploader) {
+        return
+      }
+      // All files are queued before the uploads are started, so that
+      // synchronous uploaders don't complete the queue after the first file
+      const uploads = flattenFiles(files).map(file => ({
+        id: `__BV_upload_${++uploadId}__`,
+        file,
+        status: UPLOAD_PENDING,
+        progress: 0,
+        loaded: 0,
+        total: file.size || 0,
+        attempts: 0,
+        error: null,
+        result: null,
+        preview:
+          !this.noPreview && isImageFile(file) && hasObjectUrlSupport()
+            ? window.URL.createObjectURL(file)
+            : null
+      }))
+      this.uploads.push(...uploads)
+      uploads.forEach(upload => {
+        this.startUpload(upload)
+      })
+    },
+    cancelUpload(upload) {
+      if (upload.status === UPLOAD_PENDING || upload.status === UPLOAD_UPLOADING) {
+        this.abortUpload(upload)
+        upload.status = UPLOAD_CANCELED
+        this.emitUploadProgress()
+        this.checkUploadsComplete()
+      }
+    },
+    retryUpload(upload) {
+      if (upload.status === UPLOAD_ERROR || upload.status === UPLOAD_CANCELED) {
+        upload.attempts = 0
+        this.startUpload(upload)
+      }
+    },
+    removeUpload(upload) {
+      const index = this.uploads.indexOf(upload)
+      if (index > -1) {
+        this.cancelUpload(upload)
+        this.revokePreview(upload)
+        this.uploads.splice(index, 1)
+      }
+    },
+    clearUploads() {
+      // Cancel all uploads, and empty the upload queue
+      this.uploads.slice().forEach(this.removeUpload)
+    },
+    // Internal private methods
+    startUpload(upload) {
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+      // Track the current attempt, so that the results of aborted attempts are ignored
+      const request = {}
+      this.uploadControllers[upload.id] = { controller, request }
+      upload.status = UPLOAD_UPLOADING
+      upload.attempts++
+      upload.error = null
+      upload.progress = 0
+      upload.loaded = 0
+      this.emitUploadProgress()
+      const isCurrent = () => {
+        const current = this.uploadControllers[upload.id]
+        return Boolean(current && current.request === request)
+      }
+      const progress = (loaded, total) => {
+        if (isCurrent()) {
+          upload.total = Math.max(parseFloat(total) || upload.file.size || 0, 0)
+          upload.loaded = Math.min(Math.max(parseFloat(loaded) || 0, 0), upload.total)
+          upload.progress = upload.total > 0 ? (upload.loaded / upload.total) * 100 : 0
+          this.emitUploadProgress()
+        }
+      }
+      const onSuccess = result => {
+        if (isCurrent()) {
+          delete this.uploadControllers[upload.id]
+          upload.status = UPLOAD_SUCCESS
+          upload.result = result === undefined ? null : result
+          upload.loaded = upload.total
+          upload.progress = 100
+          this.emitUploadProgress()
+          this.checkUploadsComplete()
+        }
+      }
+      const onError = error => {
+        if (isCurrent()) {
+          delete this.uploadControllers[upload.id]
+          if (upload.attempts <= this.computedUploadRetries) {
+            this.startUpload(upload)
+            return
+          }
+          upload.status = UPLOAD_ERROR
+          upload.error = error
+          this.$emit('upload-error', error, upload)
+          this.emitUploadProgress()
+          this.checkUploadsComplete()
+        }
+      }
+      let result
+      try {
+        result = this.uploader(upload.file, progress, controller ? controller.signal : null)
+      } catch (e) {
+        onError(e)
+        return
+      }
+      if (isPromise(result)) {
+        result.then(onSuccess, onError)
+      } else {
+        onSuccess(result)
+      }
+    },
+    abortUpload(upload) {
+      const current = this.uploadControllers[upload.id]
+      delete this.uploadControllers[upload.id]
+      if (current && current.controller) {
+        current.controller.abort()
+      }
+    },
+    revokePreview(upload) {
+      if (upload.preview && hasObjectUrlSupport()) {
+        window.URL.revokeObjectURL(upload.preview)
+      }
+      upload.preview = null
+    },
+    checkUploadsComplete() {
+      // Emitted when an upload settles, and none are left pending or uploading
+      if (!this.isUploading) {
+        this.$emit('upload-complete', this.uploads.slice())
+      }
+    },
+    emitUploadProgress() {
+      const { progress, loaded, total } = this.uploadProgress
+      this.$emit('upload-progress', progress, loaded, total)
+    },
+    // Render helpers
+    renderUploads() {
+      const h = this.$createElement
+      const $uploads = this.uploads.map(upload => {
+        const name = upload.file.name
+        const scope = {
+          upload,
+          file: upload.file,
+          status: upload.status,
+          progress: upload.progress,
+          error: upload.error,
+          preview: upload.preview,
+          cancel: () => this.cancelUpload(upload),
+          retry: () => this.retryUpload(upload),
+          remove: () => this.removeUpload(upload)
+        }
+        let $content = this.normalizeSlot('upload', scope)
+        if (!$content) {
+          const isActive = upload.status === UPLOAD_UPLOADING || upload.status === UPLOAD_PENDING
+          const canRetry = upload.status === UPLOAD_ERROR || upload.status === UPLOAD_CANCELED
+          const $button = (text, onClick) =>
+            h(
+              BButton,
+              {
+                staticClass: 'ml-1',
+                props: { size: 'sm', variant: 'link' },
+                attrs: { 'aria-label': `${text} ${name}` },
+                on: { click: onClick }
+              },
+              text
+            )
+          $content = [
+            upload.preview
+              ? h('img', {
+                  staticClass: 'b-form-file-upload-preview',
+                  attrs: { src: upload.preview, alt: '' }
+                })
+              : h(),
+            h('div', { staticClass: 'b-form-file-upload-body' }, [
+              h('div', { staticClass: 'b-form-file-upload-name' }, [
+                h('span', { staticClass: 'text-truncate' }, name),
+                isActive ? $button(this.cancelUploadText, scope.cancel) : h(),
+                canRetry ? $button(this.retryUploadText, scope.retry) : h(),
+                isActive ? h() : $button(this.removeUploadText, scope.remove)
+              ]),
+              h(BProgress, {
+                props: {
+                  value: upload.progress,
+                  variant: STATUS_VARIANTS[upload.status] || null,
+                  striped: isActive,
+                  animated: isActive,
+                  height: '0.5rem'
+                },
+                attrs: { 'aria-label': name }
+              }),
+              upload.status === UPLOAD_ERROR && upload.error
+                ? h(
+                    'small',
+                    { staticClass: 'b-form-file-upload-feedback text-danger' },
+                    String(upload.error.message || upload.error)
+                  )
+                : h()
+            ])
+          ]
+        }
+        return h(
+          'li',
+          {
+            key: upload.id,
+            staticClass: 'b-form-file-upload',
+            class: `b-form-file-upload-${upload.status}`
+          },
+          concat($content)
+        )
+      })
+      return h(
+        'ul',
+        {
+          staticClass: 'b-form-file-uploads list-unstyled',
+          attrs: { 'aria-live': 'polite', 'aria-busy': this.isUploading ? 'true' : 'false' }
+        },
+        $uploads
+      )
+    }
+  }
+}
@@ -0,0 +1,179 @@
+import { getComponentConfig } from '../../../utils/config'
+import { concat, isArray } from '../../../utils/array'
+import { isFunction } from '../../../utils/inspect'
+import toString from '../../../utils/to-string'
+
+// Mixin for the validation of the selected (or dropped) files of `<b-form-file>`.
+// Files which don't match the `accept` prop, or the size and count limits,
+// are rejected (not selected), and reported via the `rejected` event
+
+const NAME = 'BFormFile'
+
+// Rejection reasons
+const REJECT_ACCEPT = 'accept'
+const REJECT_MAX_SIZE = 'max-size'
+const REJECT_MIN_SIZE = 'min-size'
+const REJECT_MAX_FILES = 'max-files'
+
+const toLimit = val => {
+  const limit = parseFloat(val)
+  return isNaN(limit) || limit < 0 ? null : limit
+}
+
+// Returns `true` if the file matches one of the MIME types,
+// MIME type wildcards (i.e. `image/*`) or extensions of `accept`
+const isAccepted = (file, accept) => {
+  const name = (file.name || '').toLowerCase()
+  const type = (file.type || '').toLowerCase()
+  return accept.some(a => {
+    if (a.charAt(0) === '.') {
+      return name.length > a.length && name.slice(-a.length) === a
+    } else if (/\/\*$/.test(a)) {
+      return type.indexOf(a.slice(0, -1)) === 0
+    }
+    return type === a
+  })
+}
+
+export default {
+  props: {
+    maxSize: {
+      // Maximum size of each file, in bytes
+      type: [Number, String],
+      default: null
+    },
+    minSize: {
+      // Minimum size of each file, in bytes
+      type: [Number, String],
+      default: null
+    },
+    maxFiles: {
+      // Maximum number of files that can be selected
+      type: [Number, String],
+      default: null
+    },
+    rejectedMessage: {
+      // Message shown when files are rejected. Can be a function, which is
+      // passed the array of rejected files, and returns the message
+      type: [String, Function],
+      default: () => getComponentConfig(NAME, 'rejectedMessage')
+    }
+  },
+  data() {
+    return {
+      // Array of `{ file, reasons }` objects of the files rejected from the last selection
+      rejectedFiles: []
+    }
+  },
+  computed: {
+    computedAccept() {
+      return toString(this.accept)
+        .split(',')
+        .map(a => a.trim().toLowerCase())
+        .filter(Boolean)
+    },
+    computedMaxSize() {
+      return toLimit(this.maxSize)
+    },
+    computedMinSize() {
+      return toLimit(this.minSize)
+    },
+    computedMaxFiles() {
+      return toLimit(this.maxFiles)
+    },
+    hasFileConstraints() {
+      return (
+        this.computedAccept.length > 0 ||
+        this.computedMaxSize !== null ||
+        this.computedMinSize !== null ||
+        this.computedMaxFiles !== null
+      )
+    },
+    hasRejectedFiles() {
+      return this.rejectedFiles.length > 0
+    }
+  },
+  methods: {
+    validateFiles(files) {
+      // Split the files into the accepted files and the rejected files (with the reasons)
+      // Files dropped in directory mode are nested arrays of files, which is preserved
+      // in the accepted files (empty directories excepted)
+      if (!this.hasFileConstraints) {
+        return { accepted: files, rejected: [] }
+      }
+      const accept = this.computedAccept
+      const maxSize = this.computedMaxSize
+      const minSize = this.computedMinSize
+      const maxFiles = this.computedMaxFiles
+      const rejected = []
+      let count = 0
+      const filterFiles = files =>
+        files
+          .map(file => {
+            if (isArray(file)) {
+              const accepted = filterFiles(file)
+              return accepted.length > 0 ? accepted : null
+            } else if (!file) {
+              return null
+            }
+            const reasons = []
+            if (accept.length > 0 && !isAccepted(file, accept)) {
+              reasons.push(REJECT_ACCEPT)
+            }
+            if (maxSize !== null && file.size > maxSize) {
+              reasons.push(REJECT_MAX_SIZE)
+            }
+            if (minSize !== null && file.size < minSize) {
+              reasons.push(REJECT_MIN_SIZE)
+            }
+            if (reasons.length === 0 && maxFiles !== null && count >= maxFiles) {
+              reasons.push(REJECT_MAX_FILES)
+            }
+            if (reasons.length > 0) {
+              rejected.push({ file, reasons })
+              return null
+            }
+            count++
+            return file
+          })
+          .filter(Boolean)
+      return { accepted: filterFiles(files), rejected }
+    },
+    setRejectedFiles(rejected) {
+      this.rejectedFiles = rejected
+      if (rejected.length > 0) {
+        this.$emit('rejected', rejected.slice())
+      }
+    },
+    // Render helpers
+    renderRejected() {
+      // Renders the message for the rejected files
+      const h = this.$createElement
+      const rejected = this.rejectedFiles
+      if (!this.hasRejectedFiles) {
+        return h()
+      }
+      const message = this.rejectedMessage
+      const $content =
+        this.normalizeSlot('rejected', {
+          rejected,
+          files: rejected.map(r => r.file),
+          names: rejected.map(r => r.file.name)
+        }) || (isFunction(message) ? toString(message(rejected.slice())) : message)
+      return h(
+        'div',
+        {
+          key: 'b-form-file-rejected',
+          staticClass: 'b-form-file-rejected invalid-feedback d-block',
+          attrs: {
+            id: this.safeId('_BV_file_rejected_'),
+            role: 'alert',
+            'aria-live': 'assertive',
+            'aria-atomic': 'true'
+          }
+        },
+        concat($content)
+      )
+    }
+  }
+}
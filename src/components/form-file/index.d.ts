@@ -11,4 +11,48 @@ export declare const FormFilePlugin: BvPlugin
 export declare class BFormFile extends BvComponent {
   focus: () => void
   reset: () => void
+  upload: (files: File | File[]) => void
+  cancelUpload: (upload: BvFormFileUpload) => void
+  retryUpload: (upload: BvFormFileUpload) => void
+  removeUpload: (upload: BvFormFileUpload) => void
+  clearUploads: () => void
+  // Props
+  uploader?: BvFormFileUploader | null
+  uploadRetries?: number | string
+  noPreview?: boolean
+  maxSize?: number | string
+  minSize?: number | string
+  maxFiles?: number | string
+  rejectedMessage?: string | ((rejected: BvFormFileRejected[]) => string)
+  // Data
+  uploads: BvFormFileUpload[]
+  rejectedFiles: BvFormFileRejected[]
+}
+
+export type BvFormFileUploader = (
+  file: File,
+  progress: (loaded: number, total?: number) => void,
+  signal: AbortSignal | null
+) => any
+
+export type BvFormFileUploadStatus = 'pending' | 'uploading' | 'success' | 'error' | 'canceled'
+
+export interface BvFormFileUpload {
+  id: string
+  file: File
+  status: BvFormFileUploadStatus
+  progress: number
+  loaded: number
+  total: number
+  attempts: number
+  error: any
+  result: any
+  preview: string | null
+}
+
+export type BvFormFileRejectedReason = 'accept' | 'max-size' | 'min-size' | 'max-files'
+
+export interface BvFormFileRejected {
+  file: File
+  reasons: BvFormFileRejectedReason[]
 }
@@ -87,6 +87,11 @@ export const props = {
   throttle: {
     type: [Number, String],
     default: THROTTLE
+  },
+  lightbox: {
+    // ID of a `<b-carousel-lightbox>` to open when the image is clicked
+    type: String,
+    default: null
   }
 }
 
@@ -242,7 +247,8 @@ export const BImgLazy = /*#__PURE__*/ Vue.extend({
         rounded: this.rounded,
         left: this.left,
         right: this.right,
-        center: this.center
+        center: this.center,
+        lightbox: this.lightbox
       }
     })
   }
@@ -2,6 +2,7 @@ import Vue from '../../utils/vue'
 import { mergeData } from 'vue-functional-data-merge'
 import { getComponentConfig } from '../../utils/config'
 import { isString } from '../../utils/inspect'
+import { lightboxTriggerData } from '../../utils/lightbox'
 
 // --- Constants --
 
@@ -81,6 +82,11 @@ export const props = {
   blankColor: {
     type: String,
     default: () => getComponentConfig(NAME, 'blankColor')
+  },
+  lightbox: {
+    // ID of a `<b-carousel-lightbox>` to open when the image is clicked
+    type: String,
+    default: null
   }
 }
 
@@ -100,7 +106,7 @@ export const BImg = /*#__PURE__*/ Vue.extend({
   name: NAME,
   functional: true,
   props,
-  render(h, { props, data }) {
+  render(h, { props, data, parent }) {
     let src = props.src
     let width = parseInt(props.width, 10) ? parseInt(props.width, 10) : null
     let height = parseInt(props.height, 10) ? parseInt(props.height, 10) : null
@@ -129,7 +135,7 @@ export const BImg = /*#__PURE__*/ Vue.extend({
     }
     return h(
       'img',
-      mergeData(data, {
+      mergeData(data, lightboxTriggerData(props.lightbox, props.src, parent && parent.$root), {
         attrs: {
           src: src,
           alt: props.alt,
@@ -0,0 +1,363 @@
+import { getComponentConfig } from '../../../utils/config'
+import { closestEl, eventOff, eventOn, getBCR, isElement } from '../../../utils/dom'
+import { isBrowser } from '../../../utils/env'
+import { isNumber, isPlainObject } from '../../../utils/inspect'
+
+// Mixin for the draggable, resizable and maximizable modes of `<b-modal>`. Once dragged
+// or resized, the dialog is absolutely positioned within the (fixed) modal, and its
+// geometry (`left`, `top`, `width`, `height` and `maximized`) is emitted via the
+// `update:geometry` event, so it can be persisted and passed back to the `geometry` prop
+
+const NAME = 'BModal'
+
+// Directions of the resize handles
+const RESIZE_DIRECTIONS = ['n', 'e', 's', 'w', 'ne', 'se', 'sw', 'nw']
+
+// Elements in the header which don't start a drag
+const NO_DRAG_SELECTOR = 'button, a, input, select, textarea, [contenteditable]'
+
+const EVENT_OPTIONS = { passive: true, capture: false }
+
+// Returns the size of the viewport
+const getViewport = () => {
+  const docEl = document.documentElement
+  return {
+    width: docEl.clientWidth || window.innerWidth,
+    height: docEl.clientHeight || window.innerHeight
+  }
+}
+
+const getClientPoint = evt => {
+  const touch = evt.touches && evt.touches.length > 0 ? evt.touches[0] : null
+  return touch
+    ? { x: touch.clientX, y: touch.clientY }
+    : { x: evt.clientX || 0, y: evt.clientY || 0 }
+}
+
+const toNumberOrNull = value => (isNumber(value) && !isNaN(value) ? value : null)
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max))
+
+// Returns `true` if the element (or one of its ancestors) is a control in the header
+const isHeaderControl = el => isElement(el) && Boolean(closestEl.call(el, NO_DRAG_SELECTOR))
+
+export default {
+  props: {
+    draggable: {
+      // Drag the dialog by its header
+      type: Boolean,
+      default: false
+    },
+    resizable: {
+      // Resize the dialog via handles on its edges and corners
+      type: Boolean,
+      default: false
+    },
+    maximizable: {
+      // Show a maximize/restore button in the header
+      type: Boolean,
+      default: false
+    },
+    minWidth: {
+      type: Number,
+      default: 200
+    },
+    minHeight: {
+      type: Number,
+      default: 100
+    },
+    maxWidth: {
+      // Defaults to the width of the viewport
+      type: Number,
+      default: null
+    },
+    maxHeight: {
+      // Defaults to the height of the viewport
+      type: Number,
+      default: null
+    },
+    geometry: {
+      // Object with the `left`, `top`, `width`, `height` (in pixels) and `maximized`
+      // properties, i.e. as emitted by the `update:geometry` event
+      type: Object,
+      default: null
+    },
+    maximizeLabel: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'maximizeLabel')
+    },
+    restoreLabel: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'restoreLabel')
+    }
+  },
+  data() {
+    return {
+      localGeometry: null,
+      isMaximized: false,
+      isDragging: false,
+      isResizing: false
+    }
+  },
+  computed: {
+    geometryDialogClasses() {
+      return {
+        'b-modal-draggable': this.draggable && !this.isMaximized,
+        'b-modal-positioned': Boolean(this.localGeometry) && !this.isMaximized,
+        'b-modal-maximized': this.isMaximized,
+        'b-modal-dragging': this.isDragging,
+        'b-modal-resizing': this.isResizing
+      }
+    },
+    geometryDialogStyles() {
+      const geometry = this.localGeometry
+      if (!geometry || this.isMaximized) {
+        return {}
+      }
+      const px = value => (value === null ? null : `${value}px`)
+      return {
+        left: px(geometry.left),
+        top: px(geometry.top),
+        width: px(geometry.width),
+        height: px(geometry.height)
+      }
+    }
+  },
+  watch: {
+    geometry(newVal) {
+      this.setGeometry(newVal)
+    },
+    isVisible(newVal) {
+      const method = newVal ? eventOn : eventOff
+      if (isBrowser) {
+        method(window, 'resize', this.fitGeometry, EVENT_OPTIONS)
+      }
+      if (newVal) {
+        this.fitGeometry()
+      } else {
+        this.stopGeometryListeners()
+      }
+    }
+  },
+  created() {
+    // Non-reactive drag/resize state
+    this._geometryStart = null
+    this.setGeometry(this.geometry)
+  },
+  beforeDestroy() {
+    if (isBrowser) {
+      eventOff(window, 'resize', this.fitGeometry, EVENT_OPTIONS)
+    }
+    this.stopGeometryListeners()
+  },
+  methods: {
+    // Public method to toggle the maximized state of the dialog
+    toggleMaximize() {
+      this.isMaximized = !this.isMaximized
+      this.emitGeometry()
+    },
+    // Private methods
+    setGeometry(geometry) {
+      if (!isPlainObject(geometry)) {
+        this.localGeometry = null
+        this.isMaximized = false
+        return
+      }
+      const left = toNumberOrNull(geometry.left)
+      const top = toNumberOrNull(geometry.top)
+      this.localGeometry =
+        left === null || top === null
+          ? null
+          : {
+              left,
+              top,
+              width: toNumberOrNull(geometry.width),
+              height: toNumberOrNull(geometry.height)
+            }
+      this.isMaximized = Boolean(geometry.maximized)
+    },
+    getGeometry() {
+      return { ...(this.localGeometry || {}), maximized: this.isMaximized }
+    },
+    emitGeometry() {
+      this.$emit('update:geometry', this.getGeometry())
+    },
+    getSizeLimits() {
+      const viewport = getViewport()
+      const maxWidth = Math.min(this.maxWidth || viewport.width, viewport.width)
+      const maxHeight = Math.min(this.maxHeight || viewport.height, viewport.height)
+      return {
+        viewport,
+        minWidth: Math.min(this.minWidth || 0, maxWidth),
+        minHeight: Math.min(this.minHeight || 0, maxHeight),
+        maxWidth,
+        maxHeight
+      }
+    },
+    // Keep the dialog within the viewport, i.e. when re-opened
+    // with a persisted geometry or after the window is resized
+    fitGeometry() {
+      const geometry = this.localGeometry
+      if (!geometry || !isBrowser) {
+        return
+      }
+      const { viewport, minWidth, minHeight, maxWidth, maxHeight } = this.getSizeLimits()
+      const width = geometry.width === null ? null : clamp(geometry.width, minWidth, maxWidth)
+      const height = geometry.height === null ? null : clamp(geometry.height, minHeight, maxHeight)
+      const left = clamp(geometry.left, 0, Math.max(viewport.width - (width || 0), 0))
+      const top = clamp(geometry.top, 0, Math.max(viewport.height - (height || 0), 0))
+      if (
+        width !== geometry.width ||
+        height !== geometry.height ||
+        left !== geometry.left ||
+        top !== geometry.top
+      ) {
+        this.localGeometry = { left, top, width, height }
+      }
+    },
+    // Start a drag or resize. `direction` is `null` for drags
+    startGeometryChange(evt, direction) {
+      const dialog = this.$refs.dialog
+      if (this.isMaximized || !dialog || (evt.type === 'mousedown' && evt.button !== 0)) {
+        return
+      }
+      const rect = getBCR(dialog)
+      const geometry = this.localGeometry || {}
+      this._geometryStart = {
+        direction,
+        point: getClientPoint(evt),
+        left: rect.left,
+        top: rect.top,
+        width: rect.width,
+        height: rect.height
+      }
+      // Width is fixed from now on, as the positioned dialog would otherwise
+      // shrink to fit its content. The height is only fixed once resized
+      this.localGeometry = {
+        left: rect.left,
+        top: rect.top,
+        width: rect.width,
+        height: direction ? rect.height : toNumberOrNull(geometry.height)
+      }
+      this.isDragging = !direction
+      this.isResizing = Boolean(direction)
+      this.setGeometryListeners(evt.type === 'touchstart')
+    },
+    onHeaderDragStart(evt) {
+      if (!this.draggable || isHeaderControl(evt.target)) {
+        return
+      }
+      if (evt.type === 'mousedown') {
+        // Prevent text selection while dragging
+        evt.preventDefault()
+      }
+      this.startGeometryChange(evt, null)
+    },
+    onHeaderDblclick(evt) {
+      if (this.maximizable && !isHeaderControl(evt.target)) {
+        this.toggleMaximize()
+      }
+    },
+    onResizeStart(evt, direction) {
+      if (evt.type === 'mousedown') {
+        evt.preventDefault()
+      }
+      this.startGeometryChange(evt, direction)
+    },
+    onGeometryMove(evt) {
+      const start = this._geometryStart
+      if (!start) {
+        /* istanbul ignore next */
+        return
+      }
+      const point = getClientPoint(evt)
+      const dx = point.x - start.point.x
+      const dy = point.y - start.point.y
+      const { viewport, minWidth, minHeight, maxWidth, maxHeight } = this.getSizeLimits()
+      const direction = start.direction || ''
+      let { left, top, width, height } = start
+      if (!direction) {
+        // Drag, constrained to the viewport
+        left = clamp(left + dx, 0, Math.max(viewport.width - width, 0))
+        top = clamp(top + dy, 0, Math.max(viewport.height - height, 0))
+        this.localGeometry = { ...this.localGeometry, left, top }
+        return
+      }
+      // Resize, constrained to the size limits and the viewport
+      if (/e/.test(direction)) {
+        width = clamp(width + dx, minWidth, Math.min(maxWidth, viewport.width - left))
+      } else if (/w/.test(direction)) {
+        const right = left + width
+        width = clamp(width - dx, minWidth, Math.min(maxWidth, right))
+        left = right - width
+      }
+      if (/s/.test(direction)) {
+        height = clamp(height + dy, minHeight, Math.min(maxHeight, viewport.height - top))
+      } else if (/n/.test(direction)) {
+        const bottom = top + height
+        height = clamp(height - dy, minHeight, Math.min(maxHeight, bottom))
+        top = bottom - height
+      }
+      this.localGeometry = { left, top, width, height }
+    },
+    onGeometryEnd() {
+      this.stopGeometryListeners()
+      this.emitGeometry()
+    },
+    setGeometryListeners(touch) {
+      eventOn(document, touch ? 'touchmove' : 'mousemove', this.onGeometryMove, EVENT_OPTIONS)
+      eventOn(document, touch ? 'touchend' : 'mouseup', this.onGeometryEnd, EVENT_OPTIONS)
+    },
+    stopGeometryListeners() {
+      if (isBrowser) {
+        eventOff(document, 'mousemove', this.onGeometryMove, EVENT_OPTIONS)
+        eventOff(document, 'mouseup', this.onGeometryEnd, EVENT_OPTIONS)
+        eventOff(document, 'touchmove', this.onGeometryMove, EVENT_OPTIONS)
+        eventOff(document, 'touchend', this.onGeometryEnd, EVENT_OPTIONS)
+      }
+      this._geometryStart = null
+      this.isDragging = false
+      this.isResizing = false
+    },
+    // Render helpers
+    makeMaximizeButton(h) {
+      const label = this.isMaximized ? this.restoreLabel : this.maximizeLabel
+      const textVariant = this.headerCloseVariant || this.headerTextVariant
+      return h(
+        'button',
+        {
+          staticClass: 'close b-modal-maximize',
+          class: textVariant ? `text-${textVariant}` : null,
+          attrs: {
+            type: 'button',
+            disabled: this.isTransitioning || null,
+            'aria-label': label,
+            title: label
+          },
+          on: { click: this.toggleMaximize }
+        },
+        [
+          this.normalizeSlot('modal-header-maximize', { maximized: this.isMaximized }) ||
+            h('span', { attrs: { 'aria-hidden': 'true' } }, this.isMaximized ? '❐' : '□')
+        ]
+      )
+    },
+    makeResizeHandles(h) {
+      if (!this.resizable || this.isMaximized) {
+        return [h()]
+      }
+      return RESIZE_DIRECTIONS.map(direction => {
+        const handler = evt => {
+          this.onResizeStart(evt, direction)
+        }
+        return h('div', {
+          key: `resize-${direction}`,
+          staticClass: 'b-modal-resize-handle',
+          class: `b-modal-resize-handle-${direction}`,
+          attrs: { 'aria-hidden': 'true' },
+          on: { mousedown: handler, touchstart: handler }
+        })
+      })
+    }
+  }
+}
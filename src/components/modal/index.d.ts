@@ -10,12 +10,21 @@ export declare class BModal extends BvComponent {
   // Public methods
   show: () => void
   hide: (trigger?: string) => void
+  toggleMaximize: () => void
 }
 
 // --- Types ---
 export type BvMsgBoxData = boolean | null | BvModalEvent | any
 
 // --- Interfaces ---
+export interface BvModalGeometry {
+  left?: number
+  top?: number
+  width?: number | null
+  height?: number | null
+  maximized?: boolean
+}
+
 export interface BvModalEvent extends BvEvent {
   readonly trigger: string | null
   // Future
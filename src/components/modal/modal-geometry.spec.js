@@ -0,0 +1,239 @@
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BModal from './modal'
+
+// JSDOM viewport is 1024 x 768
+const DIALOG_RECT = { left: 262, top: 28, width: 500, height: 300 }
+
+const mountModal = async propsData => {
+  const wrapper = mount(BModal, {
+    attachToDocument: true,
+    stubs: { transition: false },
+    propsData: { static: true, id: 'test', visible: true, noFade: true, ...propsData }
+  })
+  await waitNT(wrapper.vm)
+  await waitRAF()
+  await waitNT(wrapper.vm)
+  await waitRAF()
+  // Mock the position of the dialog in the viewport
+  wrapper.find('.modal-dialog').element.getBoundingClientRect = () => ({ ...DIALOG_RECT })
+  return wrapper
+}
+
+const mouseMove = (x, y) => {
+  document.dispatchEvent(new MouseEvent('mousemove', { clientX: x, clientY: y }))
+}
+
+const mouseUp = () => {
+  document.dispatchEvent(new MouseEvent('mouseup'))
+}
+
+const getStyle = wrapper => {
+  const style = wrapper.find('.modal-dialog').element.style
+  return { left: style.left, top: style.top, width: style.width, height: style.height }
+}
+
+describe('modal > geometry', () => {
+  it('can be dragged by its header within the viewport', async () => {
+    const wrapper = await mountModal({ draggable: true })
+    const $dialog = wrapper.find('.modal-dialog')
+    const $header = wrapper.find('.modal-header')
+    expect($dialog.classes()).toContain('b-modal-draggable')
+    expect($dialog.classes()).not.toContain('b-modal-positioned')
+    expect(getStyle(wrapper)).toEqual({ left: '', top: '', width: '', height: '' })
+
+    $header.trigger('mousedown', { clientX: 300, clientY: 50 })
+    mouseMove(400, 100)
+    await waitNT(wrapper.vm)
+    expect($dialog.classes()).toContain('b-modal-positioned')
+    expect($dialog.classes()).toContain('b-modal-dragging')
+    // The height is not fixed by dragging
+    expect(getStyle(wrapper)).toEqual({ left: '362px', top: '78px', width: '500px', height: '' })
+    expect(wrapper.emitted('update:geometry')).not.toBeDefined()
+
+    // Constrained to the viewport
+    mouseMove(-1000, -1000)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({ left: '0px', top: '0px', width: '500px', height: '' })
+    mouseMove(5000, 5000)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({ left: '524px', top: '468px', width: '500px', height: '' })
+
+    mouseUp()
+    await waitNT(wrapper.vm)
+    expect($dialog.classes()).not.toContain('b-modal-dragging')
+    expect(wrapper.emitted('update:geometry').length).toBe(1)
+    expect(wrapper.emitted('update:geometry')[0][0]).toEqual({
+      left: 524,
+      top: 468,
+      width: 500,
+      height: null,
+      maximized: false
+    })
+    // Listeners are removed
+    mouseMove(400, 100)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper).left).toEqual('524px')
+
+    // Controls in the header don't start a drag
+    wrapper.find('.modal-header .close').trigger('mousedown', { clientX: 300, clientY: 50 })
+    mouseMove(400, 100)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper).left).toEqual('524px')
+
+    wrapper.destroy()
+  })
+
+  it('is not draggable by default', async () => {
+    const wrapper = await mountModal()
+    const $dialog = wrapper.find('.modal-dialog')
+    expect($dialog.classes()).not.toContain('b-modal-draggable')
+    expect(wrapper.find('.b-modal-resize-handle').exists()).toBe(false)
+    expect(wrapper.find('.b-modal-maximize').exists()).toBe(false)
+
+    wrapper.find('.modal-header').trigger('mousedown', { clientX: 300, clientY: 50 })
+    mouseMove(400, 100)
+    await waitNT(wrapper.vm)
+    expect($dialog.classes()).not.toContain('b-modal-positioned')
+    expect(getStyle(wrapper)).toEqual({ left: '', top: '', width: '', height: '' })
+
+    wrapper.destroy()
+  })
+
+  it('can be resized via its handles within the size limits', async () => {
+    const wrapper = await mountModal({ resizable: true, maxWidth: 700 })
+    const $handles = wrapper.findAll('.modal-content > .b-modal-resize-handle')
+    expect($handles.length).toBe(8)
+    expect($handles.at(0).attributes('aria-hidden')).toBe('true')
+    const $se = wrapper.find('.b-modal-resize-handle-se')
+    const $nw = wrapper.find('.b-modal-resize-handle-nw')
+
+    $se.trigger('mousedown', { clientX: 762, clientY: 328 })
+    mouseMove(862, 428)
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.modal-dialog').classes()).toContain('b-modal-resizing')
+    expect(getStyle(wrapper)).toEqual({
+      left: '262px',
+      top: '28px',
+      width: '600px',
+      height: '400px'
+    })
+    // Minimum size
+    mouseMove(0, 0)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({
+      left: '262px',
+      top: '28px',
+      width: '200px',
+      height: '100px'
+    })
+    // Maximum size (`max-width` prop and bottom of the viewport)
+    mouseMove(2000, 2000)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({
+      left: '262px',
+      top: '28px',
+      width: '700px',
+      height: '740px'
+    })
+    mouseUp()
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:geometry')[0][0]).toEqual({
+      left: 262,
+      top: 28,
+      width: 700,
+      height: 740,
+      maximized: false
+    })
+
+    // Resizing from the top left corner moves the dialog
+    $nw.trigger('mousedown', { clientX: 262, clientY: 28 })
+    mouseMove(162, 8)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({
+      left: '162px',
+      top: '8px',
+      width: '600px',
+      height: '320px'
+    })
+    // Constrained to the viewport
+    mouseMove(-100, -100)
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({ left: '62px', top: '0px', width: '700px', height: '328px' })
+    mouseUp()
+
+    wrapper.destroy()
+  })
+
+  it('can be maximized and restored', async () => {
+    const wrapper = await mountModal({ maximizable: true, draggable: true, resizable: true })
+    const $dialog = wrapper.find('.modal-dialog')
+    const $button = wrapper.find('.modal-header button.b-modal-maximize')
+    expect($button.exists()).toBe(true)
+    expect($button.attributes('type')).toBe('button')
+    expect($button.attributes('aria-label')).toBe('Maximize')
+    // Placed before the close button
+    expect($button.element.nextElementSibling.getAttribute('aria-label')).toBe('Close')
+
+    $button.trigger('click')
+    await waitNT(wrapper.vm)
+    expect($dialog.classes()).toContain('b-modal-maximized')
+    expect($dialog.classes()).not.toContain('b-modal-draggable')
+    expect($button.attributes('aria-label')).toBe('Restore')
+    expect(wrapper.find('.b-modal-resize-handle').exists()).toBe(false)
+    expect(wrapper.emitted('update:geometry')[0][0]).toEqual({ maximized: true })
+
+    // Can't be dragged while maximized
+    wrapper.find('.modal-header').trigger('mousedown', { clientX: 300, clientY: 50 })
+    mouseMove(400, 100)
+    mouseUp()
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper).left).toEqual('')
+    expect(wrapper.emitted('update:geometry').length).toBe(1)
+
+    // Double click on the header restores
+    wrapper.find('.modal-title').trigger('dblclick')
+    await waitNT(wrapper.vm)
+    expect($dialog.classes()).not.toContain('b-modal-maximized')
+    expect($button.attributes('aria-label')).toBe('Maximize')
+    expect(wrapper.emitted('update:geometry')[1][0]).toEqual({ maximized: false })
+
+    // Via the slot scope
+    wrapper.vm.slotScope.toggleMaximize()
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.slotScope.maximized).toBe(true)
+
+    wrapper.destroy()
+  })
+
+  it('reopens with the geometry from the prop, fitted to the viewport', async () => {
+    const wrapper = await mountModal({
+      visible: false,
+      geometry: { left: 900, top: 700, width: 1500, height: 300, maximized: false }
+    })
+    expect(wrapper.find('.modal-dialog').classes()).toContain('b-modal-positioned')
+
+    wrapper.setProps({ visible: true })
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    await waitNT(wrapper.vm)
+    expect(getStyle(wrapper)).toEqual({
+      left: '0px',
+      top: '468px',
+      width: '1024px',
+      height: '300px'
+    })
+
+    wrapper.setProps({ geometry: { maximized: true } })
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.modal-dialog').classes()).toContain('b-modal-maximized')
+    expect(wrapper.find('.modal-dialog').classes()).not.toContain('b-modal-positioned')
+    expect(getStyle(wrapper)).toEqual({ left: '', top: '', width: '', height: '' })
+
+    wrapper.setProps({ geometry: null })
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.modal-dialog').classes()).not.toContain('b-modal-maximized')
+
+    wrapper.destroy()
+  })
+})
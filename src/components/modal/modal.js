@@ -1,6 +1,7 @@
 import Vue from '../../utils/vue'
 import modalManager from './helpers/modal-manager'
 import BvModalEvent from './helpers/bv-modal-event.class'
+import modalGeometryMixin from './helpers/mixin-modal-geometry'
 import idMixin from '../../mixins/id'
 import listenOnRootMixin from '../../mixins/listen-on-root'
 import normalizeSlotMixin from '../../mixins/normalize-slot'
@@ -260,7 +261,7 @@ export const props = {
 // @vue/component
 export const BModal = /*#__PURE__*/ Vue.extend({
   name: NAME,
-  mixins: [idMixin, listenOnRootMixin, normalizeSlotMixin],
+  mixins: [idMixin, listenOnRootMixin, normalizeSlotMixin, modalGeometryMixin],
   inheritAttrs: false,
   model: {
     prop: 'visible',
@@ -313,6 +314,7 @@ export const BModal = /*#__PURE__*/ Vue.extend({
           'modal-dialog-centered': this.centered,
           'modal-dialog-scrollable': this.scrollable
         },
+        this.geometryDialogClasses,
         this.dialogClass
       ]
     },
@@ -361,7 +363,9 @@ export const BModal = /*#__PURE__*/ Vue.extend({
         cancel: this.onCancel,
         close: this.onClose,
         hide: this.hide,
-        visible: this.isVisible
+        visible: this.isVisible,
+        toggleMaximize: this.toggleMaximize,
+        maximized: this.isMaximized
       }
     }
   },
@@ -771,6 +775,7 @@ export const BModal = /*#__PURE__*/ Vue.extend({
       if (!this.hideHeader) {
         let modalHeader = this.normalizeSlot('modal-header', this.slotScope)
         if (!modalHeader) {
+          const maximizeButton = this.maximizable ? this.makeMaximizeButton(h) : h()
           let closeButton = h()
           if (!this.hideHeaderClose) {
             closeButton = h(
@@ -801,6 +806,7 @@ export const BModal = /*#__PURE__*/ Vue.extend({
               },
               [this.normalizeSlot('modal-title', this.slotScope) || stripTags(this.title)]
             ),
+            maximizeButton,
             closeButton
           ]
         }
@@ -810,7 +816,12 @@ export const BModal = /*#__PURE__*/ Vue.extend({
             ref: 'header',
             staticClass: 'modal-header',
             class: this.headerClasses,
-            attrs: { id: this.safeId('__BV_modal_header_') }
+            attrs: { id: this.safeId('__BV_modal_header_') },
+            on: {
+              mousedown: this.onHeaderDragStart,
+              touchstart: this.onHeaderDragStart,
+              dblclick: this.onHeaderDblclick
+            }
           },
           [modalHeader]
         )
@@ -895,7 +906,7 @@ export const BModal = /*#__PURE__*/ Vue.extend({
             tabindex: '-1'
           }
         },
-        [header, body, footer]
+        [header, body, footer, ...this.makeResizeHandles(h)]
       )
 
       // Tab trap to prevent page from scrolling to next element in
@@ -914,6 +925,7 @@ export const BModal = /*#__PURE__*/ Vue.extend({
           ref: 'dialog',
           staticClass: 'modal-dialog',
           class: this.dialogClasses,
+          style: this.geometryDialogStyles,
           on: { mousedown: this.onDialogMousedown }
         },
         [tabTrapTop, modalContent, tabTrapBottom]
@@ -0,0 +1,8 @@
+/**
+ * Plugin for adding `$bvPopover` property to all Vue instances
+ */
+
+import PopOver from '../../../utils/popover.class'
+import { makeToolpopPlugin } from '../../tooltip/helpers/bv-toolpop'
+
+export const BVPopoverPlugin = /*#__PURE__*/ makeToolpopPlugin('$bvPopover', 'BPopover', PopOver)
@@ -0,0 +1,222 @@
+import { mount, createLocalVue as CreateLocalVue } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../../tests/utils'
+import { PopoverPlugin } from '../index'
+
+describe('$bvPopover', () => {
+  const localVue = new CreateLocalVue()
+  const originalCreateRange = document.createRange
+  const origGetBCR = Element.prototype.getBoundingClientRect
+
+  beforeAll(() => {
+    localVue.use(PopoverPlugin)
+  })
+
+  beforeEach(() => {
+    // Hack to make Popper not bork out during tests
+    document.createRange = () => ({
+      setStart: () => {},
+      setEnd: () => {},
+      commonAncestorContainer: {
+        nodeName: 'BODY',
+        ownerDocument: document
+      }
+    })
+    // Mock getBCR so that the isVisible(el) test returns true
+    Element.prototype.getBoundingClientRect = jest.fn(() => ({
+      width: 24,
+      height: 24,
+      top: 0,
+      left: 0,
+      bottom: 0,
+      right: 0
+    }))
+  })
+
+  afterEach(() => {
+    document.createRange = originalCreateRange
+    Element.prototype.getBoundingClientRect = origGetBCR
+  })
+
+  const Cmp = localVue.extend({
+    render(h) {
+      return h('button', { staticClass: 'btn', attrs: { type: 'button' } }, 'component')
+    }
+  })
+
+  const App = localVue.extend({
+    render(h) {
+      return h('div', [
+        h('button', { attrs: { id: 'target', type: 'button' } }, 'button'),
+        h(Cmp, { ref: 'cmp' })
+      ])
+    }
+  })
+
+  const waitForTip = async vm => {
+    await waitNT(vm)
+    await waitRAF()
+    await waitNT(vm)
+    await waitRAF()
+    jest.runOnlyPendingTimers()
+  }
+
+  it('$bvPopover.show() shows a popover and returns a handle', async () => {
+    jest.useFakeTimers()
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue
+    })
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.$bvPopover).toBeDefined()
+    const $button = wrapper.find('#target')
+    const shown = jest.fn()
+    const hidden = jest.fn()
+    wrapper.vm.$root.$on('bv::popover::shown', shown)
+    wrapper.vm.$root.$on('bv::popover::hidden', hidden)
+
+    const handle = wrapper.vm.$bvPopover.show('target', {
+      title: '<b>Title</b>',
+      content: 'Content',
+      html: true,
+      placement: 'bottom',
+      variant: 'danger'
+    })
+    expect(handle).toBeDefined()
+    expect(typeof handle.update).toEqual('function')
+    expect(typeof handle.hide).toEqual('function')
+    await waitForTip(wrapper.vm)
+
+    const adb = $button.attributes('aria-describedby')
+    expect(adb).toBeDefined()
+    const tip = document.getElementById(adb)
+    expect(tip).not.toBe(null)
+    expect(tip.classList.contains('popover')).toBe(true)
+    expect(tip.classList.contains('b-popover-danger')).toBe(true)
+    expect(tip.classList.contains('bs-popover-bottom')).toBe(true)
+    expect(tip.querySelector('.popover-header').innerHTML).toEqual('<b>Title</b>')
+    expect(tip.querySelector('.popover-body').innerHTML).toEqual('Content')
+    expect(shown).toHaveBeenCalledTimes(1)
+
+    // No triggers by default
+    $button.trigger('click')
+    await waitForTip(wrapper.vm)
+    expect(document.body.contains(tip)).toBe(true)
+
+    // Update the content of the shown popover
+    handle.update({ content: 'Updated' })
+    expect(tip.querySelector('.popover-body').innerHTML).toEqual('Updated')
+    expect(tip.querySelector('.popover-header').innerHTML).toEqual('<b>Title</b>')
+    expect(tip.classList.contains('show')).toBe(true)
+
+    // Hide (and destroy) the popover
+    handle.hide()
+    await waitForTip(wrapper.vm)
+    expect(document.body.contains(tip)).toBe(false)
+    expect($button.attributes('aria-describedby')).not.toBeDefined()
+    expect(hidden).toHaveBeenCalledTimes(1)
+    // Handle is a no-op once destroyed
+    handle.update({ content: 'foo' })
+    handle.hide()
+
+    wrapper.destroy()
+  })
+
+  it('$bvPopover.show() accepts component and virtual element targets', async () => {
+    jest.useFakeTimers()
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue
+    })
+    await waitNT(wrapper.vm)
+
+    // Component reference, with triggers
+    wrapper.vm.$bvPopover.show(wrapper.vm.$refs.cmp, {
+      content: '<i>Component</i>',
+      html: true,
+      triggers: 'click'
+    })
+    await waitForTip(wrapper.vm)
+    const $cmp = wrapper.find('.btn')
+    const tip = document.getElementById($cmp.attributes('aria-describedby'))
+    expect(tip).not.toBe(null)
+    // Hidden via its trigger, which destroys it
+    // (as the popover was shown programmatically, the first click activates the trigger)
+    $cmp.trigger('click')
+    await waitForTip(wrapper.vm)
+    expect(document.body.contains(tip)).toBe(true)
+    $cmp.trigger('click')
+    await waitForTip(wrapper.vm)
+    expect(document.body.contains(tip)).toBe(false)
+    expect($cmp.attributes('aria-describedby')).not.toBeDefined()
+    // Trigger listeners are removed
+    $cmp.trigger('click')
+    await waitForTip(wrapper.vm)
+    expect($cmp.attributes('aria-describedby')).not.toBeDefined()
+
+    // Virtual element
+    const positioner = { update: jest.fn(), destroy: jest.fn() }
+    const positioning = { create: jest.fn(() => positioner) }
+    const virtualElement = {
+      getBoundingClientRect: () => ({ top: 10, left: 10, bottom: 10, right: 10 })
+    }
+    const handle = wrapper.vm.$bvPopover.show(virtualElement, {
+      content: '<i>Virtual</i>',
+      html: true,
+      positioning
+    })
+    await waitForTip(wrapper.vm)
+    expect(positioning.create).toHaveBeenCalledTimes(1)
+    expect(positioning.create.mock.calls[0][0]).toBe(virtualElement)
+    const virtualTip = positioning.create.mock.calls[0][1]
+    expect(document.body.contains(virtualTip)).toBe(true)
+    // Repositions when updated without options
+    handle.update()
+    expect(positioner.update).toHaveBeenCalled()
+
+    // Hide all popovers via $root event
+    wrapper.vm.$bvPopover.hide()
+    await waitForTip(wrapper.vm)
+    expect(document.body.contains(virtualTip)).toBe(false)
+    expect(positioner.destroy).toHaveBeenCalled()
+
+    wrapper.destroy()
+  })
+
+  it('destroys the popover when the calling component is destroyed', async () => {
+    jest.useFakeTimers()
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue
+    })
+    await waitNT(wrapper.vm)
+
+    const handle = wrapper.vm.$bvPopover.show(document.getElementById('target'), {
+      content: '<i>Content</i>',
+      html: true
+    })
+    await waitForTip(wrapper.vm)
+    const tip = document.getElementById(wrapper.find('#target').attributes('aria-describedby'))
+    expect(tip).not.toBe(null)
+
+    wrapper.destroy()
+    expect(document.body.contains(tip)).toBe(false)
+    // No errors when using the handle afterwards
+    handle.update({ content: 'foo' })
+    handle.hide()
+  })
+
+  it('$bvPopover.show() warns when the target is not found', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue
+    })
+    await waitNT(wrapper.vm)
+
+    expect(wrapper.vm.$bvPopover.show('not-found', { content: 'foo' })).toBe(null)
+    expect(warn).toHaveBeenCalledTimes(1)
+
+    warn.mockRestore()
+    wrapper.destroy()
+  })
+})
@@ -2,10 +2,64 @@
 // Popover
 //
 import Vue from 'vue'
-import { BvPlugin, BvComponent } from '../../'
+import { BvPlugin, BvComponent, BvPositioningAdapter, BvVirtualElement } from '../../'
 
 // Plugin
 export declare const PopoverPlugin: BvPlugin
 
 // Component: b-popover
 export declare class BPopover extends BvComponent {}
+
+//
+// Interfaces
+//
+export interface BvPopoverOptions {
+  title?: string | HTMLElement | (() => string | HTMLElement)
+  content?: string | HTMLElement | (() => string | HTMLElement)
+  placement?: string
+  fallbackPlacement?: string | string[]
+  triggers?: string | string[]
+  variant?: string
+  customClass?: string
+  delay?: number | string | { show?: number; hide?: number }
+  offset?: number | string
+  container?: string
+  boundary?: string | HTMLElement
+  boundaryPadding?: number
+  flipBoundary?: string | HTMLElement
+  noFade?: boolean
+  html?: boolean
+  interactive?: boolean
+  group?: string
+  positioning?: BvPositioningAdapter
+  // Catch all
+  [key: string]: any
+}
+
+export interface BvPopoverHandle {
+  // Update the options of the popover, or its position if no options given
+  update: (options?: BvPopoverOptions) => void
+  // Hide (and destroy) the popover
+  hide: () => void
+}
+
+export interface BvPopover {
+  // Show a popover on the target
+  show: (
+    target: string | HTMLElement | Vue | BvVirtualElement | (() => any),
+    options?: BvPopoverOptions
+  ) => BvPopoverHandle | null
+
+  // Hide a popover by trigger element id (or hide all popovers)
+  hide: (id?: string) => void
+}
+
+//
+// Vue Prototype Injections
+//
+declare module 'vue/types/vue' {
+  interface Vue {
+    // Popover injection
+    readonly $bvPopover: BvPopover
+  }
+}
@@ -1,10 +1,13 @@
+import { BVPopoverPlugin } from './helpers/bv-popover'
 import { BPopover } from './popover'
 import { VBPopover } from '../../directives/popover/popover'
 import { pluginFactory } from '../../utils/plugins'
 
 const PopoverPlugin = /*#__PURE__*/ pluginFactory({
   components: { BPopover },
-  directives: { VBPopover }
+  directives: { VBPopover },
+  // $bvPopover injection
+  plugins: { BVPopoverPlugin }
 })
 
 export { PopoverPlugin, BPopover }
@@ -15,7 +15,9 @@ const appDef = {
     'titleAttr',
     'btnDisabled',
     'variant',
-    'customClass'
+    'customClass',
+    'interactive',
+    'delay'
   ],
   render(h) {
     return h('article', { attrs: { id: 'wrapper' } }, [
@@ -42,7 +44,9 @@ const appDef = {
             disabled: this.disabled,
             noFade: this.noFade || false,
             variant: this.variant,
-            customClass: this.customClass
+            customClass: this.customClass,
+            interactive: this.interactive || false,
+            delay: this.delay || 0
           }
         },
         [h('template', { slot: 'title' }, this.$slots.title), this.$slots.default || '']
@@ -223,4 +227,163 @@ describe('b-popover', () => {
 
     wrapper.destroy()
   })
+
+  it('interactive popover stays open while the pointer travels into it', async () => {
+    jest.useFakeTimers()
+    const App = localVue.extend(appDef)
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue,
+      propsData: {
+        triggers: 'hover',
+        noFade: true,
+        interactive: true
+      },
+      slots: {
+        title: 'title',
+        default: 'content'
+      }
+    })
+    const waitForTip = async () => {
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      jest.runOnlyPendingTimers()
+    }
+    const dispatch = (el, type, options = {}) => {
+      el.dispatchEvent(new MouseEvent(type, options))
+    }
+
+    await waitForTip()
+    const $button = wrapper.find('button')
+    const button = $button.element
+
+    // Pointer moves directly from the trigger element into the popover
+    $button.trigger('mouseenter')
+    await waitForTip()
+    const adb = $button.attributes('aria-describedby')
+    expect(adb).toBeDefined()
+    let tip = document.querySelector(`#${adb}`)
+    expect(tip).not.toBe(null)
+    dispatch(button, 'mouseleave', { relatedTarget: tip })
+    dispatch(tip, 'mouseenter')
+    await waitForTip()
+    expect(document.querySelector(`#${adb}`)).toBe(tip)
+
+    // Pointer leaves the popover
+    dispatch(tip, 'mouseleave', { relatedTarget: document.body })
+    await waitForTip()
+    expect($button.attributes('aria-describedby')).not.toBeDefined()
+    expect(document.body.contains(tip)).toBe(false)
+
+    // Pointer travels within the safe triangle towards the popover below
+    $button.trigger('mouseenter')
+    await waitForTip()
+    tip = document.querySelector(`#${$button.attributes('aria-describedby')}`)
+    tip.getBoundingClientRect = () => ({ top: 100, bottom: 200, left: 0, right: 200 })
+    dispatch(button, 'mouseleave', { clientX: 100, clientY: 50 })
+    dispatch(document, 'mousemove', { clientX: 100, clientY: 80 })
+    jest.advanceTimersByTime(200)
+    dispatch(document, 'mousemove', { clientX: 60, clientY: 90 })
+    jest.advanceTimersByTime(200)
+    await waitNT(wrapper.vm)
+    expect(document.body.contains(tip)).toBe(true)
+    dispatch(tip, 'mouseenter')
+    jest.advanceTimersByTime(1000)
+    await waitNT(wrapper.vm)
+    expect(document.body.contains(tip)).toBe(true)
+
+    // Pointer leaves the safe triangle
+    dispatch(tip, 'mouseleave', { relatedTarget: button })
+    $button.trigger('mouseenter')
+    dispatch(button, 'mouseleave', { clientX: 100, clientY: 50 })
+    dispatch(document, 'mousemove', { clientX: 10, clientY: 60 })
+    await waitForTip()
+    expect(document.body.contains(tip)).toBe(false)
+
+    // Pointer rests on its way to the popover
+    $button.trigger('mouseenter')
+    await waitForTip()
+    tip = document.querySelector(`#${$button.attributes('aria-describedby')}`)
+    tip.getBoundingClientRect = () => ({ top: 100, bottom: 200, left: 0, right: 200 })
+    dispatch(button, 'mouseleave', { clientX: 100, clientY: 50 })
+    dispatch(document, 'mousemove', { clientX: 100, clientY: 80 })
+    jest.advanceTimersByTime(300)
+    await waitForTip()
+    expect(document.body.contains(tip)).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('interactive popover stays open while focus is within it', async () => {
+    jest.useFakeTimers()
+    const App = localVue.extend(appDef)
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue,
+      propsData: {
+        triggers: 'hover',
+        noFade: true,
+        interactive: true,
+        delay: { show: 0, hide: 100 }
+      },
+      slots: {
+        title: 'title',
+        default: '<a href="#" id="link">link</a>'
+      }
+    })
+    const waitForTip = async () => {
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      jest.runOnlyPendingTimers()
+    }
+
+    await waitForTip()
+    const $button = wrapper.find('button')
+    $button.trigger('mouseenter')
+    await waitForTip()
+    const tip = document.querySelector(`#${$button.attributes('aria-describedby')}`)
+    expect(tip).not.toBe(null)
+    const link = tip.querySelector('#link')
+
+    // Focus moves into the popover, and the pointer leaves it
+    $button.element.dispatchEvent(new MouseEvent('mouseleave', { relatedTarget: tip }))
+    // JSDOM doesn't fire `focusin`/`focusout` when focusing elements
+    link.focus()
+    link.dispatchEvent(new FocusEvent('focusin', { bubbles: true }))
+    expect(document.activeElement).toBe(link)
+    tip.dispatchEvent(new MouseEvent('mouseleave', { relatedTarget: document.body }))
+    await waitForTip()
+    expect(document.body.contains(tip)).toBe(true)
+
+    // ESC dismisses the popover and returns focus to the trigger element
+    const evt = new KeyboardEvent('keydown', { bubbles: true })
+    Object.defineProperty(evt, 'keyCode', { value: 27 })
+    link.dispatchEvent(evt)
+    await waitForTip()
+    expect(document.body.contains(tip)).toBe(false)
+    expect(document.activeElement).toBe($button.element)
+
+    // Hide delay is applied when focus leaves the popover
+    $button.trigger('mouseenter')
+    await waitForTip()
+    const tip2 = document.querySelector(`#${$button.attributes('aria-describedby')}`)
+    const link2 = tip2.querySelector('#link')
+    link2.focus()
+    link2.dispatchEvent(new FocusEvent('focusin', { bubbles: true }))
+    $button.element.dispatchEvent(new MouseEvent('mouseleave', { relatedTarget: tip2 }))
+    tip2.dispatchEvent(new MouseEvent('mouseleave', { relatedTarget: document.body }))
+    await waitNT(wrapper.vm)
+    expect(document.body.contains(tip2)).toBe(true)
+    link2.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: null }))
+    jest.advanceTimersByTime(50)
+    expect(document.body.contains(tip2)).toBe(true)
+    await waitForTip()
+    expect(document.body.contains(tip2)).toBe(false)
+
+    wrapper.destroy()
+  })
 })
@@ -0,0 +1,35 @@
+import { isFunction, isUndefinedOrNull } from '../../../utils/inspect'
+
+// Helper for computing a field's aggregate value (i.e. sum, average) over a set of items
+
+const toNumbers = values =>
+  values.map(val => (isUndefinedOrNull(val) ? NaN : parseFloat(val))).filter(num => !isNaN(num))
+
+const AGGREGATE_FNS = {
+  sum: values => toNumbers(values).reduce((sum, num) => sum + num, 0),
+  avg: values => {
+    const nums = toNumbers(values)
+    return nums.length > 0 ? nums.reduce((sum, num) => sum + num, 0) / nums.length : null
+  },
+  count: values => values.length,
+  min: values => {
+    const nums = toNumbers(values)
+    return nums.length > 0 ? Math.min(...nums) : null
+  },
+  max: values => {
+    const nums = toNumbers(values)
+    return nums.length > 0 ? Math.max(...nums) : null
+  }
+}
+
+// `aggregator` is either the name of a built-in aggregator, or a function
+// which is passed the array of values, the array of items and the field key
+const aggregate = (aggregator, values, items, key) => {
+  if (isFunction(aggregator)) {
+    return aggregator(values, items, key)
+  }
+  const fn = AGGREGATE_FNS[aggregator]
+  return fn ? fn(values) : null
+}
+
+export default aggregate
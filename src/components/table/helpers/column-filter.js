@@ -0,0 +1,65 @@
+import toString from '../../../utils/to-string'
+import { arrayIncludes } from '../../../utils/array'
+import { isArray, isDate, isObject, isUndefinedOrNull } from '../../../utils/inspect'
+
+// Helpers for matching item values against per-column filter criteria
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DATE_ONLY_RX = /^\d{4}-\d{2}-\d{2}$/
+
+const isEmpty = val => isUndefinedOrNull(val) || toString(val).trim() === ''
+
+const isRangeType = type => type === 'number' || type === 'date'
+
+const toNumber = val => {
+  const num = isEmpty(val) ? NaN : parseFloat(val)
+  return isNaN(num) ? null : num
+}
+
+const toTime = (val, endOfDay) => {
+  const time = isDate(val) ? val.getTime() : isEmpty(val) ? NaN : Date.parse(val)
+  if (isNaN(time)) {
+    return null
+  }
+  // Date only upper bounds include the whole day
+  return endOfDay && DATE_ONLY_RX.test(val) ? time + DAY_MS - 1 : time
+}
+
+// Returns `true` if the criteria would filter out any items
+export const isColumnFilterActive = (type, criteria) => {
+  if (isRangeType(type)) {
+    return isObject(criteria) && (!isEmpty(criteria.from) || !isEmpty(criteria.to))
+  } else if (isArray(criteria)) {
+    return criteria.length > 0
+  }
+  return !isEmpty(criteria)
+}
+
+// Returns `true` if the value matches the column filter criteria
+const columnFilterMatch = (type, criteria, value) => {
+  if (isRangeType(type)) {
+    // Range filters (inclusive), where either of the bounds can be omitted
+    const convert = type === 'number' ? toNumber : toTime
+    const val = convert(value)
+    const from = convert(criteria.from)
+    const to = convert(criteria.to, true)
+    return val !== null && (from === null || val >= from) && (to === null || val <= to)
+  } else if (type === 'select') {
+    // Exact match against one (or one of many) selected values
+    return isArray(criteria)
+      ? arrayIncludes(criteria.map(c => toString(c)), toString(value))
+      : toString(value) === toString(criteria)
+  }
+  // Text filters are a case insensitive "contains" match
+  return (
+    toString(value)
+      .toLowerCase()
+      .indexOf(
+        toString(criteria)
+          .trim()
+          .toLowerCase()
+      ) !== -1
+  )
+}
+
+export default columnFilterMatch
@@ -5,7 +5,10 @@
 export const IGNORED_FIELD_KEYS = {
   _rowVariant: true,
   _cellVariants: true,
-  _showDetails: true
+  _showDetails: true,
+  _children: true,
+  _hasChildren: true,
+  _showChildren: true
 }
 
 // Filter CSS selector for click/dblclick/etc. events
@@ -24,3 +27,18 @@ export const EVENT_FILTER = [
   '[role="button"] *',
   '[tabindex]:not(.disabled):not([disabled])'
 ].join(',')
+
+// Supported column filter types for the field definition `filter` option
+// The first type is the default
+export const COLUMN_FILTER_TYPES = ['text', 'select', 'number', 'date']
+
+// Supported built-in aggregators for the field definition `aggregate` option
+export const AGGREGATORS = ['sum', 'avg', 'count', 'min', 'max']
+
+// Supported cell editor types for the field definition `editor` option
+// The first type is the default
+export const EDITOR_TYPES = ['text', 'number', 'select', 'checkbox', 'custom']
+
+// Supported formats for exporting items
+// The first format is the default
+export const EXPORT_FORMATS = ['csv', 'tsv', 'json']
@@ -59,7 +59,13 @@ export default {
           },
           [
             h(BTd, { props: { colspan: this.computedFields.length || null } }, [
-              this.normalizeSlot(busySlotName)
+              this.normalizeSlot(busySlotName, {
+                fields: this.computedFields,
+                // Paging state (from pagination mixin)
+                totalRows: this.computedTotalRows,
+                currentPage: this.computedCurrentPage,
+                perPage: this.computedPerPage
+              })
             ])
           ]
         )
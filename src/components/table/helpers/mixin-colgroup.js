@@ -10,6 +10,16 @@ export default {
         $colgroup = h('colgroup', { key: 'colgroup' }, [
           this.normalizeSlot('table-colgroup', { columns: fields.length, fields: fields })
         ])
+      } else if (this.hasColumnWidths) {
+        // User column widths (from the columns mixin)
+        const widths = this.localColumnState.widths
+        $colgroup = h(
+          'colgroup',
+          { key: 'colgroup' },
+          fields.map(f =>
+            h('col', { key: f.key, style: widths[f.key] ? { width: `${widths[f.key]}px` } : {} })
+          )
+        )
       }
 
       return $colgroup
@@ -0,0 +1,366 @@
+import KeyCodes from '../../../utils/key-codes'
+import looseEqual from '../../../utils/loose-equal'
+import stableSort from '../../../utils/stable-sort'
+import { arrayIncludes } from '../../../utils/array'
+import { closest, eventOff, eventOn, isElement } from '../../../utils/dom'
+import { isArray, isNumber, isObject, isString } from '../../../utils/inspect'
+import { keys } from '../../../utils/object'
+import { BTr } from '../tr'
+import { BTh } from '../th'
+
+// Mixin for user resizable, re-orderable and hideable columns
+
+// Width change (in pixels) when resizing a column via the keyboard
+const RESIZE_KEYBOARD_STEP = 10
+
+// Normalize the column state into `{ order: [], widths: {}, hidden: [] }`
+const normalizeColumnState = state => {
+  state = isObject(state) ? state : {}
+  const widths = isObject(state.widths) ? state.widths : {}
+  return {
+    order: (isArray(state.order) ? state.order : []).filter(isString),
+    widths: keys(widths).reduce((obj, key) => {
+      const width = parseFloat(widths[key])
+      if (width > 0) {
+        obj[key] = width
+      }
+      return obj
+    }, {}),
+    hidden: (isArray(state.hidden) ? state.hidden : []).filter(isString)
+  }
+}
+
+export default {
+  props: {
+    columnState: {
+      // Supports `.sync` modifier
+      // `{ order: ['key', ...], widths: { key: 150, ... }, hidden: ['key', ...] }`
+      type: Object,
+      default: null
+    },
+    resizableColumns: {
+      type: Boolean,
+      default: false
+    },
+    reorderableColumns: {
+      type: Boolean,
+      default: false
+    },
+    columnChooser: {
+      type: Boolean,
+      default: false
+    },
+    minColumnWidth: {
+      type: [Number, String],
+      default: 30
+    },
+    labelColumnChooser: {
+      type: String,
+      default: 'Visible columns'
+    }
+  },
+  data() {
+    return {
+      localColumnState: normalizeColumnState(this.columnState)
+    }
+  },
+  computed: {
+    columnsTableClasses() {
+      return {
+        'b-table-resizable-columns': this.resizableColumns,
+        'b-table-reorderable-columns': this.reorderableColumns
+      }
+    },
+    computedMinColumnWidth() {
+      return Math.max(parseFloat(this.minColumnWidth) || 0, 1)
+    },
+    columnOrder() {
+      // The keys of all fields (including hidden fields) in display order
+      const order = this.localColumnState.order
+      const index = key => {
+        const idx = order.indexOf(key)
+        return idx === -1 ? order.length : idx
+      }
+      return stableSort(this.normalizedFields.map(f => f.key), (a, b) => index(a) - index(b))
+    },
+    hasColumnWidths() {
+      return keys(this.localColumnState.widths).length > 0
+    }
+  },
+  watch: {
+    columnState(newVal) {
+      const state = normalizeColumnState(newVal)
+      if (!looseEqual(state, this.localColumnState)) {
+        this.localColumnState = state
+      }
+    }
+  },
+  created() {
+    // Non reactive state for column resizing and dragging
+    this.columnResizeCtx = null
+    this.columnDragKey = null
+  },
+  beforeDestroy() {
+    this.stopColumnResize()
+  },
+  methods: {
+    // Public methods
+    setColumnWidth(key, width) {
+      this.updateColumnWidth(key, width)
+      this.emitColumnResized(key)
+    },
+    moveColumn(key, index) {
+      // Move the column to the `index` in the order of all columns (including hidden)
+      const order = this.columnOrder.slice()
+      const from = order.indexOf(key)
+      if (from === -1 || !isNumber(index)) {
+        return
+      }
+      order.splice(from, 1)
+      order.splice(Math.max(Math.min(index, order.length), 0), 0, key)
+      if (!looseEqual(order, this.columnOrder)) {
+        this.updateColumnState({ ...this.localColumnState, order })
+        this.$emit('column-reordered', order.slice(), this.cloneColumnState())
+      }
+    },
+    setColumnVisibility(key, visible) {
+      const hidden = this.localColumnState.hidden.filter(k => k !== key)
+      if (!visible) {
+        if (!this.computedFields.some(f => f.key !== key)) {
+          // We always keep at least one column visible
+          return
+        }
+        hidden.push(key)
+      }
+      if (!looseEqual(hidden, this.localColumnState.hidden)) {
+        this.updateColumnState({ ...this.localColumnState, hidden })
+        this.$emit('column-visibility-changed', key, !!visible, this.cloneColumnState())
+      }
+    },
+    // Internal private methods
+    applyColumnState(fields) {
+      // Called by `computedFields` to re-order and remove hidden fields
+      const { order, hidden } = this.localColumnState
+      if (order.length === 0 && hidden.length === 0) {
+        return fields
+      }
+      const index = key => {
+        const idx = order.indexOf(key)
+        return idx === -1 ? order.length : idx
+      }
+      return stableSort(fields, (a, b) => index(a.key) - index(b.key)).filter(
+        f => !arrayIncludes(hidden, f.key)
+      )
+    },
+    cloneColumnState() {
+      const { order, widths, hidden } = this.localColumnState
+      return { order: order.slice(), widths: { ...widths }, hidden: hidden.slice() }
+    },
+    updateColumnState(state, silent = false) {
+      this.localColumnState = state
+      if (!silent) {
+        this.$emit('update:columnState', this.cloneColumnState())
+      }
+    },
+    updateColumnWidth(key, width, silent = false) {
+      width = Math.max(Math.round(parseFloat(width) || 0), this.computedMinColumnWidth)
+      if (this.localColumnState.widths[key] !== width) {
+        const widths = { ...this.localColumnState.widths, [key]: width }
+        this.updateColumnState({ ...this.localColumnState, widths }, silent)
+      }
+    },
+    emitColumnResized(key) {
+      const width = this.localColumnState.widths[key]
+      if (width) {
+        this.$emit('column-resized', key, width, this.cloneColumnState())
+      }
+    },
+    moveColumnBy(key, direction) {
+      // Move a column past its visible neighbour in the given direction (`-1` or `1`)
+      const fields = this.computedFields
+      const idx = fields.findIndex(f => f.key === key)
+      const target = fields[idx + direction]
+      if (idx !== -1 && target) {
+        this.moveColumn(key, this.columnOrder.indexOf(target.key))
+      }
+    },
+    getColumnWidth(key, evt) {
+      const width = this.localColumnState.widths[key]
+      const th = evt && isElement(evt.target) ? closest('th', evt.target) : null
+      return width || (th ? th.offsetWidth : 0)
+    },
+    startColumnResize(evt, key) {
+      // Prevent the header cell from being dragged or clicked
+      evt.preventDefault()
+      evt.stopPropagation()
+      this.stopColumnResize()
+      this.columnResizeCtx = { key, startX: evt.clientX, startWidth: this.getColumnWidth(key, evt) }
+      eventOn(document, 'mousemove', this.onColumnResizeMove)
+      eventOn(document, 'mouseup', this.onColumnResizeEnd)
+    },
+    stopColumnResize() {
+      this.columnResizeCtx = null
+      eventOff(document, 'mousemove', this.onColumnResizeMove)
+      eventOff(document, 'mouseup', this.onColumnResizeEnd)
+    },
+    onColumnResizeMove(evt) {
+      const ctx = this.columnResizeCtx
+      if (ctx) {
+        // We only emit the column state once resizing has ended
+        this.updateColumnWidth(ctx.key, ctx.startWidth + evt.clientX - ctx.startX, true)
+      }
+    },
+    onColumnResizeEnd() {
+      const ctx = this.columnResizeCtx
+      this.stopColumnResize()
+      if (ctx && this.localColumnState.widths[ctx.key]) {
+        this.$emit('update:columnState', this.cloneColumnState())
+        this.emitColumnResized(ctx.key)
+      }
+    },
+    onColumnResizeKeydown(evt, key) {
+      const keyCode = evt.keyCode
+      if (keyCode === KeyCodes.LEFT || keyCode === KeyCodes.RIGHT) {
+        evt.preventDefault()
+        evt.stopPropagation()
+        const step = keyCode === KeyCodes.LEFT ? -RESIZE_KEYBOARD_STEP : RESIZE_KEYBOARD_STEP
+        this.setColumnWidth(key, this.getColumnWidth(key, evt) + step)
+      }
+    },
+    columnTheadThData(field) {
+      // Additional attributes and handlers for the header cell
+      // Only header cells in the `<thead>` are draggable
+      if (!this.reorderableColumns) {
+        return {}
+      }
+      const key = field.key
+      return {
+        attrs: {
+          // Header cells need to be focusable for keyboard re-ordering
+          tabindex: '0',
+          draggable: 'true',
+          'aria-roledescription': 'reorderable column header'
+        },
+        on: {
+          keydown: evt => {
+            const keyCode = evt.keyCode
+            if (evt.altKey && (keyCode === KeyCodes.LEFT || keyCode === KeyCodes.RIGHT)) {
+              evt.preventDefault()
+              const th = evt.currentTarget
+              this.moveColumnBy(key, keyCode === KeyCodes.LEFT ? -1 : 1)
+              // The header cell may lose focus when it is moved in the DOM
+              this.$nextTick(() => {
+                th.focus()
+              })
+            }
+          },
+          dragstart: evt => {
+            this.columnDragKey = key
+            if (evt.dataTransfer) {
+              evt.dataTransfer.effectAllowed = 'move'
+              // Firefox requires data to be set for the drag to start
+              evt.dataTransfer.setData('text/plain', key)
+            }
+          },
+          dragover: evt => {
+            if (this.columnDragKey && this.columnDragKey !== key) {
+              evt.preventDefault()
+              if (evt.dataTransfer) {
+                evt.dataTransfer.dropEffect = 'move'
+              }
+            }
+          },
+          drop: evt => {
+            const dragKey = this.columnDragKey
+            this.columnDragKey = null
+            if (dragKey && dragKey !== key) {
+              evt.preventDefault()
+              this.moveColumn(dragKey, this.columnOrder.indexOf(key))
+            }
+          },
+          dragend: () => {
+            this.columnDragKey = null
+          }
+        }
+      }
+    },
+    // Render helpers
+    renderColumnResizeHandle(field) {
+      const h = this.$createElement
+      if (!this.resizableColumns) {
+        return null
+      }
+      const key = field.key
+      const width = this.localColumnState.widths[key]
+      return h('span', {
+        key: `__b-table-resize-${key}__`,
+        staticClass: 'b-table-resize-handle',
+        attrs: {
+          role: 'separator',
+          tabindex: '0',
+          'aria-orientation': 'vertical',
+          'aria-valuenow': width ? String(width) : null,
+          'aria-valuemin': String(this.computedMinColumnWidth),
+          'aria-label': field.label || null
+        },
+        on: {
+          mousedown: evt => {
+            this.startColumnResize(evt, key)
+          },
+          keydown: evt => {
+            this.onColumnResizeKeydown(evt, key)
+          },
+          click: evt => {
+            // Don't trigger sorting or `head-clicked`
+            evt.stopPropagation()
+          }
+        }
+      })
+    },
+    renderColumnChooser() {
+      const h = this.$createElement
+      if (!this.columnChooser) {
+        return h()
+      }
+      const hidden = this.localColumnState.hidden
+      const fieldsObj = this.normalizedFields.reduce((obj, f) => {
+        obj[f.key] = f
+        return obj
+      }, {})
+      const $checks = this.columnOrder.map(key => {
+        const id = this.safeId(`_column_${key}_`)
+        const visible = !arrayIncludes(hidden, key)
+        return h(
+          'div',
+          { key, staticClass: 'custom-control custom-checkbox custom-control-inline' },
+          [
+            h('input', {
+              staticClass: 'custom-control-input',
+              attrs: { id, type: 'checkbox' },
+              domProps: { checked: visible },
+              on: {
+                change: evt => {
+                  this.setColumnVisibility(key, evt.target.checked)
+                  // Re-sync the checkbox state in case the change was not allowed
+                  evt.target.checked = !arrayIncludes(this.localColumnState.hidden, key)
+                }
+              }
+            }),
+            h('label', { staticClass: 'custom-control-label', attrs: { for: id } }, [
+              fieldsObj[key].label || key
+            ])
+          ]
+        )
+      })
+      return h(BTr, { key: 'b-column-chooser-row', staticClass: 'b-table-column-chooser' }, [
+        h(BTh, { attrs: { colspan: this.computedFields.length } }, [
+          h(
+            'div',
+            { attrs: { role: 'group', 'aria-label': this.labelColumnChooser || null } },
+            $checks
+          )
+        ])
+      ])
+    }
+  }
+}
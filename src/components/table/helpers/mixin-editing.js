@@ -0,0 +1,313 @@
+import KeyCodes from '../../../utils/key-codes'
+import get from '../../../utils/get'
+import looseEqual from '../../../utils/loose-equal'
+import toString from '../../../utils/to-string'
+import { from as arrayFrom } from '../../../utils/array'
+import { contains, isElement, select } from '../../../utils/dom'
+import { isFunction, isNull, isObject, isString } from '../../../utils/inspect'
+
+// Mixin for inline editing of cells, for fields that have an `editor` definition
+
+// Set the (possibly nested) value of an item property, reactively
+const setItemValue = (vm, item, key, value) => {
+  const path = key.split('.')
+  const prop = path.pop()
+  const target = path.length > 0 ? get(item, path.join('.'), null) : item
+  if (isObject(target)) {
+    vm.$set(target, prop, value)
+  }
+}
+
+export default {
+  props: {
+    editable: {
+      // Enable inline editing of the cells of fields with an `editor` definition
+      type: Boolean,
+      default: false
+    }
+  },
+  data() {
+    return {
+      // The cell being edited: `{ item, key, rowIndex, value, error }`, where
+      // `value` is the (uncommitted) edited value and `error` is `null` if valid
+      editingCell: null
+    }
+  },
+  watch: {
+    editable(newVal) {
+      if (!newVal) {
+        this.cancelCellEdit()
+      }
+    }
+  },
+  methods: {
+    // Public methods
+    startCellEdit(rowIndex, key) {
+      // Start editing the cell of the item (indexed based on `computedItems`) and
+      // field key. Returns `false` if the cell is not editable, or if the value of
+      // the cell currently being edited could not be committed
+      const item = this.computedItems[rowIndex]
+      const field = this.computedFieldsObj[key]
+      if (!item || !field || !this.isCellEditable(field)) {
+        return false
+      } else if (this.isEditingCell(item, key)) {
+        return true
+      } else if (this.editingCell && !this.commitCellEdit()) {
+        return false
+      }
+      const value = get(item, key, null)
+      this.editingCell = { item, key, rowIndex, value, error: null }
+      this.$emit('cell-edit-start', item, key, value, rowIndex)
+      this.focusCellEditor(rowIndex, key)
+      return true
+    },
+    commitCellEdit() {
+      // Validate the edited value and update the item. Returns `false` (and
+      // keeps the editor open) if the value is not valid
+      const ctx = this.editingCell
+      if (!ctx) {
+        return true
+      }
+      const { item, key, rowIndex } = ctx
+      const newValue = ctx.value
+      const error = this.validateCellEdit(this.computedFieldsObj[key], newValue, item)
+      if (!isNull(error)) {
+        ctx.error = error
+        return false
+      }
+      const oldValue = get(item, key, null)
+      this.editingCell = null
+      if (!looseEqual(newValue, oldValue)) {
+        setItemValue(this, item, key, newValue)
+      }
+      this.$emit('cell-edit-commit', item, key, newValue, oldValue, rowIndex)
+      return true
+    },
+    cancelCellEdit() {
+      // Close the editor, discarding the edited value
+      const ctx = this.editingCell
+      if (ctx) {
+        const { item, key, rowIndex } = ctx
+        this.editingCell = null
+        this.$emit('cell-edit-cancel', item, key, ctx.value, get(item, key, null), rowIndex)
+      }
+    },
+    // Internal private methods
+    isCellEditable(field) {
+      return this.editable && Boolean(field.editor)
+    },
+    isEditingCell(item, key) {
+      const ctx = this.editingCell
+      return Boolean(ctx) && ctx.item === item && ctx.key === key
+    },
+    validateCellEdit(field, value, item) {
+      // Returns `null` if the value is valid, otherwise the error message
+      // (which may be an empty string)
+      const parent = this.$parent
+      let validator = field ? field.validator : null
+      if (isString(validator) && isFunction(parent[validator])) {
+        validator = parent[validator]
+      }
+      if (!isFunction(validator)) {
+        return null
+      }
+      const result = validator(value, field.key, item)
+      if (result === false) {
+        return ''
+      }
+      return isString(result) ? result : null
+    },
+    getNextEditableCell(rowIndex, key, direction) {
+      // Find the next (or previous, when `direction` is `-1`) editable cell,
+      // moving on to the next (or previous) row when the end of a row is reached
+      const items = this.computedItems
+      const fields = this.computedFields
+      const colCount = fields.length
+      const count = items.length * colCount
+      const colIndex = fields.findIndex(f => f.key === key)
+      for (let idx = rowIndex * colCount + colIndex + direction; idx >= 0 && idx < count; ) {
+        const field = fields[idx % colCount]
+        if (this.isCellEditable(field)) {
+          return { rowIndex: Math.floor(idx / colCount), key: field.key }
+        }
+        idx += direction
+      }
+      return null
+    },
+    moveCellEdit(direction) {
+      // Commit the edited value and start editing the next (or previous) editable cell
+      const { item, key } = this.editingCell
+      if (!this.commitCellEdit()) {
+        return
+      }
+      // The item may have moved after being updated (i.e. when sorting)
+      const rowIndex = this.computedItems.indexOf(item)
+      const next = this.getNextEditableCell(rowIndex, key, direction)
+      if (next) {
+        this.startCellEdit(next.rowIndex, next.key)
+      } else {
+        this.focusCell(rowIndex, key)
+      }
+    },
+    getCellElement(rowIndex, key) {
+      // Returns the cell element of the item (indexed based on `computedItems`) and field key
+      const colIndex = String(this.computedFields.findIndex(f => f.key === key) + 1)
+      const start = this.isVirtualScroll ? this.virtualRange.start : 0
+      const tr = this.getVirtualRowElements()[rowIndex - start]
+      return tr
+        ? arrayFrom(tr.children).find(td => td.getAttribute('aria-colindex') === colIndex)
+        : null
+    },
+    focusCell(rowIndex, key) {
+      if (this.scrollToRow) {
+        this.scrollToRow(rowIndex)
+      }
+      this.$nextTick(() => {
+        const cell = this.getCellElement(rowIndex, key)
+        if (isElement(cell)) {
+          cell.focus()
+        }
+      })
+    },
+    focusCellEditor(rowIndex, key) {
+      if (this.scrollToRow) {
+        this.scrollToRow(rowIndex)
+      }
+      this.$nextTick(() => {
+        const control = select('input, select, textarea', this.getCellElement(rowIndex, key))
+        if (isElement(control) && control !== document.activeElement) {
+          control.focus()
+        }
+      })
+    },
+    onCellEditorKeydown(evt) {
+      const keyCode = evt.keyCode
+      const ctx = this.editingCell
+      if (!ctx) {
+        /* istanbul ignore next */
+        return
+      }
+      if (keyCode === KeyCodes.ENTER || keyCode === KeyCodes.ESC) {
+        evt.stopPropagation()
+        evt.preventDefault()
+        if (keyCode === KeyCodes.ESC) {
+          this.cancelCellEdit()
+        } else if (!this.commitCellEdit()) {
+          return
+        }
+        // Return focus to the cell
+        this.focusCell(this.computedItems.indexOf(ctx.item), ctx.key)
+      } else if (keyCode === KeyCodes.TAB) {
+        evt.stopPropagation()
+        evt.preventDefault()
+        this.moveCellEdit(evt.shiftKey ? -1 : 1)
+      }
+    },
+    // Render helpers
+    renderCellEditor(field) {
+      // Renders the editor control (and validation feedback) for the cell being edited
+      const h = this.$createElement
+      const ctx = this.editingCell
+      const editor = field.editor
+      const type = editor.type
+      const isInvalid = !isNull(ctx.error)
+      const feedbackId = isInvalid && ctx.error ? this.safeId('_cell_edit_feedback_') : null
+      const attrs = {
+        ...(editor.attrs || {}),
+        'aria-label': field.label || field.key,
+        'aria-invalid': isInvalid ? 'true' : null,
+        'aria-describedby': feedbackId
+      }
+      const setValue = value => {
+        // The item is not updated until the edit is committed
+        ctx.value = value
+        ctx.error = null
+      }
+      const on = {
+        keydown: this.onCellEditorKeydown,
+        focusout: evt => {
+          // Commit the value when focus leaves the editor
+          if (this.editingCell === ctx && !contains(evt.currentTarget, evt.relatedTarget)) {
+            this.commitCellEdit()
+          }
+        }
+      }
+      let $control
+      if (type === 'custom') {
+        $control = h(editor.component, {
+          staticClass: 'b-table-cell-editor',
+          props: { ...(editor.props || {}), value: ctx.value, state: isInvalid ? false : null },
+          attrs,
+          on: { input: setValue },
+          nativeOn: on
+        })
+      } else if (type === 'select') {
+        const options = (editor.options || []).map(
+          opt => (isObject(opt) ? opt : { value: opt, text: opt })
+        )
+        $control = h(
+          'select',
+          {
+            staticClass: 'b-table-cell-editor custom-select custom-select-sm',
+            class: { 'is-invalid': isInvalid },
+            attrs,
+            on: {
+              ...on,
+              change: evt => {
+                const opt = options[evt.target.selectedIndex]
+                setValue(opt ? opt.value : null)
+              }
+            }
+          },
+          options.map(opt =>
+            h(
+              'option',
+              { domProps: { selected: looseEqual(opt.value, ctx.value) } },
+              toString(opt.text)
+            )
+          )
+        )
+      } else if (type === 'checkbox') {
+        $control = h('input', {
+          staticClass: 'b-table-cell-editor',
+          class: { 'is-invalid': isInvalid },
+          attrs: { ...attrs, type: 'checkbox' },
+          domProps: { checked: Boolean(ctx.value) },
+          on: {
+            ...on,
+            change: evt => {
+              setValue(evt.target.checked)
+            }
+          }
+        })
+      } else {
+        // Text and number inputs
+        $control = h('input', {
+          staticClass: 'b-table-cell-editor form-control form-control-sm',
+          class: { 'is-invalid': isInvalid },
+          attrs: { ...attrs, type },
+          domProps: { value: toString(ctx.value) },
+          on: {
+            ...on,
+            input: evt => {
+              const value = evt.target.value
+              if (type === 'number') {
+                setValue(value === '' ? null : Number(value))
+              } else {
+                setValue(value)
+              }
+            }
+          }
+        })
+      }
+      const $feedback = feedbackId
+        ? h(
+            'div',
+            { staticClass: 'invalid-feedback d-block', attrs: { id: feedbackId } },
+            ctx.error
+          )
+        : h()
+      return [$control, $feedback]
+    }
+  }
+}
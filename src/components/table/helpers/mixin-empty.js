@@ -33,7 +33,11 @@ export default {
       if (
         this.showEmpty &&
         (!items || items.length === 0) &&
-        !(this.computedBusy && this.hasNormalizedSlot('table-busy'))
+        // All the groups may be collapsed (from grouping mixin)
+        !(this.isGrouped && this.tableGroups.length > 0) &&
+        !(this.computedBusy && this.hasNormalizedSlot('table-busy')) &&
+        // The provider error slot is shown instead (from provider mixin)
+        !(this.providerError && this.hasNormalizedSlot('error'))
       ) {
         $empty = this.normalizeSlot(this.isFiltered ? 'emptyfiltered' : 'empty', {
           emptyFilteredHtml: this.emptyFilteredHtml,
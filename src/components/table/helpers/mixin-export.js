@@ -0,0 +1,111 @@
+import get from '../../../utils/get'
+import { arrayIncludes } from '../../../utils/array'
+import { isBrowser } from '../../../utils/env'
+import { isArray, isFunction, isString, isUndefinedOrNull } from '../../../utils/inspect'
+import { EXPORT_FORMATS } from './constants'
+import serializeItems from './serialize-items'
+
+// Mixin for exporting the table's items as CSV, TSV or JSON
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  tsv: 'text/tab-separated-values;charset=utf-8',
+  json: 'application/json;charset=utf-8'
+}
+
+// Byte order mark, so that Excel detects the encoding of CSV/TSV files
+const BOM = '\uFEFF'
+
+export default {
+  methods: {
+    // Public methods
+    exportItems(options = {}) {
+      // Serialize the items in the given format, returning a string (or a `Blob`
+      // when `options.blob` is `true`)
+      const format = arrayIncludes(EXPORT_FORMATS, options.format)
+        ? options.format
+        : EXPORT_FORMATS[0]
+      const fields = this.getExportFields(options.fields)
+      const formatted = options.formatted !== false
+      const rows = this.getExportItems(options.scope).map(item =>
+        fields.reduce((row, field) => {
+          row[field.key] = this.getExportValue(item, field, formatted)
+          return row
+        }, {})
+      )
+      let content = serializeItems(rows, fields, format, options.header !== false)
+      if (options.bom && format !== 'json') {
+        content = BOM + content
+      }
+      if (options.blob && typeof Blob !== 'undefined') {
+        return new Blob([content], { type: MIME_TYPES[format] })
+      }
+      return content
+    },
+    downloadItems(filename, options = {}) {
+      // Export the items and trigger a download of the file in the browser
+      // Returns `false` if downloads are not supported
+      const format = arrayIncludes(EXPORT_FORMATS, options.format)
+        ? options.format
+        : EXPORT_FORMATS[0]
+      if (
+        !isBrowser ||
+        typeof Blob === 'undefined' ||
+        !isFunction(window.URL && window.URL.createObjectURL)
+      ) {
+        return false
+      }
+      const blob = this.exportItems({ ...options, blob: true })
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename || `table.${format}`
+      link.style.display = 'none'
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      setTimeout(() => {
+        window.URL.revokeObjectURL(url)
+      })
+      return true
+    },
+    // Internal private methods
+    getExportItems(scope) {
+      // The items to export: the filtered and sorted items across all pages (the
+      // default), the items of the current page (`'page'`) or all items (`'all'`)
+      if (scope === 'page') {
+        return this.computedItems
+      } else if (scope === 'all') {
+        const items = this.localItems || []
+        return this.sortItems ? this.sortItems(items) : items
+      }
+      return this.sortedItems || this.filteredItems || this.localItems || []
+    },
+    getExportFields(keys) {
+      // The visible fields (in display order), or the fields with the given keys
+      // (which may include hidden columns)
+      if (!isArray(keys)) {
+        return this.computedFields
+      }
+      const fieldsObj = this.normalizedFields.reduce((obj, field) => {
+        obj[field.key] = field
+        return obj
+      }, {})
+      return keys.map(key => fieldsObj[key]).filter(Boolean)
+    },
+    getExportValue(item, field, formatted) {
+      // Like `getFormattedValue()`, but also handles fields that are not displayed
+      const key = field.key
+      const value = get(item, key, null)
+      if (!formatted) {
+        return value
+      }
+      let formatter = field.formatter
+      if (isString(formatter)) {
+        formatter = this.$parent[formatter]
+      }
+      const result = isFunction(formatter) ? formatter(value, key, item) : value
+      return isUndefinedOrNull(result) ? '' : result
+    }
+  }
+}
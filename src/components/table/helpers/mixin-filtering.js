@@ -1,8 +1,14 @@
 import cloneDeep from '../../../utils/clone-deep'
+import get from '../../../utils/get'
 import looseEqual from '../../../utils/loose-equal'
+import toString from '../../../utils/to-string'
 import { concat } from '../../../utils/array'
-import { isFunction, isString, isRegExp } from '../../../utils/inspect'
+import { isArray, isFunction, isObject, isString, isRegExp } from '../../../utils/inspect'
+import { keys } from '../../../utils/object'
+import columnFilterMatch, { isColumnFilterActive } from './column-filter'
 import stringifyRecordValues from './stringify-record-values'
+import { BTr } from '../tr'
+import { BTh } from '../th'
 
 export default {
   props: {
@@ -26,14 +32,41 @@ export default {
       type: [Number, String],
       default: 0,
       validator: val => /^\d+/.test(String(val))
+    },
+    filters: {
+      // Per column filter criteria, keyed by field key
+      type: Object,
+      default: null
+    },
+    filterRow: {
+      // Render a row of column filter controls under the header
+      type: Boolean,
+      default: false
+    },
+    labelFilterAll: {
+      type: String,
+      default: 'All'
+    },
+    labelFilterFrom: {
+      type: String,
+      default: 'From'
+    },
+    labelFilterTo: {
+      type: String,
+      default: 'To'
     }
   },
   data() {
+    const filters = isObject(this.filters) ? cloneDeep(this.filters) : {}
     return {
       // Flag for displaying which empty slot to show and some event triggering
       isFiltered: false,
       // Where we store the copy of the filter citeria after debouncing
-      localFilter: null
+      localFilter: null,
+      // The per column filter criteria (as entered in the filter row)
+      localFilters: filters,
+      // Where we store the copy of the per column filter criteria after debouncing
+      appliedFilters: cloneDeep(filters)
     }
   },
   computed: {
@@ -49,12 +82,53 @@ export default {
     localFiltering() {
       return this.hasProvider ? !!this.noProviderFiltering : true
     },
+    // Fields that have a column filter defined
+    columnFilterFields() {
+      return this.computedFields.filter(f => f.filter)
+    },
+    // The per column filter criteria that would filter out items, keyed by field key
+    activeColumnFilters() {
+      const filters = this.appliedFilters || {}
+      return this.columnFilterFields.reduce((obj, f) => {
+        if (isColumnFilterActive(f.filter.type, filters[f.key])) {
+          obj[f.key] = cloneDeep(filters[f.key])
+        }
+        return obj
+      }, {})
+    },
+    // Options for `select` column filters, keyed by field key
+    // Defaults to the distinct values in the column
+    columnFilterOptions() {
+      return this.columnFilterFields.reduce((obj, f) => {
+        if (f.filter.type === 'select') {
+          let options = f.filter.options
+          if (!isArray(options)) {
+            const memo = {}
+            options = (this.localItems || [])
+              .map(item => toString(this.getColumnFilterValue(item, f)))
+              .filter(val => {
+                if (val && !memo[val]) {
+                  memo[val] = true
+                  return true
+                }
+                return false
+              })
+              .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+          }
+          obj[f.key] = options.map(
+            opt => (isObject(opt) ? opt : { value: opt, text: toString(opt) })
+          )
+        }
+        return obj
+      }, {})
+    },
     // For watching changes to `filteredItems` vs `localItems`
     filteredCheck() {
       return {
         filteredItems: this.filteredItems,
         localItems: this.localItems,
-        localFilter: this.localFilter
+        localFilter: this.localFilter,
+        columnFilters: this.activeColumnFilters
       }
     },
     // Sanitized/normalize filter-function prop
@@ -64,8 +138,9 @@ export default {
     },
     // Returns the records in `localItems` that match the filter criteria
     // Returns the original `localItems` array if not sorting
-    filteredItems() {
-      const items = this.localItems || []
+    computedFilterFn() {
+      // Returns a function that returns `true` if an item matches both the filter
+      // criteria and all of the column filters, or `null` if not filtering locally
       // Note the criteria is debounced
       const criteria = this.filterSanitize(this.localFilter)
 
@@ -73,19 +148,24 @@ export default {
       // We prefer the provided filtering function and fallback to the internal one
       // When no filtering criteria is specified the filtering factories will return `null`
       let filterFn = null
+      let columnFilterFn = null
       if (this.localFiltering) {
         filterFn =
           this.filterFnFactory(this.localFilterFn, criteria) ||
           this.defaultFilterFnFactory(criteria)
+        columnFilterFn = this.columnFilterFnFactory(this.activeColumnFilters)
       }
 
-      // We only do local filtering when requested and there are records to filter
-      if (filterFn && items.length > 0) {
-        return items.filter(filterFn)
+      if (!filterFn && !columnFilterFn) {
+        return null
       }
+      return item => (!filterFn || filterFn(item)) && (!columnFilterFn || columnFilterFn(item))
+    },
+    filteredItems() {
+      const items = this.localItems || []
 
-      // Otherwise return all items
-      return items
+      // We only do local filtering when requested and there are records to filter
+      return items.length > 0 ? this.filterItems(items) : items
     }
   },
   watch: {
@@ -115,9 +195,36 @@ export default {
         this.localFilter = this.filterSanitize(this.filter)
       }
     },
+    // Watch for changes to the column filters prop
+    filters(newVal, oldVal) {
+      const filters = isObject(newVal) ? newVal : {}
+      if (!looseEqual(filters, this.localFilters)) {
+        this.localFilters = cloneDeep(filters)
+      }
+    },
+    // Watch for changes to the column filter criteria, and debounce if necessary
+    localFilters(newVal, oldVal) {
+      if (!looseEqual(newVal, isObject(this.filters) ? this.filters : {})) {
+        // Emit update to filters.sync
+        this.$emit('update:filters', cloneDeep(newVal))
+      }
+      const timeout = this.computedFilterDebounce
+      if (this.columnFilterTimer) {
+        clearTimeout(this.columnFilterTimer)
+        this.columnFilterTimer = null
+      }
+      if (timeout) {
+        this.columnFilterTimer = setTimeout(() => {
+          this.columnFilterTimer = null
+          this.appliedFilters = cloneDeep(this.localFilters)
+        }, timeout)
+      } else {
+        this.appliedFilters = cloneDeep(newVal)
+      }
+    },
     // Watch for changes to the filter criteria and filtered items vs localItems).
     // And set visual state and emit events as required
-    filteredCheck({ filteredItems, localItems, localFilter }) {
+    filteredCheck({ filteredItems, localItems, localFilter, columnFilters }) {
       // Determine if the dataset is filtered or not
       let isFiltered = false
       if (!localFilter) {
@@ -130,6 +237,10 @@ export default {
         // If filter criteria is truthy
         isFiltered = true
       }
+      if (keys(columnFilters).length > 0) {
+        // If any of the column filters are active
+        isFiltered = true
+      }
       if (isFiltered) {
         this.$emit('filtered', filteredItems, filteredItems.length)
       }
@@ -144,15 +255,16 @@ export default {
     }
   },
   created() {
-    // Create non-reactive prop where we store the debounce timer id
+    // Create non-reactive props where we store the debounce timer ids
     this.filterTimer = null
+    this.columnFilterTimer = null
     // If filter is "pre-set", set the criteria
     // This will trigger any watchers/dependants
     this.localFilter = this.filterSanitize(this.filter)
     // Set the initial filtered state.
     // In a nextTick so that we trigger a filtered event if needed
     this.$nextTick(() => {
-      this.isFiltered = Boolean(this.localFilter)
+      this.isFiltered = Boolean(this.localFilter) || keys(this.activeColumnFilters).length > 0
     })
   },
   beforeDestroy() {
@@ -161,8 +273,45 @@ export default {
       clearTimeout(this.filterTimer)
       this.filterTimer = null
     }
+    /* istanbul ignore next */
+    if (this.columnFilterTimer) {
+      clearTimeout(this.columnFilterTimer)
+      this.columnFilterTimer = null
+    }
   },
   methods: {
+    // Public methods
+    setColumnFilter(key, criteria) {
+      // Set the filter criteria for a single column
+      this.localFilters = { ...this.localFilters, [key]: cloneDeep(criteria) }
+    },
+    // Internal private methods
+    getColumnFilterValue(item, field) {
+      // Returns the value of the field used for column filtering
+      const key = field.key
+      const filterByFormatted = field.filterByFormatted
+      const formatter = isFunction(filterByFormatted)
+        ? filterByFormatted
+        : filterByFormatted
+          ? this.getFieldFormatter(key)
+          : null
+      const value = get(item, key, null)
+      return formatter ? formatter(value, key, item) : value
+    },
+    filterItems(items) {
+      // Filter an array of items (or the children of a tree item)
+      const filterFn = this.computedFilterFn
+      if (!filterFn) {
+        return items
+      }
+      if (this.isTree) {
+        // In tree mode we keep the ancestors of any matching items
+        const matches = item =>
+          filterFn(item) || (isArray(item._children) && item._children.some(matches))
+        return items.filter(matches)
+      }
+      return items.filter(filterFn)
+    },
     filterSanitize(criteria) {
       // Sanitizes filter criteria based on internal or external filtering
       if (
@@ -255,6 +404,149 @@ export default {
 
       // Return the generated function
       return fn
+    },
+    columnFilterFnFactory(columnFilters) {
+      // Generates the column filter function, using the given column filters
+      // Rather than directly grabbing `this.activeColumnFilters` we have it passed,
+      // so that the caller computed prop will be reactive to changes
+      const filterKeys = keys(columnFilters)
+      if (filterKeys.length === 0) {
+        return null
+      }
+      const fieldsObj = this.computedFieldsObj
+      return item =>
+        filterKeys.every(key => {
+          const field = fieldsObj[key]
+          return columnFilterMatch(
+            field.filter.type,
+            columnFilters[key],
+            this.getColumnFilterValue(item, field)
+          )
+        })
+    },
+    // Render helpers
+    renderColumnFilterControl(field, criteria) {
+      // Renders the built in control for a column filter
+      const h = this.$createElement
+      const key = field.key
+      const filter = field.filter
+      const type = filter.type
+      const label = field.label || key
+      if (type === 'number' || type === 'date') {
+        // Range controls
+        const range = isObject(criteria) ? criteria : {}
+        const makeInput = (bound, boundLabel) =>
+          h('input', {
+            staticClass: 'form-control form-control-sm',
+            attrs: {
+              type,
+              placeholder: boundLabel,
+              'aria-label': `${label} (${boundLabel})`
+            },
+            domProps: { value: toString(range[bound]) },
+            on: {
+              input: evt => {
+                this.setColumnFilter(key, { ...range, [bound]: evt.target.value })
+              }
+            }
+          })
+        return h('div', { staticClass: 'b-table-filter-range' }, [
+          makeInput('from', this.labelFilterFrom),
+          makeInput('to', this.labelFilterTo)
+        ])
+      } else if (type === 'select') {
+        const value = toString(criteria)
+        const $options = this.columnFilterOptions[key].map(opt =>
+          h(
+            'option',
+            {
+              attrs: { value: toString(opt.value) },
+              domProps: { selected: toString(opt.value) === value }
+            },
+            toString(opt.text)
+          )
+        )
+        return h(
+          'select',
+          {
+            staticClass: 'custom-select custom-select-sm',
+            attrs: { 'aria-label': label },
+            on: {
+              change: evt => {
+                this.setColumnFilter(key, evt.target.value)
+              }
+            }
+          },
+          [h('option', { attrs: { value: '' } }, this.labelFilterAll), ...$options]
+        )
+      }
+      // Text control
+      return h('input', {
+        staticClass: 'form-control form-control-sm',
+        attrs: {
+          type: 'search',
+          placeholder: filter.placeholder || null,
+          'aria-label': label
+        },
+        domProps: { value: toString(criteria) },
+        on: {
+          input: evt => {
+            this.setColumnFilter(key, evt.target.value)
+          }
+        }
+      })
+    },
+    renderFilterRow() {
+      // Renders the row of column filter controls for the `<thead>`
+      const h = this.$createElement
+      const fields = this.computedFields
+
+      if (!this.filterRow || this.columnFilterFields.length === 0) {
+        return h()
+      }
+
+      const $cells = fields.map((field, colIndex) => {
+        let $content = h()
+        if (field.filter) {
+          const key = field.key
+          const criteria = this.localFilters[key]
+          // Handle edge case where in-document templates are used with new
+          // `v-slot:name` syntax where the browser lower-cases the v-slot's name
+          const slotNames = [`filter[${key}]`, `filter[${key.toLowerCase()}]`, 'filter[]']
+          $content = this.hasNormalizedSlot(slotNames)
+            ? this.normalizeSlot(slotNames, {
+                field,
+                column: key,
+                filter: field.filter,
+                value: criteria,
+                options: this.columnFilterOptions[key] || [],
+                setFilter: val => {
+                  this.setColumnFilter(key, val)
+                }
+              })
+            : this.renderColumnFilterControl(field, criteria)
+        }
+        return h(
+          BTh,
+          {
+            key: field.key,
+            class: [field.class ? field.class : ''],
+            style: this.getStickyColumnStyle(field),
+            props: {
+              variant: field.variant,
+              stickyColumn: field.stickyColumn
+            },
+            attrs: { 'aria-colindex': String(colIndex + 1) }
+          },
+          [$content]
+        )
+      })
+
+      return h(
+        BTr,
+        { key: 'b-table-filter-row', staticClass: 'b-table-filter-row', class: this.theadTrClass },
+        $cells
+      )
     }
   }
 }
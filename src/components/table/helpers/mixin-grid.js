@@ -0,0 +1,300 @@
+import KeyCodes from '../../../utils/key-codes'
+import { arrayIncludes } from '../../../utils/array'
+import {
+  getAttr,
+  hasAttr,
+  isElement,
+  matches,
+  removeAttr,
+  select,
+  selectAll,
+  setAttr
+} from '../../../utils/dom'
+
+// Mixin for keyboard navigation of the body cells, following the WAI-ARIA grid pattern
+
+// Number of rows moved by the PageUp and PageDown keys
+const PAGE_ROWS = 10
+
+// Interactive content that can be focused inside a cell
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([disabled])'
+].join(',')
+
+// Attribute holding the original `tabindex` of the interactive content in the
+// cells, which is removed from the tab sequence so that the grid is a single tab stop
+const ORIG_TABINDEX_ATTR = 'data-bv-grid-tabindex'
+
+// Remove the element from the tab sequence, keeping its original `tabindex`
+const removeTabindex = el => {
+  if (!hasAttr(el, ORIG_TABINDEX_ATTR)) {
+    setAttr(el, ORIG_TABINDEX_ATTR, getAttr(el, 'tabindex') || '')
+    setAttr(el, 'tabindex', '-1')
+  }
+}
+
+// Restore the original `tabindex` of the element
+const restoreTabindex = el => {
+  if (hasAttr(el, ORIG_TABINDEX_ATTR)) {
+    const tabindex = getAttr(el, ORIG_TABINDEX_ATTR)
+    if (tabindex) {
+      setAttr(el, 'tabindex', tabindex)
+    } else {
+      removeAttr(el, 'tabindex')
+    }
+    removeAttr(el, ORIG_TABINDEX_ATTR)
+  }
+}
+
+const NAV_KEYS = [
+  KeyCodes.UP,
+  KeyCodes.DOWN,
+  KeyCodes.LEFT,
+  KeyCodes.RIGHT,
+  KeyCodes.HOME,
+  KeyCodes.END,
+  KeyCodes.PAGEUP,
+  KeyCodes.PAGEDOWN
+]
+
+export default {
+  props: {
+    gridNavigation: {
+      // Navigate the body cells with the keyboard, using a roving tabindex
+      type: Boolean,
+      default: false
+    }
+  },
+  data() {
+    return {
+      // The cell that is in the tab sequence (indexed based on
+      // `computedItems` and `computedFields`)
+      gridActiveCell: { rowIndex: 0, colIndex: 0 }
+    }
+  },
+  created() {
+    // The cell (element) whose interactive content has been entered via Enter/F2
+    this.gridEnteredCell = null
+  },
+  mounted() {
+    this.updateGridCellContent()
+  },
+  updated() {
+    this.updateGridCellContent()
+  },
+  computed: {
+    isGridNavigation() {
+      // Not supported in stacked mode, as cells are not laid out as a grid
+      return this.gridNavigation && !this.isStacked
+    },
+    gridActiveCellIndexes() {
+      // The active cell, limited to the rendered rows and columns
+      const { rowIndex, colIndex } = this.gridActiveCell
+      return {
+        rowIndex: Math.max(Math.min(rowIndex, this.computedItems.length - 1), 0),
+        colIndex: Math.max(Math.min(colIndex, this.computedFields.length - 1), 0)
+      }
+    },
+    gridTableAttrs() {
+      // Tree tables keep the `treegrid` role
+      return this.isGridNavigation && !this.isTree ? { role: 'grid' } : {}
+    },
+    gridTableListeners() {
+      return this.isGridNavigation
+        ? // Focus events don't bubble, so we use a capture listener
+          { keydown: this.onGridKeydown, '!focus': this.onGridFocus }
+        : {}
+    }
+  },
+  methods: {
+    // Public methods
+    focusGridCell(rowIndex, colIndex) {
+      // Make the cell (indexed based on `computedItems` and `computedFields`) the
+      // active cell, and focus it
+      const field = this.computedFields[colIndex]
+      if (!this.isGridNavigation || !field || !this.computedItems[rowIndex]) {
+        return
+      }
+      this.gridActiveCell = { rowIndex, colIndex }
+      this.focusCell(rowIndex, field.key)
+    },
+    // Internal private methods
+    gridCellAttrs(rowIndex, colIndex, field) {
+      if (!this.isGridNavigation) {
+        return {}
+      }
+      const active = this.gridActiveCellIndexes
+      const attrs = {
+        tabindex: active.rowIndex === rowIndex && active.colIndex === colIndex ? '0' : '-1'
+      }
+      if (!field.isRowHeader) {
+        attrs.role = 'gridcell'
+      }
+      return attrs
+    },
+    updateGridCellContent() {
+      // Remove the interactive content of the cells from the tab sequence,
+      // except for the content of the cell entered via Enter/F2
+      if (!this.isGridNavigation) {
+        selectAll(`[${ORIG_TABINDEX_ATTR}]`, this.$el).forEach(restoreTabindex)
+        return
+      }
+      this.getVirtualRowElements().forEach(tr => {
+        selectAll('td, th', tr).forEach(cell => {
+          const update = cell === this.gridEnteredCell ? restoreTabindex : removeTabindex
+          selectAll(FOCUSABLE_SELECTOR, cell).forEach(update)
+        })
+      })
+    },
+    setGridEnteredCell(cell) {
+      if (this.gridEnteredCell !== cell) {
+        this.gridEnteredCell = cell
+        this.updateGridCellContent()
+      }
+    },
+    getGridCellIndexes(el) {
+      // Returns the `{ rowIndex, colIndex, cell }` of the item row cell
+      // containing the element, or `null`
+      const trs = this.getVirtualRowElements()
+      while (isElement(el) && el !== this.$el) {
+        const tr = el.parentElement
+        const index = trs.indexOf(tr)
+        if (index > -1 && matches(el, 'td, th')) {
+          return {
+            rowIndex: index + (this.isVirtualScroll ? this.virtualRange.start : 0),
+            colIndex: parseInt(el.getAttribute('aria-colindex'), 10) - 1,
+            cell: el
+          }
+        }
+        el = tr
+      }
+      return null
+    },
+    onGridFocus(evt) {
+      // Keep track of the cell containing the focus
+      const indexes = this.getGridCellIndexes(evt.target)
+      if (indexes) {
+        const { rowIndex, colIndex, cell } = indexes
+        if (cell !== this.gridEnteredCell) {
+          // The focus moved to another cell, so the entered content leaves the tab sequence
+          this.setGridEnteredCell(null)
+        }
+        const active = this.gridActiveCell
+        if (active.rowIndex !== rowIndex || active.colIndex !== colIndex) {
+          this.gridActiveCell = { rowIndex, colIndex }
+        }
+      }
+    },
+    onGridKeydown(evt) {
+      const indexes = this.getGridCellIndexes(evt.target)
+      if (!indexes || (this.stopIfBusy && this.stopIfBusy(evt))) {
+        return
+      }
+      const { rowIndex, colIndex, cell } = indexes
+      const keyCode = evt.keyCode
+      if (evt.target !== cell) {
+        // Focus is on interactive content inside the cell
+        if (keyCode === KeyCodes.ESC) {
+          evt.stopPropagation()
+          evt.preventDefault()
+          this.setGridEnteredCell(null)
+          cell.focus()
+        }
+        return
+      }
+      const item = this.computedItems[rowIndex]
+      if (arrayIncludes(NAV_KEYS, keyCode)) {
+        evt.stopPropagation()
+        evt.preventDefault()
+        this.gridNavigate(evt, rowIndex, colIndex)
+      } else if (keyCode === KeyCodes.ENTER || keyCode === KeyCodes.F2) {
+        // Focus the first interactive element in the cell, or
+        // translate Enter to a row click when there is none
+        const $content = select(FOCUSABLE_SELECTOR, cell)
+        if ($content || keyCode === KeyCodes.ENTER) {
+          evt.stopPropagation()
+          evt.preventDefault()
+        }
+        if ($content) {
+          // The content of the cell is in the tab sequence while the cell is entered
+          this.setGridEnteredCell(cell)
+          $content.focus()
+        } else if (keyCode === KeyCodes.ENTER) {
+          this.$emit('row-clicked', item, rowIndex, evt)
+        }
+      } else if (keyCode === KeyCodes.SPACE) {
+        // Space triggers a row click, which toggles the selection in selectable mode
+        evt.stopPropagation()
+        evt.preventDefault()
+        this.$emit('row-clicked', item, rowIndex, evt)
+      } else if (
+        keyCode === KeyCodes.A &&
+        (evt.ctrlKey || evt.metaKey) &&
+        this.selectableIsMultiSelect
+      ) {
+        // Ctrl+A selects all rows
+        evt.stopPropagation()
+        evt.preventDefault()
+        this.selectAllRows()
+      }
+    },
+    gridNavigate(evt, rowIndex, colIndex) {
+      const keyCode = evt.keyCode
+      const ctrl = evt.ctrlKey || evt.metaKey
+      const lastRow = this.computedItems.length - 1
+      const lastCol = this.computedFields.length - 1
+      let newRow = rowIndex
+      let newCol = colIndex
+      if (this.isTree && this.gridTreeKeydown(evt, rowIndex, colIndex)) {
+        // Handled as a tree row expand/collapse (from tree mixin)
+        return
+      } else if (keyCode === KeyCodes.LEFT) {
+        newCol = Math.max(colIndex - 1, 0)
+      } else if (keyCode === KeyCodes.RIGHT) {
+        newCol = Math.min(colIndex + 1, lastCol)
+      } else if (keyCode === KeyCodes.UP) {
+        newRow = Math.max(rowIndex - 1, 0)
+      } else if (keyCode === KeyCodes.DOWN) {
+        newRow = Math.min(rowIndex + 1, lastRow)
+      } else if (keyCode === KeyCodes.PAGEUP) {
+        newRow = Math.max(rowIndex - PAGE_ROWS, 0)
+      } else if (keyCode === KeyCodes.PAGEDOWN) {
+        newRow = Math.min(rowIndex + PAGE_ROWS, lastRow)
+      } else if (keyCode === KeyCodes.HOME) {
+        // Ctrl+Home moves to the first cell of the first row
+        newCol = 0
+        newRow = ctrl ? 0 : rowIndex
+      } else if (keyCode === KeyCodes.END) {
+        // Ctrl+End moves to the last cell of the last row
+        newCol = lastCol
+        newRow = ctrl ? lastRow : rowIndex
+      }
+      if (evt.shiftKey && (keyCode === KeyCodes.UP || keyCode === KeyCodes.DOWN)) {
+        // Shift+Up/Down extends the selected range of rows (from selectable mixin)
+        this.extendSelection(rowIndex, newRow)
+      }
+      this.focusGridCell(newRow, newCol)
+    },
+    gridTreeKeydown(evt, rowIndex, colIndex) {
+      // In the tree field column, right arrow expands a collapsed row and left
+      // arrow collapses an expanded row. Returns `true` if the key was handled
+      const row = this.treeRows[rowIndex]
+      const keyCode = evt.keyCode
+      if (!row || this.computedFields[colIndex].key !== this.treeFieldKey) {
+        return false
+      } else if (keyCode === KeyCodes.RIGHT && row.hasChildren && !row.expanded) {
+        this.toggleChildren(row.item, true)
+        return true
+      } else if (keyCode === KeyCodes.LEFT && row.expanded) {
+        this.toggleChildren(row.item, false)
+        return true
+      }
+      return false
+    }
+  }
+}
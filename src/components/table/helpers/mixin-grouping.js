@@ -0,0 +1,204 @@
+import get from '../../../utils/get'
+import toString from '../../../utils/to-string'
+import { arrayIncludes } from '../../../utils/array'
+import { isUndefinedOrNull } from '../../../utils/inspect'
+import { BTr } from '../tr'
+import { BTh } from '../th'
+
+// Mixin for grouping rows by a field value, with group header and footer rows
+
+export default {
+  props: {
+    groupBy: {
+      // Key of the field to group the rows by
+      type: String,
+      default: null
+    },
+    groupFooter: {
+      // Render a row of field aggregates after each group
+      type: Boolean,
+      default: false
+    },
+    labelGroupExpand: {
+      type: String,
+      default: 'Expand group'
+    },
+    labelGroupCollapse: {
+      type: String,
+      default: 'Collapse group'
+    }
+  },
+  data() {
+    return {
+      // Keys of the collapsed groups
+      collapsedGroups: []
+    }
+  },
+  computed: {
+    isGrouped() {
+      // Grouping is not supported for tree rows, or in virtual scroll mode
+      return Boolean(this.groupBy) && !this.isTree && !this.isVirtualScroll
+    },
+    groupByField() {
+      return this.computedFieldsObj[this.groupBy] || { key: this.groupBy, label: '' }
+    },
+    tableGroups() {
+      // The groups of the current page of items, in the order of their first item
+      // Group aggregates are computed from all the filtered items in the group
+      if (!this.isGrouped) {
+        return []
+      }
+      const items =
+        this.paginatedItems || this.sortedItems || this.filteredItems || this.localItems || []
+      const filteredItems = this.filteredItems || this.localItems || []
+      const allItems = filteredItems.reduce((obj, item) => {
+        const key = this.getGroupKey(item)
+        obj[key] = obj[key] || []
+        obj[key].push(item)
+        return obj
+      }, {})
+      const groups = []
+      const groupsByKey = {}
+      items.forEach(item => {
+        const key = this.getGroupKey(item)
+        if (!groupsByKey[key]) {
+          groupsByKey[key] = {
+            key,
+            value: get(item, this.groupBy, null),
+            items: [],
+            allItems: allItems[key] || [],
+            collapsed: arrayIncludes(this.collapsedGroups, key)
+          }
+          groups.push(groupsByKey[key])
+        }
+        groupsByKey[key].items.push(item)
+      })
+      return groups
+    }
+  },
+  watch: {
+    groupBy() {
+      this.collapsedGroups = []
+    }
+  },
+  methods: {
+    // Public methods
+    toggleGroup(key, collapse) {
+      // Collapse or expand the group with the given key (the string value of the group)
+      key = toString(key)
+      collapse = isUndefinedOrNull(collapse)
+        ? !arrayIncludes(this.collapsedGroups, key)
+        : Boolean(collapse)
+      if (arrayIncludes(this.collapsedGroups, key) !== collapse) {
+        this.collapsedGroups = collapse
+          ? [...this.collapsedGroups, key]
+          : this.collapsedGroups.filter(k => k !== key)
+        this.$emit('group-toggled', key, collapse)
+      }
+    },
+    // Internal private methods
+    getGroupKey(item) {
+      return toString(get(item, this.groupBy, null))
+    },
+    groupItems(items) {
+      // Called by `sortedItems` to keep the items of each group together,
+      // in the order of each group's first item (after sorting)
+      if (!this.isGrouped) {
+        return items
+      }
+      const order = []
+      const groups = {}
+      items.forEach(item => {
+        const key = this.getGroupKey(item)
+        if (!groups[key]) {
+          groups[key] = []
+          order.push(key)
+        }
+        groups[key].push(item)
+      })
+      return order.reduce((result, key) => result.concat(groups[key]), [])
+    },
+    // Render helpers
+    renderGroupHeader(group) {
+      const h = this.$createElement
+      const fields = this.computedFields
+      const field = this.groupByField
+      const expanded = !group.collapsed
+      const toggle = () => {
+        this.toggleGroup(group.key)
+      }
+      const scope = {
+        value: group.value,
+        key: group.key,
+        field,
+        items: group.allItems,
+        count: group.allItems.length,
+        collapsed: group.collapsed,
+        toggleGroup: toggle
+      }
+      let $content = this.normalizeSlot('group-header', scope)
+      if (!$content) {
+        const value = group.items[0] ? this.getFormattedValue(group.items[0], field) : group.value
+        $content = [
+          h('button', {
+            staticClass: 'b-table-group-toggle btn btn-link',
+            attrs: {
+              type: 'button',
+              'aria-label': expanded ? this.labelGroupCollapse : this.labelGroupExpand,
+              'aria-expanded': String(expanded)
+            },
+            on: { click: toggle }
+          }),
+          field.label ? `${field.label}: ` : '',
+          toString(value),
+          h('span', { staticClass: 'b-table-group-count' }, ` (${scope.count})`)
+        ]
+      }
+      return h(
+        BTr,
+        {
+          key: `__b-table-group-${group.key}__`,
+          staticClass: 'b-table-group-header',
+          class: { 'b-table-group-collapsed': group.collapsed }
+        },
+        [
+          h(
+            BTh,
+            {
+              props: { colspan: fields.length },
+              attrs: { scope: 'rowgroup' }
+            },
+            [$content]
+          )
+        ]
+      )
+    },
+    renderGroupFooter(group) {
+      const h = this.$createElement
+      if (!this.groupFooter || !this.hasAggregateFields) {
+        return h()
+      }
+      return h(
+        BTr,
+        { key: `__b-table-group-footer-${group.key}__`, staticClass: 'b-table-group-footer' },
+        this.renderAggregateCells(group.allItems, group.value)
+      )
+    },
+    renderGroupedRows() {
+      // Render the group header, item and footer rows for each group
+      const $rows = []
+      let rowIndex = 0
+      this.tableGroups.forEach(group => {
+        $rows.push(this.renderGroupHeader(group))
+        if (!group.collapsed) {
+          group.items.forEach(item => {
+            $rows.push(this.renderTbodyRow(item, rowIndex++))
+          })
+        }
+        // The group footer is shown even when the group is collapsed
+        $rows.push(this.renderGroupFooter(group))
+      })
+      return $rows
+    }
+  }
+}
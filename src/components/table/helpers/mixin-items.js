@@ -37,11 +37,17 @@ export default {
     }
   },
   computed: {
-    computedFields() {
+    normalizedFields() {
       // We normalize fields into an array of objects
       // `[ { key:..., label:..., ...}, {...}, ..., {..}]`
       return normalizeFields(this.fields, this.localItems)
     },
+    computedFields() {
+      // The displayed fields, after the user column state (order and visibility)
+      // has been applied, if the columns mixin is present
+      const fields = this.normalizedFields
+      return this.applyColumnState ? this.applyColumnState(fields) : fields
+    },
     computedFieldsObj() {
       // Fields as a simple lookup hash object
       // Mainly for formatter lookup and use in `scopedSlots` for convenience
@@ -67,6 +73,16 @@ export default {
       }, {})
     },
     computedItems() {
+      if (this.isTree) {
+        // In tree mode, the rows include the children of expanded items (from tree mixin)
+        return this.treeRows.map(row => row.item)
+      } else if (this.isGrouped) {
+        // Items in collapsed groups are not displayed (from grouping mixin)
+        return this.tableGroups.reduce(
+          (items, group) => (group.collapsed ? items : items.concat(group.items)),
+          []
+        )
+      }
       // Fallback if various mixins not provided
       return (
         this.paginatedItems ||
@@ -80,10 +96,12 @@ export default {
       // Current state of sorting, filtering and pagination props/values
       return {
         filter: this.localFilter,
+        filters: this.activeColumnFilters,
         sortBy: this.localSortBy,
         sortDesc: this.localSortDesc,
+        multiSortBy: (this.localMultiSortBy || []).map(c => ({ ...c })),
         perPage: parseInt(this.perPage, 10) || 0,
-        currentPage: parseInt(this.currentPage, 10) || 1,
+        currentPage: parseInt(this.computedCurrentPage || this.currentPage, 10) || 1,
         apiUrl: this.apiUrl
       }
     }
@@ -1,3 +1,15 @@
+import { getComponentConfig } from '../../../utils/config'
+import { isUndefinedOrNull } from '../../../utils/inspect'
+import toString from '../../../utils/to-string'
+import { BPagination } from '../../pagination/pagination'
+
+// Replaces the `{key}` placeholders in the label with the values of the scope
+const formatLabel = (label, scope) =>
+  toString(label).replace(
+    /{(\w+)}/g,
+    (match, key) => (isUndefinedOrNull(scope[key]) ? match : String(scope[key]))
+  )
+
 export default {
   props: {
     perPage: {
@@ -7,16 +19,84 @@ export default {
     currentPage: {
       type: [Number, String],
       default: 1
+    },
+    totalRows: {
+      // The total number of rows when the provider function does the paging, if the
+      // provider doesn't report it. Updated (`.sync`) with the current number of rows
+      type: [Number, String],
+      default: null
+    },
+    pagination: {
+      // Render a footer with a pagination control and the range of rows shown
+      type: Boolean,
+      default: false
+    },
+    paginationAlign: {
+      type: String,
+      default: 'right'
+    },
+    paginationSize: {
+      type: String,
+      default: 'sm'
+    },
+    labelPaginationInfo: {
+      // The `{start}`, `{end}` and `{totalRows}` placeholders are
+      // replaced with the range of rows shown and the total number of rows
+      type: String,
+      default: () => getComponentConfig('BTable', 'labelPaginationInfo')
+    },
+    labelPaginationInfoNoTotal: {
+      // Used when the total number of rows is not known
+      type: String,
+      default: () => getComponentConfig('BTable', 'labelPaginationInfoNoTotal')
+    }
+  },
+  data() {
+    return {
+      localCurrentPage: this.currentPage,
+      // The total number of rows reported by the provider function
+      providerTotalRows: null
     }
   },
   computed: {
     localPaging() {
       return this.hasProvider ? !!this.noProviderPaging : true
     },
+    computedCurrentPage() {
+      return Math.max(parseInt(this.localCurrentPage, 10) || 1, 1)
+    },
+    computedPerPage() {
+      return Math.max(parseInt(this.perPage, 10) || 0, 0)
+    },
+    computedTotalRows() {
+      // The number of rows over all pages, or `null` if not known (provider
+      // paging without the provider reporting the total number of rows)
+      if (!this.localPaging) {
+        const totalRows = parseInt(
+          this.providerTotalRows === null ? this.totalRows : this.providerTotalRows,
+          10
+        )
+        return isNaN(totalRows) ? null : Math.max(totalRows, 0)
+      }
+      return (this.sortedItems || this.filteredItems || this.localItems || []).length
+    },
+    paginationInfo() {
+      // The (1-based) range of rows shown on the current page
+      const perPage = this.computedPerPage
+      const count = this.computedItems.length
+      const start = count > 0 ? (this.computedCurrentPage - 1) * perPage + 1 : 0
+      return {
+        start,
+        end: count > 0 ? start + count - 1 : 0,
+        totalRows: this.computedTotalRows,
+        currentPage: this.computedCurrentPage,
+        perPage
+      }
+    },
     paginatedItems() {
       let items = this.sortedItems || this.filteredItems || this.localItems || []
-      const currentPage = Math.max(parseInt(this.currentPage, 10) || 1, 1)
-      const perPage = Math.max(parseInt(this.perPage, 10) || 0, 0)
+      const currentPage = this.computedCurrentPage
+      const perPage = this.computedPerPage
       // Apply local pagination
       if (this.localPaging && !!perPage) {
         // Grab the current page of data (which may be past filtered items limit)
@@ -25,5 +105,70 @@ export default {
       // Return the items to display in the table
       return items
     }
+  },
+  watch: {
+    currentPage(newVal, oldVal) {
+      if (newVal !== oldVal) {
+        this.localCurrentPage = newVal
+      }
+    },
+    computedTotalRows(newVal, oldVal) {
+      if (newVal !== oldVal && newVal !== null) {
+        this.$emit('update:totalRows', newVal)
+      }
+    }
+  },
+  methods: {
+    onPaginationInput(page) {
+      if (page && page !== this.computedCurrentPage) {
+        this.localCurrentPage = page
+        this.$emit('update:currentPage', page)
+      }
+    },
+    // Render helpers
+    renderPagination() {
+      // Renders the pagination footer, placed below the table, or
+      // returns `null` if not enabled (not supported in virtual scroll mode)
+      const h = this.$createElement
+      const info = this.paginationInfo
+      if (!this.pagination || this.isVirtualScroll) {
+        return null
+      }
+      const $info =
+        this.normalizeSlot('pagination-info', info) ||
+        formatLabel(
+          info.totalRows === null ? this.labelPaginationInfoNoTotal : this.labelPaginationInfo,
+          info
+        )
+      // The pagination control is rendered once the total number of rows is
+      // known, as it would reset the current page when the number of pages changes
+      const $pagination =
+        info.perPage && info.totalRows !== null
+          ? h(BPagination, {
+              staticClass: 'mb-0',
+              props: {
+                value: info.currentPage,
+                perPage: info.perPage,
+                totalRows: info.totalRows,
+                align: this.paginationAlign,
+                size: this.paginationSize,
+                disabled: this.computedBusy,
+                ariaControls: this.safeId()
+              },
+              on: { input: this.onPaginationInput }
+            })
+          : h()
+      return h('div', { key: 'b-table-pagination', staticClass: 'b-table-pagination' }, [
+        h(
+          'div',
+          {
+            staticClass: 'b-table-pagination-info',
+            attrs: { role: 'status', 'aria-live': 'polite', 'aria-atomic': 'true' }
+          },
+          [$info]
+        ),
+        $pagination
+      ])
+    }
   }
 }
@@ -1,7 +1,22 @@
 import looseEqual from '../../../utils/loose-equal'
 import warn from '../../../utils/warn'
-import { isArray, isFunction, isPromise } from '../../../utils/inspect'
+import { isArray, isFunction, isPlainObject, isPromise } from '../../../utils/inspect'
 import listenOnRootMixin from '../../../mixins/listen-on-root'
+import { BTr } from '../tr'
+import { BTd } from '../td'
+
+// Returns the cache key for a provider context (without the abort `signal`)
+const getCacheKey = ctx => JSON.stringify({ ...ctx, signal: undefined })
+
+// Normalize the provider results, which are either an array of items
+// or an object of the form `{ items, totalRows }`
+const normalizeResult = result => {
+  if (isPlainObject(result) && isArray(result.items)) {
+    const totalRows = parseInt(result.totalRows, 10)
+    return { items: result.items.slice(), totalRows: isNaN(totalRows) ? null : totalRows }
+  }
+  return { items: isArray(result) ? result.slice() : [], totalRows: null }
+}
 
 export default {
   mixins: [listenOnRootMixin],
@@ -31,12 +46,41 @@ export default {
       // Passthrough prop. Passed to the context object. Not used by b-table directly
       type: String,
       default: ''
+    },
+    providerDebounce: {
+      // Delay (in ms) before calling the provider after a context change
+      type: [Number, String],
+      default: 0,
+      validator: val => /^\d+/.test(String(val))
+    },
+    providerCache: {
+      // Cache the provider results by context. `true` caches the results until
+      // invalidated, a number is the time (in ms) the results are kept
+      type: [Boolean, Number, String],
+      default: false
+    }
+  },
+  data() {
+    return {
+      // The error of the last provider call, if it failed
+      providerError: null
     }
   },
   computed: {
     hasProvider() {
       return isFunction(this.items)
     },
+    computedProviderDebounce() {
+      return parseInt(this.providerDebounce, 10) || 0
+    },
+    computedProviderCacheTtl() {
+      // `0` when results are cached until invalidated, `null` when not cached
+      const cache = this.providerCache
+      if (cache === true || cache === '') {
+        return 0
+      }
+      return parseInt(cache, 10) > 0 ? parseInt(cache, 10) : null
+    },
     providerTriggerContext() {
       // Used to trigger the provider function via a watcher. Only the fields that
       // are needed for triggering a provider update are included. Note that the
@@ -45,22 +89,26 @@ export default {
       const ctx = {
         apiUrl: this.apiUrl,
         filter: null,
+        filters: null,
         sortBy: null,
         sortDesc: null,
+        multiSortBy: null,
         perPage: null,
         currentPage: null
       }
       if (!this.noProviderFiltering) {
         // Either a string, or could be an object or array.
         ctx.filter = this.localFilter
+        ctx.filters = this.activeColumnFilters
       }
       if (!this.noProviderSorting) {
         ctx.sortBy = this.localSortBy
         ctx.sortDesc = this.localSortDesc
+        ctx.multiSortBy = this.localMultiSortBy
       }
       if (!this.noProviderPaging) {
         ctx.perPage = this.perPage
-        ctx.currentPage = this.currentPage
+        ctx.currentPage = this.computedCurrentPage
       }
       return { ...ctx }
     }
@@ -70,16 +118,44 @@ export default {
     items(newVal, oldVal) {
       // If a new provider has been specified, trigger an update
       if (this.hasProvider || isFunction(newVal)) {
+        // Cached results are from the previous provider
+        this.clearProviderCache()
         this.$nextTick(this._providerUpdate)
       }
     },
     providerTriggerContext(newVal, oldVal) {
       // Trigger the provider to update as the relevant context values have changed.
       if (!looseEqual(newVal, oldVal)) {
-        this.$nextTick(this._providerUpdate)
+        const timeout = this.computedProviderDebounce
+        this._providerClearTimer()
+        if (timeout) {
+          // If we have a debounce time, delay the provider update
+          this.providerTimer = setTimeout(() => {
+            this.providerTimer = null
+            this._providerUpdate()
+          }, timeout)
+        } else {
+          this.$nextTick(this._providerUpdate)
+        }
+      }
+    },
+    computedProviderCacheTtl(newVal, oldVal) {
+      if (newVal !== oldVal) {
+        this.clearProviderCache()
       }
     }
   },
+  created() {
+    // Create non-reactive props for the debounce timer id, the results cache
+    // and the pending provider request
+    this.providerTimer = null
+    this.providerResultCache = {}
+    this.providerRequest = null
+  },
+  beforeDestroy() {
+    this._providerClearTimer()
+    this._providerCancel()
+  },
   mounted() {
     // Call the items provider if necessary
     if (this.hasProvider && (!this.localItems || this.localItems.length === 0)) {
@@ -106,6 +182,8 @@ export default {
       } else {
         this.clearSelected()
         if (this.hasProvider) {
+          // Bypass any cached results for the current context
+          this.clearProviderCache(this.context)
           this.$nextTick(this._providerUpdate)
         } else {
           /* istanbul ignore next */
@@ -113,46 +191,130 @@ export default {
         }
       }
     },
+    clearProviderCache(ctx) {
+      // Public Method: Invalidate the cached provider results for the
+      // provider context, or all cached results if no context is provided
+      if (ctx) {
+        delete this.providerResultCache[getCacheKey(ctx)]
+      } else {
+        this.providerResultCache = {}
+      }
+    },
     // Provider related methods
-    _providerSetLocal(items) {
-      this.localItems = isArray(items) ? items.slice() : []
+    _providerSetLocal(result) {
+      const { items, totalRows } = normalizeResult(result)
+      this.localItems = items
+      // Total number of rows over all pages (from pagination mixin)
+      this.providerTotalRows = totalRows
       this.localBusy = false
+      this.providerError = null
       this.$emit('refreshed')
       // New root emit
       if (this.id) {
         this.emitOnRoot('bv::table::refreshed', this.id)
       }
     },
+    _providerSetError(error, ctx) {
+      this.localBusy = false
+      this.providerError = error
+      this.$off('refreshed', this.refresh)
+      this.$emit('provider-error', error, ctx)
+    },
+    _providerClearTimer() {
+      if (this.providerTimer) {
+        clearTimeout(this.providerTimer)
+        this.providerTimer = null
+      }
+    },
+    _providerCancel() {
+      // Abort the pending provider request, so that its results are ignored
+      const request = this.providerRequest
+      if (request) {
+        this.providerRequest = null
+        if (request.controller) {
+          request.controller.abort()
+        }
+      }
+    },
+    _providerGetCached(ctx) {
+      const ttl = this.computedProviderCacheTtl
+      const key = getCacheKey(ctx)
+      const entry = this.providerResultCache[key]
+      if (!entry || ttl === null) {
+        return null
+      } else if (ttl > 0 && Date.now() - entry.time > ttl) {
+        // Expired
+        delete this.providerResultCache[key]
+        return null
+      }
+      return entry.result
+    },
     _providerUpdate() {
       // Refresh the provider function items.
       if (!this.hasProvider) {
         // Do nothing if no provider
         return
       }
-      // If table is busy, wait until refreshed before calling again
-      if (this.computedBusy) {
+      this._providerClearTimer()
+      // If table is forced busy by the user, wait until refreshed before calling again
+      // When the provider is running, `busy` may just be the `.sync` echo of `localBusy`
+      if (this.busy && !this.localBusy) {
         // Schedule a new refresh once `refreshed` is emitted
         this.$nextTick(this.refresh)
         return
       }
+      // A pending provider request is stale now, as the context has changed
+      this._providerCancel()
 
       // Set internal busy state
       this.localBusy = true
 
       // Call provider function with context and optional callback after DOM is fully updated
       this.$nextTick(() => {
+        if (!this.hasProvider || this.providerRequest) {
+          // The provider was removed, or a newer update is in progress
+          /* istanbul ignore next */
+          return
+        }
+        const cached = this._providerGetCached(this.context)
+        if (cached) {
+          this._providerSetLocal(cached)
+          return
+        }
+        // The `signal` allows providers to abort the request (i.e. `fetch`) if it
+        // becomes stale. Not available in older browsers
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+        const ctx = { ...this.context, signal: controller ? controller.signal : null }
+        const request = { controller }
+        this.providerRequest = request
+        const isStale = () => this.providerRequest !== request
+        const setItems = result => {
+          // Results of stale requests are ignored
+          if (!isStale()) {
+            this.providerRequest = null
+            result = normalizeResult(result)
+            if (this.computedProviderCacheTtl !== null) {
+              this.providerResultCache[getCacheKey(ctx)] = { result, time: Date.now() }
+            }
+            this._providerSetLocal(result)
+          }
+        }
+        const setError = error => {
+          if (!isStale()) {
+            this.providerRequest = null
+            this._providerSetError(error, ctx)
+          }
+        }
         try {
           // Call provider function passing it the context and optional callback
-          const data = this.items(this.context, this._providerSetLocal)
+          const data = this.items(ctx, setItems)
           if (isPromise(data)) {
-            // Provider returned Promise
-            data.then(items => {
-              // Provider resolved with items
-              this._providerSetLocal(items)
-            })
-          } else if (isArray(data)) {
-            // Provider returned Array data
-            this._providerSetLocal(data)
+            // Provider returned Promise, which resolves with the items (or an
+            // object with the items and total rows)
+            data.then(setItems, setError)
+          } else if (isArray(data) || isPlainObject(data)) {
+            // Provider returned Array data (or an object with the items and total rows)
+            setItems(data)
           } else if (this.items.length !== 2) {
             // Check number of arguments provider function requested
             // Provider not using callback (didn't request second argument), so we clear
@@ -162,16 +324,45 @@ export default {
               "b-table provider function didn't request callback and did not return a promise or data"
             )
             /* istanbul ignore next */
+            this.providerRequest = null
+            /* istanbul ignore next */
             this.localBusy = false
           }
-        } catch (e) /* istanbul ignore next */ {
+        } catch (e) {
           // Provider function borked on us, so we spew out a warning
           // and clear the busy state
           warn(`b-table provider function error [${e.name}] ${e.message}`)
-          this.localBusy = false
-          this.$off('refreshed', this.refresh)
+          setError(e)
         }
       })
+    },
+    // Render helpers
+    renderProviderError() {
+      // Renders the `error` slot when the last provider call failed
+      const h = this.$createElement
+      if (!this.providerError || this.computedBusy || !this.hasNormalizedSlot('error')) {
+        return h()
+      }
+      const $error = this.normalizeSlot('error', {
+        error: this.providerError,
+        fields: this.computedFields,
+        refresh: this.refresh
+      })
+      return h(
+        BTr,
+        {
+          key: 'b-error-row',
+          staticClass: 'b-table-error-row',
+          class: [
+            isFunction(this.tbodyTrClass) ? this.tbodyTrClass(null, 'row-error') : this.tbodyTrClass
+          ]
+        },
+        [
+          h(BTd, { props: { colspan: this.computedFields.length || null } }, [
+            h('div', { attrs: { role: 'alert', 'aria-live': 'assertive' } }, [$error])
+          ])
+        ]
+      )
     }
   }
 }
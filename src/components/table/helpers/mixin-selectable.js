@@ -144,6 +144,20 @@ export default {
       this.selectedRows = []
     },
     // Internal private methods
+    extendSelection(fromIndex, toIndex) {
+      // Select the range of rows between the range anchor (the last selected row in
+      // range mode, otherwise `fromIndex`) and `toIndex`, i.e. when using Shift+Arrow keys
+      if (!this.selectableIsMultiSelect) {
+        return
+      }
+      const anchor = this.isRowSelected(this.selectedLastRow) ? this.selectedLastRow : fromIndex
+      const selectedRows = []
+      for (let idx = Math.min(anchor, toIndex); idx <= Math.max(anchor, toIndex); idx++) {
+        selectedRows[idx] = true
+      }
+      this.selectedLastRow = anchor
+      this.selectedRows = selectedRows
+    },
     selectableRowClasses(index) {
       if (this.isSelectable && this.isRowSelected(index)) {
         const variant = this.selectedVariant
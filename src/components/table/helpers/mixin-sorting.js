@@ -1,9 +1,37 @@
+import looseEqual from '../../../utils/loose-equal'
 import stableSort from '../../../utils/stable-sort'
 import startCase from '../../../utils/startcase'
 import { arrayIncludes } from '../../../utils/array'
-import { isFunction, isUndefinedOrNull } from '../../../utils/inspect'
+import { isArray, isFunction, isObject, isString, isUndefinedOrNull } from '../../../utils/inspect'
 import defaultSortCompare from './default-sort-compare'
 
+// Normalize an array of multi-sort criteria into an array of `{ key, desc }` objects
+const normalizeSortCriteria = criteria => {
+  const memo = {}
+  return (isArray(criteria) ? criteria : [])
+    .map(c => (isString(c) ? { key: c, desc: false } : isObject(c) ? c : {}))
+    .filter(c => {
+      if (c.key && isString(c.key) && !memo[c.key]) {
+        memo[c.key] = true
+        return true
+      }
+      return false
+    })
+    .map(c => ({ key: c.key, desc: Boolean(c.desc) }))
+}
+
+// Update the primary (first) criterion of the multi-sort criteria
+// If the primary sort key has changed, the other criteria are discarded
+const updatePrimarySortCriteria = (criteria, sortBy, sortDesc) => {
+  if (!sortBy) {
+    return []
+  }
+  const primary = { key: sortBy, desc: Boolean(sortDesc) }
+  return criteria.length > 0 && criteria[0].key === sortBy
+    ? [primary, ...criteria.slice(1)]
+    : [primary]
+}
+
 export default {
   props: {
     sortBy: {
@@ -73,12 +101,32 @@ export default {
     noFooterSorting: {
       type: Boolean,
       default: false
+    },
+    multiSort: {
+      // Allow sorting by more than one column (shift + click on headers)
+      type: Boolean,
+      default: false
+    },
+    multiSortBy: {
+      // Array of `{ key, desc }` objects, in order of sort priority
+      type: Array,
+      default: () => []
     }
   },
   data() {
+    const localSortBy = this.sortBy || ''
+    const localSortDesc = this.sortDesc || false
+    let localMultiSortBy = []
+    if (this.multiSort) {
+      localMultiSortBy = normalizeSortCriteria(this.multiSortBy)
+      if (localMultiSortBy.length === 0) {
+        localMultiSortBy = updatePrimarySortCriteria([], localSortBy, localSortDesc)
+      }
+    }
     return {
-      localSortBy: this.sortBy || '',
-      localSortDesc: this.sortDesc || false
+      localSortBy: localMultiSortBy.length > 0 ? localMultiSortBy[0].key : localSortBy,
+      localSortDesc: localMultiSortBy.length > 0 ? localMultiSortBy[0].desc : localSortDesc,
+      localMultiSortBy
     }
   },
   computed: {
@@ -88,18 +136,31 @@ export default {
     isSortable() {
       return this.computedFields.some(f => f.sortable)
     },
-    sortedItems() {
-      // Sorts the filtered items and returns a new array of the sorted items
-      // or the original items array if not sorted.
-      const items = (this.filteredItems || this.localItems || []).slice()
+    isMultiSort() {
+      return this.multiSort && this.isSortable
+    },
+    computedSortCriteria() {
+      // Array of `{ key, desc }` sort criteria, in order of priority
+      if (this.isMultiSort) {
+        return this.localMultiSortBy
+      }
       const sortBy = this.localSortBy
       const sortDesc = this.localSortDesc
+      return sortBy ? [{ key: sortBy, desc: sortDesc }] : []
+    },
+    sortCompareFn() {
+      // Returns a compare function for the current sort criteria,
+      // or `null` if not sorting locally
+      const criteria = this.computedSortCriteria
       const sortCompare = this.sortCompare
-      const localSorting = this.localSorting
       const sortOptions = { ...this.sortCompareOptions, usage: 'sort' }
       const sortLocale = this.sortCompareLocale || undefined
       const nullLast = this.sortNullLast
-      if (sortBy && localSorting) {
+      if (criteria.length === 0 || !this.localSorting) {
+        return null
+      }
+      // Generate a compare function for each of the sort criteria
+      const compareFns = criteria.map(({ key: sortBy, desc: sortDesc }) => {
         const field = this.computedFieldsObj[sortBy] || {}
         const sortByFormatted = field.sortByFormatted
         const formatter = isFunction(sortByFormatted)
@@ -107,8 +168,7 @@ export default {
           : sortByFormatted
             ? this.getFieldFormatter(sortBy)
             : undefined
-        // `stableSort` returns a new array, and leaves the original array intact
-        return stableSort(items, (a, b) => {
+        return (a, b) => {
           let result = null
           if (isFunction(sortCompare)) {
             // Call user provided sortCompare routine
@@ -130,9 +190,23 @@ export default {
           }
           // Negate result if sorting in descending order
           return (result || 0) * (sortDesc ? -1 : 1)
-        })
+        }
+      })
+      return (a, b) => {
+        // The first criterion that doesn't consider the items equal wins
+        let result = 0
+        for (let i = 0; i < compareFns.length && !result; i++) {
+          result = compareFns[i](a, b)
+        }
+        return result
       }
-      return items
+    },
+    sortedItems() {
+      // Sorts the filtered items and returns a new array of the sorted items
+      // or the original items array if not sorted.
+      const items = this.sortItems((this.filteredItems || this.localItems || []).slice())
+      // Keep the items of each group together (from grouping mixin)
+      return this.groupItems ? this.groupItems(items) : items
     }
   },
   watch: {
@@ -159,17 +233,36 @@ export default {
       }
       this.localSortBy = newVal || ''
     },
+    multiSort(newVal, oldVal) {
+      // The primary sort column is kept when toggling multi-sort mode
+      this.localMultiSortBy = newVal
+        ? updatePrimarySortCriteria([], this.localSortBy, this.localSortDesc)
+        : []
+    },
+    multiSortBy(newVal, oldVal) {
+      if (this.multiSort) {
+        this.setMultiSortBy(normalizeSortCriteria(newVal))
+      }
+    },
     // Update .sync props
     localSortDesc(newVal, oldVal) {
       // Emit update to sort-desc.sync
       if (newVal !== oldVal) {
         this.$emit('update:sortDesc', newVal)
       }
+      this.syncPrimarySortCriteria()
     },
     localSortBy(newVal, oldVal) {
       if (newVal !== oldVal) {
         this.$emit('update:sortBy', newVal)
       }
+      this.syncPrimarySortCriteria()
+    },
+    localMultiSortBy(newVal, oldVal) {
+      // Emit update to multi-sort-by.sync
+      if (!looseEqual(newVal, oldVal)) {
+        this.$emit('update:multiSortBy', newVal.map(c => ({ ...c })))
+      }
     }
   },
   created() {
@@ -178,6 +271,32 @@ export default {
     }
   },
   methods: {
+    // Multi-sort helpers
+    setMultiSortBy(criteria) {
+      // Set the multi-sort criteria, and sync the primary sort key/direction
+      if (!looseEqual(criteria, this.localMultiSortBy)) {
+        this.localMultiSortBy = criteria
+      }
+      if (criteria.length > 0) {
+        this.localSortBy = criteria[0].key
+        this.localSortDesc = criteria[0].desc
+      } else {
+        this.localSortBy = ''
+      }
+    },
+    syncPrimarySortCriteria() {
+      // Keep the multi-sort criteria in sync with the primary sort key/direction
+      if (this.multiSort) {
+        const criteria = updatePrimarySortCriteria(
+          this.localMultiSortBy,
+          this.localSortBy,
+          this.localSortDesc
+        )
+        if (!looseEqual(criteria, this.localMultiSortBy)) {
+          this.localMultiSortBy = criteria
+        }
+      }
+    },
     // Handlers
     // Need to move from thead-mixin
     handleSort(key, field, evt, isFoot) {
@@ -191,18 +310,36 @@ export default {
       // TODO: make this tri-state sorting
       // cycle desc => asc => none => desc => ...
       let sortChanged = false
-      const toggleLocalSortDesc = () => {
+      const getInitialSortDesc = () => {
         const sortDirection = field.sortDirection || this.sortDirection
         if (sortDirection === 'asc') {
-          this.localSortDesc = false
+          return false
         } else if (sortDirection === 'desc') {
-          this.localSortDesc = true
-        } else {
-          // sortDirection === 'last'
-          // Leave at last sort direction from previous column
+          return true
         }
+        // sortDirection === 'last'
+        // Leave at last sort direction from previous column
+        return this.localSortDesc
+      }
+      const toggleLocalSortDesc = () => {
+        this.localSortDesc = getInitialSortDesc()
       }
-      if (field.sortable) {
+      if (field.sortable && this.isMultiSort && evt && evt.shiftKey) {
+        // Add the column to the sort criteria, or cycle its direction
+        // initial direction => opposite direction => removed from the criteria
+        const criteria = this.localMultiSortBy.slice()
+        const index = criteria.map(c => c.key).indexOf(key)
+        const initialDesc = getInitialSortDesc()
+        if (index === -1) {
+          criteria.push({ key, desc: initialDesc })
+        } else if (criteria[index].desc === initialDesc) {
+          criteria[index] = { key, desc: !initialDesc }
+        } else {
+          criteria.splice(index, 1)
+        }
+        this.setMultiSortBy(criteria)
+        sortChanged = true
+      } else if (field.sortable) {
         if (key === this.localSortBy) {
           // Change sorting direction on current column
           this.localSortDesc = !this.localSortDesc
@@ -219,10 +356,30 @@ export default {
         sortChanged = true
       }
       if (sortChanged) {
+        // Make sure the multi-sort criteria reflect the changes
+        // before the context is emitted
+        this.syncPrimarySortCriteria()
         // Sorting parameters changed
         this.$emit('sort-changed', this.context)
       }
     },
+    sortItems(items) {
+      // Sort an array of items (or the children of a tree item, which are sorted
+      // within their siblings) using the current sort criteria
+      // `stableSort` returns a new array, and leaves the original array intact
+      const compareFn = this.sortCompareFn
+      return compareFn ? stableSort(items, compareFn) : items
+    },
+    sortTheadThPriority(key, field, isFoot) {
+      // Returns the sort priority (indexed from 1) of the column when the
+      // table is sorted by more than one column, otherwise `null`
+      const criteria = this.computedSortCriteria
+      if (!this.isMultiSort || criteria.length < 2 || (isFoot && this.noFooterSorting)) {
+        return null
+      }
+      const index = criteria.map(c => c.key).indexOf(key)
+      return index > -1 ? index + 1 : null
+    },
     // methods to compute classes and attrs for thead>th cells
     sortTheadThClasses(key, field, isFoot) {
       return {
@@ -246,11 +403,13 @@ export default {
         ariaLabel = startCase(key)
       }
       // The correctness of these labels is very important for screen-reader users.
+      // Sort criterion for this column (if currently sorted)
+      const criterion = this.computedSortCriteria.filter(c => c.key === key)[0]
       let ariaLabelSorting = ''
       if (sortable) {
-        if (this.localSortBy === key) {
+        if (criterion) {
           // currently sorted sortable column.
-          ariaLabelSorting = this.localSortDesc ? this.labelSortAsc : this.labelSortDesc
+          ariaLabelSorting = criterion.desc ? this.labelSortAsc : this.labelSortDesc
         } else {
           // Not currently sorted sortable column.
           // Not using nested ternary's here for clarity/readability
@@ -272,8 +431,8 @@ export default {
       ariaLabel = [ariaLabel.trim(), ariaLabelSorting.trim()].filter(Boolean).join(': ')
       // Assemble the aria-sort attribute value
       const ariaSort =
-        sortable && this.localSortBy === key
-          ? this.localSortDesc
+        sortable && criterion
+          ? criterion.desc
             ? 'descending'
             : 'ascending'
           : sortable
@@ -0,0 +1,110 @@
+import looseEqual from '../../../utils/loose-equal'
+import { from as arrayFrom } from '../../../utils/array'
+import { eventOff, eventOn, isElement, select } from '../../../utils/dom'
+import { freeze } from '../../../utils/object'
+
+// Mixin for the offsets of multiple sticky columns, for fields with `stickyColumn` set
+// to `true` (or `'left'`) or `'right'`. Sticky columns are offset by the widths of the
+// sticky columns before them (or after them, for right sticky columns), so that they
+// don't stack over each other
+
+const EVENT_OPTIONS = { passive: true, capture: false }
+
+const isStickyColumnRight = field => field.stickyColumn === 'right'
+
+export default {
+  data() {
+    return {
+      // Measured widths of the sticky columns, keyed by field key
+      // (frozen, as we replace the object on each measurement)
+      stickyColumnWidths: {}
+    }
+  },
+  computed: {
+    hasStickyColumns() {
+      // Sticky columns only work when the table is responsive and/or has sticky headers
+      return (
+        !this.isStacked &&
+        Boolean(this.isResponsive || this.isStickyHeader) &&
+        this.computedFields.some(f => f.stickyColumn)
+      )
+    },
+    stickyColumnOffsets() {
+      // The `left` or `right` offset style of each sticky column, keyed by field key
+      const widths = this.stickyColumnWidths
+      const fields = this.computedFields.filter(f => f.stickyColumn)
+      const offsets = {}
+      let left = 0
+      fields.filter(f => !isStickyColumnRight(f)).forEach(f => {
+        offsets[f.key] = { left: `${left}px` }
+        left += widths[f.key] || 0
+      })
+      let right = 0
+      fields
+        .filter(isStickyColumnRight)
+        .reverse()
+        .forEach(f => {
+          offsets[f.key] = { right: `${right}px` }
+          right += widths[f.key] || 0
+        })
+      return offsets
+    }
+  },
+  watch: {
+    hasStickyColumns(newVal) {
+      this.setStickyColumnListeners(newVal)
+    }
+  },
+  mounted() {
+    this.setStickyColumnListeners(this.hasStickyColumns)
+    this.measureStickyColumns()
+  },
+  updated() {
+    this.measureStickyColumns()
+  },
+  beforeDestroy() {
+    this.setStickyColumnListeners(false)
+  },
+  methods: {
+    getStickyColumnStyle(field) {
+      return this.hasStickyColumns && field.stickyColumn
+        ? this.stickyColumnOffsets[field.key] || {}
+        : {}
+    },
+    setStickyColumnListeners(on) {
+      // Column widths may change when the viewport is resized
+      eventOff(window, 'resize', this.measureStickyColumns, EVENT_OPTIONS)
+      if (on) {
+        eventOn(window, 'resize', this.measureStickyColumns, EVENT_OPTIONS)
+      }
+    },
+    measureStickyColumns() {
+      // Measure the widths of the sticky columns, using the first
+      // cell of each column that doesn't span multiple columns
+      const el = this.$el
+      // The table may be wrapped in a responsive/sticky header `<div>`
+      const table = isElement(el) && el.tagName !== 'TABLE' ? select('table.b-table', el) : el
+      if (!this.hasStickyColumns || !isElement(table)) {
+        return
+      }
+      const rows = arrayFrom(table.rows)
+      const widths = {}
+      this.computedFields.forEach((field, colIndex) => {
+        if (field.stickyColumn) {
+          const ariaColIndex = String(colIndex + 1)
+          let cell = null
+          rows.some(tr => {
+            cell = arrayFrom(tr.cells).find(
+              td => td.getAttribute('aria-colindex') === ariaColIndex && td.colSpan === 1
+            )
+            return cell
+          })
+          widths[field.key] = cell ? cell.offsetWidth : 0
+        }
+      })
+      if (!looseEqual(widths, this.stickyColumnWidths)) {
+        this.stickyColumnWidths = freeze(widths)
+      }
+    }
+  }
+}
@@ -80,6 +80,7 @@ export default {
     wrapperClasses() {
       return [
         this.isStickyHeader ? 'b-table-sticky-header' : '',
+        this.isVirtualScroll ? 'b-table-virtual-scroll' : '',
         this.isResponsive === true
           ? 'table-responsive'
           : this.isResponsive
@@ -88,9 +89,14 @@ export default {
       ].filter(Boolean)
     },
     wrapperStyles() {
-      return this.isStickyHeader && !isBoolean(this.isStickyHeader)
-        ? { maxHeight: this.isStickyHeader }
-        : {}
+      const styles = {}
+      if (this.isStickyHeader && !isBoolean(this.isStickyHeader)) {
+        styles.maxHeight = this.isStickyHeader
+      }
+      if (this.isVirtualScroll && !isBoolean(this.isVirtualScroll)) {
+        styles.height = this.isVirtualScroll
+      }
+      return styles
     },
     tableClasses() {
       const hover = this.isTableSimple
@@ -117,7 +123,9 @@ export default {
         // Stacked table classes
         this.stackedTableClasses,
         // Selectable classes
-        this.selectableTableClasses
+        this.selectableTableClasses,
+        // Resizable/reorderable columns classes
+        this.columnsTableClasses
       ]
     },
     tableAttrs() {
@@ -128,6 +136,8 @@ export default {
       const filteredItems = this.filteredItems
       const fields = this.computedFields
       const selectableAttrs = this.selectableTableAttrs || {}
+      const treeAttrs = this.treeTableAttrs || {}
+      const gridAttrs = this.gridTableAttrs || {}
       const ariaAttrs = this.isTableSimple
         ? {}
         : {
@@ -135,10 +145,17 @@ export default {
             'aria-colcount': String(fields.length),
             'aria-describedby': adb
           }
+      // Total number of rows when the provider function does the paging
+      // (from pagination mixin)
+      const totalRows = this.localPaging === false ? this.computedTotalRows : null
       const rowCount =
-        items && filteredItems && filteredItems.length > items.length
-          ? String(filteredItems.length)
-          : null
+        items && totalRows !== null && totalRows > items.length
+          ? String(totalRows)
+          : items && filteredItems && filteredItems.length > items.length
+            ? String(filteredItems.length)
+            : items && this.isVirtualScroll
+              ? String(items.length)
+              : null
 
       return {
         // We set `aria-rowcount` before merging in `$attrs`,
@@ -150,7 +167,9 @@ export default {
         id: this.safeId(),
         role: 'table',
         ...ariaAttrs,
-        ...selectableAttrs
+        ...selectableAttrs,
+        ...gridAttrs,
+        ...treeAttrs
       }
     }
   },
@@ -183,14 +202,35 @@ export default {
         key: 'b-table',
         staticClass: 'table b-table',
         class: this.tableClasses,
-        attrs: this.tableAttrs
+        attrs: this.tableAttrs,
+        // Keyboard navigation listeners (from grid mixin)
+        on: this.gridTableListeners || {}
       },
       $content.filter(Boolean)
     )
 
-    // Add responsive/sticky wrapper if needed and return table
-    return this.wrapperClasses.length > 0
-      ? h('div', { key: 'wrap', class: this.wrapperClasses, style: this.wrapperStyles }, [$table])
-      : $table
+    // Add responsive/sticky wrapper if needed
+    const $wrapped =
+      this.wrapperClasses.length > 0
+        ? h(
+            'div',
+            {
+              key: 'wrap',
+              class: this.wrapperClasses,
+              style: this.wrapperStyles,
+              on: this.isVirtualScroll ? { scroll: this.onVirtualScroll } : {}
+            },
+            [$table]
+          )
+        : $table
+
+    // Add the pagination footer if needed (from pagination mixin), and return table
+    const $pagination = this.renderPagination ? this.renderPagination() : null
+    return $pagination
+      ? h('div', { key: 'b-table-paginated', staticClass: 'b-table-paginated' }, [
+          $wrapped,
+          $pagination
+        ])
+      : $wrapped
   }
 }
@@ -56,6 +56,16 @@ export default {
       }
       return isUndefinedOrNull(value) ? '' : value
     },
+    getStickyCellVariant(item, field, rowIndex) {
+      // Sticky column cells have a solid background, which would hide the selected
+      // row variant, so we apply the selected variant to the cell instead
+      return field.stickyColumn &&
+        !item._rowVariant &&
+        this.isSelectable &&
+        this.isRowSelected(rowIndex)
+        ? this.selectedVariant
+        : null
+    },
     // Factory function methods
     toggleDetailsFactory(hasDetailsSlot, item) {
       // Returns a function to toggle a row's details slot
@@ -97,7 +107,33 @@ export default {
         return
       }
       const index = trs.indexOf(target)
-      if (keyCode === KeyCodes.ENTER || keyCode === KeyCodes.SPACE) {
+      if (
+        this.isVirtualScroll &&
+        arrayIncludes([KeyCodes.UP, KeyCodes.DOWN, KeyCodes.HOME, KeyCodes.END], keyCode)
+      ) {
+        // In virtual scroll mode not all rows are rendered, so we navigate
+        // by item index and let the table scroll the row into view
+        evt.stopPropagation()
+        evt.preventDefault()
+        const shift = evt.shiftKey
+        const lastIndex = this.computedItems.length - 1
+        let newIndex = rowIndex
+        if (keyCode === KeyCodes.HOME || (shift && keyCode === KeyCodes.UP)) {
+          newIndex = 0
+        } else if (keyCode === KeyCodes.END || (shift && keyCode === KeyCodes.DOWN)) {
+          newIndex = lastIndex
+        } else if (keyCode === KeyCodes.UP) {
+          newIndex = Math.max(rowIndex - 1, 0)
+        } else if (keyCode === KeyCodes.DOWN) {
+          newIndex = Math.min(rowIndex + 1, lastIndex)
+        }
+        this.focusVirtualRow(newIndex)
+      } else if (this.isTree && (keyCode === KeyCodes.LEFT || keyCode === KeyCodes.RIGHT)) {
+        // Expand/collapse of tree rows (from tree mixin)
+        evt.stopPropagation()
+        evt.preventDefault()
+        this.treeRowKeydown(evt, rowIndex)
+      } else if (keyCode === KeyCodes.ENTER || keyCode === KeyCodes.SPACE) {
         // We also allow enter/space to trigger a click (when row is focused)
         evt.stopPropagation()
         evt.preventDefault()
@@ -165,27 +201,46 @@ export default {
       const hasDetailsSlot = this.hasNormalizedSlot(detailsSlotName)
       const formatted = this.getFormattedValue(item, field)
       const key = field.key
+      // Inline cell editing (from editing mixin)
+      const isEditing = this.isEditingCell ? this.isEditingCell(item, key) : false
+      const isEditable = Boolean(this.isCellEditable) && !isEditing && this.isCellEditable(field)
       const data = {
         // For the Vue key, we concatenate the column index and
         // field key (as field keys could be duplicated)
         // TODO: Although we do prevent duplicate field keys...
         //   So we could change this to: `row-${rowIndex}-cell-${key}`
         key: `row-${rowIndex}-cell-${colIndex}-${key}`,
-        class: [field.class ? field.class : '', this.getTdValues(item, key, field.tdClass, '')],
+        class: [
+          field.class ? field.class : '',
+          this.getTdValues(item, key, field.tdClass, ''),
+          isEditing ? 'b-table-editing-cell' : ''
+        ],
+        // Sticky column offset (from sticky columns mixin)
+        style: this.getStickyColumnStyle(field),
         props: {
           stackedHeading: this.isStacked ? field.label : null,
           stickyColumn: field.stickyColumn,
           variant:
             item._cellVariants && item._cellVariants[key]
               ? item._cellVariants[key]
-              : field.variant || null
+              : field.variant || this.getStickyCellVariant(item, field, rowIndex),
+          editable: isEditable
         },
         attrs: {
           'aria-colindex': String(colIndex + 1),
+          // Roving tabindex (from grid mixin)
+          ...(this.gridCellAttrs ? this.gridCellAttrs(rowIndex, colIndex, field) : {}),
           ...(field.isRowHeader
             ? this.getThValues(item, key, field.thAttr, 'row', {})
             : this.getTdValues(item, key, field.tdAttr, {}))
-        }
+        },
+        on: isEditable
+          ? {
+              edit: () => {
+                this.startCellEdit(rowIndex, key)
+              }
+            }
+          : {}
       }
       const slotScope = {
         item: item,
@@ -204,9 +259,15 @@ export default {
       // a square bracket and if using in-document HTML templates, the
       // v-slot attributes are lower-cased by the browser.
       const slotNames = [`cell[${key}]`, `cell[${key.toLowerCase()}]`, 'cell[]']
-      let $childNodes = this.hasNormalizedSlot(slotNames)
-        ? this.normalizeSlot(slotNames, slotScope)
-        : toString(formatted)
+      let $childNodes = isEditing
+        ? this.renderCellEditor(field)
+        : this.hasNormalizedSlot(slotNames)
+          ? this.normalizeSlot(slotNames, slotScope)
+          : toString(formatted)
+      if (this.isTree && key === this.treeFieldKey) {
+        // Add the indentation and expand/collapse toggle (from tree mixin)
+        $childNodes = this.renderTreeCell(rowIndex, $childNodes)
+      }
       if (this.isStacked) {
         // We wrap in a DIV to ensure rendered as a single cell when visually stacked!
         $childNodes = [h('div', {}, [$childNodes])]
@@ -221,7 +282,10 @@ export default {
       const tableStriped = this.striped
       const hasDetailsSlot = this.hasNormalizedSlot(detailsSlotName)
       const rowShowDetails = Boolean(item._showDetails && hasDetailsSlot)
-      const hasRowClickHandler = this.$listeners['row-clicked'] || this.isSelectable
+      // Tree rows are focusable for keyboard expand/collapse
+      const hasRowClickHandler = this.$listeners['row-clicked'] || this.isSelectable || this.isTree
+      // Rows are not focusable when the cells are navigated with the keyboard
+      const isRowFocusable = hasRowClickHandler && !this.isGridNavigation
 
       // We can return more than one TR if rowDetails enabled
       const $rows = []
@@ -236,8 +300,12 @@ export default {
 
       // Calculate the row number in the dataset (indexed from 1)
       let ariaRowIndex = null
-      if (this.currentPage && this.perPage && this.perPage > 0) {
-        ariaRowIndex = String((this.currentPage - 1) * this.perPage + rowIndex + 1)
+      if (this.computedCurrentPage && this.computedPerPage) {
+        // `computedCurrentPage` and `computedPerPage` are from the pagination mixin
+        ariaRowIndex = String((this.computedCurrentPage - 1) * this.computedPerPage + rowIndex + 1)
+      } else if (this.isVirtualScroll) {
+        // Not all rows are rendered in virtual scroll mode
+        ariaRowIndex = String(rowIndex + 1)
       }
 
       // Create a unique :key to help ensure that sub components are re-rendered rather than
@@ -263,6 +331,9 @@ export default {
       const selectableClasses = this.selectableRowClasses ? this.selectableRowClasses(rowIndex) : {}
       const selectableAttrs = this.selectableRowAttrs ? this.selectableRowAttrs(rowIndex) : {}
 
+      // Tree grid attributes
+      const treeAttrs = this.treeRowAttrs ? this.treeRowAttrs(rowIndex) : {}
+
       // Add the item row
       $rows.push(
         h(
@@ -279,13 +350,14 @@ export default {
             props: { variant: item._rowVariant || null },
             attrs: {
               id: rowId,
-              tabindex: hasRowClickHandler ? '0' : null,
+              tabindex: isRowFocusable ? '0' : null,
               'data-pk': rowId ? String(item[primaryKey]) : null,
               // Should this be `aria-details` instead?
               'aria-describedby': detailsId,
               'aria-owns': detailsId,
               'aria-rowindex': ariaRowIndex,
-              ...selectableAttrs
+              ...selectableAttrs,
+              ...treeAttrs
             },
             on: {
               ...handlers,
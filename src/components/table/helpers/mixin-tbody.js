@@ -33,15 +33,36 @@ export default {
         // Add static Top Row slot (hidden in visibly stacked mode as we can't control data-label attr)
         $rows.push(this.renderTopRow ? this.renderTopRow() : h())
 
-        // render the rows
-        items.forEach((item, rowIndex) => {
-          // Render the individual item row (rows if details slot)
-          $rows.push(this.renderTbodyRow(item, rowIndex))
-        })
+        if (this.isGrouped) {
+          // Render the group header and footer rows around the item rows of each group
+          $rows.push(this.renderGroupedRows())
+        } else {
+          // In virtual scroll mode, we only render the rows in the scroll container's
+          // viewport, and use spacer rows to take up the height of the other rows
+          const isVirtual = this.isVirtualScroll
+          const { start, end } = isVirtual ? this.virtualRange : { start: 0, end: items.length }
+          if (isVirtual) {
+            $rows.push(this.renderVirtualSpacer(true))
+          }
+
+          // render the rows
+          items.slice(start, end).forEach((item, idx) => {
+            // Render the individual item row (rows if details slot)
+            // The row index is relative to all items, not just the rendered ones
+            $rows.push(this.renderTbodyRow(item, start + idx))
+          })
+
+          if (isVirtual) {
+            $rows.push(this.renderVirtualSpacer(false))
+          }
+        }
 
         // Empty Items / Empty Filtered Row slot (only shows if items.length < 1)
         $rows.push(this.renderEmpty ? this.renderEmpty() : h())
 
+        // Provider error row slot (only shows if the last provider call failed)
+        $rows.push(this.renderProviderError ? this.renderProviderError() : h())
+
         // Static bottom row slot (hidden in visibly stacked mode as we can't control data-label attr)
         $rows.push(this.renderBottomRow ? this.renderBottomRow() : h())
       }
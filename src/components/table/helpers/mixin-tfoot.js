@@ -1,4 +1,11 @@
+import get from '../../../utils/get'
+import toString from '../../../utils/to-string'
 import { getComponentConfig } from '../../../utils/config'
+import { isFunction, isString, isUndefinedOrNull } from '../../../utils/inspect'
+import aggregate from './aggregate'
+import { BTfoot } from '../tfoot'
+import { BTr } from '../tr'
+import { BTd } from '../td'
 
 export default {
   props: {
@@ -17,14 +24,114 @@ export default {
     tfootTrClass: {
       type: [String, Array, Object],
       default: null
+    },
+    footTotals: {
+      // Render a row of field aggregates (computed from the filtered items) in the tfoot
+      type: Boolean,
+      default: false
+    },
+    labelTotals: {
+      type: String,
+      default: 'Total'
+    }
+  },
+  computed: {
+    hasAggregateFields() {
+      return this.computedFields.some(f => f.aggregate)
     }
   },
   methods: {
+    getAggregateValue(field, items) {
+      const key = field.key
+      const values = items.map(item => get(item, key, null))
+      return aggregate(field.aggregate, values, items, key)
+    },
+    getFormattedAggregateValue(field, value, items) {
+      const parent = this.$parent
+      let formatter = field.aggregateFormatter
+      if (isString(formatter) && isFunction(parent[formatter])) {
+        formatter = parent[formatter]
+      }
+      if (isFunction(formatter)) {
+        value = formatter(value, field.key, items)
+      }
+      return isUndefinedOrNull(value) ? '' : value
+    },
+    renderAggregateCells(items, group = null, label = '') {
+      // Renders a cell for each field, with the aggregate value (if the field
+      // has an aggregator) of the items. Used for the totals and group footer rows
+      const h = this.$createElement
+      let $label = label
+      return this.computedFields.map((field, colIndex) => {
+        const key = field.key
+        let $content = ''
+        if (field.aggregate) {
+          const value = this.getAggregateValue(field, items)
+          const formatted = this.getFormattedAggregateValue(field, value, items)
+          const slotNames = [`aggregate[${key}]`, `aggregate[${key.toLowerCase()}]`, 'aggregate[]']
+          $content = this.hasNormalizedSlot(slotNames)
+            ? this.normalizeSlot(slotNames, {
+                field,
+                column: key,
+                unformatted: value,
+                value: formatted,
+                items,
+                group
+              })
+            : toString(formatted)
+        } else if ($label) {
+          // Label goes in the first cell without an aggregate
+          $content = $label
+          $label = ''
+        }
+        return h(
+          BTd,
+          {
+            key: `aggregate-${colIndex}-${key}`,
+            class: field.class ? field.class : '',
+            style: this.getStickyColumnStyle(field),
+            props: {
+              stackedHeading: this.isStacked ? field.label : null,
+              stickyColumn: field.stickyColumn,
+              variant: field.variant || null
+            },
+            attrs: { 'aria-colindex': String(colIndex + 1) }
+          },
+          [$content]
+        )
+      })
+    },
+    renderTotalsRow() {
+      const h = this.$createElement
+      if (!this.footTotals || !this.hasAggregateFields) {
+        return h()
+      }
+      const items = this.filteredItems || this.localItems || []
+      return h(
+        BTr,
+        { key: 'bv-totals-row', staticClass: 'b-table-totals', class: this.tfootTrClass },
+        this.renderAggregateCells(items, null, this.labelTotals)
+      )
+    },
     renderTfoot() {
       const h = this.$createElement
 
-      // Passing true to renderThead will make it render a tfoot
-      return this.footClone ? this.renderThead(true) : h()
+      if (this.footClone) {
+        // Passing true to renderThead will make it render a tfoot
+        // (which includes the totals row)
+        return this.renderThead(true)
+      } else if (this.footTotals && this.hasAggregateFields) {
+        return h(
+          BTfoot,
+          {
+            key: 'bv-tfoot',
+            class: this.tfootClass || null,
+            props: { footVariant: this.footVariant || this.headVariant || null }
+          },
+          [this.renderTotalsRow()]
+        )
+      }
+      return h()
     }
   }
 }
@@ -2,6 +2,8 @@ import KeyCodes from '../../../utils/key-codes'
 import startCase from '../../../utils/startcase'
 import { getComponentConfig } from '../../../utils/config'
 import { htmlOrText } from '../../../utils/html'
+import { concat } from '../../../utils/array'
+import { keys } from '../../../utils/object'
 import filterEvent from './filter-event'
 import textSelectionActive from './text-selection-active'
 import { BThead } from '../thead'
@@ -83,6 +85,11 @@ export default {
         }
         const sortAttrs = this.isSortable ? this.sortTheadThAttrs(field.key, field, isFoot) : {}
         const sortClass = this.isSortable ? this.sortTheadThClasses(field.key, field, isFoot) : null
+        // Re-orderable column attributes and handlers (from columns mixin)
+        const columnData = !isFoot && this.columnTheadThData ? this.columnTheadThData(field) : {}
+        keys(columnData.on || {}).forEach(evtName => {
+          handlers[evtName] = concat(handlers[evtName] || [], columnData.on[evtName])
+        })
         const data = {
           key: field.key,
           class: [this.fieldClasses(field), sortClass],
@@ -90,7 +97,8 @@ export default {
             variant: field.variant,
             stickyColumn: field.stickyColumn
           },
-          style: field.thStyle || {},
+          // Sticky column offset (from sticky columns mixin)
+          style: [field.thStyle || {}, this.getStickyColumnStyle(field)],
           attrs: {
             // We only add a tabindex of 0 if there is a head-clicked listener
             tabindex: hasHeadClickListener ? '0' : null,
@@ -99,7 +107,8 @@ export default {
             'aria-colindex': String(colIndex + 1),
             'aria-label': ariaLabel,
             ...this.getThValues(null, field.key, field.thAttr, isFoot ? 'foot' : 'head', {}),
-            ...sortAttrs
+            ...sortAttrs,
+            ...(columnData.attrs || {})
           },
           on: handlers
         }
@@ -117,6 +126,13 @@ export default {
           ]
         }
         const hasSlot = this.hasNormalizedSlot(slotNames)
+        // Sort priority number when sorting by multiple columns
+        const sortPriority = this.isSortable
+          ? this.sortTheadThPriority(field.key, field, isFoot)
+          : null
+        // Column resize handle (from columns mixin)
+        const $resizeHandle =
+          !isFoot && this.renderColumnResizeHandle ? this.renderColumnResizeHandle(field) : null
         let slot = field.label
         if (hasSlot) {
           slot = this.normalizeSlot(slotNames, {
@@ -128,9 +144,25 @@ export default {
             selectAllRows,
             clearSelected
           })
+        } else if ((sortPriority || $resizeHandle) && field.labelHtml) {
+          // We can't use `domProps` on the cell, as it would replace the priority/handle
+          slot = h('span', { domProps: htmlOrText(field.labelHtml) })
         } else {
           data.domProps = htmlOrText(field.labelHtml)
         }
+        if (sortPriority) {
+          slot = concat(
+            slot,
+            h(
+              'span',
+              { staticClass: 'b-table-sort-priority', attrs: { 'aria-hidden': 'true' } },
+              String(sortPriority)
+            )
+          )
+        }
+        if ($resizeHandle) {
+          slot = concat(slot, $resizeHandle)
+        }
         return h(BTh, data, slot)
       }
 
@@ -140,6 +172,8 @@ export default {
       // Genrate the row(s)
       const $trs = []
       if (isFoot) {
+        // Field aggregates totals row (from tfoot mixin)
+        $trs.push(this.renderTotalsRow ? this.renderTotalsRow() : h())
         $trs.push(h(BTr, { class: this.tfootTrClass }, $cells))
       } else {
         const scope = {
@@ -149,8 +183,17 @@ export default {
           selectAllRows,
           clearSelected
         }
+        if (this.exportItems) {
+          // Add in the export methods (from export mixin), for toolbar buttons
+          scope.exportItems = this.exportItems
+          scope.downloadItems = this.downloadItems
+        }
         $trs.push(this.normalizeSlot('thead-top', scope) || h())
+        // Column chooser row (from columns mixin)
+        $trs.push(this.renderColumnChooser ? this.renderColumnChooser() : h())
         $trs.push(h(BTr, { class: this.theadTrClass }, $cells))
+        // Column filter controls row (from filtering mixin)
+        $trs.push(this.renderFilterRow ? this.renderFilterRow() : h())
       }
 
       return h(
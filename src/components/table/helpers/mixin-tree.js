@@ -0,0 +1,263 @@
+import KeyCodes from '../../../utils/key-codes'
+import { arrayIncludes } from '../../../utils/array'
+import { isArray, isFunction, isPromise } from '../../../utils/inspect'
+
+// Mixin for rendering hierarchical items (items with `_children`) as a tree grid
+
+const LENGTH_RX = /^(\d*\.?\d+)([a-z%]*)$/i
+
+// Multiply a CSS length (i.e. `1.25rem`) by the given factor
+const multiplyLength = (length, factor) => {
+  const match = LENGTH_RX.exec(length)
+  return match ? `${parseFloat(match[1]) * factor}${match[2]}` : `calc(${factor} * ${length})`
+}
+
+export default {
+  props: {
+    tree: {
+      type: Boolean,
+      default: false
+    },
+    treeField: {
+      // Key of the field to render the expand/collapse toggle in
+      // Defaults to the first field
+      type: String,
+      default: null
+    },
+    treeIndent: {
+      // Indentation (CSS length) of each level of child items
+      type: String,
+      default: '1.25rem'
+    },
+    childrenProvider: {
+      // Function to load the children of items that have `_hasChildren` set
+      // Passed the item, and returns an array of child items (or a promise)
+      type: Function,
+      default: null
+    },
+    labelExpandRow: {
+      type: String,
+      default: 'Expand'
+    },
+    labelCollapseRow: {
+      type: String,
+      default: 'Collapse'
+    }
+  },
+  data() {
+    return {
+      // Items whose children are currently being loaded
+      treeLoadingItems: [],
+      // Items collapsed by the user while filtering, which would otherwise be expanded
+      treeCollapsedItems: []
+    }
+  },
+  computed: {
+    isTree() {
+      return this.tree
+    },
+    treeFieldKey() {
+      const fields = this.computedFields
+      const field = fields.find(f => f.key === this.treeField) || fields[0]
+      return field ? field.key : null
+    },
+    treeRows() {
+      // The (paginated) items, with the filtered and sorted children of expanded
+      // items inserted after their parent, along with the tree position of each row
+      const items =
+        this.paginatedItems || this.sortedItems || this.filteredItems || this.localItems || []
+      const filterItems = this.filterItems || (items => items)
+      const sortItems = this.sortItems || (items => items)
+      // When filtering, we expand all items so that matching descendants are
+      // visible, except for the items collapsed by the user
+      const isFiltering = this.isTreeFiltering
+      const collapsed = this.treeCollapsedItems
+      const rows = []
+      const addRows = (items, level, parent) => {
+        items.forEach((item, index) => {
+          const isLoaded = isArray(item._children)
+          const children = isLoaded ? sortItems(filterItems(item._children)) : []
+          const expanded =
+            children.length > 0 &&
+            (isFiltering ? !arrayIncludes(collapsed, item) : Boolean(item._showChildren))
+          rows.push({
+            item,
+            level,
+            parent,
+            setSize: items.length,
+            posInSet: index + 1,
+            hasChildren: isLoaded ? children.length > 0 : Boolean(item._hasChildren),
+            expanded
+          })
+          if (expanded) {
+            addRows(children, level + 1, item)
+          }
+        })
+      }
+      if (this.isTree) {
+        addRows(items, 1, null)
+      }
+      return rows
+    },
+    isTreeFiltering() {
+      return !!this.computedFilterFn
+    },
+    treeTableAttrs() {
+      return this.isTree ? { role: 'treegrid' } : {}
+    }
+  },
+  watch: {
+    computedFilterFn() {
+      // Rows collapsed while filtering are expanded again when the filter changes
+      this.treeCollapsedItems = []
+    }
+  },
+  methods: {
+    // Public methods
+    toggleChildren(item, show) {
+      // Expand or collapse an item's children, loading them first if needed
+      if (this.isTreeFiltering && isArray(item._children)) {
+        // While filtering, rows are expanded unless collapsed by the user
+        const isCollapsed = arrayIncludes(this.treeCollapsedItems, item)
+        show = show === undefined ? isCollapsed : Boolean(show)
+        if (isCollapsed === show) {
+          this.treeCollapsedItems = show
+            ? this.treeCollapsedItems.filter(i => i !== item)
+            : [...this.treeCollapsedItems, item]
+          this.$emit(show ? 'row-expanded' : 'row-collapsed', item)
+        }
+        return
+      }
+      show = show === undefined ? !item._showChildren : Boolean(show)
+      if (show && !isArray(item._children)) {
+        this.loadChildren(item)
+      } else if (Boolean(item._showChildren) !== show) {
+        this.$set(item, '_showChildren', show)
+        this.$emit(show ? 'row-expanded' : 'row-collapsed', item)
+      }
+    },
+    // Internal private methods
+    loadChildren(item) {
+      const provider = this.childrenProvider
+      if (!item._hasChildren || !isFunction(provider) || this.isTreeLoading(item)) {
+        return
+      }
+      this.treeLoadingItems.push(item)
+      const done = children => {
+        this.treeLoadingItems = this.treeLoadingItems.filter(i => i !== item)
+        if (isArray(children)) {
+          this.$set(item, '_children', children)
+          this.toggleChildren(item, true)
+        }
+      }
+      const fail = error => {
+        this.treeLoadingItems = this.treeLoadingItems.filter(i => i !== item)
+        this.$emit('children-load-error', item, error)
+      }
+      let result
+      try {
+        result = provider(item)
+      } catch (e) {
+        fail(e)
+        return
+      }
+      if (isPromise(result)) {
+        result.then(done, fail)
+      } else {
+        done(result)
+      }
+    },
+    isTreeLoading(item) {
+      return arrayIncludes(this.treeLoadingItems, item)
+    },
+    treeRowAttrs(rowIndex) {
+      const row = this.isTree ? this.treeRows[rowIndex] : null
+      if (!row) {
+        return {}
+      }
+      return {
+        'aria-level': String(row.level),
+        'aria-setsize': String(row.setSize),
+        'aria-posinset': String(row.posInSet),
+        'aria-expanded': row.hasChildren ? String(row.expanded) : null,
+        'aria-busy': this.isTreeLoading(row.item) ? 'true' : null
+      }
+    },
+    treeRowKeydown(evt, rowIndex) {
+      // Right arrow expands a row (or moves to the first child), and
+      // left arrow collapses a row (or moves to the parent)
+      const keyCode = evt.keyCode
+      const row = this.treeRows[rowIndex]
+      if (!row) {
+        /* istanbul ignore next */
+        return
+      }
+      if (keyCode === KeyCodes.RIGHT) {
+        if (row.expanded) {
+          this.focusTreeRow(rowIndex + 1)
+        } else if (row.hasChildren) {
+          this.toggleChildren(row.item, true)
+        }
+      } else if (keyCode === KeyCodes.LEFT) {
+        if (row.expanded) {
+          this.toggleChildren(row.item, false)
+        } else if (row.parent) {
+          this.focusTreeRow(this.treeRows.findIndex(r => r.item === row.parent))
+        }
+      }
+    },
+    focusTreeRow(index) {
+      if (this.isVirtualScroll) {
+        this.focusVirtualRow(index)
+      } else {
+        this.$nextTick(() => {
+          const tr = this.getVirtualRowElements()[index]
+          if (tr && tr.focus) {
+            tr.focus()
+          }
+        })
+      }
+    },
+    // Render helpers
+    renderTreeCell(rowIndex, $content) {
+      // Wraps the tree field cell content with the indentation and toggle button
+      const h = this.$createElement
+      const row = this.treeRows[rowIndex]
+      if (!row) {
+        /* istanbul ignore next */
+        return $content
+      }
+      const item = row.item
+      const isLoading = this.isTreeLoading(item)
+      let $toggle = h('span', { staticClass: 'b-table-tree-toggle' })
+      if (row.hasChildren) {
+        $toggle = h('button', {
+          staticClass: 'b-table-tree-toggle btn btn-link',
+          class: { 'b-table-tree-loading': isLoading },
+          attrs: {
+            type: 'button',
+            // Rows are focusable and handle the keyboard interaction
+            tabindex: '-1',
+            disabled: isLoading,
+            'aria-label': row.expanded ? this.labelCollapseRow : this.labelExpandRow,
+            'aria-expanded': String(row.expanded)
+          },
+          on: {
+            click: () => {
+              this.toggleChildren(item, !row.expanded)
+            }
+          }
+        })
+      }
+      return h(
+        'div',
+        {
+          staticClass: 'b-table-tree-cell',
+          style:
+            row.level > 1 ? { paddingLeft: multiplyLength(this.treeIndent, row.level - 1) } : {}
+        },
+        [$toggle, $content]
+      )
+    }
+  }
+}
@@ -0,0 +1,214 @@
+import { freeze } from '../../../utils/object'
+import { isElement, isVisible } from '../../../utils/dom'
+import { isNumber } from '../../../utils/inspect'
+
+// Mixin for rendering only the rows visible in a fixed height scroll container
+
+// Find the index of the row which contains the given vertical position
+// `offsets` is an ascending array of row top offsets (with the total height appended)
+const findRowIndex = (offsets, position) => {
+  let low = 0
+  let high = offsets.length - 2
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (offsets[mid] <= position) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return Math.max(low, 0)
+}
+
+export default {
+  props: {
+    virtualScroll: {
+      // If a string, it is assumed to be the scroll container `height` value
+      type: [Boolean, String],
+      default: false
+    },
+    virtualRowHeight: {
+      // Estimated height (in pixels) of rows that have not been rendered yet
+      type: [Number, String],
+      default: 40
+    },
+    virtualBuffer: {
+      // Number of rows to render above and below the visible rows
+      type: [Number, String],
+      default: 10
+    }
+  },
+  data() {
+    return {
+      virtualScrollTop: 0,
+      virtualViewportHeight: 0,
+      // Measured row heights (frozen, as we replace the array on each measurement)
+      virtualRowHeights: []
+    }
+  },
+  computed: {
+    isVirtualScroll() {
+      const virtualScroll = this.virtualScroll === '' ? true : this.virtualScroll
+      return this.isStacked ? false : virtualScroll
+    },
+    computedVirtualRowHeight() {
+      return Math.max(parseInt(this.virtualRowHeight, 10) || 0, 1)
+    },
+    computedVirtualBuffer() {
+      return Math.max(parseInt(this.virtualBuffer, 10) || 0, 0)
+    },
+    virtualRowOffsets() {
+      // Top offset of each row, with the total height of all rows as the last entry
+      // Rows that have not been measured yet use the estimated row height
+      const heights = this.virtualRowHeights
+      const estimate = this.computedVirtualRowHeight
+      const length = this.computedItems.length
+      const offsets = new Array(length + 1)
+      offsets[0] = 0
+      for (let i = 0; i < length; i++) {
+        offsets[i + 1] = offsets[i] + (heights[i] || estimate)
+      }
+      return offsets
+    },
+    virtualRange() {
+      // The `start` (inclusive) and `end` (exclusive) indexes of the rendered rows
+      // Note the scroll position includes the table header, which is covered by the buffer
+      const length = this.computedItems.length
+      if (length === 0) {
+        return { start: 0, end: 0 }
+      }
+      const offsets = this.virtualRowOffsets
+      const buffer = this.computedVirtualBuffer
+      const top = this.virtualScrollTop
+      const bottom = top + this.virtualViewportHeight
+      return {
+        start: Math.max(findRowIndex(offsets, top) - buffer, 0),
+        end: Math.min(findRowIndex(offsets, bottom) + 1 + buffer, length)
+      }
+    }
+  },
+  watch: {
+    computedItems() {
+      // Row heights are indexed by position, so they no longer apply
+      this.virtualRowHeights = []
+    }
+  },
+  mounted() {
+    this.updateVirtualViewport()
+  },
+  updated() {
+    this.measureVirtualRows()
+  },
+  methods: {
+    // Public methods
+    scrollToRow(index) {
+      // Scroll the row (indexed based on `computedItems`) into view
+      if (!this.isVirtualScroll || !isNumber(index) || !isElement(this.$el)) {
+        return
+      }
+      const offsets = this.virtualRowOffsets
+      index = Math.max(Math.min(index, this.computedItems.length - 1), 0)
+      const rowTop = offsets[index] || 0
+      const rowBottom = offsets[index + 1] || 0
+      const viewportHeight = this.virtualViewportHeight
+      let scrollTop = this.$el.scrollTop
+      if (rowTop < scrollTop) {
+        scrollTop = rowTop
+      } else if (rowBottom > scrollTop + viewportHeight) {
+        scrollTop = rowBottom - viewportHeight
+      }
+      this.$el.scrollTop = scrollTop
+      // We update the scroll position immediately, as the scroll event is asynchronous
+      this.virtualScrollTop = scrollTop
+    },
+    // Internal private methods
+    getVirtualRowElements() {
+      // `this.$refs.itemRows` is not guaranteed to be in document order
+      // after rows have been added and removed, so we sort by row index
+      return (this.$refs.itemRows || [])
+        .map(tr => tr.$el || tr)
+        .filter(isElement)
+        .sort((a, b) => a.rowIndex - b.rowIndex)
+    },
+    focusVirtualRow(index) {
+      // Focus the item row (indexed based on `computedItems`), scrolling it into view
+      this.scrollToRow(index)
+      this.$nextTick(() => {
+        const tr = this.getVirtualRowElements()[index - this.virtualRange.start]
+        if (tr && tr.focus) {
+          tr.focus()
+        }
+      })
+    },
+    updateVirtualViewport() {
+      if (this.isVirtualScroll && isElement(this.$el)) {
+        this.virtualScrollTop = this.$el.scrollTop
+        this.virtualViewportHeight = this.$el.clientHeight
+      }
+    },
+    measureVirtualRows() {
+      // Measure the heights of the rendered rows, which includes any
+      // details rows, as the distance to the next item row (or spacer)
+      if (!this.isVirtualScroll || !isVisible(this.$el)) {
+        return
+      }
+      const trs = this.getVirtualRowElements()
+      const $spacer = this.$refs.virtualSpacerBottom
+      const start = this.virtualRange.start
+      const heights = this.virtualRowHeights.slice()
+      let changed = false
+      trs.forEach((tr, idx) => {
+        const next = trs[idx + 1] || $spacer
+        const height = next ? next.offsetTop - tr.offsetTop : tr.offsetHeight
+        if (height > 0 && Math.abs((heights[start + idx] || 0) - height) > 0.5) {
+          heights[start + idx] = height
+          changed = true
+        }
+      })
+      if (changed) {
+        this.virtualRowHeights = freeze(heights)
+      }
+      this.updateVirtualViewport()
+    },
+    onVirtualScroll() {
+      this.updateVirtualViewport()
+    },
+    // Render helpers
+    renderVirtualSpacer(isTop) {
+      // Renders a row that takes up the space of the rows not rendered
+      const h = this.$createElement
+      const offsets = this.virtualRowOffsets
+      const { start, end } = this.virtualRange
+      const height = isTop ? offsets[start] : offsets[offsets.length - 1] - offsets[end]
+      const $rows = [
+        h(
+          'tr',
+          {
+            key: `__b-table-virtual-${isTop ? 'top' : 'bottom'}__`,
+            ref: isTop ? 'virtualSpacerTop' : 'virtualSpacerBottom',
+            staticClass: 'b-table-virtual-spacer',
+            attrs: { 'aria-hidden': 'true', role: 'presentation' }
+          },
+          [
+            h('td', {
+              attrs: { colspan: this.computedFields.length || null },
+              style: { height: `${height}px` }
+            })
+          ]
+        )
+      ]
+      if (isTop && start % 2 === 0) {
+        // Add a hidden row to keep table row striping consistent, as
+        // the spacer row (plus the rows not rendered) shift the striping
+        $rows.push(
+          h('tr', {
+            key: '__b-table-virtual-stripe__',
+            staticClass: 'd-none',
+            attrs: { 'aria-hidden': 'true', role: 'presentation' }
+          })
+        )
+      }
+      return $rows
+    }
+  }
+}
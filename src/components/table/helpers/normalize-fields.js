@@ -1,7 +1,51 @@
 import startCase from '../../../utils/startcase'
+import { arrayIncludes } from '../../../utils/array'
 import { isArray, isFunction, isObject, isString } from '../../../utils/inspect'
 import { keys } from '../../../utils/object'
-import { IGNORED_FIELD_KEYS } from './constants'
+import { AGGREGATORS, COLUMN_FILTER_TYPES, EDITOR_TYPES, IGNORED_FIELD_KEYS } from './constants'
+
+// Private function to massage a field's column filter definition into
+// a `{ type, ... }` object (or `null` if the column is not filterable)
+const processColumnFilter = filter => {
+  if (filter === true) {
+    // Boolean shortcut for a text filter
+    return { type: COLUMN_FILTER_TYPES[0] }
+  } else if (isString(filter)) {
+    // Type shortcut
+    return arrayIncludes(COLUMN_FILTER_TYPES, filter) ? { type: filter } : null
+  } else if (isObject(filter)) {
+    const type = arrayIncludes(COLUMN_FILTER_TYPES, filter.type)
+      ? filter.type
+      : COLUMN_FILTER_TYPES[0]
+    return { ...filter, type }
+  }
+  return null
+}
+
+// Private function to validate a field's aggregator, which can be
+// the name of a built-in aggregator or a function
+const processAggregate = aggregate =>
+  isFunction(aggregate) || arrayIncludes(AGGREGATORS, aggregate) ? aggregate : null
+
+// Private function to massage a field's cell editor definition into
+// a `{ type, ... }` object (or `null` if the field is not editable)
+const processEditor = editor => {
+  if (editor === true) {
+    // Boolean shortcut for a text editor
+    return { type: EDITOR_TYPES[0] }
+  } else if (isString(editor)) {
+    // Type shortcut (custom editors require a component)
+    return arrayIncludes(EDITOR_TYPES, editor) && editor !== 'custom' ? { type: editor } : null
+  } else if (isObject(editor)) {
+    // Editors with a `component` are always custom editors
+    let type = editor.component ? 'custom' : editor.type
+    if (!arrayIncludes(EDITOR_TYPES, type) || (type === 'custom' && !editor.component)) {
+      type = EDITOR_TYPES[0]
+    }
+    return { ...editor, type }
+  }
+  return null
+}
 
 // Private function to massage field entry into common object format
 const processField = (key, value) => {
@@ -57,12 +101,22 @@ const normalizeFields = (origFields, items) => {
     })
   }
 
-  // Ensure we have a unique array of fields and that they have String labels
+  // Ensure we have a unique array of fields and that they have String labels,
+  // normalized column filter and editor definitions and valid aggregators
   const memo = {}
   return fields.filter(f => {
     if (!memo[f.key]) {
       memo[f.key] = true
       f.label = isString(f.label) ? f.label : startCase(f.key)
+      if (f.filter) {
+        f.filter = processColumnFilter(f.filter)
+      }
+      if (f.aggregate) {
+        f.aggregate = processAggregate(f.aggregate)
+      }
+      if (f.editor) {
+        f.editor = processEditor(f.editor)
+      }
       return true
     }
     return false
@@ -90,4 +90,58 @@ describe('table/helpers/normalize-fields', () => {
       { key: 'foo_bar', label: 'Foo Bar' }
     ])
   })
+
+  it('normalizes column filter definitions', async () => {
+    const arr1 = [
+      { key: 'a', filter: true },
+      { key: 'b', filter: 'select' },
+      { key: 'c', filter: { type: 'number', placeholder: 'x' } },
+      { key: 'd', filter: { placeholder: 'y' } },
+      { key: 'e', filter: 'foo' }
+    ]
+
+    expect(normalizeFields(arr1, [])).toEqual([
+      { key: 'a', label: 'A', filter: { type: 'text' } },
+      { key: 'b', label: 'B', filter: { type: 'select' } },
+      { key: 'c', label: 'C', filter: { type: 'number', placeholder: 'x' } },
+      { key: 'd', label: 'D', filter: { type: 'text', placeholder: 'y' } },
+      { key: 'e', label: 'E', filter: null }
+    ])
+  })
+
+  it('normalizes field aggregators', async () => {
+    const fn = values => values.length
+    const arr1 = [
+      { key: 'a', aggregate: 'sum' },
+      { key: 'b', aggregate: fn },
+      { key: 'c', aggregate: 'foo' }
+    ]
+
+    expect(normalizeFields(arr1, [])).toEqual([
+      { key: 'a', label: 'A', aggregate: 'sum' },
+      { key: 'b', label: 'B', aggregate: fn },
+      { key: 'c', label: 'C', aggregate: null }
+    ])
+  })
+
+  it('normalizes cell editor definitions', async () => {
+    const component = { render: h => h('input') }
+    const arr1 = [
+      { key: 'a', editor: true },
+      { key: 'b', editor: 'number' },
+      { key: 'c', editor: { type: 'select', options: ['x'] } },
+      { key: 'd', editor: { component } },
+      { key: 'e', editor: 'custom' },
+      { key: 'f', editor: 'foo' }
+    ]
+
+    expect(normalizeFields(arr1, [])).toEqual([
+      { key: 'a', label: 'A', editor: { type: 'text' } },
+      { key: 'b', label: 'B', editor: { type: 'number' } },
+      { key: 'c', label: 'C', editor: { type: 'select', options: ['x'] } },
+      { key: 'd', label: 'D', editor: { type: 'custom', component } },
+      { key: 'e', label: 'E', editor: null },
+      { key: 'f', label: 'F', editor: null }
+    ])
+  })
 })
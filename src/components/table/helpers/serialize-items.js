@@ -0,0 +1,41 @@
+import toString from '../../../utils/to-string'
+
+const QUOTE_RX = /["\r\n]/
+const QUOTES_RX = /"/g
+
+// Delimiters for the delimiter separated export formats
+const DELIMITERS = { csv: ',', tsv: '\t' }
+
+// Quote a value if it contains the delimiter, quotes or line breaks,
+// doubling any quotes in the value (RFC 4180)
+const escapeValue = (value, delimiter) => {
+  value = toString(value)
+  return QUOTE_RX.test(value) || value.indexOf(delimiter) !== -1
+    ? `"${value.replace(QUOTES_RX, '""')}"`
+    : value
+}
+
+// Serialize rows (objects of values by field key) in the given format
+// (`'csv'`, `'tsv'` or `'json'`), with the values in the order of the fields
+const serializeItems = (rows, fields, format, header = true) => {
+  if (format === 'json') {
+    return JSON.stringify(
+      rows.map(row =>
+        fields.reduce((obj, field) => {
+          obj[field.key] = row[field.key]
+          return obj
+        }, {})
+      ),
+      null,
+      2
+    )
+  }
+  const delimiter = DELIMITERS[format] || DELIMITERS.csv
+  const lines = rows.map(row => fields.map(field => escapeValue(row[field.key], delimiter)))
+  if (header) {
+    lines.unshift(fields.map(field => escapeValue(field.label, delimiter)))
+  }
+  return lines.map(values => values.join(delimiter)).join('\r\n')
+}
+
+export default serializeItems
@@ -1,5 +1,7 @@
 import Vue from '../../../utils/vue'
+import KeyCodes from '../../../utils/key-codes'
 import toString from '../../../utils/to-string'
+import { concat } from '../../../utils/array'
 import { isUndefinedOrNull } from '../../../utils/inspect'
 import normalizeSlotMixin from '../../../mixins/normalize-slot'
 
@@ -38,6 +40,13 @@ export const props = {
     default: null
   },
   stickyColumn: {
+    // `true` (or `'left'`) to stick to the left, or `'right'` to stick to the right
+    type: [Boolean, String],
+    default: false
+  },
+  editable: {
+    // When `true`, the cell is focusable and emits an `edit` event
+    // when double clicked or when Enter (or F2) is pressed
     type: Boolean,
     default: false
   }
@@ -100,7 +109,7 @@ export const BTableCell = /*#__PURE__*/ Vue.extend({
       // mode (horzontal scrolling) or when sticky header mode.
       // Applies to cells in `thead`, `tbody` and `tfoot`
       return (
-        (this.isResponsive || this.isStickyHeader) &&
+        (this.isResponsive || (this.bvTable && this.bvTable.isStickyHeader)) &&
         this.stickyColumn &&
         !this.isStacked &&
         this.bvTable &&
@@ -121,7 +130,9 @@ export const BTableCell = /*#__PURE__*/ Vue.extend({
       }
       return [
         variant ? `${this.isDark ? 'bg' : 'table'}-${variant}` : null,
-        this.isStickyColumn ? 'b-table-sticky-column' : null
+        this.isStickyColumn ? 'b-table-sticky-column' : null,
+        this.isStickyColumn && this.stickyColumn === 'right' ? 'b-table-sticky-column-right' : null,
+        this.editable ? 'b-table-editable-cell' : null
       ]
     },
     computedColspan() {
@@ -158,6 +169,7 @@ export const BTableCell = /*#__PURE__*/ Vue.extend({
         rowspan: rowspan,
         role: role,
         scope: scope,
+        tabindex: this.editable ? '0' : null,
         // Allow users to override role/scope plus add other attributes
         ...this.$attrs,
         // Add in the stacked cell label data-attribute if in
@@ -169,15 +181,37 @@ export const BTableCell = /*#__PURE__*/ Vue.extend({
       }
     }
   },
+  methods: {
+    onEditDblclick(evt) {
+      this.$emit('edit', evt)
+    },
+    onEditKeydown(evt) {
+      // Only handle keys pressed while the cell itself has focus
+      const keyCode = evt.keyCode
+      if (
+        evt.target === evt.currentTarget &&
+        (keyCode === KeyCodes.ENTER || keyCode === KeyCodes.F2)
+      ) {
+        evt.stopPropagation()
+        evt.preventDefault()
+        this.$emit('edit', evt)
+      }
+    }
+  },
   render(h) {
     const content = [this.normalizeSlot('default')]
+    // Transfer any native listeners
+    const on = { ...this.$listeners }
+    if (this.editable) {
+      on.dblclick = concat(on.dblclick || [], this.onEditDblclick)
+      on.keydown = concat(on.keydown || [], this.onEditKeydown)
+    }
     return h(
       this.header ? 'th' : 'td',
       {
         class: this.cellClasses,
         attrs: this.cellAttrs,
-        // Transfer any native listeners
-        on: this.$listeners
+        on
       },
       [this.isStackedCell ? h('div', {}, [content]) : content]
     )
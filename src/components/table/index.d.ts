@@ -13,11 +13,25 @@ export declare const TableSimplePlugin: BvPlugin
 export declare class BTable extends BvComponent {
   // Public methods
   refresh: () => void
+  clearProviderCache: (ctx?: BvTableCtxObject) => void
   clearSelected: () => void
   selectAllRows: () => void
   isRowSelected: (index: number) => boolean
   selectRow: (index: number) => void
   unselectRow: (index: number) => void
+  setColumnFilter: (key: string, criteria: any) => void
+  setColumnWidth: (key: string, width: number) => void
+  moveColumn: (key: string, index: number) => void
+  setColumnVisibility: (key: string, visible: boolean) => void
+  toggleChildren: (item: any, show?: boolean) => void
+  toggleGroup: (key: any, collapse?: boolean) => void
+  startCellEdit: (index: number, key: string) => boolean
+  commitCellEdit: () => boolean
+  cancelCellEdit: () => void
+  exportItems: (options?: BvTableExportOptions) => string | Blob
+  downloadItems: (filename?: string, options?: BvTableExportOptions) => boolean
+  focusGridCell: (rowIndex: number, colIndex: number) => void
+  scrollToRow: (index: number) => void
   // Props
   id?: string
   items: Array<any> | BvTableProviderCallback
@@ -26,15 +40,50 @@ export declare class BTable extends BvComponent {
   sortBy?: string | null
   sortDesc?: boolean
   sortDirection?: BvTableSortDirection
+  multiSort?: boolean
+  multiSortBy?: Array<BvTableSortCriterion>
   sortCompare?: BvTableSortCompareCallback
   sortCompareLocale?: string | Array<string>
   sortCompareOptions?: BvTableLocaleCompareOptions
   perPage?: number | string
   currentPage?: number | string
+  totalRows?: number | string | null
+  pagination?: boolean
+  paginationAlign?: string
+  paginationSize?: string
+  labelPaginationInfo?: string
+  labelPaginationInfoNoTotal?: string
+  providerDebounce?: number | string
+  providerCache?: boolean | number | string
   filter?: string | Array<any> | RegExp | object | any
   filterFunction?: BvTableFilterCallback
   filterIgnoredFields?: Array<string>
   filterIncludedFields?: Array<string>
+  filters?: BvTableColumnFilters
+  filterRow?: boolean
+  labelFilterAll?: string
+  labelFilterFrom?: string
+  labelFilterTo?: string
+  columnState?: BvTableColumnState
+  resizableColumns?: boolean
+  reorderableColumns?: boolean
+  columnChooser?: boolean
+  minColumnWidth?: number | string
+  labelColumnChooser?: string
+  tree?: boolean
+  treeField?: string
+  treeIndent?: string
+  childrenProvider?: BvTableChildrenProviderCallback
+  labelExpandRow?: string
+  labelCollapseRow?: string
+  groupBy?: string
+  groupFooter?: boolean
+  labelGroupExpand?: string
+  labelGroupCollapse?: string
+  footTotals?: boolean
+  labelTotals?: string
+  editable?: boolean
+  gridNavigation?: boolean
   busy?: boolean
   tbodyTrClass?: string | Array<any> | object | BvTableTbodyTrClassCallback
   tabelVariant?: BvTableVariant | string
@@ -45,10 +94,15 @@ export declare class BTable extends BvComponent {
   responsive?: boolean | string
   stacked?: boolean | string
   stickyHeader?: boolean
+  virtualScroll?: boolean | string
+  virtualRowHeight?: number | string
+  virtualBuffer?: number | string
 }
 
 // Component: b-table-lite
 export declare class BTableLite extends BvComponent {
+  // Public methods
+  scrollToRow: (index: number) => void
   // Props
   id?: string
   items: Array<any> | BvTableProviderCallback
@@ -63,7 +117,12 @@ export declare class BTableLite extends BvComponent {
   tbodyTransitionHandlers?: BvTableTbodyTransitionHandlers
   responsive?: boolean | string
   stacked?: boolean | string
+  footTotals?: boolean
+  labelTotals?: string
   stickyHeader?: boolean
+  virtualScroll?: boolean | string
+  virtualRowHeight?: number | string
+  virtualBuffer?: number | string
 }
 
 // Component: b-table-simple
@@ -104,7 +163,8 @@ export declare class BTh extends BvComponent {
   colspan?: number | string
   rowspan?: number | string
   stackedHeading?: number | string
-  stickyColumn?: boolean
+  stickyColumn?: boolean | 'left' | 'right'
+  editable?: boolean
 }
 
 // Component: b-td
@@ -113,7 +173,8 @@ export declare class BTd extends BvComponent {
   colspan?: number | string
   rowspan?: number | string
   stackedHeading?: number | string
-  stickyColumn?: boolean
+  stickyColumn?: boolean | 'left' | 'right'
+  editable?: boolean
 }
 
 export type BvTableVariant =
@@ -131,6 +192,11 @@ export type BvTableHeadFootVariant = 'light' | 'dark'
 
 export type BvTableSortDirection = 'asc' | 'desc' | 'last'
 
+export interface BvTableSortCriterion {
+  key: string
+  desc: boolean
+}
+
 export type BvTableFormatterCallback = ((value: any, key: string, item: any) => any)
 
 export type BvTableTbodyTrClassCallback = ((item: any, type: string) => any)
@@ -201,19 +267,96 @@ export interface BvTableCtxObject {
   currentPage: number
   perPage: number
   filter: string | RegExp | BvTableFilterCallback | null
+  filters: BvTableColumnFilters
   sortBy: string | null
   sortDesc: boolean
+  multiSortBy: Array<BvTableSortCriterion>
   apiUrl: string | null
+  signal?: AbortSignal | null
   [key: string]: any
 }
 
-export type BvTableProviderPromiseResult = Array<any> | null
+export interface BvTableProviderResult {
+  items: Array<any>
+  totalRows?: number
+}
+
+export type BvTableProviderPromiseResult = Array<any> | BvTableProviderResult | null
 
 export interface BvTableProviderCallback {
-  (ctx: BvTableCtxObject): Array<any> | Promise<BvTableProviderPromiseResult> | any
+  (ctx: BvTableCtxObject):
+    | Array<any>
+    | BvTableProviderResult
+    | Promise<BvTableProviderPromiseResult>
+    | any
   (ctx: BvTableCtxObject, callback: () => Array<any>): null
 }
 
+export type BvTableColumnFilterType = 'text' | 'select' | 'number' | 'date'
+
+export interface BvTableColumnFilter {
+  type?: BvTableColumnFilterType
+  placeholder?: string
+  options?: Array<any>
+  [key: string]: any
+}
+
+export type BvTableEditorType = 'text' | 'number' | 'select' | 'checkbox'
+
+export interface BvTableEditor {
+  type?: BvTableEditorType
+  options?: Array<any>
+  attrs?: any
+  component?: any
+  props?: any
+  [key: string]: any
+}
+
+export interface BvTableValidatorCallback {
+  (value: any, key: string, item: any): boolean | string
+}
+
+export interface BvTableColumnFilterRange {
+  from?: number | string | Date | null
+  to?: number | string | Date | null
+}
+
+export interface BvTableColumnFilters {
+  [key: string]: string | Array<string> | BvTableColumnFilterRange | any
+}
+
+export interface BvTableChildrenProviderCallback {
+  (item: any): Array<any> | Promise<Array<any>> | any
+}
+
+export type BvTableAggregator = 'sum' | 'avg' | 'count' | 'min' | 'max'
+
+export interface BvTableAggregatorCallback {
+  (values: Array<any>, items: Array<any>, key: string): any
+}
+
+export interface BvTableAggregateFormatterCallback {
+  (value: any, key: string, items: Array<any>): any
+}
+
+export type BvTableExportFormat = 'csv' | 'tsv' | 'json'
+
+export interface BvTableExportOptions {
+  format?: BvTableExportFormat
+  scope?: 'filtered' | 'page' | 'all'
+  fields?: Array<string>
+  formatted?: boolean
+  header?: boolean
+  bom?: boolean
+  blob?: boolean
+}
+
+export interface BvTableColumnState {
+  order?: Array<string>
+  widths?: { [key: string]: number }
+  hidden?: Array<string>
+}
+
 export interface BvTableField {
   label?: string
   headerTitle?: string
@@ -224,6 +367,11 @@ export interface BvTableField {
   sortDirection?: BvTableSortDirection
   sortByFormatted?: boolean | BvTableFormatterCallback
   filterByFormatted?: boolean | BvTableFormatterCallback
+  filter?: boolean | BvTableColumnFilterType | BvTableColumnFilter
+  aggregate?: BvTableAggregator | BvTableAggregatorCallback
+  aggregateFormatter?: string | BvTableAggregateFormatterCallback
+  editor?: boolean | BvTableEditorType | BvTableEditor
+  validator?: string | BvTableValidatorCallback
   tdClass?: string | string[] | ((value: any, key: string, item: any) => any)
   thClass?: string | string[]
   thStyle?: any
@@ -231,6 +379,7 @@ export interface BvTableField {
   tdAttr?: any | ((value: any, key: string, item: any) => any)
   thAttr?: any | ((value: any, key: string, item: any, type: string) => any)
   isRowHeader?: boolean
+  stickyColumn?: boolean | 'left' | 'right'
 }
 
 export type BvTableFieldArray = Array<string | ({ key: string } & BvTableField)>
@@ -0,0 +1,221 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testItems = [
+  { name: 'Alpha', status: 'active', age: 20, joined: '2019-01-10' },
+  { name: 'Bravo', status: 'inactive', age: 35, joined: '2019-03-05' },
+  { name: 'Charlie', status: 'active', age: 50, joined: '2019-06-20' },
+  { name: 'Delta', status: 'pending', age: 42, joined: '2019-06-21' }
+]
+const testFields = [
+  { key: 'name', filter: true },
+  { key: 'status', filter: 'select' },
+  { key: 'age', filter: 'number' },
+  { key: 'joined', filter: 'date' }
+]
+
+describe('table > column filtering', () => {
+  it('should not render filter row by default', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.findAll('thead > tr').length).toBe(1)
+    expect(wrapper.find('.b-table-filter-row').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should render filter row controls when filter-row set', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: [...testFields, 'other'],
+        items: testItems,
+        filterRow: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $trs = wrapper.findAll('thead > tr')
+    expect($trs.length).toBe(2)
+    const $filterRow = $trs.at(1)
+    expect($filterRow.classes()).toContain('b-table-filter-row')
+    const $ths = $filterRow.findAll('th')
+    expect($ths.length).toBe(5)
+    expect(
+      $ths
+        .at(0)
+        .find('input[type="search"]')
+        .exists()
+    ).toBe(true)
+    expect($ths.at(2).findAll('input[type="number"]').length).toBe(2)
+    expect($ths.at(3).findAll('input[type="date"]').length).toBe(2)
+    expect(
+      $ths
+        .at(4)
+        .find('input')
+        .exists()
+    ).toBe(false)
+
+    // Select filter options default to the distinct column values
+    const $options = $ths.at(1).findAll('option')
+    expect($options.length).toBe(4)
+    expect($options.wrappers.map(o => o.text())).toEqual(['All', 'active', 'inactive', 'pending'])
+
+    wrapper.destroy()
+  })
+
+  it('should filter items via the filter row controls', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        filterRow: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.findAll('tbody > tr').length).toBe(4)
+
+    const $input = wrapper.find('thead input[type="search"]')
+    $input.element.value = 'L'
+    $input.trigger('input')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:filters')).toBeDefined()
+    expect(wrapper.emitted('update:filters')[0][0]).toEqual({ name: 'L' })
+    expect(wrapper.findAll('tbody > tr').length).toBe(3)
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('filtered')).toBeDefined()
+    const filtered = wrapper.emitted('filtered')
+    expect(filtered[filtered.length - 1][0]).toEqual([testItems[0], testItems[2], testItems[3]])
+
+    const $select = wrapper.find('thead select')
+    $select.element.value = 'active'
+    $select.trigger('change')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:filters')[1][0]).toEqual({ name: 'L', status: 'active' })
+    const $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(2)
+    expect(
+      $rows
+        .at(0)
+        .find('td')
+        .text()
+    ).toBe('Alpha')
+    expect(
+      $rows
+        .at(1)
+        .find('td')
+        .text()
+    ).toBe('Charlie')
+
+    wrapper.destroy()
+  })
+
+  it('should filter by ranges when filters prop set', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        filters: { age: { from: 30, to: '' } }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    let $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(3)
+
+    wrapper.setProps({ filters: { age: { from: 30, to: 45 }, joined: { to: '2019-06-20' } } })
+    await waitNT(wrapper.vm)
+    $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(1)
+    expect(
+      $rows
+        .at(0)
+        .find('td')
+        .text()
+    ).toBe('Bravo')
+    // Changing the prop should not emit an update
+    expect(wrapper.emitted('update:filters')).not.toBeDefined()
+
+    wrapper.setProps({ filters: { joined: { from: '2019-06-20', to: '2019-06-21' } } })
+    await waitNT(wrapper.vm)
+    $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(2)
+    expect(
+      $rows
+        .at(0)
+        .find('td')
+        .text()
+    ).toBe('Charlie')
+    expect(
+      $rows
+        .at(1)
+        .find('td')
+        .text()
+    ).toBe('Delta')
+
+    wrapper.destroy()
+  })
+
+  it('should render filter[key] slot with scope', async () => {
+    let scope = null
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        filterRow: true
+      },
+      scopedSlots: {
+        'filter[status]': props => {
+          scope = props
+          return 'custom'
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $ths = wrapper.findAll('thead > tr.b-table-filter-row > th')
+    expect($ths.at(1).text()).toBe('custom')
+    expect(scope.column).toBe('status')
+    expect(scope.options.length).toBe(3)
+
+    scope.setFilter('inactive')
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('tbody > tr').length).toBe(1)
+    expect(wrapper.emitted('update:filters')[0][0]).toEqual({ status: 'inactive' })
+
+    wrapper.destroy()
+  })
+
+  it('should pass column filters to provider', async () => {
+    let lastCtx = null
+    const provider = ctx => {
+      lastCtx = ctx
+      return testItems.slice()
+    }
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: provider,
+        filters: { status: 'active', name: '' }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(lastCtx).not.toBe(null)
+    // Inactive filters are not included
+    expect(lastCtx.filters).toEqual({ status: 'active' })
+    // Provider is responsible for filtering
+    expect(wrapper.findAll('tbody > tr').length).toBe(4)
+
+    wrapper.setProps({ filters: { status: 'pending' } })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(lastCtx.filters).toEqual({ status: 'pending' })
+
+    wrapper.destroy()
+  })
+})
@@ -0,0 +1,234 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testFields = ['a', 'b', 'c']
+const testItems = [{ a: 1, b: 2, c: 3 }, { a: 4, b: 5, c: 6 }]
+
+const headerText = wrapper =>
+  wrapper.findAll('thead > tr:last-child > th').wrappers.map(th => th.text())
+
+describe('table > resizable, reorderable and hideable columns', () => {
+  it('should not render column features by default', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.find('colgroup').exists()).toBe(false)
+    expect(wrapper.find('.b-table-resize-handle').exists()).toBe(false)
+    expect(wrapper.find('.b-table-column-chooser').exists()).toBe(false)
+    expect(wrapper.find('thead th').attributes('draggable')).not.toBeDefined()
+    expect(headerText(wrapper)).toEqual(['A', 'B', 'C'])
+
+    wrapper.destroy()
+  })
+
+  it('should apply column-state order, widths and hidden columns', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        columnState: { order: ['c', 'a'], widths: { a: 120 }, hidden: ['b'] }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(headerText(wrapper)).toEqual(['C', 'A'])
+    expect(
+      wrapper
+        .findAll('tbody > tr')
+        .at(0)
+        .findAll('td')
+        .wrappers.map(td => td.text())
+    ).toEqual(['3', '1'])
+    const $cols = wrapper.findAll('colgroup > col')
+    expect($cols.length).toBe(2)
+    expect($cols.at(0).attributes('style')).not.toBeDefined()
+    expect($cols.at(1).attributes('style')).toContain('width: 120px')
+
+    wrapper.setProps({ columnState: { order: [], widths: {}, hidden: [] } })
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['A', 'B', 'C'])
+    expect(wrapper.find('colgroup').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should toggle column visibility with the column chooser', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        id: 'test',
+        fields: testFields,
+        items: testItems,
+        columnChooser: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    const $chooser = wrapper.find('thead > tr.b-table-column-chooser')
+    expect($chooser.exists()).toBe(true)
+    expect($chooser.find('th').attributes('colspan')).toBe('3')
+    const $inputs = $chooser.findAll('input[type="checkbox"]')
+    expect($inputs.length).toBe(3)
+    expect($inputs.at(1).attributes('id')).toBe('test__column_b_')
+    expect($inputs.at(1).element.checked).toBe(true)
+
+    $inputs.at(1).setChecked(false)
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['A', 'C'])
+    expect(wrapper.emitted('column-visibility-changed')).toBeDefined()
+    expect(wrapper.emitted('column-visibility-changed')[0][0]).toBe('b')
+    expect(wrapper.emitted('column-visibility-changed')[0][1]).toBe(false)
+    expect(wrapper.emitted('update:columnState')[0][0]).toEqual({
+      order: [],
+      widths: {},
+      hidden: ['b']
+    })
+    // Hidden columns are still listed in the chooser
+    expect(wrapper.findAll('.b-table-column-chooser input').length).toBe(3)
+
+    // The last visible column can't be hidden
+    wrapper.vm.setColumnVisibility('a', false)
+    wrapper.vm.setColumnVisibility('c', false)
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['C'])
+    expect(wrapper.emitted('column-visibility-changed').length).toBe(2)
+
+    wrapper.vm.setColumnVisibility('b', true)
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['B', 'C'])
+
+    wrapper.destroy()
+  })
+
+  it('should reorder columns via drag and drop', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        reorderableColumns: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.find('table').classes()).toContain('b-table-reorderable-columns')
+    let $ths = wrapper.findAll('thead > tr > th')
+    expect($ths.at(0).attributes('draggable')).toBe('true')
+    expect($ths.at(0).attributes('tabindex')).toBe('0')
+
+    $ths.at(0).trigger('dragstart')
+    $ths.at(2).trigger('dragover')
+    $ths.at(2).trigger('drop')
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['B', 'C', 'A'])
+    expect(wrapper.emitted('column-reordered')).toBeDefined()
+    expect(wrapper.emitted('column-reordered')[0][0]).toEqual(['b', 'c', 'a'])
+    expect(wrapper.emitted('update:columnState')[0][0].order).toEqual(['b', 'c', 'a'])
+
+    // Dropping on itself does nothing
+    $ths = wrapper.findAll('thead > tr > th')
+    $ths.at(1).trigger('dragstart')
+    $ths.at(1).trigger('drop')
+    $ths.at(1).trigger('dragend')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('column-reordered').length).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('should reorder columns via the keyboard', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        reorderableColumns: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    wrapper
+      .findAll('thead > tr > th')
+      .at(0)
+      .trigger('keydown.right', { altKey: true })
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['B', 'A', 'C'])
+
+    // Without the alt key nothing happens
+    wrapper
+      .findAll('thead > tr > th')
+      .at(1)
+      .trigger('keydown.right')
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['B', 'A', 'C'])
+
+    wrapper
+      .findAll('thead > tr > th')
+      .at(0)
+      .trigger('keydown.left', { altKey: true })
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['B', 'A', 'C'])
+    expect(wrapper.emitted('column-reordered').length).toBe(1)
+
+    wrapper.vm.moveColumn('c', 0)
+    await waitNT(wrapper.vm)
+    expect(headerText(wrapper)).toEqual(['C', 'B', 'A'])
+
+    wrapper.destroy()
+  })
+
+  it('should resize columns via the resize handle', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        resizableColumns: true,
+        sortable: true,
+        columnState: { widths: { a: 100 } }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.find('table').classes()).toContain('b-table-resizable-columns')
+    const $handles = wrapper.findAll('thead .b-table-resize-handle')
+    expect($handles.length).toBe(3)
+    expect(wrapper.findAll('tfoot .b-table-resize-handle').length).toBe(0)
+    expect($handles.at(0).attributes('role')).toBe('separator')
+    expect($handles.at(0).attributes('aria-valuenow')).toBe('100')
+
+    $handles.at(0).trigger('mousedown', { clientX: 50 })
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 90 }))
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('colgroup > col').attributes('style')).toContain('width: 140px')
+    // State is only emitted once resizing ends
+    expect(wrapper.emitted('update:columnState')).not.toBeDefined()
+    expect(wrapper.emitted('column-resized')).not.toBeDefined()
+
+    // Width is limited to the minimum column width
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: -100 }))
+    document.dispatchEvent(new MouseEvent('mouseup'))
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('colgroup > col').attributes('style')).toContain('width: 30px')
+    expect(wrapper.emitted('column-resized').length).toBe(1)
+    expect(wrapper.emitted('column-resized')[0][0]).toBe('a')
+    expect(wrapper.emitted('column-resized')[0][1]).toBe(30)
+    expect(wrapper.emitted('update:columnState')[0][0].widths).toEqual({ a: 30 })
+
+    // Further mouse movement is ignored
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 200 }))
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('column-resized').length).toBe(1)
+
+    // Keyboard resizing
+    $handles.at(0).trigger('keydown.right')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('column-resized')[1][1]).toBe(40)
+
+    // Clicking the handle does not sort
+    $handles.at(1).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('sort-changed')).not.toBeDefined()
+
+    wrapper.destroy()
+  })
+})
@@ -0,0 +1,249 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const makeItems = () => [
+  { name: 'Dickerson', age: 40, role: 'admin', active: true },
+  { name: 'Larsen', age: 21, role: 'user', active: false }
+]
+
+const testFields = [
+  { key: 'name', editor: true },
+  { key: 'age', editor: 'number', validator: value => value > 0 || 'Age must be positive' },
+  { key: 'role', editor: { type: 'select', options: ['admin', 'user'] } },
+  { key: 'active', editor: 'checkbox' },
+  'id'
+]
+
+const getCell = (wrapper, row, col) =>
+  wrapper
+    .findAll('tbody > tr')
+    .at(row)
+    .findAll('td')
+    .at(col)
+
+describe('table > inline cell editing', () => {
+  it('should not make cells editable unless the editable prop is set', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: makeItems()
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $cell = getCell(wrapper, 0, 0)
+    expect($cell.classes()).not.toContain('b-table-editable-cell')
+    expect($cell.attributes('tabindex')).not.toBeDefined()
+    $cell.trigger('dblclick')
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.b-table-cell-editor').exists()).toBe(false)
+    expect(wrapper.emitted('cell-edit-start')).not.toBeDefined()
+
+    wrapper.destroy()
+  })
+
+  it('should edit and commit a cell value', async () => {
+    const items = makeItems()
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: items,
+        editable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    let $cell = getCell(wrapper, 0, 0)
+    expect($cell.classes()).toContain('b-table-editable-cell')
+    expect($cell.attributes('tabindex')).toBe('0')
+    // Fields without an editor are not editable
+    expect(getCell(wrapper, 0, 4).attributes('tabindex')).not.toBeDefined()
+
+    $cell.trigger('dblclick')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('cell-edit-start')).toBeDefined()
+    expect(wrapper.emitted('cell-edit-start')[0]).toEqual([items[0], 'name', 'Dickerson', 0])
+    $cell = getCell(wrapper, 0, 0)
+    expect($cell.classes()).toContain('b-table-editing-cell')
+    const $input = $cell.find('input.b-table-cell-editor')
+    expect($input.exists()).toBe(true)
+    expect($input.element.value).toBe('Dickerson')
+    expect(document.activeElement).toBe($input.element)
+
+    $input.setValue('Jackson')
+    await waitNT(wrapper.vm)
+    // The item is not updated until committed
+    expect(items[0].name).toBe('Dickerson')
+
+    $input.trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    expect(items[0].name).toBe('Jackson')
+    expect(wrapper.emitted('cell-edit-commit')).toBeDefined()
+    expect(wrapper.emitted('cell-edit-commit')[0]).toEqual([
+      items[0],
+      'name',
+      'Jackson',
+      'Dickerson',
+      0
+    ])
+    expect(wrapper.find('.b-table-cell-editor').exists()).toBe(false)
+    expect(getCell(wrapper, 0, 0).text()).toBe('Jackson')
+    expect(document.activeElement).toBe(getCell(wrapper, 0, 0).element)
+
+    wrapper.destroy()
+  })
+
+  it('should cancel editing with the escape key', async () => {
+    const items = makeItems()
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: items,
+        editable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    getCell(wrapper, 1, 3).trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    const $input = wrapper.find('input[type="checkbox"].b-table-cell-editor')
+    expect($input.exists()).toBe(true)
+    expect($input.element.checked).toBe(false)
+
+    $input.setChecked(true)
+    $input.trigger('keydown.esc')
+    await waitNT(wrapper.vm)
+    expect(items[1].active).toBe(false)
+    expect(wrapper.emitted('cell-edit-cancel')).toBeDefined()
+    expect(wrapper.emitted('cell-edit-cancel')[0]).toEqual([items[1], 'active', true, false, 1])
+    expect(wrapper.emitted('cell-edit-commit')).not.toBeDefined()
+    expect(wrapper.find('.b-table-cell-editor').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should not commit values that fail validation', async () => {
+    const items = makeItems()
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        id: 'test',
+        fields: testFields,
+        items: items,
+        editable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.vm.startCellEdit(0, 'age')).toBe(true)
+    await waitNT(wrapper.vm)
+    let $input = wrapper.find('input[type="number"]')
+    expect($input.element.value).toBe('40')
+
+    $input.setValue('-5')
+    $input.trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    expect(items[0].age).toBe(40)
+    expect(wrapper.emitted('cell-edit-commit')).not.toBeDefined()
+    $input = wrapper.find('input[type="number"]')
+    expect($input.classes()).toContain('is-invalid')
+    expect($input.attributes('aria-invalid')).toBe('true')
+    expect($input.attributes('aria-describedby')).toBe('test__cell_edit_feedback_')
+    expect(wrapper.find('.invalid-feedback').text()).toBe('Age must be positive')
+
+    // Other cells can't be edited until the value is valid
+    expect(wrapper.vm.startCellEdit(1, 'name')).toBe(false)
+
+    $input.setValue('41')
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.invalid-feedback').exists()).toBe(false)
+    $input.trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    expect(items[0].age).toBe(41)
+    expect(wrapper.emitted('cell-edit-commit')[0][2]).toBe(41)
+
+    wrapper.destroy()
+  })
+
+  it('should move between editable cells with tab and shift+tab', async () => {
+    const items = makeItems()
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: items,
+        editable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    wrapper.vm.startCellEdit(0, 'role')
+    await waitNT(wrapper.vm)
+    const $select = wrapper.find('select.b-table-cell-editor')
+    expect($select.findAll('option').length).toBe(2)
+    expect($select.element.value).toBe('admin')
+    $select.setValue('user')
+    $select.trigger('keydown.tab')
+    await waitNT(wrapper.vm)
+    expect(items[0].role).toBe('user')
+    expect(getCell(wrapper, 0, 3).classes()).toContain('b-table-editing-cell')
+
+    // Moves on to the first editable cell of the next row
+    wrapper.find('.b-table-cell-editor').trigger('keydown.tab')
+    await waitNT(wrapper.vm)
+    expect(getCell(wrapper, 1, 0).classes()).toContain('b-table-editing-cell')
+    expect(document.activeElement).toBe(wrapper.find('.b-table-cell-editor').element)
+
+    // And back to the last editable cell of the previous row
+    wrapper.find('.b-table-cell-editor').trigger('keydown.tab', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(getCell(wrapper, 0, 3).classes()).toContain('b-table-editing-cell')
+    expect(wrapper.emitted('cell-edit-commit').length).toBe(3)
+    expect(wrapper.emitted('cell-edit-start').length).toBe(4)
+
+    wrapper.setProps({ editable: false })
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.b-table-cell-editor').exists()).toBe(false)
+    expect(wrapper.emitted('cell-edit-cancel').length).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('should support custom editor components', async () => {
+    const items = makeItems()
+    const CustomEditor = {
+      props: ['value', 'state'],
+      render(h) {
+        return h('input', {
+          staticClass: 'custom-editor',
+          class: { invalid: this.state === false },
+          domProps: { value: this.value },
+          on: {
+            input: evt => {
+              this.$emit('input', evt.target.value.toUpperCase())
+            }
+          }
+        })
+      }
+    }
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: [{ key: 'name', editor: { component: CustomEditor } }],
+        items: items,
+        editable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    getCell(wrapper, 0, 0).trigger('dblclick')
+    await waitNT(wrapper.vm)
+    const $input = wrapper.find('input.custom-editor')
+    expect($input.exists()).toBe(true)
+    expect($input.classes()).toContain('b-table-cell-editor')
+    expect($input.attributes('aria-label')).toBe('Name')
+    $input.setValue('jackson')
+    $input.trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    expect(items[0].name).toBe('JACKSON')
+
+    wrapper.destroy()
+  })
+})
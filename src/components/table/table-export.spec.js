@@ -0,0 +1,151 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testItems = [
+  { name: 'Dickerson', age: 40, note: 'Says "hi"' },
+  { name: 'Larsen', age: 21, note: 'One, two' },
+  { name: 'Geneva', age: 89, note: 'Line\nbreak' },
+  { name: 'Jami', age: 38, note: null }
+]
+const testFields = [
+  { key: 'name', label: 'Full name', sortable: true },
+  { key: 'age', formatter: value => `${value} years` },
+  'note'
+]
+
+describe('table > export', () => {
+  it('should export the filtered and sorted items as CSV by default', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        sortBy: 'name',
+        filter: 'e',
+        perPage: 1
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    // All pages of the filtered items (Jami is filtered out), with formatted
+    // values and quoting of values with quotes, delimiters or line breaks
+    expect(wrapper.vm.exportItems()).toBe(
+      [
+        'Full name,Age,Note',
+        'Dickerson,40 years,"Says ""hi"""',
+        'Geneva,89 years,"Line\nbreak"',
+        'Larsen,21 years,"One, two"'
+      ].join('\r\n')
+    )
+    // Current page only
+    expect(wrapper.vm.exportItems({ scope: 'page', header: false })).toBe(
+      'Dickerson,40 years,"Says ""hi"""'
+    )
+    // All items, in sort order
+    expect(
+      wrapper.vm
+        .exportItems({ scope: 'all', fields: ['name'] })
+        .split('\r\n')
+        .slice(1)
+    ).toEqual(['Dickerson', 'Geneva', 'Jami', 'Larsen'])
+
+    wrapper.destroy()
+  })
+
+  it('should export TSV and JSON', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems.slice(0, 2)
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.vm.exportItems({ format: 'tsv', bom: true })).toBe(
+      '\uFEFFFull name\tAge\tNote\r\nDickerson\t40 years\t"Says ""hi"""\r\nLarsen\t21 years\tOne, two'
+    )
+    expect(JSON.parse(wrapper.vm.exportItems({ format: 'json', formatted: false }))).toEqual([
+      { name: 'Dickerson', age: 40, note: 'Says "hi"' },
+      { name: 'Larsen', age: 21, note: 'One, two' }
+    ])
+    const blob = wrapper.vm.exportItems({ format: 'json', blob: true })
+    expect(blob instanceof Blob).toBe(true)
+    expect(blob.type).toBe('application/json;charset=utf-8')
+
+    wrapper.destroy()
+  })
+
+  it('should export only the visible columns in display order', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems.slice(0, 1),
+        columnState: { order: ['age', 'name'], hidden: ['note'] }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.vm.exportItems()).toBe('Age,Full name\r\n40 years,Dickerson')
+    // Hidden columns can be exported explicitly
+    expect(wrapper.vm.exportItems({ fields: ['note', 'age'], header: false })).toBe(
+      '"Says ""hi""",40 years'
+    )
+
+    wrapper.destroy()
+  })
+
+  it('should provide the export methods to the thead-top slot', async () => {
+    let scope = null
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems
+      },
+      scopedSlots: {
+        'thead-top': props => {
+          scope = props
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(scope).not.toBe(null)
+    expect(scope.exportItems).toBe(wrapper.vm.exportItems)
+    expect(scope.downloadItems).toBe(wrapper.vm.downloadItems)
+    // JSDOM does not support object URLs
+    expect(scope.downloadItems('people.csv')).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should only serialize the items for download when supported', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const exportSpy = jest.spyOn(wrapper.vm, 'exportItems')
+    const origBlob = window.Blob
+    window.URL.createObjectURL = jest.fn(() => 'blob:test')
+    window.URL.revokeObjectURL = jest.fn()
+
+    // Without `Blob` support, nothing is serialized
+    window.Blob = undefined
+    expect(wrapper.vm.downloadItems('people.csv')).toBe(false)
+    expect(exportSpy).not.toHaveBeenCalled()
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled()
+
+    window.Blob = origBlob
+    const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    expect(wrapper.vm.downloadItems('people.csv')).toBe(true)
+    expect(exportSpy).toHaveBeenCalledTimes(1)
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1)
+    expect(window.URL.createObjectURL.mock.calls[0][0] instanceof Blob).toBe(true)
+    expect(clickSpy).toHaveBeenCalledTimes(1)
+    expect(clickSpy.mock.instances[0].download).toBe('people.csv')
+
+    clickSpy.mockRestore()
+    delete window.URL.createObjectURL
+    delete window.URL.revokeObjectURL
+    wrapper.destroy()
+  })
+})
@@ -0,0 +1,217 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testFields = ['a', 'b', 'c']
+const testItems = [
+  { a: 1, b: 2, c: 3 },
+  { a: 4, b: 5, c: 6 },
+  { a: 7, b: 8, c: 9 },
+  { a: 10, b: 11, c: 12 }
+]
+
+const getCell = (wrapper, row, col) =>
+  wrapper
+    .findAll('tbody > tr')
+    .at(row)
+    .findAll('td')
+    .at(col)
+
+const tabbableCells = wrapper =>
+  wrapper.findAll('tbody td').wrappers.filter(td => td.attributes('tabindex') === '0')
+
+describe('table > keyboard grid navigation', () => {
+  it('should not use the grid pattern by default', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        selectable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.attributes('role')).toBe('table')
+    expect(wrapper.find('tbody > tr').attributes('tabindex')).toBe('0')
+    expect(getCell(wrapper, 0, 0).attributes('tabindex')).not.toBeDefined()
+    expect(getCell(wrapper, 0, 0).attributes('role')).toBe('cell')
+
+    wrapper.destroy()
+  })
+
+  it('should have a roving tabindex on the body cells', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        selectable: true,
+        gridNavigation: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.attributes('role')).toBe('grid')
+    // Rows are no longer focusable
+    expect(wrapper.find('tbody > tr').attributes('tabindex')).not.toBeDefined()
+    expect(getCell(wrapper, 0, 0).attributes('role')).toBe('gridcell')
+    expect(tabbableCells(wrapper).length).toBe(1)
+    expect(getCell(wrapper, 0, 0).attributes('tabindex')).toBe('0')
+    expect(getCell(wrapper, 0, 1).attributes('tabindex')).toBe('-1')
+
+    // Focusing (i.e. clicking) a cell makes it the active cell
+    getCell(wrapper, 1, 2).element.focus()
+    await waitNT(wrapper.vm)
+    expect(tabbableCells(wrapper).length).toBe(1)
+    expect(getCell(wrapper, 1, 2).attributes('tabindex')).toBe('0')
+
+    wrapper.destroy()
+  })
+
+  it('should move the focus with the arrow, Home, End and Page keys', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        gridNavigation: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const expectFocus = async (row, col) => {
+      await waitNT(wrapper.vm)
+      expect(document.activeElement).toBe(getCell(wrapper, row, col).element)
+      expect(getCell(wrapper, row, col).attributes('tabindex')).toBe('0')
+    }
+    const press = (key, options = {}) => {
+      const cell = document.activeElement
+      cell.dispatchEvent(new KeyboardEvent('keydown', { keyCode: key, bubbles: true, ...options }))
+    }
+    getCell(wrapper, 0, 0).element.focus()
+
+    press(39) // Right
+    await expectFocus(0, 1)
+    press(40) // Down
+    await expectFocus(1, 1)
+    press(37) // Left
+    await expectFocus(1, 0)
+    press(37) // Left (at the first column)
+    await expectFocus(1, 0)
+    press(38) // Up
+    await expectFocus(0, 0)
+    press(35) // End
+    await expectFocus(0, 2)
+    press(36) // Home
+    await expectFocus(0, 0)
+    press(35, { ctrlKey: true }) // Ctrl+End
+    await expectFocus(3, 2)
+    press(36, { ctrlKey: true }) // Ctrl+Home
+    await expectFocus(0, 0)
+    press(34) // Page down (limited to the last row)
+    await expectFocus(3, 0)
+    press(33) // Page up
+    await expectFocus(0, 0)
+
+    wrapper.destroy()
+  })
+
+  it('should focus interactive content with Enter and return with Escape', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        gridNavigation: true
+      },
+      scopedSlots: {
+        'cell[b]': function(props) {
+          return this.$createElement('button', {}, String(props.value))
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    // Interactive content is not in the tab sequence, so the grid is a single tab stop
+    expect(
+      wrapper.findAll('tbody button').wrappers.every(b => b.attributes('tabindex') === '-1')
+    ).toBe(true)
+    const $cell = getCell(wrapper, 0, 1)
+    $cell.element.focus()
+    $cell.trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    expect(document.activeElement).toBe($cell.find('button').element)
+    expect(wrapper.emitted('row-clicked')).not.toBeDefined()
+    // Until the cell is entered
+    expect($cell.find('button').attributes('tabindex')).not.toBeDefined()
+    expect(
+      getCell(wrapper, 1, 1)
+        .find('button')
+        .attributes('tabindex')
+    ).toBe('-1')
+
+    $cell.find('button').trigger('keydown.esc')
+    await waitNT(wrapper.vm)
+    expect(document.activeElement).toBe($cell.element)
+    expect($cell.find('button').attributes('tabindex')).toBe('-1')
+
+    // Restored when grid navigation is disabled
+    wrapper.setProps({ gridNavigation: false })
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('tbody button').attributes('tabindex')).not.toBeDefined()
+    expect(wrapper.find('tbody button').attributes('data-bv-grid-tabindex')).not.toBeDefined()
+    wrapper.setProps({ gridNavigation: true })
+    await waitNT(wrapper.vm)
+
+    // Enter on a cell without interactive content is a row click
+    getCell(wrapper, 1, 0).element.focus()
+    getCell(wrapper, 1, 0).trigger('keydown.enter')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('row-clicked')).toBeDefined()
+    expect(wrapper.emitted('row-clicked')[0][0]).toBe(testItems[1])
+    expect(wrapper.emitted('row-clicked')[0][1]).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('should select rows with Space and extend the selection with Shift+arrows', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        selectable: true,
+        selectMode: 'range',
+        gridNavigation: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const selectedRows = () =>
+      wrapper
+        .findAll('tbody > tr')
+        .wrappers.map((tr, idx) => (tr.attributes('aria-selected') === 'true' ? idx : -1))
+        .filter(idx => idx > -1)
+    getCell(wrapper, 1, 1).element.focus()
+    getCell(wrapper, 1, 1).trigger('keydown.space')
+    await waitNT(wrapper.vm)
+    expect(selectedRows()).toEqual([1])
+
+    getCell(wrapper, 1, 1).trigger('keydown.down', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(document.activeElement).toBe(getCell(wrapper, 2, 1).element)
+    getCell(wrapper, 2, 1).trigger('keydown.down', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(selectedRows()).toEqual([1, 2, 3])
+
+    // Moving back shrinks the range
+    getCell(wrapper, 3, 1).trigger('keydown.up', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(selectedRows()).toEqual([1, 2])
+
+    // Ctrl+A selects all rows
+    getCell(wrapper, 2, 1).element.dispatchEvent(
+      new KeyboardEvent('keydown', { keyCode: 65, ctrlKey: true, bubbles: true })
+    )
+    await waitNT(wrapper.vm)
+    expect(selectedRows()).toEqual([0, 1, 2, 3])
+
+    wrapper.destroy()
+  })
+})
@@ -0,0 +1,236 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testFields = [
+  { key: 'name', sortable: true },
+  { key: 'dept', label: 'Department' },
+  { key: 'salary', aggregate: 'sum', sortable: true },
+  { key: 'age', aggregate: 'avg' }
+]
+const testItems = [
+  { name: 'Ann', dept: 'Sales', salary: 100, age: 30 },
+  { name: 'Bob', dept: 'IT', salary: 200, age: 40 },
+  { name: 'Cat', dept: 'Sales', salary: 300, age: 50 },
+  { name: 'Dan', dept: 'IT', salary: 400, age: 20 },
+  { name: 'Eve', dept: 'HR', salary: 500, age: 35 }
+]
+
+const rowTexts = wrapper =>
+  wrapper.findAll('tbody > tr').wrappers.map(tr => tr.findAll('td, th').wrappers.map(c => c.text()))
+
+describe('table > row grouping and aggregates', () => {
+  it('should not render group rows when group-by not set', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        groupFooter: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.findAll('tbody > tr').length).toBe(5)
+    expect(wrapper.find('.b-table-group-header').exists()).toBe(false)
+    expect(wrapper.find('tfoot').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should render group header rows and keep group items together', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        groupBy: 'dept'
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $headers = wrapper.findAll('tbody > tr.b-table-group-header')
+    expect($headers.length).toBe(3)
+    expect($headers.at(0).text()).toBe('Department: Sales (2)')
+    expect(
+      $headers
+        .at(0)
+        .find('th')
+        .attributes('colspan')
+    ).toBe('4')
+    expect(
+      $headers
+        .at(0)
+        .find('th')
+        .attributes('scope')
+    ).toBe('rowgroup')
+    expect(rowTexts(wrapper).map(r => r[0])).toEqual([
+      'Department: Sales (2)',
+      'Ann',
+      'Cat',
+      'Department: IT (2)',
+      'Bob',
+      'Dan',
+      'Department: HR (1)',
+      'Eve'
+    ])
+    expect(wrapper.emitted('input')[0][0].map(i => i.name)).toEqual([
+      'Ann',
+      'Cat',
+      'Bob',
+      'Dan',
+      'Eve'
+    ])
+
+    // Groups are ordered by their first item after sorting
+    wrapper.setProps({ sortBy: 'salary', sortDesc: true })
+    await waitNT(wrapper.vm)
+    expect(rowTexts(wrapper).map(r => r[0])).toEqual([
+      'Department: HR (1)',
+      'Eve',
+      'Department: IT (2)',
+      'Dan',
+      'Bob',
+      'Department: Sales (2)',
+      'Cat',
+      'Ann'
+    ])
+
+    wrapper.destroy()
+  })
+
+  it('should collapse and expand groups', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        groupBy: 'dept',
+        groupFooter: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $toggle = wrapper.find('tbody > tr.b-table-group-header button')
+    expect($toggle.attributes('aria-expanded')).toBe('true')
+    expect($toggle.attributes('aria-label')).toBe('Collapse group')
+    $toggle.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('group-toggled')).toBeDefined()
+    expect(wrapper.emitted('group-toggled')[0]).toEqual(['Sales', true])
+    const $header = wrapper.find('tbody > tr.b-table-group-header')
+    expect($header.classes()).toContain('b-table-group-collapsed')
+    expect($header.find('button').attributes('aria-expanded')).toBe('false')
+    // Group footer is still shown
+    expect(rowTexts(wrapper).map(r => r[0])).toEqual([
+      'Department: Sales (2)',
+      '',
+      'Department: IT (2)',
+      'Bob',
+      'Dan',
+      '',
+      'Department: HR (1)',
+      'Eve',
+      ''
+    ])
+    expect(wrapper.vm.computedItems.length).toBe(3)
+
+    // Empty slot is not shown when all groups collapsed
+    wrapper.vm.toggleGroup('IT')
+    wrapper.vm.toggleGroup('HR', true)
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.computedItems.length).toBe(0)
+    expect(wrapper.findAll('tbody > tr.b-table-group-header').length).toBe(3)
+    expect(wrapper.find('.b-table-empty-row').exists()).toBe(false)
+
+    wrapper.vm.toggleGroup('Sales', false)
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.computedItems.length).toBe(2)
+    expect(wrapper.emitted('group-toggled').length).toBe(4)
+
+    wrapper.destroy()
+  })
+
+  it('should render group footer rows with aggregates', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        groupBy: 'dept',
+        groupFooter: true,
+        perPage: 1
+      }
+    })
+    expect(wrapper).toBeDefined()
+    // Group aggregates include the items on other pages
+    expect(rowTexts(wrapper)).toEqual([
+      ['Department: Sales (2)'],
+      ['Ann', 'Sales', '100', '30'],
+      ['', '', '400', '40']
+    ])
+
+    wrapper.destroy()
+  })
+
+  it('should render a totals row in the tfoot computed from the filtered items', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: [
+          ...testFields,
+          { key: 'count', aggregate: (values, items) => `${items.length} people` }
+        ],
+        items: testItems,
+        footTotals: true,
+        perPage: 2
+      }
+    })
+    expect(wrapper).toBeDefined()
+    let $totals = wrapper.find('tfoot > tr.b-table-totals')
+    expect($totals.exists()).toBe(true)
+    expect($totals.findAll('td').wrappers.map(td => td.text())).toEqual([
+      'Total',
+      '',
+      '1500',
+      '35',
+      '5 people'
+    ])
+
+    wrapper.setProps({ filter: 'Sales' })
+    await waitNT(wrapper.vm)
+    $totals = wrapper.find('tfoot > tr.b-table-totals')
+    expect($totals.findAll('td').wrappers.map(td => td.text())).toEqual([
+      'Total',
+      '',
+      '400',
+      '40',
+      '2 people'
+    ])
+
+    // Totals row is placed before the cloned header row
+    wrapper.setProps({ footClone: true })
+    await waitNT(wrapper.vm)
+    const $trs = wrapper.findAll('tfoot > tr')
+    expect($trs.length).toBe(2)
+    expect($trs.at(0).classes()).toContain('b-table-totals')
+
+    wrapper.destroy()
+  })
+
+  it('should support aggregate formatters and slots', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: [
+          { key: 'name', aggregate: 'count' },
+          { key: 'salary', aggregate: 'max', aggregateFormatter: value => `$${value}` },
+          { key: 'age', aggregate: 'min' }
+        ],
+        items: testItems,
+        footTotals: true
+      },
+      scopedSlots: {
+        'aggregate[age]': scope => `min ${scope.value} of ${scope.items.length}`
+      }
+    })
+    expect(wrapper).toBeDefined()
+    // No label, as all fields have aggregates
+    expect(wrapper.findAll('tfoot > tr.b-table-totals > td').wrappers.map(td => td.text())).toEqual(
+      ['5', '$500', 'min 20 of 5']
+    )
+
+    wrapper.destroy()
+  })
+})
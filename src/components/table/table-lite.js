@@ -8,6 +8,8 @@ import normalizeSlotMixin from '../../mixins/normalize-slot'
 import itemsMixin from './helpers/mixin-items'
 import captionMixin from './helpers/mixin-caption'
 import colgroupMixin from './helpers/mixin-colgroup'
+import virtualScrollMixin from './helpers/mixin-virtual-scroll'
+import stickyColumnsMixin from './helpers/mixin-sticky-columns'
 import stackedMixin from './helpers/mixin-stacked'
 import theadMixin from './helpers/mixin-thead'
 import tfootMixin from './helpers/mixin-tfoot'
@@ -35,7 +37,9 @@ export const BTableLite = /*#__PURE__*/ Vue.extend({
     // Features Mixins
     // These are pretty lightweight, and are useful for lightweight tables
     captionMixin,
-    colgroupMixin
+    colgroupMixin,
+    virtualScrollMixin,
+    stickyColumnsMixin
   ]
   // render function provided by table-renderer mixin
 })
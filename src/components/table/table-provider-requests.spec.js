@@ -0,0 +1,277 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testItems = [{ a: 1, b: 2 }, { a: 3, b: 4 }, { a: 5, b: 6 }]
+const testFields = [{ key: 'a', sortable: true }, { key: 'b', sortable: true }]
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('table > provider requests', () => {
+  it('should abort and ignore the results of stale requests', async () => {
+    const calls = []
+    const provider = ctx =>
+      new Promise(resolve => {
+        calls.push({ ctx, resolve })
+      })
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: provider
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(1)
+    expect(calls[0].ctx.signal).toBeDefined()
+    expect(calls[0].ctx.signal.aborted).toBe(false)
+
+    // Changing the context while busy starts a new request
+    wrapper.setProps({ sortBy: 'b' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(calls[0].ctx.signal.aborted).toBe(true)
+    expect(calls[1].ctx.sortBy).toBe('b')
+
+    // The latest request resolves first
+    calls[1].resolve(testItems.slice(1))
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('tbody > tr').length).toBe(2)
+    expect(wrapper.emitted('refreshed').length).toBe(1)
+
+    // The stale request resolves late, and is ignored
+    calls[0].resolve(testItems.slice())
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('tbody > tr').length).toBe(2)
+    expect(wrapper.emitted('refreshed').length).toBe(1)
+    expect(wrapper.vm.localBusy).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should abort stale requests when busy is bound with the .sync modifier', async () => {
+    const calls = []
+    const provider = ctx =>
+      new Promise(resolve => {
+        calls.push({ ctx, resolve })
+      })
+    const App = {
+      data() {
+        return { isBusy: false, sortBy: null }
+      },
+      render(h) {
+        return h(BTable, {
+          props: {
+            fields: testFields,
+            items: provider,
+            busy: this.isBusy,
+            sortBy: this.sortBy
+          },
+          on: {
+            'update:busy': val => {
+              this.isBusy = val
+            }
+          }
+        })
+      }
+    }
+    const wrapper = mount(App)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(1)
+    expect(wrapper.vm.isBusy).toBe(true)
+
+    wrapper.setData({ sortBy: 'b' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(calls[0].ctx.signal.aborted).toBe(true)
+    expect(calls[1].ctx.sortBy).toBe('b')
+
+    calls[1].resolve(testItems.slice())
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(wrapper.vm.isBusy).toBe(false)
+    expect(wrapper.findAll('tbody > tr').length).toBe(3)
+
+    wrapper.destroy()
+  })
+
+  it('should emit provider-error and render the error slot when the provider rejects', async () => {
+    let fail = true
+    const error = new Error('Network error')
+    const provider = () => (fail ? Promise.reject(error) : Promise.resolve(testItems.slice()))
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: provider,
+        showEmpty: true
+      },
+      scopedSlots: {
+        error: function(props) {
+          return this.$createElement('span', { staticClass: 'error' }, props.error.message)
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('provider-error')).toBeDefined()
+    expect(wrapper.emitted('provider-error')[0][0]).toBe(error)
+    expect(wrapper.emitted('provider-error')[0][1].sortBy).toBe('')
+    expect(wrapper.emitted('refreshed')).not.toBeDefined()
+    expect(wrapper.vm.localBusy).toBe(false)
+    expect(wrapper.attributes('aria-busy')).toBe('false')
+    // The error row is shown instead of the empty row
+    const $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(1)
+    expect($rows.at(0).classes()).toContain('b-table-error-row')
+    expect(
+      $rows
+        .at(0)
+        .find('[role="alert"]')
+        .exists()
+    ).toBe(true)
+    expect(
+      $rows
+        .at(0)
+        .find('.error')
+        .text()
+    ).toBe('Network error')
+
+    // A successful refresh clears the error
+    fail = false
+    wrapper.vm.refresh()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('refreshed').length).toBe(1)
+    expect(wrapper.find('.b-table-error-row').exists()).toBe(false)
+    expect(wrapper.findAll('tbody > tr').length).toBe(3)
+
+    wrapper.destroy()
+  })
+
+  it('should cache the provider results by context', async () => {
+    let count = 0
+    const provider = ctx => {
+      count++
+      return testItems.slice()
+    }
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: provider,
+        providerCache: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    expect(count).toBe(1)
+
+    wrapper.setProps({ sortBy: 'a' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(count).toBe(2)
+
+    // Returning to a previous context uses the cached results
+    wrapper.setProps({ sortBy: '' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(count).toBe(2)
+    expect(wrapper.emitted('refreshed').length).toBe(3)
+    expect(wrapper.findAll('tbody > tr').length).toBe(3)
+
+    // Refreshing bypasses the cache
+    wrapper.vm.refresh()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(count).toBe(3)
+
+    // Manual invalidation
+    wrapper.vm.clearProviderCache()
+    wrapper.setProps({ sortBy: 'a' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(count).toBe(4)
+
+    wrapper.destroy()
+  })
+
+  it('should expire cached results after the TTL', async () => {
+    let count = 0
+    const provider = ctx => {
+      count++
+      return testItems.slice()
+    }
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: provider,
+        providerCache: 20
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    expect(count).toBe(1)
+
+    wrapper.setProps({ sortBy: 'a' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(count).toBe(2)
+
+    await sleep(30)
+    wrapper.setProps({ sortBy: '' })
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(count).toBe(3)
+
+    wrapper.destroy()
+  })
+
+  it('should debounce provider calls on context changes', async () => {
+    const calls = []
+    const provider = ctx => {
+      calls.push(ctx)
+      return testItems.slice()
+    }
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: provider,
+        providerDebounce: 20
+      }
+    })
+    expect(wrapper).toBeDefined()
+    // The initial call is not debounced
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(1)
+
+    wrapper.setProps({ filter: 'a' })
+    await waitNT(wrapper.vm)
+    wrapper.setProps({ filter: 'ab' })
+    await waitNT(wrapper.vm)
+    wrapper.setProps({ filter: 'abc' })
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(1)
+
+    await sleep(30)
+    await waitNT(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(calls[1].filter).toBe('abc')
+
+    wrapper.destroy()
+  })
+})
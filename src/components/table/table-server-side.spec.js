@@ -0,0 +1,174 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testItems = [{ a: 1, b: 2 }, { a: 3, b: 4 }, { a: 5, b: 6 }, { a: 7, b: 8 }, { a: 9, b: 10 }]
+
+// Provider that pages the items, and reports the total number of rows
+const makeProvider = calls => ctx => {
+  calls.push(ctx)
+  const start = (ctx.currentPage - 1) * ctx.perPage
+  return Promise.resolve({
+    items: testItems.slice(start, start + ctx.perPage),
+    totalRows: testItems.length
+  })
+}
+
+const waitForProvider = async vm => {
+  await waitNT(vm)
+  await waitNT(vm)
+  await waitNT(vm)
+}
+
+describe('table > server-side mode', () => {
+  it('should use the total rows reported by the provider function', async () => {
+    const calls = []
+    let busyScope = null
+    const wrapper = mount(BTable, {
+      propsData: {
+        items: makeProvider(calls),
+        fields: ['a', 'b'],
+        perPage: 2,
+        currentPage: 2
+      },
+      scopedSlots: {
+        'table-busy': props => {
+          busyScope = props
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitForProvider(wrapper.vm)
+    expect(calls.length).toBe(1)
+    expect(calls[0].currentPage).toBe(2)
+    expect(wrapper.findAll('tbody > tr').length).toBe(2)
+    expect(wrapper.emitted('update:totalRows')).toBeDefined()
+    expect(wrapper.emitted('update:totalRows')[0][0]).toBe(5)
+    expect(wrapper.attributes('aria-rowcount')).toBe('5')
+    expect(wrapper.find('tbody > tr').attributes('aria-rowindex')).toBe('3')
+
+    // The busy slot has access to the paging state
+    wrapper.vm.refresh()
+    await waitNT(wrapper.vm)
+    expect(busyScope).not.toBe(null)
+    expect(busyScope.totalRows).toBe(5)
+    expect(busyScope.currentPage).toBe(2)
+    expect(busyScope.perPage).toBe(2)
+
+    wrapper.destroy()
+  })
+
+  it('should fall back to the total-rows prop when the provider returns an array', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        items: ctx => testItems.slice(0, 2),
+        fields: ['a', 'b'],
+        perPage: 2,
+        totalRows: 40,
+        pagination: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitForProvider(wrapper.vm)
+    expect(wrapper.find('table').attributes('aria-rowcount')).toBe('40')
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('Showing 1–2 of 40')
+    expect(wrapper.findAll('.pagination .page-item').length).toBeGreaterThan(5)
+
+    wrapper.setProps({ totalRows: null })
+    await waitNT(wrapper.vm)
+    // The total number of rows is not known
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('Showing 1–2')
+    expect(wrapper.find('.pagination').exists()).toBe(false)
+
+    // Custom labels
+    wrapper.setProps({
+      labelPaginationInfo: 'Rows {start} to {end} of {totalRows}',
+      labelPaginationInfoNoTotal: 'Rows {start} to {end}'
+    })
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('Rows 1 to 2')
+    wrapper.setProps({ totalRows: 40 })
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('Rows 1 to 2 of 40')
+
+    wrapper.destroy()
+  })
+
+  it('should render the pagination footer and fetch the selected page', async () => {
+    const calls = []
+    const wrapper = mount(BTable, {
+      propsData: {
+        id: 'test',
+        items: makeProvider(calls),
+        fields: ['a', 'b'],
+        perPage: 2,
+        pagination: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitForProvider(wrapper.vm)
+    expect(wrapper.is('div.b-table-paginated')).toBe(true)
+    expect(wrapper.find('table').attributes('id')).toBe('test')
+    const $info = wrapper.find('.b-table-pagination-info')
+    expect($info.attributes('role')).toBe('status')
+    expect($info.text()).toBe('Showing 1–2 of 5')
+    const $pagination = wrapper.find('.b-table-pagination .pagination')
+    expect($pagination.exists()).toBe(true)
+    expect($pagination.find('[aria-controls="test"]').exists()).toBe(true)
+
+    // Go to the last page
+    $pagination.find('[aria-posinset="3"]').trigger('click')
+    await waitForProvider(wrapper.vm)
+    expect(wrapper.emitted('update:currentPage')).toBeDefined()
+    expect(wrapper.emitted('update:currentPage')[0][0]).toBe(3)
+    expect(calls.length).toBe(2)
+    expect(calls[1].currentPage).toBe(3)
+    expect(wrapper.findAll('tbody > tr').length).toBe(1)
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('Showing 5–5 of 5')
+
+    // The current page prop still controls the page
+    wrapper.setProps({ currentPage: 2 })
+    await waitForProvider(wrapper.vm)
+    expect(calls.length).toBe(3)
+    expect(calls[2].currentPage).toBe(2)
+
+    wrapper.destroy()
+  })
+
+  it('should render the pagination footer for local items', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        items: testItems,
+        fields: ['a', 'b'],
+        filter: 'odd',
+        filterFunction: item => item.a < 8,
+        pagination: true
+      },
+      scopedSlots: {
+        'pagination-info': function(props) {
+          return this.$createElement('span', `${props.start}-${props.end}/${props.totalRows}`)
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('1-4/4')
+    // No pagination control unless paginated
+    expect(wrapper.find('.pagination').exists()).toBe(false)
+
+    wrapper.setProps({ perPage: 3 })
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('tbody > tr').length).toBe(3)
+    expect(wrapper.findAll('.pagination').length).toBe(1)
+    expect(wrapper.emitted('update:totalRows').length).toBe(1)
+    expect(wrapper.emitted('update:totalRows')[0][0]).toBe(4)
+
+    wrapper.setProps({ filter: null })
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:totalRows').length).toBe(2)
+    expect(wrapper.emitted('update:totalRows')[1][0]).toBe(5)
+    expect(wrapper.find('.b-table-pagination-info').text()).toBe('1-3/5')
+
+    wrapper.destroy()
+  })
+})
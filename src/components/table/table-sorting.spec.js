@@ -743,6 +743,157 @@ describe('table > sorting', () => {
     expect($tds.at(1).text()).toBe('9')
     expect($tds.at(2).text()).toBe('1') // 10 - 9
 
+    wrapper.destroy()
+  })
+  it('should sort by multiple columns when multi-sort-by set', async () => {
+    const items = [
+      { a: 2, b: 'x', c: 1 },
+      { a: 1, b: 'y', c: 2 },
+      { a: 2, b: 'y', c: 3 },
+      { a: 1, b: 'x', c: 4 }
+    ]
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: items,
+        multiSort: true,
+        multiSortBy: [{ key: 'a', desc: false }, { key: 'b', desc: true }]
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.localSortBy).toBe('a')
+    expect(wrapper.vm.localSortDesc).toBe(false)
+    const columnC = wrapper.findAll('tbody > tr').wrappers.map(row =>
+      row
+        .findAll('td')
+        .at(2)
+        .text()
+    )
+    expect(columnC).toEqual(['2', '4', '3', '1'])
+
+    // Both sorted columns show sort direction and priority
+    const $ths = wrapper.findAll('thead > tr > th')
+    expect($ths.at(0).attributes('aria-sort')).toBe('ascending')
+    expect($ths.at(1).attributes('aria-sort')).toBe('descending')
+    expect(
+      $ths
+        .at(0)
+        .find('.b-table-sort-priority')
+        .text()
+    ).toBe('1')
+    expect(
+      $ths
+        .at(1)
+        .find('.b-table-sort-priority')
+        .text()
+    ).toBe('2')
+    expect(
+      $ths
+        .at(2)
+        .find('.b-table-sort-priority')
+        .exists()
+    ).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('shift+click should add, toggle and remove sort criteria when multi-sort', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        multiSort: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    const $ths = wrapper.findAll('thead > tr > th')
+
+    // Plain click sorts by a single column
+    $ths.at(1).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:multiSortBy')).toBeDefined()
+    expect(wrapper.emitted('update:multiSortBy')[0][0]).toEqual([{ key: 'b', desc: false }])
+    expect(wrapper.emitted('sort-changed').length).toBe(1)
+    expect(wrapper.emitted('sort-changed')[0][0].multiSortBy).toEqual([{ key: 'b', desc: false }])
+    expect(
+      $ths
+        .at(1)
+        .find('.b-table-sort-priority')
+        .exists()
+    ).toBe(false)
+
+    // Shift click adds a column
+    $ths.at(0).trigger('click', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:multiSortBy').length).toBe(2)
+    expect(wrapper.emitted('update:multiSortBy')[1][0]).toEqual([
+      { key: 'b', desc: false },
+      { key: 'a', desc: false }
+    ])
+    expect(wrapper.emitted('sort-changed')[1][0].multiSortBy).toEqual([
+      { key: 'b', desc: false },
+      { key: 'a', desc: false }
+    ])
+    expect(
+      $ths
+        .at(0)
+        .find('.b-table-sort-priority')
+        .text()
+    ).toBe('2')
+
+    // Shift click again toggles the direction
+    $ths.at(0).trigger('click', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:multiSortBy')[2][0]).toEqual([
+      { key: 'b', desc: false },
+      { key: 'a', desc: true }
+    ])
+    expect($ths.at(0).attributes('aria-sort')).toBe('descending')
+
+    // Plain click on the primary column toggles its direction and keeps the criteria
+    $ths.at(1).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:multiSortBy')[3][0]).toEqual([
+      { key: 'b', desc: true },
+      { key: 'a', desc: true }
+    ])
+    expect(wrapper.emitted('update:sortDesc')).toBeDefined()
+
+    // Shift click a third time removes the column
+    $ths.at(0).trigger('click', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:multiSortBy')[4][0]).toEqual([{ key: 'b', desc: true }])
+    expect($ths.at(0).attributes('aria-sort')).toBe('none')
+
+    // Clicking a non-sortable column clears the sorting
+    $ths.at(2).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('update:multiSortBy')[5][0]).toEqual([])
+    expect(wrapper.vm.localSortBy).toBe('')
+
+    wrapper.destroy()
+  })
+
+  it('should ignore shift+click when not in multi-sort mode', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        sortBy: 'a'
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    const $ths = wrapper.findAll('thead > tr > th')
+    $ths.at(1).trigger('click', { shiftKey: true })
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.localSortBy).toBe('b')
+    expect(wrapper.vm.localMultiSortBy).toEqual([])
+    expect(wrapper.emitted('update:multiSortBy')).not.toBeDefined()
+    expect(wrapper.find('.b-table-sort-priority').exists()).toBe(false)
+
     wrapper.destroy()
   })
 })
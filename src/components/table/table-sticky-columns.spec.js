@@ -0,0 +1,141 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+import BTableSimple from './table-simple'
+import { BTbody } from './tbody'
+import { BTr } from './tr'
+import { BTd } from './td'
+
+const testItems = [{ a: 1, b: 2, c: 3, d: 4, e: 5 }, { a: 6, b: 7, c: 8, d: 9, e: 10 }]
+const testFields = [
+  { key: 'a', stickyColumn: true },
+  { key: 'b', stickyColumn: 'left' },
+  'c',
+  { key: 'd', stickyColumn: 'right' },
+  { key: 'e', stickyColumn: 'right' }
+]
+
+const getCell = (wrapper, row, col) =>
+  wrapper
+    .findAll('tbody > tr')
+    .at(row)
+    .findAll('td')
+    .at(col)
+
+describe('table > sticky columns', () => {
+  beforeAll(() => {
+    // JSDOM doesn't do layout, so we fake the width of the cells
+    Object.defineProperty(HTMLElement.prototype, 'offsetWidth', {
+      configurable: true,
+      get() {
+        return this.tagName === 'TD' || this.tagName === 'TH' ? 50 : 0
+      }
+    })
+  })
+
+  afterAll(() => {
+    delete HTMLElement.prototype.offsetWidth
+  })
+
+  it('should not have sticky columns when not responsive or sticky header', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        items: testItems,
+        fields: testFields
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('.b-table-sticky-column').length).toBe(0)
+    expect(getCell(wrapper, 0, 1).attributes('style')).not.toBeDefined()
+
+    wrapper.destroy()
+  })
+
+  it('should offset multiple left and right sticky columns', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        items: testItems,
+        fields: testFields,
+        responsive: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    // Header and body cells
+    const $ths = wrapper.findAll('thead > tr > th')
+    const $tds = wrapper
+      .findAll('tbody > tr')
+      .at(1)
+      .findAll('td')
+    ;[$ths, $tds].forEach($cells => {
+      expect($cells.at(0).classes()).toContain('b-table-sticky-column')
+      expect($cells.at(0).classes()).not.toContain('b-table-sticky-column-right')
+      expect($cells.at(0).element.style.left).toBe('0px')
+      expect($cells.at(1).classes()).toContain('b-table-sticky-column')
+      expect($cells.at(1).element.style.left).toBe('50px')
+      expect($cells.at(2).classes()).not.toContain('b-table-sticky-column')
+      expect($cells.at(2).attributes('style')).not.toBeDefined()
+      expect($cells.at(3).classes()).toContain('b-table-sticky-column-right')
+      expect($cells.at(3).element.style.right).toBe('50px')
+      expect($cells.at(4).classes()).toContain('b-table-sticky-column-right')
+      expect($cells.at(4).element.style.right).toBe('0px')
+      // Default background variant
+      expect($cells.at(4).classes()).toContain('table-b-table-default')
+    })
+
+    // Not sticky in stacked mode
+    wrapper.setProps({ stacked: true })
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('.b-table-sticky-column').length).toBe(0)
+    expect(getCell(wrapper, 0, 1).attributes('style')).not.toBeDefined()
+
+    wrapper.destroy()
+  })
+
+  it('should apply the selected variant to sticky column cells of selected rows', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        items: testItems,
+        fields: testFields,
+        stickyHeader: true,
+        selectable: true,
+        dark: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    wrapper.vm.selectRow(1)
+    await waitNT(wrapper.vm)
+    expect(getCell(wrapper, 1, 0).classes()).toContain('bg-primary')
+    expect(getCell(wrapper, 1, 0).classes()).not.toContain('bg-b-table-default')
+    expect(getCell(wrapper, 1, 2).classes()).not.toContain('bg-primary')
+    expect(getCell(wrapper, 0, 0).classes()).toContain('bg-b-table-default')
+
+    wrapper.destroy()
+  })
+
+  it('should support right sticky columns in simple tables', async () => {
+    const wrapper = mount(BTableSimple, {
+      propsData: {
+        responsive: true
+      },
+      slots: {
+        default: {
+          render(h) {
+            return h(BTbody, [
+              h(BTr, [h(BTd, 'a'), h(BTd, { props: { stickyColumn: 'right' } }, 'b')])
+            ])
+          }
+        }
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $tds = wrapper.findAll('td')
+    expect($tds.at(0).classes()).not.toContain('b-table-sticky-column')
+    expect($tds.at(1).classes()).toContain('b-table-sticky-column')
+    expect($tds.at(1).classes()).toContain('b-table-sticky-column-right')
+
+    wrapper.destroy()
+  })
+})
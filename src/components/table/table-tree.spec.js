@@ -0,0 +1,304 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+
+const testFields = ['name', 'size']
+const makeItems = () => [
+  {
+    name: 'src',
+    size: 30,
+    _children: [
+      { name: 'main.js', size: 10 },
+      {
+        name: 'utils',
+        size: 20,
+        _children: [{ name: 'b.js', size: 15 }, { name: 'a.js', size: 5 }]
+      }
+    ]
+  },
+  { name: 'docs', size: 5, _hasChildren: true },
+  { name: 'README.md', size: 1 }
+]
+
+const rowNames = wrapper =>
+  wrapper.findAll('tbody > tr').wrappers.map(tr => tr.find('td .b-table-tree-cell').text())
+
+describe('table > tree rows', () => {
+  it('should render only top level items by default', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: makeItems(),
+        tree: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.attributes('role')).toBe('treegrid')
+    expect(rowNames(wrapper)).toEqual(['src', 'docs', 'README.md'])
+    const $rows = wrapper.findAll('tbody > tr')
+    expect($rows.at(0).attributes('aria-level')).toBe('1')
+    expect($rows.at(0).attributes('aria-setsize')).toBe('3')
+    expect($rows.at(0).attributes('aria-posinset')).toBe('1')
+    expect($rows.at(0).attributes('aria-expanded')).toBe('false')
+    expect($rows.at(0).attributes('tabindex')).toBe('0')
+    // Lazily loaded children
+    expect($rows.at(1).attributes('aria-expanded')).toBe('false')
+    // Leaf items are not expandable
+    expect($rows.at(2).attributes('aria-expanded')).not.toBeDefined()
+    expect(
+      $rows
+        .at(2)
+        .find('button')
+        .exists()
+    ).toBe(false)
+    // Toggle is only rendered in the first column
+    expect($rows.at(0).findAll('.b-table-tree-toggle').length).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('should expand and collapse children with the toggle button', async () => {
+    const items = makeItems()
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: items,
+        tree: true,
+        treeField: 'size'
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $toggle = wrapper.find('tbody > tr td:nth-child(2) button.b-table-tree-toggle')
+    expect($toggle.attributes('aria-label')).toBe('Expand')
+    $toggle.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(items[0]._showChildren).toBe(true)
+    expect(wrapper.emitted('row-expanded')).toBeDefined()
+    expect(wrapper.emitted('row-expanded')[0][0]).toBe(items[0])
+    let $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(5)
+    expect($rows.at(0).attributes('aria-expanded')).toBe('true')
+    expect($rows.at(1).attributes('aria-level')).toBe('2')
+    expect($rows.at(1).attributes('aria-setsize')).toBe('2')
+    expect($rows.at(2).attributes('aria-posinset')).toBe('2')
+    expect(
+      $rows
+        .at(2)
+        .find('.b-table-tree-cell')
+        .attributes('style')
+    ).toContain('padding-left: 1.25rem')
+
+    wrapper.vm.toggleChildren(items[0]._children[1])
+    await waitNT(wrapper.vm)
+    $rows = wrapper.findAll('tbody > tr')
+    expect($rows.length).toBe(7)
+    expect($rows.at(3).attributes('aria-level')).toBe('3')
+    expect(
+      $rows
+        .at(3)
+        .find('.b-table-tree-cell')
+        .attributes('style')
+    ).toContain('padding-left: 2.5rem')
+
+    $rows
+      .at(0)
+      .find('button')
+      .trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('tbody > tr').length).toBe(3)
+    expect(wrapper.emitted('row-collapsed')).toBeDefined()
+
+    wrapper.destroy()
+  })
+
+  it('should sort children within their siblings', async () => {
+    const items = makeItems()
+    items[0]._showChildren = true
+    items[0]._children[1]._showChildren = true
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: [{ key: 'name', sortable: true }, 'size'],
+        items: items,
+        tree: true,
+        sortBy: 'name'
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(rowNames(wrapper)).toEqual([
+      'docs',
+      'README.md',
+      'src',
+      'main.js',
+      'utils',
+      'a.js',
+      'b.js'
+    ])
+
+    wrapper.setProps({ sortDesc: true })
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual([
+      'src',
+      'utils',
+      'b.js',
+      'a.js',
+      'main.js',
+      'README.md',
+      'docs'
+    ])
+
+    wrapper.destroy()
+  })
+
+  it('should keep ancestors of items matching the filter', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: makeItems(),
+        tree: true,
+        filter: 'a.js'
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+    // Branches with matching descendants are expanded while filtering
+    expect(rowNames(wrapper)).toEqual(['src', 'utils', 'a.js'])
+    expect(wrapper.emitted('filtered')).toBeDefined()
+    expect(wrapper.emitted('filtered')[0][0].length).toBe(1)
+
+    // Rows can be collapsed and expanded again while filtering
+    const $button = wrapper
+      .findAll('tbody > tr')
+      .at(1)
+      .find('button')
+    expect($button.attributes('aria-expanded')).toBe('true')
+    $button.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual(['src', 'utils'])
+    expect(
+      wrapper
+        .findAll('tbody > tr')
+        .at(1)
+        .attributes('aria-expanded')
+    ).toBe('false')
+    expect(wrapper.emitted('row-collapsed')).toBeDefined()
+    expect(wrapper.emitted('row-collapsed')[0][0].name).toBe('utils')
+    $button.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual(['src', 'utils', 'a.js'])
+    expect(wrapper.emitted('row-expanded')[0][0].name).toBe('utils')
+
+    // Collapsed rows are reset when the filter changes
+    $button.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual(['src', 'utils'])
+    wrapper.setProps({ filter: 'a' })
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toContain('a.js')
+
+    wrapper.setProps({ filter: '' })
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual(['src', 'docs', 'README.md'])
+
+    wrapper.destroy()
+  })
+
+  it('should lazily load children with children-provider', async () => {
+    const items = makeItems()
+    let resolveChildren = null
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: items,
+        tree: true,
+        childrenProvider: () =>
+          new Promise(resolve => {
+            resolveChildren = resolve
+          })
+      }
+    })
+    expect(wrapper).toBeDefined()
+    const $row = wrapper.findAll('tbody > tr').at(1)
+    $row.find('button').trigger('click')
+    await waitNT(wrapper.vm)
+    expect(resolveChildren).not.toBe(null)
+    expect($row.attributes('aria-busy')).toBe('true')
+    expect($row.find('button').classes()).toContain('b-table-tree-loading')
+    expect($row.find('button').attributes('disabled')).toBeDefined()
+
+    resolveChildren([{ name: 'index.md', size: 2 }])
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(items[1]._children.length).toBe(1)
+    expect(rowNames(wrapper)).toEqual(['src', 'docs', 'index.md', 'README.md'])
+    expect(
+      wrapper
+        .findAll('tbody > tr')
+        .at(1)
+        .attributes('aria-busy')
+    ).not.toBeDefined()
+    expect(wrapper.emitted('row-expanded').length).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('should emit children-load-error when the children-provider fails', async () => {
+    const error = new Error('failed')
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: makeItems(),
+        tree: true,
+        childrenProvider: () => Promise.reject(error)
+      }
+    })
+    expect(wrapper).toBeDefined()
+    wrapper
+      .findAll('tbody > tr')
+      .at(1)
+      .find('button')
+      .trigger('click')
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('children-load-error')).toBeDefined()
+    expect(wrapper.emitted('children-load-error')[0][1]).toBe(error)
+    expect(wrapper.emitted('row-expanded')).not.toBeDefined()
+    expect(rowNames(wrapper)).toEqual(['src', 'docs', 'README.md'])
+
+    wrapper.destroy()
+  })
+
+  it('should expand and collapse rows with the keyboard', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: makeItems(),
+        tree: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    let $rows = wrapper.findAll('tbody > tr')
+    $rows.at(0).element.focus()
+    $rows.at(0).trigger('keydown.right')
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual(['src', 'main.js', 'utils', 'docs', 'README.md'])
+
+    // Right arrow on an expanded row moves to the first child
+    $rows = wrapper.findAll('tbody > tr')
+    $rows.at(0).trigger('keydown.right')
+    await waitNT(wrapper.vm)
+    expect(document.activeElement).toBe($rows.at(1).element)
+
+    // Left arrow on a child moves to the parent
+    $rows.at(1).trigger('keydown.left')
+    await waitNT(wrapper.vm)
+    expect(document.activeElement).toBe($rows.at(0).element)
+
+    // Left arrow on an expanded row collapses it
+    $rows.at(0).trigger('keydown.left')
+    await waitNT(wrapper.vm)
+    expect(rowNames(wrapper)).toEqual(['src', 'docs', 'README.md'])
+
+    wrapper.destroy()
+  })
+})
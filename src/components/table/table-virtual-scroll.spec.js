@@ -0,0 +1,211 @@
+import { mount } from '@vue/test-utils'
+import { waitNT } from '../../../tests/utils'
+import BTable from './table'
+import BTableLite from './table-lite'
+
+const testFields = ['a', 'b']
+const testItems = []
+for (let i = 0; i < 100; i++) {
+  testItems.push({ a: i, b: `b${i}` })
+}
+
+describe('table > virtual scroll', () => {
+  it('should render all rows when not in virtual scroll mode', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.is('table')).toBe(true)
+    expect(wrapper.findAll('tbody > tr').length).toBe(100)
+    expect(wrapper.findAll('tr.b-table-virtual-spacer').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('should render only a window of rows when virtual-scroll set', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        virtualScroll: true,
+        virtualBuffer: 2
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.is('div')).toBe(true)
+    expect(wrapper.classes()).toContain('b-table-virtual-scroll')
+    expect(wrapper.attributes('style')).not.toBeDefined()
+    const table = wrapper.find('table')
+    expect(table.attributes('aria-rowcount')).toBe('100')
+
+    // JSDOM has no layout, so the viewport height is 0
+    // and only the buffer rows are rendered
+    const $spacers = wrapper.findAll('tbody > tr.b-table-virtual-spacer')
+    expect($spacers.length).toBe(2)
+    expect(
+      $spacers
+        .at(0)
+        .find('td')
+        .attributes('style')
+    ).toContain('height: 0px')
+    expect(
+      $spacers
+        .at(1)
+        .find('td')
+        .attributes('style')
+    ).toContain('height: 3880px')
+    const $rows = wrapper.findAll('tbody > tr[aria-rowindex]')
+    expect($rows.length).toBe(3)
+    expect($rows.at(0).attributes('aria-rowindex')).toBe('1')
+    expect($rows.at(2).attributes('aria-rowindex')).toBe('3')
+
+    wrapper.destroy()
+  })
+
+  it('should set container height when virtual-scroll is a string', async () => {
+    const wrapper = mount(BTableLite, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        virtualScroll: '200px'
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.is('div')).toBe(true)
+    expect(wrapper.classes()).toContain('b-table-virtual-scroll')
+    expect(wrapper.attributes('style')).toContain('height: 200px')
+
+    wrapper.destroy()
+  })
+
+  it('should render rows at the scroll position with striping placeholder', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        virtualScroll: true,
+        virtualBuffer: 2,
+        virtualRowHeight: 20
+      }
+    })
+    expect(wrapper).toBeDefined()
+    wrapper.setData({ virtualScrollTop: 200, virtualViewportHeight: 60 })
+    await waitNT(wrapper.vm)
+
+    // Rows 10 through 13 are visible, plus two buffer rows each side
+    const $rows = wrapper.findAll('tbody > tr[aria-rowindex]')
+    expect($rows.length).toBe(8)
+    expect($rows.at(0).attributes('aria-rowindex')).toBe('9')
+    expect($rows.at(7).attributes('aria-rowindex')).toBe('16')
+    expect($rows.at(0).text()).toContain('b8')
+    const $spacers = wrapper.findAll('tbody > tr.b-table-virtual-spacer')
+    expect(
+      $spacers
+        .at(0)
+        .find('td')
+        .attributes('style')
+    ).toContain('height: 160px')
+    expect(
+      $spacers
+        .at(1)
+        .find('td')
+        .attributes('style')
+    ).toContain('height: 1680px')
+    // Row 8 is an even index, so we need a hidden striping row
+    expect(wrapper.findAll('tbody > tr.d-none').length).toBe(1)
+
+    wrapper.setData({ virtualScrollTop: 220 })
+    await waitNT(wrapper.vm)
+    expect(wrapper.findAll('tbody > tr.d-none').length).toBe(0)
+
+    wrapper.destroy()
+  })
+
+  it('should select rows based on their index in all items', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        virtualScroll: true,
+        virtualBuffer: 2,
+        virtualRowHeight: 20,
+        selectable: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    wrapper.setData({ virtualScrollTop: 200, virtualViewportHeight: 60 })
+    await waitNT(wrapper.vm)
+
+    const $rows = wrapper.findAll('tbody > tr[aria-rowindex]')
+    $rows.at(1).trigger('click')
+    await waitNT(wrapper.vm)
+    expect(wrapper.emitted('row-selected')).toBeDefined()
+    expect(wrapper.emitted('row-selected')[0][0]).toEqual([testItems[9]])
+    expect(wrapper.vm.isRowSelected(9)).toBe(true)
+    expect($rows.at(1).attributes('aria-selected')).toBe('true')
+
+    wrapper.destroy()
+  })
+
+  it('keyboard navigation scrolls rows into view', async () => {
+    const wrapper = mount(BTable, {
+      attachToDocument: true,
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        virtualScroll: true,
+        virtualBuffer: 2,
+        virtualRowHeight: 20
+      },
+      listeners: {
+        // Rows will only have tabindex=0 when a row-clicked listener present
+        'row-clicked': () => {}
+      }
+    })
+    expect(wrapper).toBeDefined()
+    await waitNT(wrapper.vm)
+
+    let $rows = wrapper.findAll('tbody > tr[aria-rowindex]')
+    expect($rows.length).toBe(3)
+    $rows.at(2).element.focus()
+    expect(document.activeElement).toBe($rows.at(2).element)
+
+    // Row index 3 is not rendered yet
+    $rows.at(2).trigger('keydown.down')
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.virtualScrollTop).toBe(80)
+    $rows = wrapper.findAll('tbody > tr[aria-rowindex]')
+    const $focused = $rows.wrappers.filter(tr => tr.element === document.activeElement)
+    expect($focused.length).toBe(1)
+    expect($focused[0].attributes('aria-rowindex')).toBe('4')
+
+    // End key moves to the last row
+    $focused[0].trigger('keydown.end')
+    await waitNT(wrapper.vm)
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.virtualScrollTop).toBe(2000)
+    expect(document.activeElement.getAttribute('aria-rowindex')).toBe('100')
+
+    wrapper.destroy()
+  })
+
+  it('should not use virtual scroll mode when stacked', async () => {
+    const wrapper = mount(BTable, {
+      propsData: {
+        fields: testFields,
+        items: testItems,
+        virtualScroll: true,
+        stacked: true
+      }
+    })
+    expect(wrapper).toBeDefined()
+    expect(wrapper.is('table')).toBe(true)
+    expect(wrapper.findAll('tbody > tr').length).toBe(100)
+
+    wrapper.destroy()
+  })
+})
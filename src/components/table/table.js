@@ -12,6 +12,9 @@ import sortingMixin from './helpers/mixin-sorting'
 import paginationMixin from './helpers/mixin-pagination'
 import captionMixin from './helpers/mixin-caption'
 import colgroupMixin from './helpers/mixin-colgroup'
+import columnsMixin from './helpers/mixin-columns'
+import virtualScrollMixin from './helpers/mixin-virtual-scroll'
+import stickyColumnsMixin from './helpers/mixin-sticky-columns'
 import theadMixin from './helpers/mixin-thead'
 import tfootMixin from './helpers/mixin-tfoot'
 import tbodyMixin from './helpers/mixin-tbody'
@@ -20,6 +23,11 @@ import topRowMixin from './helpers//mixin-top-row'
 import bottomRowMixin from './helpers//mixin-bottom-row'
 import busyMixin from './helpers/mixin-busy'
 import selectableMixin from './helpers/mixin-selectable'
+import treeMixin from './helpers/mixin-tree'
+import groupingMixin from './helpers/mixin-grouping'
+import editingMixin from './helpers/mixin-editing'
+import exportMixin from './helpers/mixin-export'
+import gridMixin from './helpers/mixin-grid'
 import providerMixin from './helpers/mixin-provider'
 
 // Main table renderer mixin
@@ -48,7 +56,15 @@ export const BTable = /*#__PURE__*/ Vue.extend({
     paginationMixin,
     captionMixin,
     colgroupMixin,
+    columnsMixin,
+    virtualScrollMixin,
+    stickyColumnsMixin,
     selectableMixin,
+    treeMixin,
+    groupingMixin,
+    editingMixin,
+    exportMixin,
+    gridMixin,
     emptyMixin,
     topRowMixin,
     bottomRowMixin,
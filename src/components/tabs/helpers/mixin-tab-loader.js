@@ -0,0 +1,178 @@
+import { getComponentConfig } from '../../../utils/config'
+import { isFunction, isObject, isPlainObject, isPromise } from '../../../utils/inspect'
+import { BButton } from '../../button/button'
+import { BSpinner } from '../../spinner/spinner'
+
+// Mixin for the async content of `<b-tab>`, fetched via the `loader` prop when
+// the tab is first activated, with busy and error states. With the `unload` prop,
+// the content is released when the tab is deactivated, and re-fetched on activation
+
+const NAME = 'BTab'
+
+// Loader states
+const LOAD_LOADING = 'loading'
+const LOAD_LOADED = 'loaded'
+const LOAD_ERROR = 'error'
+
+// Returns the component of a loader result, if it is one. Handles the
+// module objects of dynamic imports, i.e. `() => import('./MyTab.vue')`
+const getComponent = result => {
+  if (
+    isObject(result) &&
+    result.default &&
+    (result.__esModule || Object.prototype.toString.call(result) === '[object Module]')
+  ) {
+    result = result.default
+  }
+  if (isFunction(result) || (isPlainObject(result) && (result.render || result.template))) {
+    return result
+  }
+  return null
+}
+
+export default {
+  props: {
+    loader: {
+      // Function that returns (a promise that resolves to) a component, or
+      // data that is passed to the default scoped slot
+      type: Function,
+      default: null
+    },
+    unload: {
+      // Release the content when the tab is deactivated
+      type: Boolean,
+      default: false
+    },
+    busyLabel: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'busyLabel')
+    },
+    retryText: {
+      type: String,
+      default: () => getComponentConfig(NAME, 'retryText')
+    }
+  },
+  data() {
+    return {
+      loadState: null,
+      loadResult: null,
+      loadError: null
+    }
+  },
+  computed: {
+    hasLoader() {
+      return isFunction(this.loader)
+    },
+    computedUnload() {
+      return this.bvTabs.unload || this.unload
+    },
+    isLoading() {
+      return this.loadState === LOAD_LOADING
+    }
+  },
+  watch: {
+    localActive(newVal) {
+      if (newVal) {
+        this.loadContent()
+      } else if (this.computedUnload) {
+        // Deferred, as the tab may be re-activated in the same tick
+        this.$nextTick(() => {
+          if (!this.localActive) {
+            this.unloadContent()
+          }
+        })
+      }
+    }
+  },
+  created() {
+    // Non-reactive token of the current load, so the results of stale loads are ignored
+    this.loadRequest = null
+  },
+  mounted() {
+    if (this.localActive) {
+      this.loadContent()
+    }
+  },
+  methods: {
+    // Public methods
+    reload() {
+      // Re-run the loader (also used to retry after an error)
+      this.unloadContent()
+      this.loadContent()
+    },
+    // Private methods
+    loadContent() {
+      if (!this.hasLoader || this.loadState) {
+        return
+      }
+      const request = {}
+      this.loadRequest = request
+      this.loadError = null
+      this.loadState = LOAD_LOADING
+      const onLoaded = result => {
+        if (this.loadRequest === request) {
+          this.loadRequest = null
+          this.loadResult = result
+          this.loadState = LOAD_LOADED
+          this.$emit('loaded', result)
+        }
+      }
+      const onError = error => {
+        if (this.loadRequest === request) {
+          this.loadRequest = null
+          this.loadError = error
+          this.loadState = LOAD_ERROR
+          this.$emit('load-error', error)
+        }
+      }
+      let result
+      try {
+        result = this.loader()
+      } catch (e) {
+        onError(e)
+        return
+      }
+      if (isPromise(result)) {
+        result.then(onLoaded, onError)
+      } else {
+        onLoaded(result)
+      }
+    },
+    unloadContent() {
+      this.loadRequest = null
+      this.loadState = null
+      this.loadResult = null
+      this.loadError = null
+    },
+    // Render helpers
+    renderLoaderContent() {
+      // Renders the content of the tab, based on the state of the loader
+      const h = this.$createElement
+      if (this.loadState === LOAD_LOADED) {
+        const component = getComponent(this.loadResult)
+        return component
+          ? h(component)
+          : this.normalizeSlot('default', { data: this.loadResult, reload: this.reload })
+      } else if (this.loadState === LOAD_ERROR) {
+        const error = this.loadError
+        return (
+          this.normalizeSlot('error', { error, retry: this.reload }) ||
+          h('div', { staticClass: 'b-tab-error text-center p-3', attrs: { role: 'alert' } }, [
+            h('p', { staticClass: 'text-danger' }, String((error && error.message) || error)),
+            h(BButton, { props: { size: 'sm' }, on: { click: () => this.reload() } }, [
+              this.retryText
+            ])
+          ])
+        )
+      } else if (this.loadState === LOAD_LOADING) {
+        return (
+          this.normalizeSlot('busy') ||
+          h('div', { staticClass: 'b-tab-busy text-center p-3' }, [
+            h(BSpinner, { props: { label: this.busyLabel } })
+          ])
+        )
+      }
+      return h()
+    }
+  }
+}
@@ -0,0 +1,181 @@
+import BvEvent from '../../../utils/bv-event.class'
+import stableSort from '../../../utils/stable-sort'
+import { isArray } from '../../../utils/array'
+import { BLink } from '../../link/link'
+
+// Mixin for closable, addable and re-orderable tabs in `<b-tabs>`. The order of the tabs
+// can be changed by dragging the tab buttons, or via the keyboard, and is synced via
+// the `order` prop (array of tab IDs). Only tabs with an explicit `id` can be re-ordered,
+// as auto-generated IDs are not stable across renders. Closed tabs are hidden, until
+// re-opened via the `closed` prop of the `<b-tab>`
+
+export default {
+  props: {
+    closable: {
+      // This prop is sniffed by the <b-tab> child
+      type: Boolean,
+      default: false
+    },
+    closeLabel: {
+      type: String,
+      default: 'Close tab'
+    },
+    addable: {
+      // Show a button to add a new tab, which emits the `new-tab` event
+      type: Boolean,
+      default: false
+    },
+    newTabLabel: {
+      type: String,
+      default: 'New tab'
+    },
+    reorderable: {
+      type: Boolean,
+      default: false
+    },
+    order: {
+      // Array of tab IDs, for the order of the tabs (`.sync` modifier)
+      type: Array,
+      default: null
+    }
+  },
+  data() {
+    return {
+      localOrder: this.order,
+      // The tab being dragged, and the tab it is dragged over
+      dragTab: null,
+      dropTab: null
+    }
+  },
+  watch: {
+    order(newVal) {
+      this.localOrder = newVal
+      this.$nextTick(() => {
+        this.updateTabs()
+      })
+    }
+  },
+  methods: {
+    // Public methods
+    closeTab(tab) {
+      // Close a tab given a <b-tab> instance, unless the `tab-close` event is prevented
+      // Returns `true` if the tab was closed
+      const index = this.tabs.indexOf(tab)
+      if (index < 0) {
+        return false
+      }
+      const bvEvt = new BvEvent('tab-close', {
+        cancelable: true,
+        vueTarget: tab,
+        componentId: tab.safeId()
+      })
+      this.$emit('tab-close', bvEvt, index)
+      if (bvEvt.defaultPrevented) {
+        return false
+      }
+      tab.close()
+      // Focus the tab button that is now active
+      this.$nextTick(() => {
+        const activeTab = this.tabs[this.currentTab]
+        if (activeTab) {
+          this.focusButton(activeTab)
+        }
+      })
+      return true
+    },
+    moveTab(tab, index) {
+      // Move a tab (given a <b-tab> instance with an `id`) to a new index
+      const tabs = this.tabs.slice()
+      const oldIndex = tabs.indexOf(tab)
+      index = Math.max(Math.min(index, tabs.length - 1), 0)
+      if (oldIndex < 0 || oldIndex === index || !tab.id) {
+        return false
+      }
+      tabs.splice(oldIndex, 1)
+      tabs.splice(index, 0, tab)
+      this.localOrder = tabs.filter(t => t.id).map(t => t.id)
+      this.$emit('update:order', this.localOrder.slice())
+      this.updateTabs()
+      return true
+    },
+    // Private methods
+    getOrderedTabs(tabs) {
+      // Sort the tabs by the order, with tabs that are not in the order (or
+      // have no `id`) placed last
+      const order = isArray(this.localOrder) ? this.localOrder : []
+      if (order.length === 0) {
+        return tabs
+      }
+      const getIndex = tab => {
+        const index = tab.id ? order.indexOf(tab.id) : -1
+        return index < 0 ? order.length : index
+      }
+      return stableSort(tabs, (a, b) => getIndex(a) - getIndex(b))
+    },
+    onTabMove(tab, to) {
+      // Keyboard re-ordering of the focused tab
+      const index = this.tabs.indexOf(tab)
+      const newIndex =
+        to === 'first' ? 0 : to === 'last' ? this.tabs.length - 1 : index + (to === 'prev' ? -1 : 1)
+      if (this.moveTab(tab, newIndex)) {
+        this.focusButton(tab)
+      }
+    },
+    onTabDragstart(tab, evt) {
+      this.dragTab = tab
+      if (evt.dataTransfer) {
+        evt.dataTransfer.effectAllowed = 'move'
+        // Firefox requires data to be set to start dragging
+        evt.dataTransfer.setData('text/plain', tab.id)
+      }
+    },
+    onTabDragover(tab, evt) {
+      if (this.dragTab && this.dragTab !== tab) {
+        evt.preventDefault()
+        if (evt.dataTransfer) {
+          evt.dataTransfer.dropEffect = 'move'
+        }
+        this.dropTab = tab
+      }
+    },
+    onTabDrop(tab, evt) {
+      const dragTab = this.dragTab
+      if (dragTab && dragTab !== tab) {
+        evt.preventDefault()
+        this.moveTab(dragTab, this.tabs.indexOf(tab))
+      }
+      this.onTabDragend()
+    },
+    onTabDragend() {
+      this.dragTab = null
+      this.dropTab = null
+    },
+    onNewTab(evt) {
+      evt.preventDefault()
+      this.$emit('new-tab', evt)
+    },
+    // Render helpers
+    renderNewTabButton() {
+      const h = this.$createElement
+      if (!this.addable) {
+        return h()
+      }
+      return h('li', { staticClass: 'nav-item b-tabs-new-tab', attrs: { role: 'presentation' } }, [
+        h(
+          BLink,
+          {
+            staticClass: 'nav-link',
+            attrs: {
+              role: 'button',
+              title: this.newTabLabel,
+              'aria-label': this.newTabLabel,
+              'aria-controls': this.safeId('_BV_tab_container_')
+            },
+            on: { click: this.onNewTab }
+          },
+          [this.normalizeSlot('new-tab-button') || '+']
+        )
+      ])
+    }
+  }
+}
@@ -0,0 +1,274 @@
+import observeDom from '../../../utils/observe-dom'
+import { from as arrayFrom } from '../../../utils/array'
+import { eventOff, eventOn, isElement, requestAF } from '../../../utils/dom'
+import { BButton } from '../../button/button'
+import { BDropdownItemButton } from '../../dropdown/dropdown-item-button'
+import { BNavItemDropdown } from '../../nav/nav-item-dropdown'
+
+// Mixin for the overflow handling of the (horizontal) tab buttons of `<b-tabs>`, when
+// there are more tabs than fit on one line. In `'scroll'` mode the tab buttons are
+// scrollable, with scroll buttons on either side. In `'dropdown'` mode the tab buttons
+// that don't fit are collapsed into a "More" dropdown. The currently active tab button
+// is always kept visible, so keyboard navigation works across the hidden tabs
+
+const OVERFLOW_SCROLL = 'scroll'
+const OVERFLOW_DROPDOWN = 'dropdown'
+
+const EVENT_OPTIONS = { passive: true, capture: false }
+
+export default {
+  props: {
+    overflow: {
+      // `'scroll'` or `'dropdown'`. Not applicable to vertical tabs
+      type: String,
+      default: null,
+      validator: val => !val || val === OVERFLOW_SCROLL || val === OVERFLOW_DROPDOWN
+    },
+    scrollPrevLabel: {
+      type: String,
+      default: 'Scroll tabs backward'
+    },
+    scrollNextLabel: {
+      type: String,
+      default: 'Scroll tabs forward'
+    },
+    moreText: {
+      type: String,
+      default: 'More'
+    }
+  },
+  data() {
+    return {
+      // Scroll mode: if the tab buttons can be scrolled backward/forward
+      canScrollPrev: false,
+      canScrollNext: false,
+      // Dropdown mode: number of leading tab buttons that fit (`null` when all fit)
+      overflowCount: null
+    }
+  },
+  computed: {
+    computedOverflow() {
+      return this.vertical ? null : this.overflow || null
+    },
+    isOverflowScroll() {
+      return this.computedOverflow === OVERFLOW_SCROLL
+    },
+    isOverflowDropdown() {
+      return this.computedOverflow === OVERFLOW_DROPDOWN
+    },
+    overflowTabs() {
+      // The tabs collapsed into the dropdown, excluding the active tab
+      const count = this.overflowCount
+      if (!this.isOverflowDropdown || count === null) {
+        return []
+      }
+      return this.tabs.filter((tab, index) => index >= count && index !== this.currentTab)
+    }
+  },
+  watch: {
+    computedOverflow(newVal) {
+      this.overflowCount = null
+      this.setOverflowObserver(this.isMounted && newVal)
+      this.updateOverflow()
+    },
+    currentTab() {
+      if (this.isOverflowScroll) {
+        this.$nextTick(() => {
+          this.scrollTabIntoView(this.tabs[this.currentTab])
+        })
+      } else {
+        this.updateOverflow()
+      }
+    },
+    isMounted(newVal) {
+      this.setOverflowObserver(newVal && this.computedOverflow)
+      if (newVal) {
+        this.updateOverflow()
+      }
+    }
+  },
+  created() {
+    // Non-reactive measured widths of the tab buttons, keyed by `tab._uid`,
+    // as tab buttons collapsed into the dropdown can't be measured
+    this.overflowWidths = {}
+    this.overflowMoreWidth = 0
+    this._bvOverflowObserver = null
+  },
+  beforeDestroy() {
+    this.setOverflowObserver(false)
+  },
+  methods: {
+    setOverflowObserver(on) {
+      eventOff(window, 'resize', this.updateOverflow, EVENT_OPTIONS)
+      if (this._bvOverflowObserver && this._bvOverflowObserver.disconnect) {
+        this._bvOverflowObserver.disconnect()
+      }
+      this._bvOverflowObserver = null
+      if (on) {
+        eventOn(window, 'resize', this.updateOverflow, EVENT_OPTIONS)
+        // Watch for tab buttons being added/removed, or their titles changing
+        this._bvOverflowObserver = observeDom(this.$refs.nav, this.updateOverflow, {
+          subtree: true,
+          childList: true,
+          characterData: true
+        })
+      }
+    },
+    updateOverflow() {
+      // Measured after the DOM has been updated and rendered
+      this.$nextTick(() => {
+        requestAF(() => {
+          this.measureOverflow()
+        })
+      })
+    },
+    measureOverflow() {
+      const nav = this.$refs.nav
+      if (!this.computedOverflow || !isElement(nav)) {
+        return
+      }
+      if (this.isOverflowScroll) {
+        this.onNavScroll()
+        return
+      }
+      const buttons = this.$refs.buttons || []
+      const more = this.$refs.more && this.$refs.more.$el
+      const widths = this.overflowWidths
+      buttons.forEach(button => {
+        // Hidden tab buttons have no width
+        const width = button.$el.offsetWidth
+        if (width) {
+          widths[button.tab._uid] = width
+        }
+      })
+      if (isElement(more) && more.offsetWidth) {
+        this.overflowMoreWidth = more.offsetWidth
+      }
+      // Space taken by other nav items, such as the `tabs-start` and `tabs-end` slots
+      const buttonEls = buttons.map(button => button.$el)
+      const other = arrayFrom(nav.children)
+        .filter(el => el !== more && buttonEls.indexOf(el) === -1)
+        .reduce((sum, el) => sum + el.offsetWidth, 0)
+      let available = nav.clientWidth - other
+      const tabWidths = this.tabs.map(tab => widths[tab._uid] || 0)
+      const total = tabWidths.reduce((sum, width) => sum + width, 0)
+      let count = null
+      if (total > available) {
+        // Find the number of leading tabs that fit, next to the active tab and the dropdown
+        available -= this.overflowMoreWidth
+        const activeWidth = tabWidths[this.currentTab] || 0
+        let width = 0
+        count = 0
+        for (; count < tabWidths.length; count++) {
+          // The active tab is always shown, even when after the leading tabs
+          const extra = this.currentTab > count ? activeWidth : 0
+          if (width + tabWidths[count] + extra > available) {
+            break
+          }
+          width += tabWidths[count]
+        }
+      }
+      if (count !== this.overflowCount) {
+        this.overflowCount = count
+      }
+    },
+    isTabOverflowed(tab) {
+      return this.overflowTabs.indexOf(tab) !== -1
+    },
+    scrollTabs(direction) {
+      const el = this.$refs.navScroll
+      if (isElement(el)) {
+        el.scrollLeft += direction * Math.max(el.clientWidth / 2, 1)
+        this.onNavScroll()
+      }
+    },
+    scrollTabIntoView(tab) {
+      const button = tab && this.getButtonForTab(tab)
+      const el = this.$refs.navScroll
+      if (!button || !isElement(el)) {
+        return
+      }
+      // The scroll container is the offset parent of the tab buttons
+      const left = button.$el.offsetLeft
+      const right = left + button.$el.offsetWidth
+      if (left < el.scrollLeft) {
+        el.scrollLeft = left
+      } else if (right > el.scrollLeft + el.clientWidth) {
+        el.scrollLeft = right - el.clientWidth
+      }
+      this.onNavScroll()
+    },
+    onNavScroll() {
+      const el = this.$refs.navScroll
+      if (isElement(el)) {
+        this.canScrollPrev = el.scrollLeft > 0
+        // Allow for sub-pixel rounding
+        this.canScrollNext = el.scrollLeft + el.clientWidth < el.scrollWidth - 1
+      }
+    },
+    onOverflowTabClick(tab, evt) {
+      this.clickTab(tab, evt)
+      this.focusButton(tab)
+    },
+    // Render helpers
+    renderOverflowDropdown() {
+      const h = this.$createElement
+      if (!this.isOverflowDropdown || this.overflowTabs.length === 0) {
+        return h()
+      }
+      return h(
+        BNavItemDropdown,
+        {
+          ref: 'more',
+          key: 'bv-tabs-more',
+          staticClass: 'b-tabs-more',
+          props: { text: this.moreText, right: true }
+        },
+        this.overflowTabs.map(tab =>
+          h(
+            BDropdownItemButton,
+            {
+              key: tab._uid,
+              props: { disabled: tab.disabled },
+              attrs: { 'aria-controls': tab.safeId() },
+              on: { click: evt => this.onOverflowTabClick(tab, evt) }
+            },
+            [tab.normalizeSlot('title') || tab.title]
+          )
+        )
+      )
+    },
+    renderOverflowScroll(nav) {
+      // Wraps the nav in a scroll container, with the scroll buttons
+      const h = this.$createElement
+      const makeButton = (direction, label, disabled, content) =>
+        h(
+          BButton,
+          {
+            staticClass: `b-tabs-scroll-${direction > 0 ? 'next' : 'prev'}`,
+            props: { variant: 'link', disabled },
+            attrs: {
+              tabindex: '-1',
+              'aria-label': label,
+              'aria-controls': this.safeId('_BV_tab_controls_')
+            },
+            on: { click: () => this.scrollTabs(direction) }
+          },
+          [h('span', { attrs: { 'aria-hidden': 'true' }, domProps: { innerHTML: content } })]
+        )
+      return h('div', { staticClass: 'b-tabs-overflow-scroll d-flex' }, [
+        makeButton(-1, this.scrollPrevLabel, !this.canScrollPrev, '&lsaquo;'),
+        h(
+          'div',
+          {
+            ref: 'navScroll',
+            staticClass: 'b-tabs-nav-scroll',
+            on: { scroll: this.onNavScroll }
+          },
+          [nav]
+        ),
+        makeButton(1, this.scrollNextLabel, !this.canScrollNext, '&rsaquo;')
+      ])
+    }
+  }
+}
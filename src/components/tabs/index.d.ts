@@ -2,16 +2,41 @@
 // Tabs
 //
 import Vue from 'vue'
-import { BvPlugin, BvComponent } from '../../'
+import { BvPlugin, BvComponent, BvUrlSyncMode } from '../../'
 
 // Plugin
 export declare const TabsPlugin: BvPlugin
 
 // Component: b-tabs
-export declare class BTabs extends BvComponent {}
+export declare class BTabs extends BvComponent {
+  closeTab: (tab: BTab) => boolean
+  moveTab: (tab: BTab, index: number) => boolean
+  lazy?: boolean
+  unload?: boolean
+  closable?: boolean
+  addable?: boolean
+  reorderable?: boolean
+  order?: Array<string> | null
+  overflow?: BvTabsOverflow | null
+  urlSync?: string | null
+  urlSyncMode?: BvUrlSyncMode
+  urlSyncPush?: boolean
+}
 
 // Component: b-tab
 export declare class BTab extends BvComponent {
   activate: () => boolean
   deactivate: () => boolean
+  reload: () => void
+  close: () => void
+  open: () => void
+  lazy?: boolean
+  closable?: boolean | null
+  closed?: boolean
+  loader?: BvTabLoader | null
+  unload?: boolean
 }
+
+export type BvTabLoader = () => any
+
+export type BvTabsOverflow = 'scroll' | 'dropdown'
@@ -1,12 +1,14 @@
 import Vue from '../../utils/vue'
+import { isBoolean } from '../../utils/inspect'
 import idMixin from '../../mixins/id'
 import normalizeSlotMixin from '../../mixins/normalize-slot'
 import BVTransition from '../../utils/bv-transition'
+import tabLoaderMixin from './helpers/mixin-tab-loader'
 
 // @vue/component
 export const BTab = /*#__PURE__*/ Vue.extend({
   name: 'BTab',
-  mixins: [idMixin, normalizeSlotMixin],
+  mixins: [idMixin, normalizeSlotMixin, tabLoaderMixin],
   inject: {
     bvTabs: {
       default() {
@@ -60,11 +62,22 @@ export const BTab = /*#__PURE__*/ Vue.extend({
     lazy: {
       type: Boolean,
       default: false
+    },
+    closable: {
+      // Defaults to the `closable` prop of <b-tabs>
+      type: Boolean,
+      default: null
+    },
+    closed: {
+      // Closed tabs are hidden (`.sync` modifier)
+      type: Boolean,
+      default: false
     }
   },
   data() {
     return {
       localActive: this.active && !this.disabled,
+      localClosed: this.closed,
       show: false
     }
   },
@@ -89,6 +102,9 @@ export const BTab = /*#__PURE__*/ Vue.extend({
     computedLazy() {
       return this.bvTabs.lazy || this.lazy
     },
+    computedClosable() {
+      return isBoolean(this.closable) ? this.closable : Boolean(this.bvTabs.closable)
+    },
     _isTab() {
       // For parent sniffing of child
       return true
@@ -114,6 +130,15 @@ export const BTab = /*#__PURE__*/ Vue.extend({
         }
       }
     },
+    closed(newVal, oldVal) {
+      if (newVal !== oldVal && newVal !== this.localClosed) {
+        if (newVal) {
+          this.close()
+        } else {
+          this.open()
+        }
+      }
+    },
     disabled(newVal, oldVal) {
       if (newVal !== oldVal) {
         if (newVal && this.localActive && this.bvTabs.firstTab) {
@@ -166,6 +191,23 @@ export const BTab = /*#__PURE__*/ Vue.extend({
         // Not inside a <b-tabs> component or not active to begin with
         return false
       }
+    },
+    close() {
+      // Hide the tab (and its button), without emitting the `tab-close` event of <b-tabs>
+      if (!this.localClosed) {
+        this.localActive = false
+        this.localClosed = true
+        this.$emit('update:closed', true)
+        this.bvTabs.updateTabs && this.bvTabs.updateTabs()
+      }
+    },
+    open() {
+      // Re-open a closed tab
+      if (this.localClosed) {
+        this.localClosed = false
+        this.$emit('update:closed', false)
+        this.bvTabs.updateTabs && this.bvTabs.updateTabs()
+      }
     }
   },
   render(h) {
@@ -188,11 +230,18 @@ export const BTab = /*#__PURE__*/ Vue.extend({
           id: this.safeId(),
           tabindex: this.localActive && !this.bvTabs.noKeyNav ? '-1' : null,
           'aria-hidden': this.localActive ? 'false' : 'true',
-          'aria-labelledby': this.controlledBy || null
+          'aria-labelledby': this.controlledBy || null,
+          'aria-busy': this.isLoading ? 'true' : null
         }
       },
-      // Render content lazily if requested
-      [this.localActive || !this.computedLazy ? this.normalizeSlot('default') : h()]
+      // Render content lazily if requested (or released when unloaded)
+      [
+        this.localActive || !(this.computedLazy || this.computedUnload)
+          ? this.hasLoader
+            ? this.renderLoaderContent()
+            : this.normalizeSlot('default')
+          : h()
+      ]
     )
     return h(BVTransition, { props: { mode: 'out-in', noFade: this.computedNoFade } }, [content])
   }
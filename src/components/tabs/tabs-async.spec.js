@@ -0,0 +1,234 @@
+import Vue from 'vue'
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BTab from './tab'
+import BTabs from './tabs'
+
+// Loader that records the calls, to be resolved/rejected by the tests
+const makeLoader = calls => () =>
+  new Promise((resolve, reject) => {
+    calls.push({ resolve, reject })
+  })
+
+const waitForTabs = async vm => {
+  await waitNT(vm)
+  await waitRAF()
+}
+
+describe('tabs > async content', () => {
+  it('loads the content when the tab is first activated', async () => {
+    const calls = []
+    const App = Vue.extend({
+      render(h) {
+        return h(BTabs, { props: { value: 0 } }, [
+          h(BTab, { props: { title: 'one' } }, 'tab 0'),
+          h(
+            BTab,
+            {
+              props: { title: 'two', loader: makeLoader(calls) },
+              scopedSlots: { default: ({ data }) => h('span', { staticClass: 'data' }, data) }
+            },
+            'tab 1'
+          )
+        ])
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    const tab = wrapper.findAll(BTab).at(1)
+    // Not loaded until activated
+    expect(calls.length).toBe(0)
+    expect(tab.text()).toBe('')
+
+    tabs.setProps({ value: 1 })
+    await waitForTabs(wrapper.vm)
+    expect(calls.length).toBe(1)
+    expect(tab.attributes('aria-busy')).toBe('true')
+    expect(tab.find('.b-tab-busy').exists()).toBe(true)
+    expect(tab.find('.spinner-border').exists()).toBe(true)
+    expect(tab.find('.sr-only').text()).toBe('Loading...')
+
+    calls[0].resolve('foobar')
+    await waitForTabs(wrapper.vm)
+    expect(tab.attributes('aria-busy')).not.toBeDefined()
+    expect(tab.find('.b-tab-busy').exists()).toBe(false)
+    expect(tab.find('.data').text()).toBe('foobar')
+    expect(tab.emitted('loaded')).toBeDefined()
+    expect(tab.emitted('loaded')[0][0]).toBe('foobar')
+
+    // The content is kept when the tab is deactivated and re-activated
+    tabs.setProps({ value: 0 })
+    await waitForTabs(wrapper.vm)
+    expect(tab.find('.data').exists()).toBe(true)
+    tabs.setProps({ value: 1 })
+    await waitForTabs(wrapper.vm)
+    expect(calls.length).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('renders a component returned by the loader', async () => {
+    const AsyncContent = {
+      render(h) {
+        return h('div', { staticClass: 'async-content' }, 'content')
+      }
+    }
+    const App = Vue.extend({
+      render(h) {
+        return h(BTabs, [h(BTab, { props: { title: 'one', loader: () => AsyncContent } })])
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    expect(wrapper.find('.async-content').exists()).toBe(true)
+
+    wrapper.destroy()
+
+    // Dynamic imports resolve to a module object, with the component as `default`
+    const App2 = Vue.extend({
+      render(h) {
+        return h(BTabs, [
+          h(BTab, {
+            props: {
+              title: 'one',
+              loader: () => Promise.resolve({ __esModule: true, default: AsyncContent })
+            }
+          })
+        ])
+      }
+    })
+    const wrapper2 = mount(App2)
+    await waitForTabs(wrapper2.vm)
+    await waitNT(wrapper2.vm)
+    expect(wrapper2.find('.async-content').exists()).toBe(true)
+    expect(wrapper2.find('.async-content').text()).toBe('content')
+
+    wrapper2.destroy()
+  })
+
+  it('renders the error slot and retries the loader', async () => {
+    const calls = []
+    const error = new Error('Network error')
+    const App = Vue.extend({
+      render(h) {
+        return h(BTabs, [
+          h(BTab, {
+            props: { title: 'one', loader: makeLoader(calls) },
+            scopedSlots: {
+              default: ({ data }) => h('span', { staticClass: 'data' }, data)
+            }
+          })
+        ])
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    const tab = wrapper.find(BTab)
+    expect(calls.length).toBe(1)
+
+    calls[0].reject(error)
+    await waitForTabs(wrapper.vm)
+    expect(tab.emitted('load-error')).toBeDefined()
+    expect(tab.emitted('load-error')[0][0]).toBe(error)
+    const $error = tab.find('.b-tab-error')
+    expect($error.exists()).toBe(true)
+    expect($error.attributes('role')).toBe('alert')
+    expect($error.text()).toContain('Network error')
+
+    // Retry button
+    $error.find('button').trigger('click')
+    await waitForTabs(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(tab.find('.b-tab-busy').exists()).toBe(true)
+    calls[1].resolve('foo')
+    await waitForTabs(wrapper.vm)
+    expect(tab.find('.b-tab-error').exists()).toBe(false)
+    expect(tab.find('.data').text()).toBe('foo')
+
+    wrapper.destroy()
+  })
+
+  it('custom busy and error slots work', async () => {
+    const calls = []
+    const App = Vue.extend({
+      render(h) {
+        return h(BTabs, [
+          h(BTab, {
+            props: { title: 'one', loader: makeLoader(calls) },
+            scopedSlots: {
+              busy: () => h('span', { staticClass: 'busy' }, 'busy'),
+              error: ({ error, retry }) =>
+                h('a', { staticClass: 'error', on: { click: retry } }, error.message)
+            }
+          })
+        ])
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    expect(wrapper.find('.busy').exists()).toBe(true)
+
+    calls[0].reject(new Error('foo'))
+    await waitForTabs(wrapper.vm)
+    expect(wrapper.find('.busy').exists()).toBe(false)
+    expect(wrapper.find('.error').text()).toBe('foo')
+    wrapper.find('.error').trigger('click')
+    await waitForTabs(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(wrapper.find('.busy').exists()).toBe(true)
+
+    wrapper.destroy()
+  })
+
+  it('unloads the content when the tab is deactivated', async () => {
+    const calls = []
+    const App = Vue.extend({
+      render(h) {
+        return h(BTabs, { props: { value: 0, unload: true } }, [
+          h(
+            BTab,
+            {
+              props: { title: 'one', loader: makeLoader(calls) },
+              scopedSlots: { default: ({ data }) => h('span', { staticClass: 'data' }, data) }
+            },
+            'tab 0'
+          ),
+          h(BTab, { props: { title: 'two' } }, [h('span', { staticClass: 'static' }, 'tab 1')])
+        ])
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    const tab = wrapper.findAll(BTab).at(0)
+    expect(calls.length).toBe(1)
+    // Static tabs are not rendered when inactive
+    expect(wrapper.find('.static').exists()).toBe(false)
+
+    // A stale load is ignored
+    tabs.setProps({ value: 1 })
+    await waitForTabs(wrapper.vm)
+    expect(wrapper.find('.static').exists()).toBe(true)
+    calls[0].resolve('stale')
+    await waitForTabs(wrapper.vm)
+    expect(tab.emitted('loaded')).not.toBeDefined()
+
+    // Re-activating the tab loads the content again
+    tabs.setProps({ value: 0 })
+    await waitForTabs(wrapper.vm)
+    expect(calls.length).toBe(2)
+    expect(wrapper.find('.static').exists()).toBe(false)
+    calls[1].resolve('foo')
+    await waitForTabs(wrapper.vm)
+    expect(tab.find('.data').text()).toBe('foo')
+
+    // The content is released when deactivated
+    tabs.setProps({ value: 1 })
+    await waitForTabs(wrapper.vm)
+    expect(tab.find('.data').exists()).toBe(false)
+    expect(tab.vm.loadResult).toBe(null)
+
+    wrapper.destroy()
+  })
+})
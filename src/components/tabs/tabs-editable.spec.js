@@ -0,0 +1,243 @@
+import Vue from 'vue'
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BTab from './tab'
+import BTabs from './tabs'
+
+const waitForTabs = async vm => {
+  await waitNT(vm)
+  await waitRAF()
+  await waitNT(vm)
+}
+
+const makeApp = (props = {}, on = {}, tabProps = []) =>
+  Vue.extend({
+    render(h) {
+      return h(BTabs, { props, on }, [
+        h(BTab, { props: { id: 'tab-a', title: 'a', ...tabProps[0] } }, 'tab a'),
+        h(BTab, { props: { id: 'tab-b', title: 'b', ...tabProps[1] } }, 'tab b'),
+        h(BTab, { props: { id: 'tab-c', title: 'c', ...tabProps[2] } }, 'tab c')
+      ])
+    }
+  })
+
+const getTitles = wrapper => wrapper.findAll('.nav-link[role="tab"]').wrappers.map(w => w.text())
+
+const keydown = (wrapper, keyCode, opts = {}) => {
+  wrapper.element.dispatchEvent(new KeyboardEvent('keydown', { keyCode, bubbles: true, ...opts }))
+}
+
+describe('tabs > closable, addable and re-orderable tabs', () => {
+  it('closes tabs via the close button, unless the tab-close event is prevented', async () => {
+    let prevent = true
+    const onClose = jest.fn((bvEvt, index) => {
+      if (prevent) {
+        bvEvt.preventDefault()
+      }
+    })
+    const App = makeApp({ value: 1, closable: true }, { 'tab-close': onClose }, [
+      { closable: false }
+    ])
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    // The first tab opts out of being closable
+    const $items = wrapper.findAll('li.nav-item')
+    expect($items.at(0).classes()).not.toContain('b-tab-closable')
+    expect(
+      $items
+        .at(0)
+        .find('.close')
+        .exists()
+    ).toBe(false)
+    expect($items.at(1).classes()).toContain('b-tab-closable')
+    const $close = $items.at(1).find('button.close')
+    expect($close.exists()).toBe(true)
+    expect($close.attributes('aria-label')).toBe('Close tab')
+    expect($close.attributes('tabindex')).toBe('-1')
+    expect($close.attributes('aria-controls')).toBe('tab-b')
+
+    // Prevented
+    $close.trigger('click')
+    await waitForTabs(wrapper.vm)
+    expect(onClose).toHaveBeenCalledTimes(1)
+    const bvEvt = onClose.mock.calls[0][0]
+    expect(bvEvt.type).toBe('tab-close')
+    expect(bvEvt.vueTarget).toBe(tabs.vm.tabs[1])
+    expect(bvEvt.componentId).toBe('tab-b')
+    expect(onClose.mock.calls[0][1]).toBe(1)
+    expect(getTitles(wrapper)).toEqual(['a', 'b', 'c'])
+
+    // Not prevented: the active tab is closed and the next tab is activated
+    prevent = false
+    const tabB = tabs.vm.tabs[1]
+    $close.trigger('click')
+    await waitForTabs(wrapper.vm)
+    expect(onClose).toHaveBeenCalledTimes(2)
+    expect(getTitles(wrapper)).toEqual(['a', 'c'])
+    expect(tabB.localClosed).toBe(true)
+    expect(tabB.localActive).toBe(false)
+    expect(
+      wrapper
+        .findAll(BTab)
+        .at(1)
+        .emitted('update:closed')[0][0]
+    ).toBe(true)
+    expect(tabs.vm.currentTab).toBe(1)
+    expect(tabs.vm.tabs[1].localActive).toBe(true)
+    expect(tabs.vm.tabs[1].safeId()).toBe('tab-c')
+    expect(tabs.emitted('changed')).toBeDefined()
+
+    // Re-open the tab
+    tabB.open()
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['a', 'b', 'c'])
+
+    wrapper.destroy()
+  })
+
+  it('closes the focused tab with the DELETE key', async () => {
+    const App = makeApp({ value: 0, closable: true })
+    const wrapper = mount(App, { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    keydown(wrapper.findAll('.nav-link[role="tab"]').at(0), 46)
+    await waitForTabs(wrapper.vm)
+    expect(tabs.emitted('tab-close')).toBeDefined()
+    expect(getTitles(wrapper)).toEqual(['b', 'c'])
+    expect(tabs.vm.tabs[0].localActive).toBe(true)
+    expect(document.activeElement).toBe(wrapper.findAll('.nav-link[role="tab"]').at(0).element)
+
+    wrapper.destroy()
+  })
+
+  it('closed prop works', async () => {
+    const App = Vue.extend({
+      data() {
+        return { closed: true }
+      },
+      render(h) {
+        return h(BTabs, [
+          h(BTab, { props: { title: 'a' } }, 'tab a'),
+          h(BTab, { props: { title: 'b', closed: this.closed } }, 'tab b')
+        ])
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['a'])
+
+    wrapper.setData({ closed: false })
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['a', 'b'])
+
+    wrapper.destroy()
+  })
+
+  it('renders the new tab button when addable', async () => {
+    const App = Vue.extend({
+      render(h) {
+        return h(
+          BTabs,
+          {
+            props: { id: 'tabs', addable: true },
+            scopedSlots: { 'tabs-end': () => h('li', 'end') }
+          },
+          [h(BTab, { props: { title: 'a' } }, 'tab a')]
+        )
+      }
+    })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    const $items = wrapper.findAll('.nav > li')
+    expect($items.length).toBe(3)
+    expect($items.at(1).classes()).toContain('b-tabs-new-tab')
+    const $button = $items.at(1).find('a')
+    expect($button.text()).toBe('+')
+    expect($button.attributes('role')).toBe('button')
+    expect($button.attributes('aria-label')).toBe('New tab')
+    expect($button.attributes('aria-controls')).toBe('tabs__BV_tab_container_')
+    $button.trigger('click')
+    expect(tabs.emitted('new-tab')).toBeDefined()
+    expect(tabs.emitted('new-tab').length).toBe(1)
+
+    wrapper.destroy()
+  })
+
+  it('re-orders tabs via the keyboard and syncs the order', async () => {
+    const App = makeApp({ value: 0, reorderable: true })
+    const wrapper = mount(App, { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(wrapper.find('li.nav-item').attributes('draggable')).toBe('true')
+
+    // CTRL + RIGHT moves the tab
+    keydown(wrapper.findAll('.nav-link[role="tab"]').at(0), 39, { ctrlKey: true })
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['b', 'a', 'c'])
+    expect(tabs.emitted('update:order')[0][0]).toEqual(['tab-b', 'tab-a', 'tab-c'])
+    // The moved tab is still active, and focused
+    expect(tabs.vm.currentTab).toBe(1)
+    expect(tabs.emitted('input')[tabs.emitted('input').length - 1][0]).toBe(1)
+    expect(document.activeElement).toBe(wrapper.findAll('.nav-link[role="tab"]').at(1).element)
+
+    // CTRL + END moves the tab last
+    keydown(wrapper.findAll('.nav-link[role="tab"]').at(1), 35, { ctrlKey: true })
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['b', 'c', 'a'])
+
+    // The order prop
+    tabs.setProps({ order: ['tab-c', 'tab-a'] })
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['c', 'a', 'b'])
+
+    wrapper.destroy()
+  })
+
+  it('re-orders tabs via drag and drop', async () => {
+    const App = makeApp({ reorderable: true })
+    const wrapper = mount(App)
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    const $items = wrapper.findAll('li.nav-item')
+    $items.at(2).trigger('dragstart')
+    await waitNT(wrapper.vm)
+    expect($items.at(2).classes()).toContain('b-tab-dragging')
+    $items.at(0).trigger('dragover')
+    await waitNT(wrapper.vm)
+    expect($items.at(0).classes()).toContain('b-tab-drop-target')
+    $items.at(0).trigger('drop')
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['c', 'a', 'b'])
+    expect(tabs.emitted('update:order')[0][0]).toEqual(['tab-c', 'tab-a', 'tab-b'])
+    expect(wrapper.findAll('.b-tab-dragging').length).toBe(0)
+    expect(wrapper.findAll('.b-tab-drop-target').length).toBe(0)
+
+    wrapper.destroy()
+  })
+
+  it('only re-orders tabs with an explicit id', async () => {
+    const App = makeApp({ value: 0, reorderable: true }, {}, [{}, { id: null }])
+    const wrapper = mount(App, { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    const $items = wrapper.findAll('li.nav-item')
+    expect($items.at(0).attributes('draggable')).toBe('true')
+    expect($items.at(1).attributes('draggable')).toBe('false')
+
+    // The tab without an id can not be moved
+    keydown(wrapper.findAll('.nav-link[role="tab"]').at(1), 39, { ctrlKey: true })
+    await waitForTabs(wrapper.vm)
+    expect(getTitles(wrapper)).toEqual(['a', 'b', 'c'])
+    expect(tabs.emitted('update:order')).not.toBeDefined()
+
+    // The order only contains the tabs with an id, and tabs without are placed last
+    keydown(wrapper.findAll('.nav-link[role="tab"]').at(2), 36, { ctrlKey: true })
+    await waitForTabs(wrapper.vm)
+    expect(tabs.emitted('update:order')[0][0]).toEqual(['tab-c', 'tab-a'])
+    expect(getTitles(wrapper)).toEqual(['c', 'a', 'b'])
+
+    wrapper.destroy()
+  })
+})
@@ -0,0 +1,207 @@
+import Vue from 'vue'
+import { mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BTab from './tab'
+import BTabs from './tabs'
+
+const waitForTabs = async vm => {
+  await waitNT(vm)
+  await waitRAF()
+  await waitNT(vm)
+  await waitRAF()
+}
+
+const makeApp = props =>
+  Vue.extend({
+    render(h) {
+      return h(
+        BTabs,
+        { props },
+        [0, 1, 2, 3, 4].map(i => h(BTab, { props: { title: `tab ${i}` } }, `tab ${i}`))
+      )
+    }
+  })
+
+const getVisibleTitles = wrapper =>
+  wrapper
+    .findAll('li.nav-item')
+    .filter(w => !w.classes('d-none') && w.find('[role="tab"]').exists())
+    .wrappers.map(w => w.text())
+
+const isTabButton = el => el.tagName === 'LI' && el.getAttribute('role') === 'presentation'
+
+describe('tabs > overflow', () => {
+  const descriptors = {}
+
+  beforeAll(() => {
+    // JSDOM doesn't do layout, so we fake the sizes of the nav and the tab buttons
+    ;['offsetWidth', 'offsetLeft', 'clientWidth'].forEach(prop => {
+      descriptors[prop] = Object.getOwnPropertyDescriptor(HTMLElement.prototype, prop)
+    })
+    Object.defineProperty(HTMLElement.prototype, 'offsetWidth', {
+      configurable: true,
+      get() {
+        if (this.classList.contains('d-none')) {
+          return 0
+        } else if (this.classList.contains('b-tabs-more')) {
+          return 80
+        }
+        return isTabButton(this) ? 100 : 0
+      }
+    })
+    Object.defineProperty(HTMLElement.prototype, 'offsetLeft', {
+      configurable: true,
+      get() {
+        return isTabButton(this)
+          ? Array.prototype.indexOf.call(this.parentNode.children, this) * 100
+          : 0
+      }
+    })
+    Object.defineProperty(HTMLElement.prototype, 'clientWidth', {
+      configurable: true,
+      get() {
+        return this.classList.contains('nav') || this.classList.contains('b-tabs-nav-scroll')
+          ? 350
+          : 0
+      }
+    })
+  })
+
+  afterAll(() => {
+    Object.keys(descriptors).forEach(prop => {
+      Object.defineProperty(HTMLElement.prototype, prop, descriptors[prop])
+    })
+  })
+
+  it('collapses the tabs that do not fit into a dropdown', async () => {
+    const wrapper = mount(makeApp({ value: 0, overflow: 'dropdown' }), { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(tabs.find('.nav').classes()).toContain('flex-nowrap')
+    // The dropdown width is known once rendered, and re-measured on resize
+    window.dispatchEvent(new Event('resize'))
+    await waitForTabs(wrapper.vm)
+    expect(getVisibleTitles(wrapper)).toEqual(['tab 0', 'tab 1'])
+    const $more = wrapper.find('.b-tabs-more')
+    expect($more.exists()).toBe(true)
+    expect($more.find('.dropdown-toggle').text()).toBe('More')
+    let $items = $more.findAll('.dropdown-item')
+    expect($items.wrappers.map(w => w.text())).toEqual(['tab 2', 'tab 3', 'tab 4'])
+
+    // Selecting a tab from the dropdown shows its tab button in place of the last visible tab
+    $items.at(1).trigger('click')
+    await waitForTabs(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(3)
+    expect(getVisibleTitles(wrapper)).toEqual(['tab 0', 'tab 3'])
+    $items = wrapper.findAll('.b-tabs-more .dropdown-item')
+    expect($items.wrappers.map(w => w.text())).toEqual(['tab 1', 'tab 2', 'tab 4'])
+    expect(document.activeElement).toBe(tabs.vm.getButtonForTab(tabs.vm.tabs[3]).$refs.link.$el)
+
+    wrapper.destroy()
+  })
+
+  it('keyboard navigation works across the collapsed tabs', async () => {
+    const wrapper = mount(makeApp({ value: 0, overflow: 'dropdown' }), { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    window.dispatchEvent(new Event('resize'))
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(getVisibleTitles(wrapper)).toEqual(['tab 0', 'tab 1'])
+
+    // END activates the last (collapsed) tab
+    wrapper.find('.nav-link.active').trigger('keydown.end')
+    await waitForTabs(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(4)
+    expect(getVisibleTitles(wrapper)).toEqual(['tab 0', 'tab 4'])
+    expect(document.activeElement).toBe(wrapper.find('.nav-link.active').element)
+
+    // LEFT activates the previous tab, which is collapsed
+    wrapper.find('.nav-link.active').trigger('keydown.left')
+    await waitForTabs(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(3)
+    expect(getVisibleTitles(wrapper)).toEqual(['tab 0', 'tab 3'])
+    expect(document.activeElement).toBe(wrapper.find('.nav-link.active').element)
+
+    // HOME activates the first tab
+    wrapper.find('.nav-link.active').trigger('keydown.home')
+    await waitForTabs(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(0)
+    expect(getVisibleTitles(wrapper)).toEqual(['tab 0', 'tab 1'])
+
+    wrapper.destroy()
+  })
+
+  it('does not collapse tabs that fit', async () => {
+    const App = Vue.extend({
+      render(h) {
+        return h(BTabs, { props: { overflow: 'dropdown' } }, [
+          h(BTab, { props: { title: 'a' } }),
+          h(BTab, { props: { title: 'b' } })
+        ])
+      }
+    })
+    const wrapper = mount(App, { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    expect(getVisibleTitles(wrapper)).toEqual(['a', 'b'])
+    expect(wrapper.find('.b-tabs-more').exists()).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('renders scroll buttons and scrolls the active tab into view', async () => {
+    const wrapper = mount(makeApp({ value: 0, overflow: 'scroll' }), { attachToDocument: true })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    const $scroll = wrapper.find('.b-tabs-nav-scroll')
+    expect($scroll.exists()).toBe(true)
+    expect($scroll.find('.nav').exists()).toBe(true)
+    // Fake the scroll position and size
+    let scrollLeft = 0
+    Object.defineProperty($scroll.element, 'scrollLeft', {
+      configurable: true,
+      get: () => scrollLeft,
+      set: val => {
+        scrollLeft = Math.max(Math.min(val, 150), 0)
+      }
+    })
+    Object.defineProperty($scroll.element, 'scrollWidth', { configurable: true, value: 500 })
+    $scroll.trigger('scroll')
+    await waitNT(wrapper.vm)
+    const $prev = wrapper.find('.b-tabs-scroll-prev')
+    const $next = wrapper.find('.b-tabs-scroll-next')
+    expect($prev.attributes('aria-label')).toBe('Scroll tabs backward')
+    expect($prev.attributes('tabindex')).toBe('-1')
+    expect($prev.attributes('disabled')).toBeDefined()
+    expect($next.attributes('aria-label')).toBe('Scroll tabs forward')
+    expect($next.attributes('disabled')).not.toBeDefined()
+
+    $next.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(scrollLeft).toBe(150)
+    expect($prev.attributes('disabled')).not.toBeDefined()
+    expect($next.attributes('disabled')).toBeDefined()
+
+    $prev.trigger('click')
+    await waitNT(wrapper.vm)
+    expect(scrollLeft).toBe(0)
+
+    // The active tab is scrolled into view
+    tabs.setProps({ value: 4 })
+    await waitForTabs(wrapper.vm)
+    expect(scrollLeft).toBe(150)
+    tabs.setProps({ value: 1 })
+    await waitForTabs(wrapper.vm)
+    expect(scrollLeft).toBe(100)
+
+    wrapper.destroy()
+  })
+
+  it('overflow is not applied to vertical tabs', async () => {
+    const wrapper = mount(makeApp({ overflow: 'scroll', vertical: true }))
+    await waitForTabs(wrapper.vm)
+    expect(wrapper.find('.b-tabs-nav-scroll').exists()).toBe(false)
+    expect(wrapper.find('.nav').classes()).not.toContain('flex-nowrap')
+
+    wrapper.destroy()
+  })
+})
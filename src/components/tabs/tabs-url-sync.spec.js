@@ -0,0 +1,137 @@
+import VueRouter from 'vue-router'
+import { createLocalVue as CreateLocalVue, mount } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../tests/utils'
+import BTab from './tab'
+import BTabs from './tabs'
+
+const waitForTabs = async vm => {
+  await waitNT(vm)
+  await waitRAF()
+  await waitNT(vm)
+}
+
+const renderTabs = (h, props) =>
+  h(BTabs, { props }, [
+    h(BTab, { props: { id: 'tab-a', title: 'a' } }, 'tab a'),
+    h(BTab, { props: { id: 'tab-b', title: 'b' } }, 'tab b'),
+    h(BTab, { props: { title: 'c' } }, 'tab c')
+  ])
+
+describe('tabs > url sync', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('restores the active tab from the URL hash', async () => {
+    window.history.replaceState(null, '', '/#tab=tab-b')
+    const wrapper = mount({ render: h => renderTabs(h, { urlSync: 'tab' }) })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(tabs.vm.currentTab).toBe(1)
+    // The URL is unchanged
+    expect(window.location.hash).toBe('#tab=tab-b')
+
+    wrapper.destroy()
+  })
+
+  it('mirrors the active tab into the URL hash, and responds to navigation', async () => {
+    window.history.replaceState(null, '', '/#top')
+    const wrapper = mount({ render: h => renderTabs(h, { urlSync: 'tab' }) })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(tabs.vm.currentTab).toBe(0)
+    // The initial tab is not written to the URL
+    expect(window.location.hash).toBe('#top')
+
+    wrapper
+      .findAll('.nav-link')
+      .at(1)
+      .trigger('click')
+    await waitNT(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(1)
+    expect(window.location.hash).toBe('#top&tab=tab-b')
+
+    // Tabs without an ID use their index
+    wrapper
+      .findAll('.nav-link')
+      .at(2)
+      .trigger('click')
+    await waitNT(wrapper.vm)
+    expect(window.location.hash).toBe('#top&tab=2')
+
+    // Back/forward navigation
+    window.history.replaceState(null, '', '/#tab=tab-a')
+    window.dispatchEvent(new Event('popstate'))
+    await waitNT(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(0)
+    window.history.replaceState(null, '', '/#tab=2')
+    window.dispatchEvent(new Event('hashchange'))
+    await waitNT(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(2)
+    // Unknown values are ignored
+    window.history.replaceState(null, '', '/#tab=foo')
+    window.dispatchEvent(new Event('popstate'))
+    await waitNT(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(2)
+
+    wrapper.destroy()
+
+    // Listeners are removed when destroyed
+    window.history.replaceState(null, '', '/#tab=tab-a')
+    window.dispatchEvent(new Event('popstate'))
+    await waitNT(wrapper.vm)
+    expect(tabs.vm.currentTab).toBe(2)
+  })
+
+  it('does not touch the URL when url-sync is not set', async () => {
+    window.history.replaceState(null, '', '/#tab=tab-b')
+    const wrapper = mount({ render: h => renderTabs(h, {}) })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(tabs.vm.currentTab).toBe(0)
+    wrapper
+      .findAll('.nav-link')
+      .at(2)
+      .trigger('click')
+    await waitNT(wrapper.vm)
+    expect(window.location.hash).toBe('#tab=tab-b')
+
+    wrapper.destroy()
+  })
+
+  it('syncs with the query of vue-router', async () => {
+    const localVue = new CreateLocalVue()
+    localVue.use(VueRouter)
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [{ path: '/', component: { render: h => h('div') } }]
+    })
+    router.push({ path: '/', query: { tab: 'tab-b' } })
+
+    const App = localVue.extend({
+      router,
+      render(h) {
+        return renderTabs(h, { urlSync: 'tab', urlSyncMode: 'query', urlSyncPush: true })
+      }
+    })
+    const wrapper = mount(App, { localVue })
+    await waitForTabs(wrapper.vm)
+    const tabs = wrapper.find(BTabs)
+    expect(tabs.vm.currentTab).toBe(1)
+
+    wrapper
+      .findAll('.nav-link')
+      .at(0)
+      .trigger('click')
+    await waitForTabs(wrapper.vm)
+    expect(router.currentRoute.query).toEqual({ tab: 'tab-a' })
+
+    // Back navigation
+    router.back()
+    await waitForTabs(wrapper.vm)
+    expect(router.currentRoute.query).toEqual({ tab: 'tab-b' })
+    expect(tabs.vm.currentTab).toBe(1)
+
+    wrapper.destroy()
+  })
+})
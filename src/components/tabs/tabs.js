@@ -9,8 +9,12 @@ import { isEvent } from '../../utils/inspect'
 import { omit } from '../../utils/object'
 import idMixin from '../../mixins/id'
 import normalizeSlotMixin from '../../mixins/normalize-slot'
+import urlSyncMixin from '../../mixins/url-sync'
 import { BLink } from '../link/link'
 import { BNav, props as BNavProps } from '../nav/nav'
+import { BButtonClose } from '../button/button-close'
+import tabsEditableMixin from './helpers/mixin-tabs-editable'
+import tabsOverflowMixin from './helpers/mixin-tabs-overflow'
 
 // -- Constants --
 
@@ -70,6 +74,19 @@ const BTabButtonHelper = /*#__PURE__*/ Vue.extend({
       if (type === 'click') {
         stop()
         this.$emit('click', evt)
+      } else if (type === 'keydown' && key === KeyCodes.DELETE && this.tab.computedClosable) {
+        // DELETE closes the tab
+        stop()
+        this.$emit('close', evt)
+      } else if (type === 'keydown' && evt.ctrlKey && this.bvTabs.reorderable) {
+        // CTRL + arrow keys move the tab
+        if (key === KeyCodes.UP || key === KeyCodes.LEFT || key === KeyCodes.HOME) {
+          stop()
+          this.$emit('move', shift || key === KeyCodes.HOME ? 'first' : 'prev')
+        } else if (key === KeyCodes.DOWN || key === KeyCodes.RIGHT || key === KeyCodes.END) {
+          stop()
+          this.$emit('move', shift || key === KeyCodes.END ? 'last' : 'next')
+        }
       } else if (type === 'keydown' && !this.noKeyNav && key === KeyCodes.SPACE) {
         // In keynav mode, SPACE press will also trigger a click/select
         stop()
@@ -127,14 +144,44 @@ const BTabButtonHelper = /*#__PURE__*/ Vue.extend({
       },
       [this.tab.normalizeSlot('title') || this.tab.title]
     )
+    // The close button is not in the tab sequence, as DELETE closes the focused tab
+    const closeButton = this.tab.computedClosable
+      ? h(BButtonClose, {
+          staticClass: 'b-tab-close',
+          props: { ariaLabel: this.bvTabs.closeLabel, disabled: this.tab.disabled },
+          attrs: { tabindex: '-1', 'aria-controls': this.controls },
+          on: {
+            click: evt => {
+              evt.stopPropagation()
+              this.$emit('close', evt)
+            }
+          }
+        })
+      : h()
+    const draggable = this.bvTabs.reorderable && !this.tab.disabled && !!this.tab.id
     return h(
       'li',
       {
         staticClass: 'nav-item',
-        class: [this.tab.titleItemClass],
-        attrs: { role: 'presentation' }
+        class: [
+          {
+            'b-tab-closable': this.tab.computedClosable,
+            'b-tab-dragging': this.bvTabs.dragTab === this.tab,
+            'b-tab-drop-target': this.bvTabs.dropTab === this.tab
+          },
+          this.tab.titleItemClass
+        ],
+        attrs: { role: 'presentation', draggable: draggable ? 'true' : null },
+        on: draggable
+          ? {
+              dragstart: evt => this.$emit('dragstart', evt),
+              dragover: evt => this.$emit('dragover', evt),
+              drop: evt => this.$emit('drop', evt),
+              dragend: evt => this.$emit('dragend', evt)
+            }
+          : {}
       },
-      [link]
+      [link, closeButton]
     )
   }
 })
@@ -142,7 +189,7 @@ const BTabButtonHelper = /*#__PURE__*/ Vue.extend({
 // @vue/component
 export const BTabs = /*#__PURE__*/ Vue.extend({
   name: 'BTabs',
-  mixins: [idMixin, normalizeSlotMixin],
+  mixins: [idMixin, normalizeSlotMixin, urlSyncMixin, tabsEditableMixin, tabsOverflowMixin],
   provide() {
     return {
       bvTabs: this
@@ -184,6 +231,11 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       type: Boolean,
       default: false
     },
+    unload: {
+      // This prop is sniffed by the <b-tab> child
+      type: Boolean,
+      default: false
+    },
     contentClass: {
       type: [String, Array, Object],
       default: null
@@ -254,6 +306,10 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       })
       // Update the v-model
       this.$emit('input', index)
+      // Update the URL, if synced
+      if (index > -1) {
+        this.setUrlSync(this.tabs[index].id || String(index))
+      }
     },
     value(val, old) {
       if (val !== old) {
@@ -301,6 +357,8 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       if (newVal) {
         requestAF(() => {
           this.updateTabs()
+          // Restore the active tab from the URL, if synced
+          this.readUrlSync()
         })
       }
       // Enable or disable the observer
@@ -392,8 +450,9 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       // We use registeredTabs as the source of truth for child tab components. And we
       // filter out any BTab components that are extended BTab with a root child BTab.
       // https://github.com/bootstrap-vue/bootstrap-vue/issues/3260
+      // Closed tabs are excluded
       const tabs = this.registeredTabs.filter(
-        tab => tab.$children.filter(t => t._isTab).length === 0
+        tab => tab.$children.filter(t => t._isTab).length === 0 && !tab.localClosed
       )
       // DOM Order of Tabs
       let order = []
@@ -408,9 +467,12 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       }
       // Stable sort keeps the original order if not found in the
       // `order` array, which will be an empty array before mount.
-      return stableSort(tabs, (a, b) => {
-        return order.indexOf(a.safeId()) - order.indexOf(b.safeId())
-      })
+      // The DOM order is then overridden by the `order` prop, if set
+      return this.getOrderedTabs(
+        stableSort(tabs, (a, b) => {
+          return order.indexOf(a.safeId()) - order.indexOf(b.safeId())
+        })
+      )
     },
     // Update list of <b-tab> children
     updateTabs() {
@@ -462,6 +524,18 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       // Set the currentTab index (can be -1 if no non-disabled tabs)
       this.currentTab = tabIndex
     },
+    // Activate the tab given by the URL parameter, when synced
+    // The value is the `id` of the tab, or else its index
+    onUrlSync(value) {
+      if (value !== null) {
+        const tab =
+          this.tabs.find(t => t.id === value) ||
+          (/^\d+$/.test(value) ? this.tabs[parseInt(value, 10)] : null)
+        if (tab && !tab.localActive) {
+          this.activateTab(tab)
+        }
+      }
+    },
     // Find a button that controls a tab, given the tab reference
     // Returns the button vm instance
     getButtonForTab(tab) {
@@ -591,6 +665,8 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       }
       return h(BTabButtonHelper, {
         key: tab._uid || index,
+        // Tab buttons collapsed into the overflow dropdown are hidden
+        class: { 'd-none': this.isTabOverflowed(tab) },
         ref: 'buttons',
         // Needed to make `this.$refs.buttons` an array
         refInFor: true,
@@ -611,7 +687,23 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
           first: this.firstTab,
           prev: this.previousTab,
           next: this.nextTab,
-          last: this.lastTab
+          last: this.lastTab,
+          close: () => {
+            this.closeTab(tab)
+          },
+          move: to => {
+            this.onTabMove(tab, to)
+          },
+          dragstart: evt => {
+            this.onTabDragstart(tab, evt)
+          },
+          dragover: evt => {
+            this.onTabDragover(tab, evt)
+          },
+          drop: evt => {
+            this.onTabDrop(tab, evt)
+          },
+          dragend: this.onTabDragend
         }
       })
     })
@@ -621,7 +713,7 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
       BNav,
       {
         ref: 'nav',
-        class: this.localNavClass,
+        class: [this.localNavClass, { 'flex-nowrap': this.computedOverflow }],
         attrs: {
           role: 'tablist',
           id: this.safeId('_BV_tab_controls_')
@@ -637,7 +729,13 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
           cardHeader: this.card && !this.vertical
         }
       },
-      [this.normalizeSlot('tabs-start') || h(), buttons, this.normalizeSlot('tabs-end') || h()]
+      [
+        this.normalizeSlot('tabs-start') || h(),
+        buttons,
+        this.renderOverflowDropdown(),
+        this.renderNewTabButton(),
+        this.normalizeSlot('tabs-end') || h()
+      ]
     )
     nav = h(
       'div',
@@ -652,7 +750,7 @@ export const BTabs = /*#__PURE__*/ Vue.extend({
           this.navWrapperClass
         ]
       },
-      [nav]
+      [this.isOverflowScroll ? this.renderOverflowScroll(nav) : nav]
     )
 
     let empty = h()
@@ -0,0 +1,202 @@
+/**
+ * Factory for the plugins adding the `$bvTooltip` and
+ * `$bvPopover` properties to all Vue instances
+ */
+
+import { getComponentConfig } from '../../../utils/config'
+import { getById, isElement } from '../../../utils/dom'
+import { isArray, isFunction, isString, isUndefined } from '../../../utils/inspect'
+import { assign, defineProperties, defineProperty, readonlyDescriptor } from '../../../utils/object'
+import { isVirtualElement } from '../../../utils/positioning'
+import { pluginFactory } from '../../../utils/plugins'
+import { warn, warnNotClient } from '../../../utils/warn'
+
+// --- Constants ---
+
+// Options that are passed as is to the `ToolTip`/`PopOver` config
+const BASE_OPTIONS = [
+  'title',
+  'content',
+  'placement',
+  'fallbackPlacement',
+  'variant',
+  'customClass',
+  'delay',
+  'offset',
+  'boundary',
+  'boundaryPadding',
+  'flipBoundary',
+  'html',
+  'interactive',
+  'group',
+  'positioning'
+]
+
+// --- Utility methods ---
+
+// Method to get the element (or virtual element) from a target
+const getTarget = target => {
+  if (isFunction(target)) {
+    target = target()
+  }
+  if (isString(target)) {
+    // Assume ID of element
+    return getById(target)
+  } else if (target && isElement(target.$el)) {
+    // Component reference
+    return target.$el
+  } else if (isElement(target) || isVirtualElement(target)) {
+    // Element or virtual element reference
+    return target
+  }
+  return null
+}
+
+// Method to convert the user supplied options to a `ToolTip`/`PopOver` config
+const makeConfig = (cmpName, options) => {
+  const config = { ...getComponentConfig(cmpName), trigger: '' }
+  BASE_OPTIONS.forEach(key => {
+    if (!isUndefined(options[key])) {
+      config[key] = options[key]
+    }
+  })
+  if (!isUndefined(options.triggers)) {
+    const triggers = options.triggers
+    config.trigger = isArray(triggers) ? triggers.join(' ') : triggers
+  }
+  if (!isUndefined(options.noFade)) {
+    config.animation = !options.noFade
+  }
+  if (options.container) {
+    const container = options.container
+    config.container = /^#/.test(container) ? container : `#${container}`
+  }
+  return config
+}
+
+/**
+ * Creates a plugin, which adds a property to all Vue instances to show
+ * tooltips/popovers from code
+ *
+ * @param {string} propName Name of the Vue instance property (i.e. `$bvTooltip`)
+ * @param {string} cmpName Name of the component to get the config defaults from
+ * @param {ToolTip} Toolpop `ToolTip` or `PopOver` class
+ * @returns {object}
+ */
+export const makeToolpopPlugin = (propName, cmpName, Toolpop) => {
+  const privName = `_bv__${propName.slice(3).toLowerCase()}`
+  const rootEventName = Toolpop.NAME
+
+  // Method to install the VM injection
+  const plugin = Vue => {
+    // Declare instance property class
+    class BvToolpop {
+      constructor(vm) {
+        // Assign the new properties to this instance
+        assign(this, { _vm: vm, _root: vm.$root })
+        // Set these properties as read-only and non-enumerable
+        defineProperties(this, {
+          _vm: readonlyDescriptor(),
+          _root: readonlyDescriptor()
+        })
+      }
+
+      // --- Public Instance methods ---
+
+      // Shows a tooltip/popover on the target, and returns a handle to update and hide it.
+      // The tooltip/popover is destroyed once hidden, or when the calling VM is destroyed
+      show(target, options = {}) {
+        if (warnNotClient(propName)) {
+          /* istanbul ignore next */
+          return null
+        }
+        const el = getTarget(target)
+        if (!el) {
+          warn(`${propName}: target element not found`)
+          return null
+        }
+        // Virtual elements can't trigger the tip, so we use
+        // a detached element as the trigger element
+        const isVirtual = isVirtualElement(el)
+        const element = isVirtual ? document.createElement('span') : el
+        let toolpop = null
+        const destroy = () => {
+          // The instance may have already been destroyed along with the calling VM
+          if (toolpop && toolpop.$config) {
+            toolpop.destroy()
+          }
+          toolpop = null
+        }
+        const getConfig = () => ({
+          ...makeConfig(cmpName, options),
+          reference: isVirtual ? el : null,
+          // Destroy ourselves once hidden
+          callbacks: { hidden: destroy }
+        })
+        // We set the calling VM as parent, so events are emitted on its `$root`,
+        // and to ensure the tooltip/popover is destroyed when the VM is destroyed
+        toolpop = new Toolpop(element, getConfig(), this._vm)
+        toolpop.show()
+        if (!toolpop.$tip) {
+          // Target not visible or show event cancelled
+          destroy()
+        }
+        return {
+          // Update the options and/or position of the tooltip/popover
+          update(newOptions) {
+            if (!toolpop || !toolpop.$config) {
+              return
+            }
+            if (newOptions) {
+              options = { ...options, ...newOptions }
+              toolpop.updateConfig(getConfig())
+              toolpop.updateContent()
+            } else {
+              toolpop.update()
+            }
+          },
+          // Hide the tooltip/popover
+          hide() {
+            if (toolpop && toolpop.$tip) {
+              toolpop.hide()
+            } else {
+              destroy()
+            }
+          }
+        }
+      }
+
+      // Hide a tooltip/popover with the specified trigger element ID,
+      // or if no ID all tooltips/popovers
+      hide(id = null) {
+        this._root.$emit(`bv::hide::${rootEventName}`, id)
+      }
+    }
+
+    // Add our instance mixin
+    Vue.mixin({
+      beforeCreate() {
+        // Because we need access to `$root` for `$emits`, and VM for parenting,
+        // we have to create a fresh instance of `BvToolpop` for each VM
+        this[privName] = new BvToolpop(this)
+      }
+    })
+
+    // Define our read-only instance property
+    // Placed in an if just in case in HMR mode
+    // eslint-disable-next-line no-prototype-builtins
+    if (!Vue.prototype.hasOwnProperty(propName)) {
+      defineProperty(Vue.prototype, propName, {
+        get() {
+          /* istanbul ignore next */
+          if (!this || !this[privName]) {
+            warn(`'${propName}' must be accessed from a Vue instance 'this' context`)
+          }
+          return this[privName]
+        }
+      })
+    }
+  }
+
+  return pluginFactory({ plugins: { plugin } })
+}
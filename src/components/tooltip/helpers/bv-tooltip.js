@@ -0,0 +1,8 @@
+/**
+ * Plugin for adding `$bvTooltip` property to all Vue instances
+ */
+
+import ToolTip from '../../../utils/tooltip.class'
+import { makeToolpopPlugin } from './bv-toolpop'
+
+export const BVTooltipPlugin = /*#__PURE__*/ makeToolpopPlugin('$bvTooltip', 'BTooltip', ToolTip)
@@ -0,0 +1,94 @@
+import { mount, createLocalVue as CreateLocalVue } from '@vue/test-utils'
+import { waitNT, waitRAF } from '../../../../tests/utils'
+import { TooltipPlugin } from '../index'
+
+describe('$bvTooltip', () => {
+  const localVue = new CreateLocalVue()
+  const originalCreateRange = document.createRange
+  const origGetBCR = Element.prototype.getBoundingClientRect
+
+  beforeAll(() => {
+    localVue.use(TooltipPlugin)
+  })
+
+  beforeEach(() => {
+    // Hack to make Popper not bork out during tests
+    document.createRange = () => ({
+      setStart: () => {},
+      setEnd: () => {},
+      commonAncestorContainer: {
+        nodeName: 'BODY',
+        ownerDocument: document
+      }
+    })
+    // Mock getBCR so that the isVisible(el) test returns true
+    Element.prototype.getBoundingClientRect = jest.fn(() => ({
+      width: 24,
+      height: 24,
+      top: 0,
+      left: 0,
+      bottom: 0,
+      right: 0
+    }))
+  })
+
+  afterEach(() => {
+    document.createRange = originalCreateRange
+    Element.prototype.getBoundingClientRect = origGetBCR
+  })
+
+  it('$bvTooltip.show() shows a tooltip and returns a handle', async () => {
+    jest.useFakeTimers()
+    const App = localVue.extend({
+      render(h) {
+        return h('button', { attrs: { id: 'target', type: 'button' } }, 'button')
+      }
+    })
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue
+    })
+    const waitForTip = async () => {
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      jest.runOnlyPendingTimers()
+    }
+    await waitNT(wrapper.vm)
+    expect(wrapper.vm.$bvTooltip).toBeDefined()
+
+    const handle = wrapper.vm.$bvTooltip.show(() => wrapper.element, {
+      title: '<b>Title</b>',
+      html: true,
+      noFade: true
+    })
+    await waitForTip()
+    const adb = wrapper.attributes('aria-describedby')
+    expect(adb).toBeDefined()
+    const tip = document.getElementById(adb)
+    expect(tip.classList.contains('tooltip')).toBe(true)
+    expect(tip.classList.contains('fade')).toBe(false)
+    expect(tip.querySelector('.tooltip-inner').innerHTML).toEqual('<b>Title</b>')
+
+    handle.update({ title: '<i>Updated</i>' })
+    expect(tip.querySelector('.tooltip-inner').innerHTML).toEqual('<i>Updated</i>')
+
+    handle.hide()
+    await waitForTip()
+    expect(document.body.contains(tip)).toBe(false)
+    // The destroyed instance no longer listens for the calling VM being destroyed
+    const hookListeners = () => (wrapper.vm._events['hook:beforeDestroy'] || []).length
+    expect(hookListeners()).toBe(0)
+
+    // Repeated calls don't pile up listeners on the calling VM
+    for (let i = 0; i < 3; i++) {
+      wrapper.vm.$bvTooltip.show(() => wrapper.element, { title: 'foo', noFade: true }).hide()
+      await waitForTip()
+    }
+    expect(wrapper.attributes('aria-describedby')).not.toBeDefined()
+    expect(hookListeners()).toBe(0)
+
+    wrapper.destroy()
+  })
+})
@@ -2,10 +2,63 @@
 // Tooltip
 //
 import Vue from 'vue'
-import { BvPlugin, BvComponent } from '../../'
+import { BvPlugin, BvComponent, BvPositioningAdapter, BvVirtualElement } from '../../'
 
 // Plugin
 export declare const TooltipPlugin: BvPlugin
 
 // Component: b-tooltip
 export declare class BTooltip extends BvComponent {}
+
+//
+// Interfaces
+//
+export interface BvTooltipOptions {
+  title?: string | HTMLElement | (() => string | HTMLElement)
+  placement?: string
+  fallbackPlacement?: string | string[]
+  triggers?: string | string[]
+  variant?: string
+  customClass?: string
+  delay?: number | string | { show?: number; hide?: number }
+  offset?: number | string
+  container?: string
+  boundary?: string | HTMLElement
+  boundaryPadding?: number
+  flipBoundary?: string | HTMLElement
+  noFade?: boolean
+  html?: boolean
+  interactive?: boolean
+  group?: string
+  positioning?: BvPositioningAdapter
+  // Catch all
+  [key: string]: any
+}
+
+export interface BvTooltipHandle {
+  // Update the options of the tooltip, or its position if no options given
+  update: (options?: BvTooltipOptions) => void
+  // Hide (and destroy) the tooltip
+  hide: () => void
+}
+
+export interface BvTooltip {
+  // Show a tooltip on the target
+  show: (
+    target: string | HTMLElement | Vue | BvVirtualElement | (() => any),
+    options?: BvTooltipOptions
+  ) => BvTooltipHandle | null
+
+  // Hide a tooltip by trigger element id (or hide all tooltips)
+  hide: (id?: string) => void
+}
+
+//
+// Vue Prototype Injections
+//
+declare module 'vue/types/vue' {
+  interface Vue {
+    // Tooltip injection
+    readonly $bvTooltip: BvTooltip
+  }
+}
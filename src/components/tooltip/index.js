@@ -1,10 +1,13 @@
+import { BVTooltipPlugin } from './helpers/bv-tooltip'
 import { BTooltip } from './tooltip'
 import { VBTooltip } from '../../directives/tooltip/tooltip'
 import { pluginFactory } from '../../utils/plugins'
 
 const TooltipPlugin = /*#__PURE__*/ pluginFactory({
   components: { BTooltip },
-  directives: { VBTooltip }
+  directives: { VBTooltip },
+  // $bvTooltip injection
+  plugins: { BVTooltipPlugin }
 })
 
 export { TooltipPlugin, BTooltip }
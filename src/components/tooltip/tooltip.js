@@ -54,6 +54,18 @@ export const BTooltip = /*#__PURE__*/ Vue.extend({
     boundaryPadding: {
       type: Number,
       default: () => getComponentConfig(NAME, 'boundaryPadding')
+    },
+    flipBoundary: {
+      // Boundary the tooltip is flipped within when it doesn't fit
+      // String: scrollParent, window, or viewport
+      // Element: element reference
+      type: [String, HTMLElement],
+      default: () => getComponentConfig(NAME, 'flipBoundary')
+    },
+    positioning: {
+      // Positioning adapter, defaults to Popper.js
+      type: Object,
+      default: () => getComponentConfig(NAME, 'positioning')
     }
   },
   methods: {
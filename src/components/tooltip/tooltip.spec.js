@@ -950,4 +950,177 @@ describe('b-tooltip', () => {
 
     wrapper.destroy()
   })
+
+  it('can be positioned against a virtual element with a positioning adapter', async () => {
+    jest.useFakeTimers()
+    const positioner = { update: jest.fn(), destroy: jest.fn() }
+    const positioning = { create: jest.fn(() => positioner) }
+    // A non-plain object, such as a text selection `Range`
+    class VirtualElement {
+      get [Symbol.toStringTag]() {
+        return 'Range'
+      }
+
+      getBoundingClientRect() {
+        return { top: 10, left: 20, bottom: 10, right: 20 }
+      }
+    }
+    const virtualElement = new VirtualElement()
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    const wrapper = mount(BTooltip, {
+      attachToDocument: true,
+      localVue: localVue,
+      attrs: { id: 'bar' },
+      propsData: {
+        target: virtualElement,
+        placement: 'topright',
+        fallbackPlacement: ['bottomleft', 'top-start'],
+        positioning: positioning,
+        flipBoundary: 'window',
+        noFade: true,
+        triggers: ''
+      },
+      slots: {
+        default: 'title'
+      }
+    })
+    const waitForTip = async () => {
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      jest.runOnlyPendingTimers()
+    }
+
+    await waitForTip()
+    expect(positioning.create).not.toHaveBeenCalled()
+    // No invalid prop warning
+    expect(errorSpy).not.toHaveBeenCalled()
+    errorSpy.mockRestore()
+
+    // Virtual elements can't trigger the tip, so it is shown programmatically
+    wrapper.vm.$root.$emit('bv::show::tooltip', 'bar')
+    await waitForTip()
+    expect(positioning.create).toHaveBeenCalledTimes(1)
+    const [reference, tip, options] = positioning.create.mock.calls[0]
+    expect(reference).toBe(virtualElement)
+    expect(document.body.contains(tip)).toBe(true)
+    expect(tip.classList.contains('tooltip')).toBe(true)
+    expect(tip.classList.contains('bs-tooltip-top')).toBe(true)
+    expect(options.placement).toEqual('top')
+    expect(options.fallbackPlacement).toEqual(['bottom', 'top-start'])
+    expect(options.arrow).toEqual('.arrow')
+    expect(options.boundary).toEqual('scrollParent')
+    expect(options.boundaryPadding).toEqual(5)
+    expect(options.flipBoundary).toEqual('window')
+
+    // Placement changes reported by the adapter
+    options.onUpdate('bottom')
+    expect(tip.classList.contains('bs-tooltip-top')).toBe(false)
+    expect(tip.classList.contains('bs-tooltip-bottom')).toBe(true)
+
+    wrapper.vm.updatePosition()
+    expect(positioner.update).toHaveBeenCalled()
+
+    wrapper.vm.$root.$emit('bv::hide::tooltip', 'bar')
+    await waitForTip()
+    expect(positioner.destroy).toHaveBeenCalled()
+    expect(document.body.contains(tip)).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('positions against a virtual element with Popper.js by default', async () => {
+    jest.useFakeTimers()
+    const wrapper = mount(BTooltip, {
+      attachToDocument: true,
+      localVue: localVue,
+      propsData: {
+        target: {
+          getBoundingClientRect: () => ({ top: 10, left: 20, bottom: 30, right: 60 })
+        },
+        noFade: true,
+        triggers: '',
+        show: true
+      },
+      slots: {
+        default: 'title'
+      }
+    })
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    jest.runOnlyPendingTimers()
+
+    const tip = document.querySelector('.tooltip')
+    expect(tip).not.toBe(null)
+    // Positioned by Popper.js
+    expect(tip.style.position).toEqual('absolute')
+    // Virtual elements are never hidden by the visibility check
+    jest.advanceTimersByTime(500)
+    expect(document.body.contains(tip)).toBe(true)
+
+    wrapper.setProps({ show: false })
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    jest.runOnlyPendingTimers()
+    expect(document.body.contains(tip)).toBe(false)
+
+    wrapper.destroy()
+  })
+
+  it('grouped tooltips move their shared tip between targets', async () => {
+    jest.useFakeTimers()
+    const App = {
+      props: ['show1', 'show2'],
+      render(h) {
+        return h('div', [
+          h('button', { attrs: { id: 'btn1', type: 'button' } }, 'one'),
+          h('button', { attrs: { id: 'btn2', type: 'button' } }, 'two'),
+          h(BTooltip, { props: { target: 'btn1', group: 'g', show: this.show1, noFade: true } }, [
+            h('span', { class: 'title1' }, 'title 1')
+          ]),
+          h(BTooltip, { props: { target: 'btn2', group: 'g', show: this.show2, noFade: true } }, [
+            h('span', { class: 'title2' }, 'title 2')
+          ])
+        ])
+      }
+    }
+    const wrapper = mount(App, {
+      attachToDocument: true,
+      localVue: localVue,
+      propsData: { show1: true, show2: false }
+    })
+    const waitForTip = async () => {
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      jest.runOnlyPendingTimers()
+    }
+    await waitForTip()
+    const [tooltip1, tooltip2] = wrapper.findAll(BTooltip).wrappers
+    const $btn1 = wrapper.find('#btn1')
+    const $btn2 = wrapper.find('#btn2')
+
+    const tip = document.getElementById($btn1.attributes('aria-describedby'))
+    expect(tip).not.toBe(null)
+    expect(tip.querySelector('.title1')).not.toBe(null)
+
+    wrapper.setProps({ show2: true })
+    await waitForTip()
+    expect($btn1.attributes('aria-describedby')).not.toBeDefined()
+    expect(document.getElementById($btn2.attributes('aria-describedby'))).toBe(tip)
+    expect(tip.querySelector('.title1')).toBe(null)
+    expect(tip.querySelector('.title2')).not.toBe(null)
+    expect(document.querySelectorAll('.tooltip').length).toBe(1)
+    // The first tooltip is now hidden
+    expect(tooltip1.emitted('hidden')).toBeDefined()
+    expect(tooltip1.emitted('update:show')[0][0]).toBe(false)
+    expect(tooltip2.emitted('shown')).toBeDefined()
+
+    wrapper.destroy()
+    expect(document.body.contains(tip)).toBe(false)
+  })
 })
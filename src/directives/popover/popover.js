@@ -1,6 +1,4 @@
-import Popper from 'popper.js'
 import PopOver from '../../utils/popover.class'
-import warn from '../../utils/warn'
 import { getComponentConfig } from '../../utils/config'
 import { isBrowser } from '../../utils/env'
 import { isFunction, isObject, isString } from '../../utils/inspect'
@@ -23,8 +21,11 @@ const noFadeRE = /^nofade$/i
 const placementRE = /^(auto|top(left|right)?|bottom(left|right)?|left(top|bottom)?|right(top|bottom)?)$/
 const boundaryRE = /^(window|viewport|scrollParent)$/
 const delayRE = /^d\d+$/
+const delayShowHideRE = /^d(s|h)\d+$/
 const offsetRE = /^o-?\d+$/
 const variantRE = /^v-.+$/
+const interactiveRE = /^interactive$/
+const groupRE = /^group(-.+)?$/
 
 // Build a PopOver config based on bindings (if any)
 // Arguments and modifiers take precedence over passed value config object
@@ -36,8 +37,10 @@ const parseBindings = bindings => /* istanbul ignore next: not easy to test */ {
     delay: getComponentConfig(NAME, 'delay'),
     boundary: String(getComponentConfig(NAME, 'boundary')),
     boundaryPadding: parseInt(getComponentConfig(NAME, 'boundaryPadding'), 10) || 0,
+    flipBoundary: getComponentConfig(NAME, 'flipBoundary'),
     variant: getComponentConfig(NAME, 'variant'),
-    customClass: getComponentConfig(NAME, 'customClass')
+    customClass: getComponentConfig(NAME, 'customClass'),
+    positioning: getComponentConfig(NAME, 'positioning')
   }
 
   // Process bindings.value
@@ -79,6 +82,13 @@ const parseBindings = bindings => /* istanbul ignore next: not easy to test */ {
       if (delay) {
         config.delay = delay
       }
+    } else if (delayShowHideRE.test(mod)) {
+      // Show (`ds###`) or hide (`dh###`) delay value
+      const delay = isObject(config.delay)
+        ? { ...config.delay }
+        : { show: config.delay || 0, hide: config.delay || 0 }
+      delay[mod.charAt(1) === 's' ? 'show' : 'hide'] = parseInt(mod.slice(2), 10) || 0
+      config.delay = delay
     } else if (offsetRE.test(mod)) {
       // Offset value (negative allowed)
       const offset = parseInt(mod.slice(1), 10) || 0
@@ -88,6 +98,12 @@ const parseBindings = bindings => /* istanbul ignore next: not easy to test */ {
     } else if (variantRE.test(mod)) {
       // Variant
       config.variant = mod.slice(2) || null
+    } else if (interactiveRE.test(mod)) {
+      // Keep popover open while hovered/focused
+      config.interactive = true
+    } else if (groupRE.test(mod)) {
+      // Group of popovers sharing one tip element
+      config.group = mod.slice(6) || 'default'
     }
   })
 
@@ -130,13 +146,6 @@ const applyPopover = (el, bindings, vnode) => {
     /* istanbul ignore next */
     return
   }
-  // Popper is required for PopOvers to work
-  if (!Popper) {
-    /* istanbul ignore next */
-    warn('v-b-popover: Popper.js is required for PopOvers to work')
-    /* istanbul ignore next */
-    return
-  }
   const config = parseBindings(bindings)
   if (el[BV_POPOVER]) {
     el[BV_POPOVER].updateConfig(config)
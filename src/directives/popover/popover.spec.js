@@ -117,4 +117,67 @@ describe('v-b-popover directive', () => {
 
     expect(document.contains(pop)).toBe(false)
   })
+
+  it('should support interactive and per direction delay modifiers', async () => {
+    const localVue = new CreateLocalVue()
+
+    const App = localVue.extend({
+      directives: {
+        bPopover: popoverDirective
+      },
+      template: `<button v-b-popover.hover.interactive.ds50.dh300="'content'">button</button>`
+    })
+
+    const wrapper = mount(App, {
+      localVue: localVue,
+      attachToDocument: true
+    })
+
+    const config = wrapper.find('button').element[BV_POPOVER].$config
+    expect(config.interactive).toBe(true)
+    expect(config.trigger).toBe('hover')
+    expect(config.delay).toEqual({ show: 50, hide: 300 })
+
+    wrapper.destroy()
+  })
+
+  it('should support reference and positioning options', async () => {
+    jest.useFakeTimers()
+    const localVue = new CreateLocalVue()
+    const virtualElement = {
+      getBoundingClientRect: () => ({ top: 10, left: 20, bottom: 10, right: 20 })
+    }
+    const positioning = {
+      create: jest.fn(() => ({ update() {}, destroy() {} }))
+    }
+
+    const App = localVue.extend({
+      directives: {
+        bPopover: popoverDirective
+      },
+      data() {
+        return { config: { content: 'content', reference: () => virtualElement, positioning } }
+      },
+      template: `<button v-b-popover.click.html="config">button</button>`
+    })
+
+    const wrapper = mount(App, {
+      localVue: localVue,
+      attachToDocument: true
+    })
+    const $button = wrapper.find('button')
+    await waitNT(wrapper.vm)
+
+    $button.trigger('click')
+    await waitNT(wrapper.vm)
+    await waitRAF()
+    jest.runOnlyPendingTimers()
+
+    expect($button.attributes('aria-describedby')).toBeDefined()
+    expect(positioning.create).toHaveBeenCalledTimes(1)
+    expect(positioning.create.mock.calls[0][0]).toBe(virtualElement)
+    expect(positioning.create.mock.calls[0][1].classList.contains('popover')).toBe(true)
+
+    wrapper.destroy()
+  })
 })
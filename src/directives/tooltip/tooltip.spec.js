@@ -160,4 +160,113 @@ describe('v-b-tooltip directive', () => {
 
     wrapper.destroy()
   })
+
+  it('grouped tooltips should share one tip element', async () => {
+    jest.useFakeTimers()
+    const localVue = new CreateLocalVue()
+    let now = 1000
+    const dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now)
+
+    const App = localVue.extend({
+      directives: {
+        bTooltip: tooltipDirective
+      },
+      template: `
+        <div>
+          <button id="a" v-b-tooltip.hover.html.ds500.group-toolbar title="<b>A</b>">A</button>
+          <button id="b" v-b-tooltip.hover.html.ds500.group-toolbar title="<b>B</b>">B</button>
+          <button id="c" v-b-tooltip.hover.html.ds500.group-toolbar.v-danger title="<b>C</b>">C</button>
+          <button id="d" v-b-tooltip.hover.html.ds500 title="<b>D</b>">D</button>
+        </div>
+      `
+    })
+
+    const wrapper = mount(App, {
+      localVue: localVue,
+      attachToDocument: true
+    })
+    const waitForTip = async () => {
+      await waitNT(wrapper.vm)
+      await waitRAF()
+      await waitNT(wrapper.vm)
+    }
+    await waitForTip()
+    const hidden = jest.fn()
+    wrapper.vm.$root.$on('bv::tooltip::hidden', hidden)
+
+    const $a = wrapper.find('#a')
+    const $b = wrapper.find('#b')
+    const $c = wrapper.find('#c')
+    const $d = wrapper.find('#d')
+    expect($a.element[BV_TOOLTIP].$config.group).toBe('toolbar')
+    expect($d.element[BV_TOOLTIP].$config.group).toBe(null)
+
+    // First tooltip of the group is shown after the show delay
+    $a.trigger('mouseenter')
+    await waitForTip()
+    expect($a.attributes('aria-describedby')).not.toBeDefined()
+    jest.advanceTimersByTime(500)
+    await waitForTip()
+    const tip = document.getElementById($a.attributes('aria-describedby'))
+    expect(tip).not.toBe(null)
+    expect(tip.querySelector('.tooltip-inner').innerHTML).toEqual('<b>A</b>')
+
+    // Moving to the next tooltip of the group moves the tip without the show delay
+    $a.trigger('mouseleave')
+    $b.trigger('mouseenter')
+    await waitForTip()
+    expect($a.attributes('aria-describedby')).not.toBeDefined()
+    expect(document.getElementById($b.attributes('aria-describedby'))).toBe(tip)
+    expect(document.querySelectorAll('.tooltip').length).toBe(1)
+    expect(tip.classList.contains('show')).toBe(true)
+    expect(tip.classList.contains('b-tooltip-moving')).toBe(true)
+    expect(tip.querySelector('.tooltip-inner').innerHTML).toEqual('<b>B</b>')
+    expect(hidden).toHaveBeenCalledTimes(1)
+    expect(hidden.mock.calls[0][0].target).toBe($a.element)
+    jest.advanceTimersByTime(150)
+    await waitForTip()
+    expect(tip.classList.contains('b-tooltip-moving')).toBe(false)
+    expect(document.body.contains(tip)).toBe(true)
+
+    // The tip takes the variant of the new trigger element
+    $b.trigger('mouseleave')
+    $c.trigger('mouseenter')
+    await waitForTip()
+    expect(document.getElementById($c.attributes('aria-describedby'))).toBe(tip)
+    expect(tip.classList.contains('b-tooltip-danger')).toBe(true)
+    $c.trigger('mouseleave')
+    $b.trigger('mouseenter')
+    await waitForTip()
+    expect(document.getElementById($b.attributes('aria-describedby'))).toBe(tip)
+    expect(tip.classList.contains('b-tooltip-danger')).toBe(false)
+
+    // Tooltips outside of the group have their own tip and show delay
+    $d.trigger('mouseenter')
+    await waitForTip()
+    expect($d.attributes('aria-describedby')).not.toBeDefined()
+    jest.advanceTimersByTime(500)
+    await waitForTip()
+    const tipD = document.getElementById($d.attributes('aria-describedby'))
+    expect(tipD).not.toBe(null)
+    expect(tipD).not.toBe(tip)
+    expect(document.body.contains(tip)).toBe(true)
+    $d.trigger('mouseleave')
+
+    // Once the group has been hidden for a while, the show delay applies again
+    $b.trigger('mouseleave')
+    jest.advanceTimersByTime(150)
+    await waitForTip()
+    expect(document.body.contains(tip)).toBe(false)
+    expect(document.querySelectorAll('.tooltip').length).toBe(0)
+    now += 1000
+    $a.trigger('mouseenter')
+    await waitForTip()
+    expect($a.attributes('aria-describedby')).not.toBeDefined()
+    jest.advanceTimersByTime(500)
+    await waitForTip()
+    expect($a.attributes('aria-describedby')).toBeDefined()
+
+    dateNowSpy.mockRestore()
+    wrapper.destroy()
+  })
 })
@@ -44,6 +44,38 @@ export interface BvEvent {
   [key: string]: any
 }
 
+// Where the `url-sync` prop of components stores the state in the URL
+export type BvUrlSyncMode = 'hash' | 'query'
+
+// Virtual element that tooltips and popovers can be positioned against
+export interface BvVirtualElement {
+  getBoundingClientRect: () => ClientRect | DOMRect
+}
+
+// Options passed to the `create()` method of a positioning adapter
+export interface BvPositioningOptions {
+  placement: string
+  fallbackPlacement: string | string[]
+  offset: number | string
+  arrow: string
+  boundary: string | HTMLElement
+  boundaryPadding: number
+  flipBoundary: string | HTMLElement
+  onUpdate: (placement: string) => void
+}
+
+// Positioning adapter used by tooltips and popovers to position their tip
+export interface BvPositioningAdapter {
+  create: (
+    reference: HTMLElement | BvVirtualElement,
+    tip: HTMLElement,
+    options: BvPositioningOptions
+  ) => {
+    update: () => void
+    destroy: () => void
+  }
+}
+
 // Vue prototype augments
 import './vue-injections'
 
@@ -106,6 +106,8 @@ export { BCardTitle } from './components/card/card-title'
 export { CarouselPlugin } from './components/carousel'
 export { BCarousel } from './components/carousel/carousel'
 export { BCarouselSlide } from './components/carousel/carousel-slide'
+export { BCarouselThumbnails } from './components/carousel/carousel-thumbnails'
+export { BCarouselLightbox } from './components/carousel/carousel-lightbox'
 
 // export * from './components/collapse'
 export { CollapsePlugin } from './components/collapse'
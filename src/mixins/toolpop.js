@@ -5,8 +5,8 @@
 
 import observeDom from '../utils/observe-dom'
 import { isElement, getById } from '../utils/dom'
+import { isVirtualElement } from '../utils/positioning'
 import { isArray, isFunction, isObject, isString } from '../utils/inspect'
-import { HTMLElement } from '../utils/safe-types'
 
 // --- Constants ---
 
@@ -38,8 +38,11 @@ const OBSERVER_CONFIG = {
 export default {
   props: {
     target: {
-      // String ID of element, or element/component reference
-      type: [String, Object, HTMLElement, Function]
+      // String ID of element, element/component reference,
+      // or virtual element (an object with a `getBoundingClientRect()` method)
+      // Not restricted by `type`, as virtual elements (i.e. a text selection `Range`)
+      // are not plain objects, and would fail the `Object` type check
+      validator: target => isString(target) || isFunction(target) || isObject(target)
       // default: undefined
     },
     offset: {
@@ -62,6 +65,16 @@ export default {
     disabled: {
       type: Boolean,
       default: false
+    },
+    interactive: {
+      // Keep the tip open while the pointer or focus is within it
+      type: Boolean,
+      default: false
+    },
+    group: {
+      // Name of the group of tips sharing one tip element
+      type: String,
+      default: null
     }
   },
   data() {
@@ -89,18 +102,26 @@ export default {
         boundary: this.boundary,
         // boundariesElement padding passed to popper
         boundaryPadding: this.boundaryPadding,
+        // boundariesElement of the flip behaviour passed to popper
+        flipBoundary: this.flipBoundary,
         // Show/Hide delay
         delay: delay || 0,
         // Offset can be css distance. if no units, pixels are assumed
         offset: this.offset || 0,
         // Disable fade Animation?
         animation: !this.noFade,
+        // Keep tip open while hovered/focused?
+        interactive: this.interactive,
+        // Group of tips sharing one tip element
+        group: this.group,
         // Variant
         variant: this.variant,
         // Custom class
         customClass: this.customClass,
         // Open/Close Trigger(s)
         trigger: isArray(this.triggers) ? this.triggers.join(' ') : this.triggers,
+        // Positioning adapter
+        positioning: this.positioning,
         // Callbacks so we can trigger events on component
         callbacks: {
           show: this.onShow,
@@ -197,6 +218,11 @@ export default {
   methods: {
     getConfig() {
       const cfg = { ...this.baseConfig }
+      const target = this.resolveTarget()
+      if (isVirtualElement(target)) {
+        // Position the tip against the virtual element
+        cfg.reference = target
+      }
       if (this.$refs.title && this.$refs.title.innerHTML.trim()) {
         // If slot has content, it overrides 'title' prop
         // We use the DOM node as content to allow components!
@@ -244,12 +270,16 @@ export default {
         this._toolpop.update()
       }
     },
-    getTarget() {
+    resolveTarget() {
       let target = this.target
       if (isFunction(target)) {
         /* istanbul ignore next */
         target = target()
       }
+      return target
+    },
+    getTarget() {
+      const target = this.resolveTarget()
       /* istanbul ignore else */
       if (isString(target)) {
         // Assume ID of element
@@ -262,6 +292,10 @@ export default {
         // Element reference
         /* istanbul ignore next */
         return target
+      } else if (isVirtualElement(target)) {
+        // Virtual element reference. As it can't trigger the tip, we use
+        // our (hidden) root element as the trigger element
+        return this.$el
       }
       /* istanbul ignore next */
       return null
@@ -0,0 +1,93 @@
+import { eventOff, eventOn } from '../utils/dom'
+import { isBrowser } from '../utils/env'
+import { getUrlParam, setUrlParam } from '../utils/router'
+
+/**
+ * Mixin to mirror the state of a component into a URL parameter, in the hash or the
+ * query string, so that the state can be deep linked. Uses `vue-router` when present,
+ * otherwise the History API.
+ *
+ * The component calls `readUrlSync()` once it is ready to restore its state, and
+ * `setUrlSync(value)` when its state changes. The component's `onUrlSync(value)` method
+ * is called with the value of the URL parameter (or `null` when not present) when
+ * restoring, and on back/forward navigation.
+ */
+
+const MODE_HASH = 'hash'
+const MODE_QUERY = 'query'
+
+const EVENT_OPTIONS = { passive: true, capture: false }
+
+// @vue/component
+export default {
+  props: {
+    urlSync: {
+      // Name of the URL parameter to sync the state to
+      type: String,
+      default: null
+    },
+    urlSyncMode: {
+      type: String,
+      default: MODE_HASH,
+      validator: val => val === MODE_HASH || val === MODE_QUERY
+    },
+    urlSyncPush: {
+      // Push a new history entry for each change, rather than replacing the current one
+      type: Boolean,
+      default: false
+    }
+  },
+  watch: {
+    urlSync(newVal) {
+      this.setUrlSyncListeners(newVal)
+      this.readUrlSync()
+    }
+  },
+  created() {
+    // Non-reactive flag, to prevent the initial state from being
+    // written to the URL before the URL state has been restored
+    this._bvUrlSyncReady = false
+    this._bvUrlSyncUnwatch = null
+  },
+  mounted() {
+    this.setUrlSyncListeners(this.urlSync)
+  },
+  beforeDestroy() {
+    this.setUrlSyncListeners(false)
+  },
+  methods: {
+    getUrlSync() {
+      return this.urlSync ? getUrlParam(this, this.urlSync, this.urlSyncMode) : null
+    },
+    setUrlSync(value) {
+      if (this.urlSync && this._bvUrlSyncReady && value !== this.getUrlSync()) {
+        setUrlParam(this, this.urlSync, value, this.urlSyncMode, this.urlSyncPush)
+      }
+    },
+    readUrlSync() {
+      if (this.urlSync) {
+        this._bvUrlSyncReady = true
+        this.onUrlSync(this.getUrlSync())
+      }
+    },
+    setUrlSyncListeners(on) {
+      // Respond to back/forward navigation
+      if (this._bvUrlSyncUnwatch) {
+        this._bvUrlSyncUnwatch()
+        this._bvUrlSyncUnwatch = null
+      }
+      if (isBrowser) {
+        eventOff(window, 'popstate', this.readUrlSync, EVENT_OPTIONS)
+        eventOff(window, 'hashchange', this.readUrlSync, EVENT_OPTIONS)
+      }
+      if (on) {
+        if (this.$router && this.$route) {
+          this._bvUrlSyncUnwatch = this.$watch('$route', this.readUrlSync)
+        } else if (isBrowser) {
+          eventOn(window, 'popstate', this.readUrlSync, EVENT_OPTIONS)
+          eventOn(window, 'hashchange', this.readUrlSync, EVENT_OPTIONS)
+        }
+      }
+    }
+  }
+}
@@ -73,6 +73,15 @@ export default deepFreeze({
     labelGotoSlide: 'Goto Slide',
     labelIndicators: 'Select a slide to display'
   },
+  BCarouselLightbox: {
+    labelClose: 'Close',
+    labelZoomIn: 'Zoom in',
+    labelZoomOut: 'Zoom out'
+  },
+  BCarouselThumbnails: {
+    labelGotoSlide: 'Goto Slide',
+    labelThumbnails: 'Slide thumbnails'
+  },
   BDropdown: {
     toggleText: 'Toggle Dropdown',
     size: null,
@@ -83,7 +92,11 @@ export default deepFreeze({
     browseText: 'Browse',
     // Chrome default file prompt
     placeholder: 'No file chosen',
-    dropPlaceholder: 'Drop files here'
+    dropPlaceholder: 'Drop files here',
+    cancelUploadText: 'Cancel',
+    retryUploadText: 'Retry',
+    removeUploadText: 'Remove',
+    rejectedMessage: 'Some of the files are not valid'
   },
   BFormText: {
     textVariant: 'muted'
@@ -121,7 +134,9 @@ export default deepFreeze({
     cancelVariant: 'secondary',
     okTitle: 'OK',
     okVariant: 'primary',
-    headerCloseLabel: 'Close'
+    headerCloseLabel: 'Close',
+    maximizeLabel: 'Maximize',
+    restoreLabel: 'Restore'
   },
   BNavbar: {
     variant: null
@@ -140,6 +155,8 @@ export default deepFreeze({
     boundaryPadding: 5,
     customClass: null,
     delay: 0,
+    flipBoundary: 'viewport',
+    positioning: null,
     variant: null
   },
   BProgress: {
@@ -151,10 +168,16 @@ export default deepFreeze({
   BSpinner: {
     variant: null
   },
+  BTab: {
+    busyLabel: 'Loading...',
+    retryText: 'Retry'
+  },
   BTable: {
     selectedVariant: 'primary',
     headVariant: null,
-    footVariant: null
+    footVariant: null,
+    labelPaginationInfo: 'Showing {start}–{end} of {totalRows}',
+    labelPaginationInfoNoTotal: 'Showing {start}–{end}'
   },
   BToast: {
     toaster: 'b-toaster-top-right',
@@ -174,6 +197,8 @@ export default deepFreeze({
     boundaryPadding: 5,
     customClass: null,
     delay: 0,
+    flipBoundary: 'viewport',
+    positioning: null,
     variant: null
   }
 })
@@ -23,7 +23,9 @@ const KEY_CODES = {
   BREAK: 19,
   INSERT: 45,
   INS: 45,
-  DELETE: 46
+  DELETE: 46,
+  A: 65,
+  F2: 113
 }
 
 export default KEY_CODES
@@ -0,0 +1,32 @@
+import KeyCodes from './key-codes'
+
+// Event we emit on `$root` to show a `<b-carousel-lightbox>`
+export const EVENT_SHOW_LIGHTBOX = 'bv::show::lightbox'
+
+/**
+ * Returns the VNode data for an image that opens a `<b-carousel-lightbox>` when clicked,
+ * to be merged with the image VNode data. The image `src` is passed to the lightbox,
+ * so that it can open at the matching slide.
+ *
+ * @param {string} lightbox ID of the lightbox
+ * @param {string} src
+ * @param {Vue} root `$root` instance to emit the show event on
+ * @returns {object}
+ */
+export const lightboxTriggerData = (lightbox, src, root) => {
+  if (!lightbox || !root) {
+    return {}
+  }
+  const handler = evt => {
+    const keyCode = evt.keyCode
+    if (evt.type === 'click' || keyCode === KeyCodes.ENTER || keyCode === KeyCodes.SPACE) {
+      evt.preventDefault()
+      root.$emit(EVENT_SHOW_LIGHTBOX, lightbox, src)
+    }
+  }
+  return {
+    class: 'b-img-lightbox',
+    attrs: { role: 'button', tabindex: '0', 'aria-haspopup': 'dialog' },
+    on: { click: handler, keydown: handler }
+  }
+}
@@ -0,0 +1,106 @@
+/*
+ * Positioning adapters for tooltips and popovers
+ *
+ * The tip of a tooltip/popover is positioned against its reference by a
+ * positioning adapter, so that the default Popper.js v1 engine can be replaced.
+ *
+ * An adapter is an object with a `create(reference, tip, options)` method, which
+ * positions the `tip` element against the `reference` and returns an instance with
+ * `update()` and `destroy()` methods.
+ *
+ * The `reference` is either an element, or a virtual element: an object with a
+ * `getBoundingClientRect()` method, such as a text selection `Range`.
+ *
+ * The `options` object has the following properties:
+ * - `placement`: Placement of the tip, in Popper.js format (i.e. `'top-start'`)
+ * - `fallbackPlacement`: `'flip'`, `'clockwise'`, `'counterclockwise'` or an array of
+ *   placements (in Popper.js format) to try when the tip doesn't fit its boundary
+ * - `offset`: Offset of the tip along the reference
+ * - `arrow`: Selector of the arrow element in the tip
+ * - `boundary`: `'scrollParent'`, `'viewport'`, `'window'` or an element
+ * - `boundaryPadding`: Minimum distance between the tip and the boundary (in pixels)
+ * - `flipBoundary`: The boundary the tip is flipped within when it doesn't fit, in the
+ *   same format as `boundary`
+ * - `onUpdate(placement)`: Callback to be called with the actual placement of the tip,
+ *   when it differs from the requested placement (i.e. after flipping)
+ */
+
+import Popper from 'popper.js'
+import { isElement } from './dom'
+import { isFunction } from './inspect'
+
+// --- Utility methods ---
+
+// Determine if the reference is a virtual element
+export const isVirtualElement = el =>
+  Boolean(el) && !isElement(el) && isFunction(el.getBoundingClientRect)
+
+// Popper.js requires the `clientWidth` and `clientHeight`
+// properties on virtual reference elements
+const toPopperReference = reference => {
+  if (!isVirtualElement(reference)) {
+    return reference
+  }
+  const getRect = () => {
+    const rect = reference.getBoundingClientRect()
+    const top = rect.top || 0
+    const left = rect.left || 0
+    const width = rect.width || (rect.right || left) - left
+    const height = rect.height || (rect.bottom || top) - top
+    return { top, left, width, height, right: left + width, bottom: top + height }
+  }
+  return {
+    getBoundingClientRect: getRect,
+    get clientWidth() {
+      return getRect().width
+    },
+    get clientHeight() {
+      return getRect().height
+    }
+  }
+}
+
+// --- Adapters ---
+
+// Default adapter, based on Popper.js v1
+export const popperAdapter = {
+  create(reference, tip, options) {
+    const popper = new Popper(toPopperReference(reference), tip, {
+      placement: options.placement,
+      modifiers: {
+        offset: { offset: options.offset },
+        flip: {
+          behavior: options.fallbackPlacement,
+          boundariesElement: options.flipBoundary || 'viewport'
+        },
+        arrow: { element: options.arrow },
+        preventOverflow: {
+          padding: options.boundaryPadding,
+          boundariesElement: options.boundary
+        }
+      },
+      onCreate: data => {
+        // Handle flipping arrow classes
+        /* istanbul ignore next */
+        if (data.originalPlacement !== data.placement) {
+          options.onUpdate(data.placement)
+        }
+      },
+      onUpdate: data => {
+        // Handle flipping arrow classes
+        /* istanbul ignore next */
+        options.onUpdate(data.placement)
+      }
+    })
+    return {
+      update() {
+        popper.scheduleUpdate()
+      },
+      destroy() {
+        popper.destroy()
+      }
+    }
+  }
+}
+
+export default popperAdapter
@@ -1,5 +1,14 @@
 import toString from './to-string'
-import { isArray, isNull, isPlainObject, isString, isUndefined } from './inspect'
+import { isBrowser } from './env'
+import {
+  isArray,
+  isFunction,
+  isNull,
+  isPlainObject,
+  isPromise,
+  isString,
+  isUndefined
+} from './inspect'
 import { keys } from './object'
 
 const ANCHOR_TAG = 'a'
@@ -84,6 +93,56 @@ export const parseQuery = query => {
   return parsed
 }
 
+// Returns `true` if the component instance has a live router (i.e. `vue-router`)
+const hasRouter = vm => Boolean(vm && vm.$router && vm.$route)
+
+// Returns the current URL state parameters, from the query string (mode `'query'`)
+// or the hash (mode `'hash'`). In hash mode, the hash is parsed as a query
+// string (i.e. `#tab=profile&faq=q2`), so that it can hold several parameters
+export const getUrlParams = (vm, mode = 'hash') => {
+  if (hasRouter(vm)) {
+    return mode === 'query' ? { ...vm.$route.query } : parseQuery(vm.$route.hash)
+  } else if (isBrowser) {
+    return parseQuery(mode === 'query' ? window.location.search : window.location.hash)
+  }
+  return {}
+}
+
+// Returns the value of a URL state parameter, or `null` if not present
+export const getUrlParam = (vm, param, mode = 'hash') => {
+  let value = getUrlParams(vm, mode)[param]
+  value = isArray(value) ? value[0] : value
+  return isUndefined(value) || isNull(value) ? null : toString(value)
+}
+
+// Sets (or removes, when `value` is `null`) a URL state parameter, via the router
+// if present, otherwise via the History API. The current history entry is replaced,
+// unless `push` is `true`
+export const setUrlParam = (vm, param, value, mode = 'hash', push = false) => {
+  const params = getUrlParams(vm, mode)
+  params[param] = isUndefined(value) || isNull(value) ? undefined : toString(value)
+  const query = stringifyQueryObj(params)
+  if (hasRouter(vm)) {
+    const route = vm.$route
+    const location =
+      mode === 'query'
+        ? { path: route.path, query: params, hash: route.hash }
+        : { path: route.path, query: route.query, hash: query.replace(/^\?/, '#') }
+    const result = vm.$router[push ? 'push' : 'replace'](location)
+    // `vue-router` >= 3.1 returns a promise, which rejects for duplicate navigations
+    if (isPromise(result)) {
+      result.catch(() => {})
+    }
+  } else if (isBrowser && window.history && isFunction(window.history.replaceState)) {
+    const { pathname, search, hash } = window.location
+    const url =
+      mode === 'query'
+        ? `${pathname}${query}${hash}`
+        : `${pathname}${search}${query.replace(/^\?/, '#')}`
+    window.history[push ? 'pushState' : 'replaceState'](window.history.state, '', url)
+  }
+}
+
 export const isRouterLink = tag => toString(tag).toLowerCase() !== ANCHOR_TAG
 
 export const computeTag = ({ to, disabled } = {}, thisOrParent) => {
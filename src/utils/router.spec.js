@@ -4,7 +4,10 @@ import {
   computeHref,
   isRouterLink,
   computeRel,
-  computeTag
+  computeTag,
+  getUrlParam,
+  getUrlParams,
+  setUrlParam
 } from './router'
 
 describe('utils/router', () => {
@@ -244,4 +247,63 @@ describe('utils/router', () => {
       expect(computeTag({ disabled: true }, context3)).toBe('a')
     })
   })
+
+  describe('getUrlParam() and setUrlParam()', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('works with the hash and the query string', async () => {
+      window.history.replaceState(null, '', '/foo?a=1#top&tab=profile')
+      expect(getUrlParams(null)).toEqual({ top: null, tab: 'profile' })
+      expect(getUrlParam(null, 'tab')).toBe('profile')
+      expect(getUrlParam(null, 'top')).toBe(null)
+      expect(getUrlParam(null, 'a')).toBe(null)
+      expect(getUrlParam(null, 'a', 'query')).toBe('1')
+
+      setUrlParam(null, 'tab', 'settings')
+      expect(window.location.pathname).toBe('/foo')
+      expect(window.location.search).toBe('?a=1')
+      expect(window.location.hash).toBe('#top&tab=settings')
+      setUrlParam(null, 'tab', null)
+      expect(window.location.hash).toBe('#top')
+
+      setUrlParam(null, 'a', 2, 'query')
+      expect(window.location.search).toBe('?a=2')
+      setUrlParam(null, 'a', null, 'query')
+      expect(window.location.search).toBe('')
+      expect(window.location.hash).toBe('#top')
+    })
+
+    it('pushes a new history entry when requested', async () => {
+      const length = window.history.length
+      setUrlParam(null, 'tab', 'foo')
+      expect(window.history.length).toBe(length)
+      setUrlParam(null, 'tab', 'bar', 'hash', true)
+      expect(window.history.length).toBe(length + 1)
+      expect(window.location.hash).toBe('#tab=bar')
+    })
+
+    it('uses the router when present', async () => {
+      const vm = {
+        $route: { path: '/foo', query: { a: '1' }, hash: '#tab=profile' },
+        $router: { replace: jest.fn(), push: jest.fn(() => Promise.reject(new Error('dupe'))) }
+      }
+      expect(getUrlParam(vm, 'tab')).toBe('profile')
+      expect(getUrlParam(vm, 'a', 'query')).toBe('1')
+
+      setUrlParam(vm, 'tab', 'settings')
+      expect(vm.$router.replace).toHaveBeenCalledWith({
+        path: '/foo',
+        query: { a: '1' },
+        hash: '#tab=settings'
+      })
+      setUrlParam(vm, 'a', '2', 'query', true)
+      expect(vm.$router.push).toHaveBeenCalledWith({
+        path: '/foo',
+        query: { a: '2' },
+        hash: '#tab=profile'
+      })
+    })
+  })
 })
@@ -1,6 +1,7 @@
-import Popper from 'popper.js'
 import BvEvent from './bv-event.class'
 import noop from './noop'
+import popperAdapter from './positioning'
+import KeyCodes from './key-codes'
 import { from as arrayFrom } from './array'
 import {
   closest,
@@ -14,10 +15,12 @@ import {
   setAttr,
   removeAttr,
   getAttr,
+  getBCR,
   eventOn,
-  eventOff
+  eventOff,
+  isElement
 } from './dom'
-import { isFunction, isNull, isNumber, isObject, isString, isUndefined } from './inspect'
+import { isArray, isFunction, isNull, isNumber, isObject, isString, isUndefined } from './inspect'
 
 const NAME = 'tooltip'
 const CLASS_PREFIX = 'bs-tooltip'
@@ -25,6 +28,14 @@ const BS_CLASS_PREFIX_REGEX = new RegExp(`\\b${CLASS_PREFIX}\\S+`, 'g')
 
 const TRANSITION_DURATION = 150
 
+// Time (in ms) the pointer may rest on its way from the trigger element
+// to an interactive tip, before the tip is hidden
+const HOVER_INTENT_TIMEOUT = 300
+
+// Time (in ms) after a grouped tip has been hidden, during which another
+// tip of the same group is shown without the show delay
+const GROUP_SKIP_DELAY_TIMEOUT = 300
+
 // Modal `$root` hidden event
 const MODAL_CLOSE_EVENT = 'bv::modal::hidden'
 // Modal container selector for appending tooltip/popover
@@ -102,8 +113,13 @@ const Defaults = {
   callbacks: {},
   boundary: 'scrollParent',
   boundaryPadding: 5,
+  flipBoundary: 'viewport',
   variant: null,
-  customClass: null
+  customClass: null,
+  interactive: false,
+  reference: null,
+  positioning: null,
+  group: null
 }
 
 // Transition event names
@@ -117,12 +133,45 @@ const TransitionEndEvents = {
 // Options for Native Event Listeners (since we never call preventDefault)
 const EvtOpts = { passive: true, capture: false }
 
+// Groups of tips sharing one tip element, keyed by class name and group name
+const Groups = {}
+
 // Client-side tip ID counter for aria-describedby attribute
 // Each tooltip requires a unique client side ID
 let NEXTID = 1
 /* istanbul ignore next */
 const generateId = name => `__BV_${name}_${NEXTID++}__`
 
+// Returns `true` if the point is inside the triangle `a`, `b`, `c`
+const isPointInTriangle = (point, [a, b, c]) => {
+  const sign = (p1, p2, p3) => (p1.x - p3.x) * (p2.y - p3.y) - (p2.x - p3.x) * (p1.y - p3.y)
+  const d1 = sign(point, a, b)
+  const d2 = sign(point, b, c)
+  const d3 = sign(point, c, a)
+  return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0))
+}
+
+// Returns `true` if the point is inside the rect
+const isPointInRect = (point, rect) =>
+  point.x >= rect.left && point.x <= rect.right && point.y >= rect.top && point.y <= rect.bottom
+
+// Returns the "safe" triangle between the point where the pointer
+// left the trigger element and the nearest edge of the tip
+const getSafeTriangle = (point, rect) => {
+  if (point.y >= rect.bottom) {
+    // Tip is above
+    return [point, { x: rect.left, y: rect.bottom }, { x: rect.right, y: rect.bottom }]
+  } else if (point.y <= rect.top) {
+    // Tip is below
+    return [point, { x: rect.left, y: rect.top }, { x: rect.right, y: rect.top }]
+  } else if (point.x <= rect.left) {
+    // Tip is to the right
+    return [point, { x: rect.left, y: rect.top }, { x: rect.left, y: rect.bottom }]
+  }
+  // Tip is to the left
+  return [point, { x: rect.right, y: rect.top }, { x: rect.right, y: rect.bottom }]
+}
+
 /*
  * ToolTip class definition
  */
@@ -132,13 +181,18 @@ class ToolTip {
     // New tooltip object
     this.$isEnabled = true
     this.$fadeTimeout = null
+    this.$transitionEnd = null
     this.$hoverTimeout = null
+    this.$hoverIntentTimeout = null
+    this.$safeTriangle = null
     this.$visibleInterval = null
     this.$hoverState = ''
     this.$activeTrigger = {}
-    this.$popper = null
+    this.$positioner = null
     this.$element = element
+    this.$reference = null
     this.$tip = null
+    this.$group = null
     this.$id = generateId(this.constructor.NAME)
     this.$parent = $parent || null
     this.$root = $parent && $parent.$root ? $parent.$root : null
@@ -151,11 +205,12 @@ class ToolTip {
     this.$doDisable = this.doDisable.bind(this)
     this.$doEnable = this.doEnable.bind(this)
     this._noop = noop.bind(this)
+    this.$destroy = this.destroy.bind(this)
     // Set the configuration
     this.updateConfig(config)
     // Destroy ourselves if the parent is destroyed
     if ($parent) {
-      $parent.$once('hook:beforeDestroy', this.destroy.bind(this))
+      $parent.$once('hook:beforeDestroy', this.$destroy)
     }
   }
 
@@ -197,6 +252,8 @@ class ToolTip {
 
     // Hide element original title if needed
     this.fixTitle()
+    // Join/leave the group of tips
+    this.setGroup(updatedConfig.group)
     // Update the config
     this.$config = updatedConfig
     // Stop/Restart listening
@@ -213,24 +270,28 @@ class ToolTip {
     // Clear any timeouts
     clearTimeout(this.$hoverTimeout)
     this.$hoverTimeout = null
-    clearTimeout(this.$fadeTimeout)
-    this.$fadeTimeout = null
-    // Remove popper
-    if (this.$popper) {
-      this.$popper.destroy()
-    }
-    this.$popper = null
+    this.cancelTransition()
+    // Remove positioner
+    this.removePositioner()
     // Remove tip from document
     if (this.$tip && this.$tip.parentElement) {
       this.$tip.parentElement.removeChild(this.$tip)
     }
     this.$tip = null
+    // Leave the group of tips
+    this.setGroup(null)
+    // Stop listening for the parent being destroyed, so that instances
+    // destroyed before their (long-lived) parent can be garbage collected
+    if (this.$parent) {
+      this.$parent.$off('hook:beforeDestroy', this.$destroy)
+    }
     // Null out other properties
     this.$id = null
     this.$isEnabled = null
     this.$parent = null
     this.$root = null
     this.$element = null
+    this.$reference = null
     this.$config = null
     this.$hoverState = null
     this.$activeTrigger = null
@@ -294,8 +355,9 @@ class ToolTip {
 
   // Show tooltip
   show() {
-    if (!document.body.contains(this.$element) || !isVisible(this.$element)) {
-      // If trigger element isn't in the DOM or is not visible
+    this.$reference = this.getReference()
+    if (!this.isReferenceVisible()) {
+      // If reference element isn't in the DOM or is not visible
       return
     }
 
@@ -305,6 +367,9 @@ class ToolTip {
       return
     }
 
+    // Take over the tip of a shown tip of our group (if any)
+    const isTakenOver = this.takeOverGroupTip()
+
     // Build tooltip element (also sets this.$tip)
     const tip = this.getTipElement()
     this.fixTitle()
@@ -312,7 +377,7 @@ class ToolTip {
     if (!this.isWithContent(tip)) {
       // If no content, don't bother showing
       /* istanbul ignore next */
-      this.$tip = null
+      this.discardTip(isTakenOver)
       /* istanbul ignore next */
       return
     }
@@ -341,7 +406,7 @@ class ToolTip {
     this.emitEvent(showEvt)
     if (showEvt.defaultPrevented) {
       // Don't show if event cancelled
-      this.$tip = null
+      this.discardTip(isTakenOver)
       return
     }
 
@@ -351,12 +416,17 @@ class ToolTip {
       container.appendChild(tip)
     }
 
-    // Refresh popper
-    this.removePopper()
-    this.$popper = new Popper(this.$element, tip, this.getPopperConfig(placement, tip))
+    // Refresh positioner
+    this.removePositioner()
+    this.$positioner = this.getPositioning().create(
+      this.$reference,
+      tip,
+      this.getPositioningOptions(placement, tip)
+    )
 
     // Transitionend callback
     const complete = () => {
+      removeClass(tip, this.getMovingClass())
       if (this.$config.animation) {
         this.fixTransition(tip)
       }
@@ -379,6 +449,9 @@ class ToolTip {
 
     // Show tip
     addClass(tip, ClassName.SHOW)
+    if (this.$group) {
+      this.$group.owner = this
+    }
 
     // Start the transition/animation
     this.transitionOnce(tip, complete)
@@ -391,7 +464,7 @@ class ToolTip {
     if (on) {
       this.$visibleInterval = setInterval(() => {
         const tip = this.$tip
-        if (tip && !isVisible(this.$element) && hasClass(tip, ClassName.SHOW)) {
+        if (tip && !this.isReferenceVisible() && hasClass(tip, ClassName.SHOW)) {
           // Element is no longer visible, so force-hide the tooltip
           this.forceHide()
         }
@@ -415,6 +488,30 @@ class ToolTip {
     } else {
       eventOff(this.$tip, 'focusout', this, EvtOpts)
     }
+    // Interactive tip listeners
+    this.setInteractiveListeners(on)
+  }
+
+  setInteractiveListeners(on) {
+    const tip = this.$tip
+    const el = this.$element
+    if (on && this.$config.interactive) {
+      // Keep the tip open while the pointer or focus is within it
+      eventOn(tip, 'mouseenter', this, EvtOpts)
+      eventOn(tip, 'mouseleave', this, EvtOpts)
+      eventOn(tip, 'focusin', this, EvtOpts)
+      eventOn(tip, 'focusout', this, EvtOpts)
+      // Allow the tip to be dismissed with the ESC key
+      eventOn(tip, 'keydown', this, EvtOpts)
+      eventOn(el, 'keydown', this, EvtOpts)
+    } else {
+      this.stopHoverIntent()
+      eventOff(tip, 'mouseenter', this, EvtOpts)
+      eventOff(tip, 'mouseleave', this, EvtOpts)
+      eventOff(tip, 'focusin', this, EvtOpts)
+      eventOff(tip, 'keydown', this, EvtOpts)
+      eventOff(el, 'keydown', this, EvtOpts)
+    }
   }
 
   // Force hide of tip (internal method)
@@ -461,8 +558,11 @@ class ToolTip {
         // Remove tip from DOM, and force recompile on next show
         tip.parentNode.removeChild(tip)
         this.removeAriaDescribedby()
-        this.removePopper()
+        this.removePositioner()
         this.$tip = null
+        if (this.$group && this.$group.owner === this) {
+          this.$group.owner = null
+        }
       }
       if (callback) {
         /* istanbul ignore next */
@@ -486,6 +586,9 @@ class ToolTip {
     }
     // Hide tip
     removeClass(tip, ClassName.SHOW)
+    if (this.$group) {
+      this.$group.hiddenAt = Date.now()
+    }
 
     // Clear any active triggers
     this.$activeTrigger = {}
@@ -547,29 +650,24 @@ class ToolTip {
     }
   }
 
-  removePopper() {
-    if (this.$popper) {
-      this.$popper.destroy()
+  removePositioner() {
+    if (this.$positioner) {
+      this.$positioner.destroy()
     }
-    this.$popper = null
+    this.$positioner = null
   }
 
   transitionOnce(tip, complete) {
     const transEvents = this.getTransitionEndEvents()
     let called = false
-    clearTimeout(this.$fadeTimeout)
-    this.$fadeTimeout = null
+    this.cancelTransition()
     const fnOnce = () => {
       if (called) {
         /* istanbul ignore next */
         return
       }
       called = true
-      clearTimeout(this.$fadeTimeout)
-      this.$fadeTimeout = null
-      transEvents.forEach(evtName => {
-        eventOff(tip, evtName, fnOnce, EvtOpts)
-      })
+      this.cancelTransition()
       // Call complete callback
       complete()
     }
@@ -577,6 +675,11 @@ class ToolTip {
       transEvents.forEach(evtName => {
         eventOn(tip, evtName, fnOnce, EvtOpts)
       })
+      this.$transitionEnd = () => {
+        transEvents.forEach(evtName => {
+          eventOff(tip, evtName, fnOnce, EvtOpts)
+        })
+      }
       // Fallback to setTimeout()
       this.$fadeTimeout = setTimeout(fnOnce, TRANSITION_DURATION)
     } else {
@@ -584,6 +687,16 @@ class ToolTip {
     }
   }
 
+  // Cancel a pending transition, without calling its complete callback
+  cancelTransition() {
+    clearTimeout(this.$fadeTimeout)
+    this.$fadeTimeout = null
+    if (this.$transitionEnd) {
+      this.$transitionEnd()
+    }
+    this.$transitionEnd = null
+  }
+
   // What transitionend event(s) to use? (returns array of event names)
   getTransitionEndEvents() {
     for (const name in TransitionEndEvents) {
@@ -598,11 +711,26 @@ class ToolTip {
 
   /* istanbul ignore next */
   update() {
-    if (!isNull(this.$popper)) {
-      this.$popper.scheduleUpdate()
+    if (!isNull(this.$positioner)) {
+      this.$positioner.update()
     }
   }
 
+  // Update the content of a shown tip, i.e. after a config update
+  updateContent() {
+    const tip = this.$tip
+    if (!tip || !hasClass(tip, ClassName.SHOW)) {
+      return
+    }
+    const hasFade = hasClass(tip, ClassName.FADE)
+    this.setContent(tip)
+    if (hasFade) {
+      addClass(tip, ClassName.FADE)
+    }
+    addClass(tip, ClassName.SHOW)
+    this.update()
+  }
+
   // NOTE: Overridden by PopOver class
   isWithContent(tip) {
     tip = tip || this.$tip
@@ -738,6 +866,11 @@ class ToolTip {
         eventOn(el, 'mouseleave', this, EvtOpts)
       }
     }, this)
+
+    if (this.$config.interactive) {
+      // Used to close an interactive $tip when focus leaves both the element and the tip
+      eventOn(el, 'focusout', this, EvtOpts)
+    }
   }
 
   unListen() {
@@ -813,10 +946,63 @@ class ToolTip {
       // Otherwise trigger a leave
       this.leave(e)
     } else if (type === 'mouseleave') {
+      if (this.$config.interactive && $tip && hasClass($tip, ClassName.SHOW)) {
+        // If the pointer moves directly between `$element` and `$tip`, don't trigger a leave
+        if (relatedTarget && ($element.contains(relatedTarget) || $tip.contains(relatedTarget))) {
+          return
+        }
+        // If the pointer leaves `$element`, give it a chance to travel to `$tip`
+        if (e.currentTarget === $element) {
+          this.startHoverIntent(e)
+          return
+        }
+      }
       this.leave(e)
+    } else if (type === 'mousemove') {
+      this.checkHoverIntent(e)
+    } else if (type === 'keydown' && e.keyCode === KeyCodes.ESC) {
+      // Dismiss the interactive tip. If focus is within the tip, move it
+      // back to the trigger element before the tip is removed
+      if ($tip && $tip.contains(document.activeElement)) {
+        $element.focus()
+      }
+      this.forceHide()
+    }
+  }
+
+  // Keep an interactive tip open while the pointer travels from
+  // the trigger element towards the tip (hover intent)
+  startHoverIntent(e) {
+    this.stopHoverIntent()
+    this.$safeTriangle = getSafeTriangle({ x: e.clientX, y: e.clientY }, getBCR(this.$tip))
+    eventOn(document, 'mousemove', this, EvtOpts)
+    this.$hoverIntentTimeout = setTimeout(this.endHoverIntent.bind(this), HOVER_INTENT_TIMEOUT)
+  }
+
+  checkHoverIntent(e) {
+    const point = { x: e.clientX, y: e.clientY }
+    if (isPointInTriangle(point, this.$safeTriangle) || isPointInRect(point, getBCR(this.$tip))) {
+      // Still on the way to the tip
+      clearTimeout(this.$hoverIntentTimeout)
+      this.$hoverIntentTimeout = setTimeout(this.endHoverIntent.bind(this), HOVER_INTENT_TIMEOUT)
+    } else {
+      this.endHoverIntent()
     }
   }
 
+  endHoverIntent() {
+    this.stopHoverIntent()
+    this.$activeTrigger.hover = false
+    this.leave()
+  }
+
+  stopHoverIntent() {
+    eventOff(document, 'mousemove', this, EvtOpts)
+    clearTimeout(this.$hoverIntentTimeout)
+    this.$hoverIntentTimeout = null
+    this.$safeTriangle = null
+  }
+
   /* istanbul ignore next */
   setModalListener(on) {
     const el = this.$element
@@ -936,6 +1122,7 @@ class ToolTip {
 
   // Enter handler
   enter(e) {
+    this.stopHoverIntent()
     if (e) {
       this.$activeTrigger[e.type === 'focusin' ? 'focus' : 'hover'] = true
     }
@@ -945,7 +1132,8 @@ class ToolTip {
     }
     clearTimeout(this.$hoverTimeout)
     this.$hoverState = HoverState.SHOW
-    if (!this.$config.delay || !this.$config.delay.show) {
+    if (!this.$config.delay || !this.$config.delay.show || this.isGroupActive()) {
+      // When moving between the tips of a group, the show delay is skipped
       this.show()
       return
     }
@@ -982,29 +1170,140 @@ class ToolTip {
     }, this.$config.delay.hide)
   }
 
-  getPopperConfig(placement, tip) {
+  // --- Group methods ---
+
+  // Join or leave (when `name` is falsy) a group of tips sharing one tip element
+  setGroup(name) {
+    const key = name ? `${this.constructor.NAME}:${name}` : null
+    const oldGroup = this.$group
+    if ((oldGroup && oldGroup.key) === key) {
+      return
+    }
+    if (oldGroup) {
+      if (oldGroup.owner === this) {
+        oldGroup.owner = null
+      }
+      oldGroup.members--
+      if (!oldGroup.members) {
+        delete Groups[oldGroup.key]
+      }
+    }
+    this.$group = null
+    if (key) {
+      this.$group = Groups[key] || { key, members: 0, owner: null, hiddenAt: 0 }
+      this.$group.members++
+      Groups[key] = this.$group
+    }
+  }
+
+  // Determine if another tip of our group is shown, or has just been hidden
+  isGroupActive() {
+    const group = this.$group
+    if (!group) {
+      return false
+    }
+    const owner = group.owner
+    return (
+      Boolean(owner && owner !== this && owner.$tip && hasClass(owner.$tip, ClassName.SHOW)) ||
+      Date.now() - group.hiddenAt < GROUP_SKIP_DELAY_TIMEOUT
+    )
+  }
+
+  // Take over the tip element from the tip of our group which is currently shown (or
+  // being hidden), so that the tip moves from its trigger element to ours.
+  // Returns `true` if the tip was taken over
+  takeOverGroupTip() {
+    const owner = this.$group ? this.$group.owner : null
+    if (!owner || owner === this || !owner.$tip || !owner.$tip.parentNode) {
+      return false
+    }
+    this.$tip = owner.releaseTip()
+    // Allows the tip to smoothly move to its new position
+    addClass(this.$tip, this.getMovingClass())
+    return true
+  }
+
+  // Hand over our tip element to another tip of our group
+  releaseTip() {
+    const tip = this.$tip
+    const isShown = hasClass(tip, ClassName.SHOW)
+    // Disable while open listeners/watchers
+    this.setWhileOpenListeners(false)
+    // Clear any hover enter/leave event and hide transition
+    clearTimeout(this.$hoverTimeout)
+    this.$hoverTimeout = null
+    this.cancelTransition()
+    this.removeAriaDescribedby()
+    this.removePositioner()
+    // Remove our placement, variant and custom classes
+    this.cleanTipClass()
+    if (this.$config.variant) {
+      removeClass(tip, `b-${this.constructor.NAME}-${this.$config.variant}`)
+    }
+    if (this.$config.customClass) {
+      removeClass(tip, String(this.$config.customClass))
+    }
+    this.$tip = null
+    this.$hoverState = ''
+    this.$activeTrigger = {}
+    if (isShown) {
+      // Create a non-cancelable BvEvent
+      const hideEvt = new BvEvent('hide', {
+        cancelable: false,
+        target: this.$element,
+        relatedTarget: tip
+      })
+      this.emitEvent(hideEvt)
+    }
+    // Create a non-cancelable BvEvent
+    const hiddenEvt = new BvEvent('hidden', {
+      cancelable: false,
+      target: this.$element,
+      relatedTarget: null
+    })
+    this.emitEvent(hiddenEvt)
+    return tip
+  }
+
+  // Discard our tip element when not shown after all. A tip
+  // taken over from our group must also be removed from the DOM
+  discardTip(isTakenOver) {
+    const tip = this.$tip
+    if (isTakenOver && tip && tip.parentNode) {
+      tip.parentNode.removeChild(tip)
+    }
+    this.$tip = null
+  }
+
+  getMovingClass() {
+    return `b-${this.constructor.NAME}-moving`
+  }
+
+  // Get the positioning adapter
+  getPositioning() {
+    return this.$config.positioning || popperAdapter
+  }
+
+  getPositioningOptions(placement, tip) {
+    let fallbackPlacement = this.$config.fallbackPlacement
+    if (isArray(fallbackPlacement)) {
+      // Convert our placement names (i.e. `topleft`) to Popper.js format
+      fallbackPlacement = fallbackPlacement.map(
+        fallback => this.constructor.getAttachment(fallback) || fallback
+      )
+    }
     return {
       placement: this.constructor.getAttachment(placement),
-      modifiers: {
-        offset: { offset: this.getOffset(placement, tip) },
-        flip: { behavior: this.$config.fallbackPlacement },
-        arrow: { element: '.arrow' },
-        preventOverflow: {
-          padding: this.$config.boundaryPadding,
-          boundariesElement: this.$config.boundary
-        }
-      },
-      onCreate: data => {
+      fallbackPlacement,
+      offset: this.getOffset(placement, tip),
+      arrow: Selector.ARROW,
+      boundary: this.$config.boundary,
+      boundaryPadding: this.$config.boundaryPadding,
+      flipBoundary: this.$config.flipBoundary,
+      onUpdate: placement => {
         // Handle flipping arrow classes
         /* istanbul ignore next */
-        if (data.originalPlacement !== data.placement) {
-          this.handlePopperPlacementChange(data)
-        }
-      },
-      onUpdate: data => {
-        // Handle flipping arrow classes
-        /* istanbul ignore next */
-        this.handlePopperPlacementChange(data)
+        this.handlePlacementChange(placement)
       }
     }
   }
@@ -1026,6 +1325,25 @@ class ToolTip {
     return this.$config.offset
   }
 
+  // Get the element or virtual element to position the tip against
+  getReference() {
+    let reference = this.$config.reference
+    if (isFunction(reference)) {
+      reference = reference.call(this, this.$element)
+    }
+    return reference || this.$element
+  }
+
+  // Determine if the element the tip is positioned against is visible.
+  // Virtual elements are assumed to be visible
+  isReferenceVisible() {
+    const reference = this.$reference
+    if (!isElement(reference)) {
+      return Boolean(reference)
+    }
+    return document.body.contains(reference) && isVisible(reference)
+  }
+
   getPlacement() {
     const placement = this.$config.placement
     if (isFunction(placement)) {
@@ -1057,15 +1375,16 @@ class ToolTip {
   }
 
   /* istanbul ignore next */
-  handlePopperPlacementChange(data) {
+  handlePlacementChange(placement) {
     this.cleanTipClass()
-    this.addAttachmentClass(this.constructor.getAttachment(data.placement))
+    this.addAttachmentClass(this.constructor.getAttachment(placement))
   }
 
   /* istanbul ignore next */
   fixTransition(tip) {
     const initConfigAnimation = this.$config.animation || false
-    if (!isNull(getAttr(tip, 'x-placement'))) {
+    if (this.getPositioning() !== popperAdapter || !isNull(getAttr(tip, 'x-placement'))) {
+      // The `x-placement` attribute is only set by Popper.js
       return
     }
     removeClass(tip, ClassName.FADE)
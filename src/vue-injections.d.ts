@@ -3,11 +3,15 @@
  */
 import Vue from 'vue'
 import { BvModal } from './components/modal'
+import { BvPopover } from './components/popover'
 import { BvToast } from './components/toast'
+import { BvTooltip } from './components/tooltip'
 
 declare module 'vue/types/vue' {
   interface Vue {
     readonly $bvModal: BvModal
+    readonly $bvPopover: BvPopover
     readonly $bvToast: BvToast
+    readonly $bvTooltip: BvTooltip
   }
 }